@@ -0,0 +1,1799 @@
+const Promise = require('bluebird');
+const _ = require('lodash');
+const _path = require('path');
+const sprintf = require('sprintf-js').sprintf;
+const stream = require('stream');
+const zlib = require('zlib');
+const FileUtil = require('./FileUtil');
+const StreamUtil = require('./StreamUtil');
+
+/**
+ * Archive Utility Methods for creating and extracting POSIX tar and zip archives, wrapped with Bluebird Promises
+ * @see http://pubs.opengroup.org/onlinepubs/9699919799/utilities/pax.html#tag_20_92_13
+ * @see https://pkware.cachefly.net/webdocs/casestudies/APPNOTE.TXT
+ *
+ */
+var ArchiveUtil = {};
+
+const BLOCK_SIZE = 512;
+const MAX_OCTAL_SIZE = 8589934591;
+const MAX_OCTAL_ID = 2097151;
+const PERMISSION_BITS = parseInt('777', 8);
+
+const TYPE_FILE = '0';
+const TYPE_HARD_LINK = '1';
+const TYPE_SYMBOLIC_LINK = '2';
+const TYPE_DIRECTORY = '5';
+const TYPE_CONTIGUOUS_FILE = '7';
+const TYPE_PAX_HEADER = 'x';
+const TYPE_PAX_GLOBAL_HEADER = 'g';
+const TYPE_GNU_LONG_NAME = 'L';
+const TYPE_GNU_LONG_LINK_NAME = 'K';
+
+const ZIP_LOCAL_FILE_HEADER_SIGNATURE = 0x04034b50;
+const ZIP_DATA_DESCRIPTOR_SIGNATURE = 0x08074b50;
+const ZIP_CENTRAL_DIRECTORY_SIGNATURE = 0x02014b50;
+const ZIP64_END_OF_CENTRAL_DIRECTORY_SIGNATURE = 0x06064b50;
+const ZIP64_END_OF_CENTRAL_DIRECTORY_LOCATOR_SIGNATURE = 0x07064b50;
+const ZIP_END_OF_CENTRAL_DIRECTORY_SIGNATURE = 0x06054b50;
+const ZIP_LOCAL_FILE_HEADER_LENGTH = 30;
+const ZIP64_END_OF_CENTRAL_DIRECTORY_LENGTH = 56;
+const ZIP64_END_OF_CENTRAL_DIRECTORY_LOCATOR_LENGTH = 20;
+const ZIP_END_OF_CENTRAL_DIRECTORY_LENGTH = 22;
+const ZIP_METHOD_STORE = 0;
+const ZIP_METHOD_DEFLATE = 8;
+const ZIP_FLAG_ENCRYPTED = 0x0001;
+const ZIP_FLAG_DATA_DESCRIPTOR = 0x0008;
+const ZIP_FLAG_UTF8 = 0x0800;
+const ZIP_EXTRA_ZIP64 = 0x0001;
+const ZIP_EXTRA_EXTENDED_TIMESTAMP = 0x5455;
+const ZIP_HOST_UNIX = 3;
+const ZIP_VERSION_MADE_BY = (ZIP_HOST_UNIX << 8) | 45;
+const ZIP_MAX_16 = 0xffff;
+const ZIP_MAX_32 = 0xffffffff;
+
+const S_IFMT = parseInt('170000', 8);
+const S_IFDIR = parseInt('40000', 8);
+const S_IFLNK = parseInt('120000', 8);
+
+
+/**
+ * Writes a string into a header field, truncated to the field length.
+ * @param header {Buffer}
+ * @param value {string}
+ * @param offset {number}
+ * @param length {number}
+ * @private
+ */
+var writeString = function (header, value, offset, length) {
+    Buffer.from(value, 'utf8').copy(header, offset, 0, length);
+};
+
+/**
+ * Writes a number into a header field as zero padded octal digits followed by a NUL.
+ * @param header {Buffer}
+ * @param value {number}
+ * @param offset {number}
+ * @param length {number}
+ * @private
+ */
+var writeOctal = function (header, value, offset, length) {
+    writeString(header, _.padStart(Math.floor(value).toString(8), length - 1, '0') + '\0', offset, length);
+};
+
+/**
+ * Reads a NUL terminated string from a header field.
+ * @param header {Buffer}
+ * @param offset {number}
+ * @param length {number}
+ * @returns {string}
+ * @private
+ */
+var readString = function (header, offset, length) {
+    var field = header.slice(offset, offset + length);
+    var end = field.indexOf(0);
+    return field.toString('utf8', 0, end === -1 ? length : end);
+};
+
+/**
+ * Reads a number from a header field, stored as octal digits or, for large values, as base-256.
+ * @param header {Buffer}
+ * @param offset {number}
+ * @param length {number}
+ * @returns {number}
+ * @private
+ */
+var readNumber = function (header, offset, length) {
+    if (header[offset] & 0x80) {
+        var value = header[offset] & 0x7f;
+        for (var i = offset + 1; i < offset + length; i++) {
+            value = value * 256 + header[i];
+        }
+        return value;
+    }
+
+    var digits = _.trim(readString(header, offset, length), ' \0');
+    return _.isEmpty(digits) ? 0 : parseInt(digits, 8);
+};
+
+/**
+ * Computes a header checksum, the sum of the header bytes with the checksum field read as spaces.
+ * @param header {Buffer}
+ * @returns {number}
+ * @private
+ */
+var computeChecksum = function (header) {
+    var checksum = 8 * 0x20;
+    for (var i = 0; i < BLOCK_SIZE; i++) {
+        if (i < 148 || i >= 156) {
+            checksum += header[i];
+        }
+    }
+    return checksum;
+};
+
+/**
+ * Creates a PAX extended header record, "length key=value\n", where length counts the whole record.
+ * @param key {string}
+ * @param value {string}
+ * @returns {string}
+ * @private
+ */
+var createPaxRecord = function (key, value) {
+    var content = sprintf(' %s=%s\n', key, value);
+    var contentLength = Buffer.byteLength(content);
+    var length = contentLength + String(contentLength).length;
+    if (String(length).length + contentLength !== length) {
+        length = contentLength + String(length).length;
+    }
+    return String(length) + content;
+};
+
+/**
+ * Parses PAX extended header records.
+ * @param data {Buffer}
+ * @returns {Object.<string, string>}
+ * @private
+ */
+var parsePaxRecords = function (data) {
+    var records = {};
+    var offset = 0;
+    while (offset < data.length) {
+        var space = data.indexOf(0x20, offset);
+        if (space === -1) {
+            break;
+        }
+        var length = parseInt(data.toString('utf8', offset, space), 10);
+        if (!(length > 0)) {
+            break;
+        }
+        var record = data.toString('utf8', space + 1, offset + length - 1);
+        var separator = record.indexOf('=');
+        if (separator !== -1) {
+            records[record.slice(0, separator)] = record.slice(separator + 1);
+        }
+        offset += length;
+    }
+    return records;
+};
+
+/**
+ * Creates a ustar header block.
+ * @param entry {object}
+ * @param entry.name {string}
+ * @param entry.prefix {string}
+ * @param entry.type {string}
+ * @param entry.mode {number}
+ * @param entry.uid {number}
+ * @param entry.gid {number}
+ * @param entry.size {number}
+ * @param entry.mtime {number} - Seconds since the epoch.
+ * @param entry.linkname {string}
+ * @returns {Buffer}
+ * @private
+ */
+var createHeaderBlock = function (entry) {
+    var header = Buffer.alloc(BLOCK_SIZE);
+    writeString(header, entry.name, 0, 100);
+    writeOctal(header, entry.mode & parseInt('7777', 8), 100, 8);
+    writeOctal(header, Math.min(entry.uid, MAX_OCTAL_ID), 108, 8);
+    writeOctal(header, Math.min(entry.gid, MAX_OCTAL_ID), 116, 8);
+    writeOctal(header, Math.min(entry.size, MAX_OCTAL_SIZE), 124, 12);
+    writeOctal(header, entry.mtime, 136, 12);
+    writeString(header, entry.type, 156, 1);
+    writeString(header, entry.linkname || '', 157, 100);
+    writeString(header, 'ustar\0', 257, 6);
+    writeString(header, '00', 263, 2);
+    writeString(header, entry.prefix || '', 345, 155);
+    writeString(header, _.padStart(computeChecksum(header).toString(8), 6, '0') + '\0 ', 148, 8);
+    return header;
+};
+
+/**
+ * Splits an archive path into the ustar name and prefix fields, or returns null if it does not fit.
+ * @param archivePath {string}
+ * @returns {?{name: string, prefix: string}}
+ * @private
+ */
+var splitUstarPath = function (archivePath) {
+    if (Buffer.byteLength(archivePath) <= 100) {
+        return {name: archivePath, prefix: ''};
+    }
+
+    var separator = archivePath.indexOf('/');
+    while (separator !== -1) {
+        var prefix = archivePath.slice(0, separator);
+        var name = archivePath.slice(separator + 1);
+        if (Buffer.byteLength(prefix) <= 155 && Buffer.byteLength(name) <= 100 && !_.isEmpty(name)) {
+            return {name: name, prefix: prefix};
+        }
+        separator = archivePath.indexOf('/', separator + 1);
+    }
+    return null;
+};
+
+/**
+ * Pads data to a whole number of blocks.
+ * @param length {number}
+ * @returns {number}
+ * @private
+ */
+var paddingLength = function (length) {
+    return (BLOCK_SIZE - (length % BLOCK_SIZE)) % BLOCK_SIZE;
+};
+
+/**
+ * Creates the header blocks for an entry, preceded by a PAX extended header when a value does not fit in the ustar fields.
+ * @param entry {object} - As for createHeaderBlock, with the full archive path as entry.name.
+ * @returns {Buffer}
+ * @private
+ */
+var createHeaderBlocks = function (entry) {
+    var paxRecords = [];
+    var ustarPath = splitUstarPath(entry.name);
+
+    if (_.isNil(ustarPath)) {
+        paxRecords.push(createPaxRecord('path', entry.name));
+        ustarPath = {name: entry.name.slice(0, 100), prefix: ''};
+    }
+    if (!_.isEmpty(entry.linkname) && Buffer.byteLength(entry.linkname) > 100) {
+        paxRecords.push(createPaxRecord('linkpath', entry.linkname));
+    }
+    if (entry.size > MAX_OCTAL_SIZE) {
+        paxRecords.push(createPaxRecord('size', String(entry.size)));
+    }
+    if (entry.uid > MAX_OCTAL_ID) {
+        paxRecords.push(createPaxRecord('uid', String(entry.uid)));
+    }
+    if (entry.gid > MAX_OCTAL_ID) {
+        paxRecords.push(createPaxRecord('gid', String(entry.gid)));
+    }
+
+    var header = createHeaderBlock(_.assign({}, entry, ustarPath));
+    if (_.isEmpty(paxRecords)) {
+        return header;
+    }
+
+    var paxData = Buffer.from(paxRecords.join(''), 'utf8');
+    var paxHeader = createHeaderBlock({
+        name: 'PaxHeader/' + _.last(entry.name.replace(/\/$/, '').split('/')).slice(0, 80),
+        type: TYPE_PAX_HEADER,
+        mode: parseInt('644', 8),
+        uid: 0,
+        gid: 0,
+        size: paxData.length,
+        mtime: entry.mtime
+    });
+    return Buffer.concat([paxHeader, paxData, Buffer.alloc(paddingLength(paxData.length)), header]);
+};
+
+/**
+ * Writes a chunk to a stream, resolving once the stream can accept more data.
+ * @param target {stream.Writable}
+ * @param chunk {Buffer}
+ * @returns {Promise.<undefined>}
+ * @private
+ */
+var writeChunk = function (target, chunk) {
+    return new Promise(function (resolve) {
+        if (target.write(chunk)) {
+            return resolve();
+        }
+        target.once('drain', resolve);
+    });
+};
+
+/**
+ * Writes exactly size bytes of a file to the tar stream, padding with zeros if the file shrank while being archived.
+ * @param tarStream {stream.Writable}
+ * @param path {string}
+ * @param size {number}
+ * @returns {Promise.<undefined>}
+ * @private
+ */
+var writeFileData = function (tarStream, path, size) {
+    if (size === 0) {
+        return Promise.resolve();
+    }
+
+    return FileUtil.createReadStream({path: path, start: 0, end: size - 1})
+        .then(function (readStream) {
+            return new Promise(function (resolve, reject) {
+                var written = 0;
+                readStream.on('data', function (chunk) {
+                    written += chunk.length;
+                    if (!tarStream.write(chunk)) {
+                        readStream.pause();
+                        tarStream.once('drain', function () {
+                            readStream.resume();
+                        });
+                    }
+                });
+                readStream.once('error', reject);
+                readStream.once('end', function () {
+                    resolve(written);
+                });
+            });
+        })
+        .then(function (written) {
+            if (written < size) {
+                return writeChunk(tarStream, Buffer.alloc(size - written));
+            }
+        });
+};
+
+
+/**
+ * Lists the entries to archive from a file or directory, walked with {@link FileUtil.walk} without following symbolic links.
+ * Entry names are relative to path, use '/' separators and end with '/' for directories. A directory path itself is not an entry; a file path is archived by its base name.
+ * @param path {string}
+ * @param exclude {string[]} - Paths to leave out, with their contents.
+ * @returns {Promise.<Array.<{path: string, name: string, stats: fs.Stats}>>}
+ * @private
+ */
+var collectArchiveEntries = function (path, exclude) {
+    exclude = _.map(exclude, function (excludePath) {
+        return _path.resolve(process.cwd(), excludePath);
+    });
+
+    var isExcluded = function (file) {
+        return _.some(exclude, function (excludePath) {
+            return file === excludePath || _.startsWith(file, excludePath + _path.sep);
+        });
+    };
+
+    var entries = [];
+
+    var callback = function (file, fileStats) {
+        if (isExcluded(file)) {
+            return;
+        }
+
+        var relativePath = _path.relative(path, file);
+        if (relativePath === '') {
+            if (fileStats.isDirectory()) {
+                return;
+            }
+            relativePath = _path.basename(file);
+        }
+
+        var name = relativePath.split(_path.sep).join('/');
+        if (fileStats.isDirectory()) {
+            name += '/';
+        }
+        entries.push({path: file, name: name, stats: fileStats});
+    };
+
+    return FileUtil.walk({path: path, callback: callback, lstat: true})
+        .then(function () {
+            return entries;
+        });
+};
+
+/**
+ * Writes an archive stream to a file, resolving once the file is closed.
+ * @param destinationPath {string}
+ * @param createArchiveStream {function(): Promise.<stream.Readable>}
+ * @returns {Promise.<undefined>}
+ * @private
+ */
+var writeArchiveFile = function (destinationPath, createArchiveStream) {
+    return FileUtil.createWriteStream({path: destinationPath})
+        .then(function (writeStream) {
+            var writeStreamClosed = new Promise(function (resolve, reject) {
+                writeStream.once('close', resolve);
+                writeStream.once('error', reject);
+            });
+
+            return createArchiveStream()
+                .then(function (archiveStream) {
+                    return StreamUtil.pipe({source: archiveStream, target: writeStream});
+                })
+                .then(function () {
+                    return writeStreamClosed;
+                })
+                .catch(function (err) {
+                    writeStream.destroy();
+                    throw err;
+                });
+        });
+};
+
+
+/**
+ * Creates a tar archive stream of a file or of the contents of a directory, walked with {@link FileUtil.walk}.
+ * Entries are named relative to path, and keep their mode, ownership and modification time. Symbolic links are archived as links.
+ * Paths that do not fit in the ustar header fields are written with PAX extended headers.
+ * @param options {object|string} - options object, or path
+ * @param options.path {string} - File or directory to archive.
+ * @param [options.gzip] {boolean} - Compress the archive with gzip.
+ * @param [options.exclude] {string[]} - Paths to leave out of the archive, with their contents.
+ * @returns {Promise.<stream.Readable>}
+ */
+ArchiveUtil.createTarStream = function (options) {
+    if (_.isString(options)) {
+        options = {path: options};
+    }
+
+    var path = _.get(options, 'path');
+
+    if (_.isNil(path)) {
+        throw new Error("Missing parameter: path");
+    }
+
+    path = _path.resolve(process.cwd(), path);
+
+    var gzip = _.get(options, 'gzip', false);
+    var tarStream = new stream.PassThrough();
+
+    var writeEntry = function (entry) {
+        var stats = entry.stats;
+        var header = {
+            name: entry.name,
+            mode: stats.mode,
+            uid: stats.uid,
+            gid: stats.gid,
+            size: 0,
+            mtime: stats.mtime.getTime() / 1000,
+            linkname: ''
+        };
+
+        var linkPromise = Promise.resolve();
+        if (stats.isDirectory()) {
+            header.type = TYPE_DIRECTORY;
+        } else if (stats.isSymbolicLink()) {
+            header.type = TYPE_SYMBOLIC_LINK;
+            linkPromise = FileUtil.readlink({path: entry.path})
+                .then(function (linkString) {
+                    header.linkname = linkString;
+                });
+        } else if (stats.isFile()) {
+            header.type = TYPE_FILE;
+            header.size = stats.size;
+        } else {
+            return;
+        }
+
+        return linkPromise
+            .then(function () {
+                return writeChunk(tarStream, createHeaderBlocks(header));
+            })
+            .then(function () {
+                if (header.type === TYPE_FILE) {
+                    return writeFileData(tarStream, entry.path, header.size)
+                        .then(function () {
+                            return writeChunk(tarStream, Buffer.alloc(paddingLength(header.size)));
+                        });
+                }
+            });
+    };
+
+    collectArchiveEntries(path, _.get(options, 'exclude', []))
+        .then(function (entries) {
+            return Promise.each(entries, writeEntry);
+        })
+        .then(function () {
+            tarStream.end(Buffer.alloc(2 * BLOCK_SIZE));
+        })
+        .catch(function (err) {
+            tarStream.destroy(err);
+        });
+
+    if (!gzip) {
+        return tarStream;
+    }
+
+    var gzipStream = zlib.createGzip();
+    tarStream.once('error', function (err) {
+        gzipStream.destroy(err);
+    });
+    return tarStream.pipe(gzipStream);
+};
+
+/**
+ * Creates a tar archive file of a file or of the contents of a directory.
+ * @see ArchiveUtil.createTarStream
+ * @param options
+ * @param options.path {string} - File or directory to archive.
+ * @param options.destinationPath {string} - Archive file to create. It is left out of the archive if it is inside path.
+ * @param [options.gzip] {boolean} - Compress the archive with gzip.
+ * @returns {Promise.<undefined>}
+ */
+ArchiveUtil.createTar = function (options) {
+    var path = _.get(options, 'path');
+
+    if (_.isNil(path)) {
+        throw new Error("Missing parameter: path");
+    }
+
+    var destinationPath = _.get(options, 'destinationPath');
+
+    if (_.isNil(destinationPath)) {
+        throw new Error("Missing parameter: destinationPath");
+    }
+
+    destinationPath = _path.resolve(process.cwd(), destinationPath);
+
+    return writeArchiveFile(destinationPath, function () {
+        return ArchiveUtil.createTarStream({path: path, gzip: _.get(options, 'gzip', false), exclude: [destinationPath]});
+    });
+};
+
+/**
+ * Creates the path checks for extracting archive entries into a directory: entry names must resolve inside the directory, and so must the real path of every directory written through.
+ * @param destinationPath {string}
+ * @param destinationRealPath {string}
+ * @returns {{destinationPath: string, resolveEntryPath: function(string): string, assertInsideDestination: function(string): Promise, createDirectory: function(string): Promise, prepareParent: function(string): Promise}}
+ * @private
+ */
+var createDestinationGuard = function (destinationPath, destinationRealPath) {
+    var resolveEntryPath = function (name) {
+        var entryPath = _path.resolve(destinationPath, name);
+        var relativePath = _path.relative(destinationPath, entryPath);
+        if (_path.isAbsolute(name) || relativePath === '..' || _.startsWith(relativePath, '..' + _path.sep) || _path.isAbsolute(relativePath)) {
+            throw new Error(sprintf('%s: Refusing to extract outside of %s', name, destinationPath));
+        }
+        return entryPath;
+    };
+
+    var assertInsideDestination = function (directory) {
+        return FileUtil.realpath({path: directory})
+            .then(function (directoryRealPath) {
+                if (directoryRealPath !== destinationRealPath && !_.startsWith(directoryRealPath, destinationRealPath + _path.sep)) {
+                    throw new Error(sprintf('%s: Refusing to extract through a symbolic link outside of %s', directory, destinationPath));
+                }
+            });
+    };
+
+    // Each directory is checked before the next one is created in it, so that a symbolic link cannot have directories made outside of the destination
+    var createDirectory = function (directory) {
+        var relativePath = _path.relative(destinationPath, directory);
+        var names = relativePath === '' ? [] : relativePath.split(_path.sep);
+        return Promise.reduce(names, function (parentPath, name) {
+            var path = _path.join(parentPath, name);
+            return FileUtil.mkdir({path: path})
+                .catch(function (err) {
+                    if (err.code !== 'EEXIST') {
+                        throw err;
+                    }
+                })
+                .then(function () {
+                    return assertInsideDestination(path);
+                })
+                .then(function () {
+                    return path;
+                });
+        }, destinationPath);
+    };
+
+    var prepareParent = function (entryPath) {
+        return createDirectory(_path.dirname(entryPath))
+            .then(function () {
+                return FileUtil.lstat({path: entryPath});
+            })
+            .then(function (existingStats) {
+                if (existingStats.isDirectory()) {
+                    throw new Error(sprintf('%s: Cannot overwrite directory with non-directory', entryPath));
+                }
+                return FileUtil.unlink({path: entryPath});
+            }, function (err) {
+                if (err.code !== 'ENOENT') {
+                    throw err;
+                }
+            });
+    };
+
+    return {
+        destinationPath: destinationPath,
+        resolveEntryPath: resolveEntryPath,
+        assertInsideDestination: assertInsideDestination,
+        createDirectory: createDirectory,
+        prepareParent: prepareParent
+    };
+};
+
+/**
+ * Applies directory modes and modification times, deepest first, once their contents have been extracted.
+ * @param directories {Array.<{path: string, mode: number, mtime: Date}>}
+ * @returns {Promise.<undefined>}
+ * @private
+ */
+var applyDirectoryAttributes = function (directories) {
+    return Promise.each(_.reverse(directories.slice()), function (directory) {
+        return FileUtil.chmod({path: directory.path, mode: directory.mode})
+            .then(function () {
+                return FileUtil.utimes({path: directory.path, atime: directory.mtime, mtime: directory.mtime});
+            });
+    });
+};
+
+/**
+ * Creates a writable stream that extracts tar archive data into a directory.
+ * @param guard {object} - Created by createDestinationGuard.
+ * @param extractedPaths {string[]} - Receives the paths of the extracted entries.
+ * @returns {stream.Writable}
+ * @private
+ */
+var createTarExtractor = function (guard, extractedPaths) {
+    var buffer = Buffer.alloc(0);
+    var entry = null;
+    var extendedHeader = {};
+    var archiveEnded = false;
+    var directories = [];
+
+    var collectData = function (onFinish) {
+        var chunks = [];
+        return {
+            consume: function (chunk) {
+                chunks.push(chunk);
+                return Promise.resolve();
+            },
+            finish: function () {
+                return Promise.resolve(onFinish(Buffer.concat(chunks)));
+            }
+        };
+    };
+
+    var skipData = {
+        consume: function () {
+            return Promise.resolve();
+        },
+        finish: function () {
+            return Promise.resolve();
+        }
+    };
+
+    var beginEntry = function (header) {
+        switch (header.type) {
+            case TYPE_PAX_HEADER:
+                return Promise.resolve(collectData(function (data) {
+                    extendedHeader = parsePaxRecords(data);
+                }));
+            case TYPE_GNU_LONG_NAME:
+            case TYPE_GNU_LONG_LINK_NAME:
+                return Promise.resolve(collectData(function (data) {
+                    var key = header.type === TYPE_GNU_LONG_NAME ? 'path' : 'linkpath';
+                    extendedHeader[key] = _.trimEnd(data.toString('utf8'), '\0');
+                }));
+            case TYPE_PAX_GLOBAL_HEADER:
+                return Promise.resolve(skipData);
+        }
+
+        var name = _.has(extendedHeader, 'path') ? extendedHeader.path : header.name;
+        var linkname = _.has(extendedHeader, 'linkpath') ? extendedHeader.linkpath : header.linkname;
+        extendedHeader = {};
+
+        var entryPath = guard.resolveEntryPath(name);
+        if (entryPath === guard.destinationPath) {
+            return Promise.resolve(skipData);
+        }
+
+        var mode = header.mode & PERMISSION_BITS;
+        var mtime = new Date(header.mtime * 1000);
+
+        switch (header.type) {
+            case TYPE_DIRECTORY:
+                return guard.createDirectory(entryPath)
+                    .then(function () {
+                        directories.push({path: entryPath, mode: mode, mtime: mtime});
+                        extractedPaths.push(entryPath);
+                        return skipData;
+                    });
+            case TYPE_SYMBOLIC_LINK:
+                return guard.prepareParent(entryPath)
+                    .then(function () {
+                        return FileUtil.symlink({target: linkname, path: entryPath, relative: true});
+                    })
+                    .then(function () {
+                        extractedPaths.push(entryPath);
+                        return skipData;
+                    });
+            case TYPE_HARD_LINK:
+                var targetPath = guard.resolveEntryPath(linkname);
+                return guard.prepareParent(entryPath)
+                    .then(function () {
+                        return guard.assertInsideDestination(_path.dirname(targetPath));
+                    })
+                    .then(function () {
+                        return FileUtil.link({srcPath: targetPath, destPath: entryPath});
+                    })
+                    .then(function () {
+                        extractedPaths.push(entryPath);
+                        return skipData;
+                    });
+            case TYPE_FILE:
+            case TYPE_CONTIGUOUS_FILE:
+            case '':
+                return guard.prepareParent(entryPath)
+                    .then(function () {
+                        return FileUtil.createWriteStream({path: entryPath, flags: 'wx', mode: mode});
+                    })
+                    .then(function (writeStream) {
+                        var writeStreamClosed = new Promise(function (resolve, reject) {
+                            writeStream.once('close', resolve);
+                            writeStream.once('error', reject);
+                        });
+
+                        return {
+                            consume: function (chunk) {
+                                return writeChunk(writeStream, chunk);
+                            },
+                            finish: function () {
+                                writeStream.end();
+                                return writeStreamClosed
+                                    .then(function () {
+                                        return FileUtil.chmod({path: entryPath, mode: mode});
+                                    })
+                                    .then(function () {
+                                        return FileUtil.utimes({path: entryPath, atime: mtime, mtime: mtime});
+                                    })
+                                    .then(function () {
+                                        extractedPaths.push(entryPath);
+                                    });
+                            }
+                        };
+                    });
+            default:
+                return Promise.resolve(skipData);
+        }
+    };
+
+    var parseHeader = function (headerBlock) {
+        var checksum = readNumber(headerBlock, 148, 8);
+        if (checksum !== computeChecksum(headerBlock)) {
+            throw new Error('Invalid tar header checksum');
+        }
+
+        var name = readString(headerBlock, 0, 100);
+        if (readString(headerBlock, 257, 5) === 'ustar') {
+            var prefix = readString(headerBlock, 345, 155);
+            if (!_.isEmpty(prefix)) {
+                name = prefix + '/' + name;
+            }
+        }
+
+        var size = readNumber(headerBlock, 124, 12);
+        if (_.has(extendedHeader, 'size')) {
+            size = parseInt(extendedHeader.size, 10);
+        }
+
+        return {
+            name: name,
+            mode: readNumber(headerBlock, 100, 8),
+            size: size,
+            mtime: _.has(extendedHeader, 'mtime') ? parseFloat(extendedHeader.mtime) : readNumber(headerBlock, 136, 12),
+            type: readString(headerBlock, 156, 1),
+            linkname: readString(headerBlock, 157, 100)
+        };
+    };
+
+    var processBuffer = function () {
+        if (archiveEnded) {
+            buffer = Buffer.alloc(0);
+            return Promise.resolve();
+        }
+
+        if (_.isNil(entry)) {
+            if (buffer.length < BLOCK_SIZE) {
+                return Promise.resolve();
+            }
+
+            var headerBlock = buffer.slice(0, BLOCK_SIZE);
+            buffer = buffer.slice(BLOCK_SIZE);
+
+            if (_.every(headerBlock, function (byte) {
+                    return byte === 0;
+                })) {
+                archiveEnded = true;
+                return processBuffer();
+            }
+
+            var header;
+            return Promise.try(function () {
+                header = parseHeader(headerBlock);
+                return beginEntry(header);
+            })
+                .then(function (entryHandler) {
+                    entry = _.assign({remaining: header.size, padding: paddingLength(header.size)}, entryHandler);
+                    return processBuffer();
+                });
+        }
+
+        if (entry.remaining > 0) {
+            if (buffer.length === 0) {
+                return Promise.resolve();
+            }
+            var chunk = buffer.slice(0, Math.min(entry.remaining, buffer.length));
+            buffer = buffer.slice(chunk.length);
+            entry.remaining -= chunk.length;
+            return entry.consume(chunk)
+                .then(processBuffer);
+        }
+
+        if (entry.padding > 0) {
+            var skipped = Math.min(entry.padding, buffer.length);
+            buffer = buffer.slice(skipped);
+            entry.padding -= skipped;
+            if (entry.padding > 0) {
+                return Promise.resolve();
+            }
+        }
+
+        var finishedEntry = entry;
+        entry = null;
+        return finishedEntry.finish()
+            .then(processBuffer);
+    };
+
+    return new stream.Writable({
+        write: function (chunk, encoding, callback) {
+            buffer = Buffer.concat([buffer, chunk]);
+            processBuffer()
+                .then(function () {
+                    callback();
+                }, callback);
+        },
+        final: function (callback) {
+            if (!_.isNil(entry) || buffer.length > 0) {
+                return callback(new Error('Unexpected end of tar archive'));
+            }
+
+            applyDirectoryAttributes(directories)
+                .then(function () {
+                    callback();
+                }, callback);
+        }
+    });
+};
+
+/**
+ * Extracts a tar archive into a directory.
+ * Entries that would be written outside of destinationPath, by absolute paths, '..' segments or symbolic links, are rejected. File and directory permissions and modification times are restored; ownership is not.
+ * @param options
+ * @param [options.path] {string} - Archive file to extract.
+ * @param [options.source] {stream.Readable} - Archive stream to extract, if path is not given.
+ * @param options.destinationPath {string} - Directory to extract into. It is created if it does not exist.
+ * @param [options.gzip] {boolean} - Decompress the archive with gzip. Detected from the archive file contents if not given.
+ * @returns {Promise.<string[]>} - Paths of the extracted entries.
+ */
+ArchiveUtil.extractTar = function (options) {
+    var path = _.get(options, 'path');
+    var source = _.get(options, 'source');
+
+    if (_.isNil(path) && _.isNil(source)) {
+        throw new Error("Missing parameters: path or source");
+    }
+
+    var destinationPath = _.get(options, 'destinationPath');
+
+    if (_.isNil(destinationPath)) {
+        throw new Error("Missing parameter: destinationPath");
+    }
+
+    destinationPath = _path.resolve(process.cwd(), destinationPath);
+
+    var gzip = _.get(options, 'gzip');
+
+    var detectGzip = function () {
+        if (!_.isNil(gzip) || _.isNil(path)) {
+            return Promise.resolve(!!gzip);
+        }
+
+        return FileUtil.open({path: path, flags: 'r'})
+            .then(function (fd) {
+                return FileUtil.read({fd: fd, buffer: Buffer.alloc(2), offset: 0, length: 2, position: 0})
+                    .finally(function () {
+                        return FileUtil.close({fd: fd});
+                    });
+            })
+            .then(function (result) {
+                return result.bytesRead === 2 && result.buffer[0] === 0x1f && result.buffer[1] === 0x8b;
+            });
+    };
+
+    var extractedPaths = [];
+
+    return Promise.props({
+        gzip: detectGzip(),
+        source: _.isNil(source) ? FileUtil.createReadStream({path: path}) : source,
+        destinationRealPath: FileUtil.mkdirp({path: destinationPath})
+            .then(function () {
+                return FileUtil.realpath({path: destinationPath});
+            })
+    })
+        .then(function (props) {
+            var extractor = createTarExtractor(createDestinationGuard(destinationPath, props.destinationRealPath), extractedPaths);
+            var extracted = new Promise(function (resolve, reject) {
+                extractor.once('finish', resolve);
+                extractor.once('error', reject);
+            });
+
+            var pipes = [];
+            var archiveStream = props.source;
+            if (props.gzip) {
+                var gunzipStream = zlib.createGunzip();
+                pipes.push(StreamUtil.pipe({source: archiveStream, target: gunzipStream}));
+                archiveStream = gunzipStream;
+            }
+            pipes.push(StreamUtil.pipe({source: archiveStream, target: extractor}));
+
+            return Promise.all(pipes.concat([extracted]))
+                .catch(function (err) {
+                    props.source.destroy();
+                    extractor.destroy();
+                    throw err;
+                });
+        })
+        .then(function () {
+            return extractedPaths;
+        });
+};
+
+
+/**
+ * CRC-32 lookup table for the zip polynomial.
+ * @type {number[]}
+ * @private
+ */
+var CRC32_TABLE = _.map(_.range(256), function (n) {
+    var c = n;
+    for (var k = 0; k < 8; k++) {
+        c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+    }
+    return c >>> 0;
+});
+
+/**
+ * Updates a CRC-32 checksum with the bytes of a buffer.
+ * @param crc {number} - Checksum so far, 0 to start.
+ * @param buffer {Buffer}
+ * @returns {number}
+ * @private
+ */
+var updateCrc32 = function (crc, buffer) {
+    crc = ~crc;
+    for (var i = 0; i < buffer.length; i++) {
+        crc = CRC32_TABLE[(crc ^ buffer[i]) & 0xff] ^ (crc >>> 8);
+    }
+    return ~crc >>> 0;
+};
+
+/**
+ * Reads an unsigned little-endian 64 bit integer. Values above 2^53 lose precision.
+ * @param buffer {Buffer}
+ * @param offset {number}
+ * @returns {number}
+ * @private
+ */
+var readUInt64LE = function (buffer, offset) {
+    return buffer.readUInt32LE(offset) + buffer.readUInt32LE(offset + 4) * 0x100000000;
+};
+
+/**
+ * Writes an unsigned little-endian 64 bit integer.
+ * @param buffer {Buffer}
+ * @param value {number}
+ * @param offset {number}
+ * @private
+ */
+var writeUInt64LE = function (buffer, value, offset) {
+    buffer.writeUInt32LE(value % 0x100000000, offset);
+    buffer.writeUInt32LE(Math.floor(value / 0x100000000), offset + 4);
+};
+
+/**
+ * Converts a date to MS-DOS date and time fields, in local time. Dates before 1980 are stored as 1980-01-01.
+ * @param date {Date}
+ * @returns {{date: number, time: number}}
+ * @private
+ */
+var toDosDateTime = function (date) {
+    if (date.getFullYear() < 1980) {
+        date = new Date(1980, 0, 1);
+    }
+    return {
+        date: ((date.getFullYear() - 1980) << 9) | ((date.getMonth() + 1) << 5) | date.getDate(),
+        time: (date.getHours() << 11) | (date.getMinutes() << 5) | Math.floor(date.getSeconds() / 2)
+    };
+};
+
+/**
+ * Converts MS-DOS date and time fields, in local time, to a date.
+ * @param date {number}
+ * @param time {number}
+ * @returns {Date}
+ * @private
+ */
+var fromDosDateTime = function (date, time) {
+    return new Date(((date >> 9) & 0x7f) + 1980, ((date >> 5) & 0x0f) - 1, date & 0x1f, (time >> 11) & 0x1f, (time >> 5) & 0x3f, (time & 0x1f) * 2);
+};
+
+/**
+ * Creates a zip extra field.
+ * @param id {number}
+ * @param data {Buffer}
+ * @returns {Buffer}
+ * @private
+ */
+var createExtraField = function (id, data) {
+    var header = Buffer.alloc(4);
+    header.writeUInt16LE(id, 0);
+    header.writeUInt16LE(data.length, 2);
+    return Buffer.concat([header, data]);
+};
+
+/**
+ * Parses zip extra fields into their data, keyed by id.
+ * @param buffer {Buffer}
+ * @returns {Object.<number, Buffer>}
+ * @private
+ */
+var parseExtraFields = function (buffer) {
+    var fields = {};
+    var offset = 0;
+    while (offset + 4 <= buffer.length) {
+        var length = buffer.readUInt16LE(offset + 2);
+        fields[buffer.readUInt16LE(offset)] = buffer.slice(offset + 4, offset + 4 + length);
+        offset += 4 + length;
+    }
+    return fields;
+};
+
+/**
+ * Reads exactly length bytes from a file descriptor at a position.
+ * @param fd {number}
+ * @param position {number}
+ * @param length {number}
+ * @returns {Promise.<Buffer>}
+ * @private
+ */
+var readAt = function (fd, position, length) {
+    return FileUtil.read({fd: fd, buffer: Buffer.alloc(length), offset: 0, length: length, position: position})
+        .then(function (result) {
+            if (result.bytesRead < length) {
+                throw new Error('Unexpected end of zip archive');
+            }
+            return result.buffer;
+        });
+};
+
+/**
+ * Locates the central directory from the end of central directory record, or its ZIP64 counterpart.
+ * @param fd {number}
+ * @param size {number} - Size of the archive file.
+ * @returns {Promise.<{count: number, size: number, offset: number}>}
+ * @private
+ */
+var readZipCentralDirectoryLocation = function (fd, size) {
+    var tailLength = Math.min(size, ZIP_END_OF_CENTRAL_DIRECTORY_LENGTH + ZIP_MAX_16);
+
+    return readAt(fd, size - tailLength, tailLength)
+        .then(function (tail) {
+            var recordOffset = -1;
+            for (var i = tail.length - ZIP_END_OF_CENTRAL_DIRECTORY_LENGTH; i >= 0; i--) {
+                if (tail.readUInt32LE(i) === ZIP_END_OF_CENTRAL_DIRECTORY_SIGNATURE) {
+                    recordOffset = i;
+                    break;
+                }
+            }
+
+            if (recordOffset === -1) {
+                throw new Error('Not a zip archive: end of central directory record not found');
+            }
+
+            var locatorOffset = recordOffset - ZIP64_END_OF_CENTRAL_DIRECTORY_LOCATOR_LENGTH;
+            if (locatorOffset < 0 || tail.readUInt32LE(locatorOffset) !== ZIP64_END_OF_CENTRAL_DIRECTORY_LOCATOR_SIGNATURE) {
+                return {
+                    count: tail.readUInt16LE(recordOffset + 10),
+                    size: tail.readUInt32LE(recordOffset + 12),
+                    offset: tail.readUInt32LE(recordOffset + 16)
+                };
+            }
+
+            return readAt(fd, readUInt64LE(tail, locatorOffset + 8), ZIP64_END_OF_CENTRAL_DIRECTORY_LENGTH)
+                .then(function (record) {
+                    if (record.readUInt32LE(0) !== ZIP64_END_OF_CENTRAL_DIRECTORY_SIGNATURE) {
+                        throw new Error('Invalid ZIP64 end of central directory record');
+                    }
+                    return {
+                        count: readUInt64LE(record, 32),
+                        size: readUInt64LE(record, 40),
+                        offset: readUInt64LE(record, 48)
+                    };
+                });
+        });
+};
+
+/**
+ * Parses the central directory entries of a zip archive.
+ * @param buffer {Buffer} - The central directory.
+ * @param count {number}
+ * @returns {Object[]} - As for ArchiveUtil.listZip.
+ * @private
+ */
+var parseZipCentralDirectory = function (buffer, count) {
+    var entries = [];
+    var offset = 0;
+
+    for (var i = 0; i < count; i++) {
+        if (offset + 46 > buffer.length || buffer.readUInt32LE(offset) !== ZIP_CENTRAL_DIRECTORY_SIGNATURE) {
+            throw new Error('Invalid zip central directory entry');
+        }
+
+        var versionMadeBy = buffer.readUInt16LE(offset + 4);
+        var flags = buffer.readUInt16LE(offset + 8);
+        var nameLength = buffer.readUInt16LE(offset + 28);
+        var extraLength = buffer.readUInt16LE(offset + 30);
+        var commentLength = buffer.readUInt16LE(offset + 32);
+        var externalAttributes = buffer.readUInt32LE(offset + 38);
+        // Unix zip tools store names in the local encoding without setting the UTF-8 flag; in practice that is UTF-8 too
+        var isUtf8 = (flags & ZIP_FLAG_UTF8) !== 0 || (versionMadeBy >> 8) === ZIP_HOST_UNIX;
+        var name = buffer.toString(isUtf8 ? 'utf8' : 'latin1', offset + 46, offset + 46 + nameLength);
+        var extraFields = parseExtraFields(buffer.slice(offset + 46 + nameLength, offset + 46 + nameLength + extraLength));
+
+        var entry = {
+            name: name,
+            method: buffer.readUInt16LE(offset + 10),
+            crc32: buffer.readUInt32LE(offset + 16),
+            compressedSize: buffer.readUInt32LE(offset + 20),
+            size: buffer.readUInt32LE(offset + 24),
+            headerOffset: buffer.readUInt32LE(offset + 42),
+            mtime: fromDosDateTime(buffer.readUInt16LE(offset + 14), buffer.readUInt16LE(offset + 12)),
+            encrypted: (flags & ZIP_FLAG_ENCRYPTED) !== 0
+        };
+
+        var zip64Field = extraFields[ZIP_EXTRA_ZIP64];
+        var zip64Offset = 0;
+        _.each(['size', 'compressedSize', 'headerOffset'], function (key) {
+            if (entry[key] !== ZIP_MAX_32) {
+                return;
+            }
+            if (_.isNil(zip64Field) || zip64Offset + 8 > zip64Field.length) {
+                throw new Error(sprintf('%s: Missing ZIP64 extended information', name));
+            }
+            entry[key] = readUInt64LE(zip64Field, zip64Offset);
+            zip64Offset += 8;
+        });
+
+        var timestampField = extraFields[ZIP_EXTRA_EXTENDED_TIMESTAMP];
+        if (!_.isNil(timestampField) && timestampField.length >= 5 && (timestampField[0] & 1)) {
+            entry.mtime = new Date(timestampField.readUInt32LE(1) * 1000);
+        }
+
+        var fileMode = (versionMadeBy >> 8) === ZIP_HOST_UNIX ? externalAttributes >>> 16 : 0;
+        if ((fileMode & S_IFMT) === S_IFLNK) {
+            entry.type = 'symlink';
+        } else if ((fileMode & S_IFMT) === S_IFDIR || _.endsWith(name, '/')) {
+            entry.type = 'directory';
+        } else {
+            entry.type = 'file';
+        }
+
+        entry.mode = fileMode & parseInt('7777', 8);
+        if (entry.mode === 0) {
+            entry.mode = entry.type === 'directory' ? parseInt('755', 8) : parseInt('644', 8);
+        }
+
+        entries.push(entry);
+        offset += 46 + nameLength + extraLength + commentLength;
+    }
+
+    return entries;
+};
+
+/**
+ * Reads the entries of a zip archive file from its central directory.
+ * @param path {string}
+ * @returns {Promise.<Object[]>} - As for ArchiveUtil.listZip.
+ * @private
+ */
+var readZipEntries = function (path) {
+    return Promise.join(FileUtil.open({path: path, flags: 'r'}), FileUtil.stat({path: path}), function (fd, stats) {
+        return readZipCentralDirectoryLocation(fd, stats.size)
+            .then(function (location) {
+                if (location.offset + location.size > stats.size) {
+                    throw new Error('Invalid zip central directory location');
+                }
+                return readAt(fd, location.offset, location.size)
+                    .then(function (buffer) {
+                        return parseZipCentralDirectory(buffer, location.count);
+                    });
+            })
+            .finally(function () {
+                return FileUtil.close({fd: fd});
+            });
+    });
+};
+
+/**
+ * Opens a stream of the uncompressed data of a zip entry. The stream emits an error if the data does not match the entry size or CRC-32.
+ * @param path {string} - Archive file.
+ * @param entry {object} - Entry read from the central directory.
+ * @returns {Promise.<stream.Readable>}
+ * @private
+ */
+var openZipEntryStream = function (path, entry) {
+    if (entry.encrypted) {
+        throw new Error(sprintf('%s: Encrypted zip entries are not supported', entry.name));
+    }
+
+    if (entry.method !== ZIP_METHOD_STORE && entry.method !== ZIP_METHOD_DEFLATE) {
+        throw new Error(sprintf('%s: Unsupported zip compression method %d', entry.name, entry.method));
+    }
+
+    return FileUtil.open({path: path, flags: 'r'})
+        .then(function (fd) {
+            return readAt(fd, entry.headerOffset, ZIP_LOCAL_FILE_HEADER_LENGTH)
+                .finally(function () {
+                    return FileUtil.close({fd: fd});
+                });
+        })
+        .then(function (header) {
+            if (header.readUInt32LE(0) !== ZIP_LOCAL_FILE_HEADER_SIGNATURE) {
+                throw new Error(sprintf('%s: Invalid zip local file header', entry.name));
+            }
+
+            var dataOffset = entry.headerOffset + ZIP_LOCAL_FILE_HEADER_LENGTH + header.readUInt16LE(26) + header.readUInt16LE(28);
+            if (entry.compressedSize === 0) {
+                var emptyStream = new stream.PassThrough();
+                emptyStream.end();
+                return emptyStream;
+            }
+            return FileUtil.createReadStream({path: path, start: dataOffset, end: dataOffset + entry.compressedSize - 1});
+        })
+        .then(function (compressedStream) {
+            var crc32 = 0;
+            var size = 0;
+            var stages = [compressedStream];
+            if (entry.method === ZIP_METHOD_DEFLATE) {
+                stages.push(zlib.createInflateRaw());
+            }
+
+            // The data only starts flowing once the stream is read, so that a verification error cannot be emitted before the caller has had a chance to listen for it
+            var piping = false;
+            var verifyStream = new stream.Transform({
+                read: function (readSize) {
+                    if (!piping) {
+                        piping = true;
+                        _.each(_.initial(stages), function (stage, index) {
+                            stage.pipe(stages[index + 1]);
+                        });
+                    }
+                    stream.Transform.prototype._read.call(this, readSize);
+                },
+                transform: function (chunk, encoding, callback) {
+                    crc32 = updateCrc32(crc32, chunk);
+                    size += chunk.length;
+                    callback(null, chunk);
+                },
+                flush: function (callback) {
+                    if (size !== entry.size) {
+                        return callback(new Error(sprintf('%s: Expected %d bytes but extracted %d', entry.name, entry.size, size)));
+                    }
+                    if (crc32 !== entry.crc32) {
+                        return callback(new Error(sprintf('%s: CRC-32 mismatch', entry.name)));
+                    }
+                    callback();
+                }
+            });
+            stages.push(verifyStream);
+
+            _.each(_.initial(stages), function (stage) {
+                stage.once('error', function (err) {
+                    verifyStream.destroy(err);
+                });
+            });
+            verifyStream.once('close', function () {
+                compressedStream.destroy();
+            });
+
+            return verifyStream;
+        });
+};
+
+/**
+ * Lists the entries of a zip archive, read from its central directory.
+ * @param options {object|string} - options object, or path
+ * @param options.path {string} - Archive file.
+ * @returns {Promise.<Array.<{name: string, type: string, size: number, compressedSize: number, method: number, crc32: number, mode: number, mtime: Date, encrypted: boolean, headerOffset: number}>>}
+ * - type is 'file', 'directory' or 'symlink', method is 0 for stored and 8 for deflated entries.
+ */
+ArchiveUtil.listZip = function (options) {
+    if (_.isString(options)) {
+        options = {path: options};
+    }
+
+    var path = _.get(options, 'path');
+
+    if (_.isNil(path)) {
+        throw new Error("Missing parameter: path");
+    }
+
+    return readZipEntries(_path.resolve(process.cwd(), path));
+};
+
+/**
+ * Creates a stream of the uncompressed contents of a single zip entry, without extracting the rest of the archive.
+ * The stream emits an error if the contents do not match the entry's size and CRC-32.
+ * @param options
+ * @param options.path {string} - Archive file.
+ * @param options.name {string} - Entry name, as listed by ArchiveUtil.listZip.
+ * @returns {Promise.<stream.Readable>}
+ */
+ArchiveUtil.createZipEntryStream = function (options) {
+    var path = _.get(options, 'path');
+
+    if (_.isNil(path)) {
+        throw new Error("Missing parameter: path");
+    }
+
+    path = _path.resolve(process.cwd(), path);
+
+    var name = _.get(options, 'name');
+
+    if (_.isNil(name)) {
+        throw new Error("Missing parameter: name");
+    }
+
+    return readZipEntries(path)
+        .then(function (entries) {
+            var entry = _.find(entries, {name: name});
+            if (_.isNil(entry)) {
+                var err = new Error(sprintf('%s: No such entry in %s', name, path));
+                err.code = 'ENOENT';
+                throw err;
+            }
+            return openZipEntryStream(path, entry);
+        });
+};
+
+/**
+ * Extracts a zip archive into a directory, verifying the CRC-32 of every entry.
+ * Entries that would be written outside of destinationPath, by absolute paths, '..' segments or symbolic links, are rejected. Unix permissions and modification times are restored.
+ * @param options
+ * @param options.path {string} - Archive file.
+ * @param options.destinationPath {string} - Directory to extract into. It is created if it does not exist.
+ * @returns {Promise.<string[]>} - Paths of the extracted entries.
+ */
+ArchiveUtil.extractZip = function (options) {
+    var path = _.get(options, 'path');
+
+    if (_.isNil(path)) {
+        throw new Error("Missing parameter: path");
+    }
+
+    path = _path.resolve(process.cwd(), path);
+
+    var destinationPath = _.get(options, 'destinationPath');
+
+    if (_.isNil(destinationPath)) {
+        throw new Error("Missing parameter: destinationPath");
+    }
+
+    destinationPath = _path.resolve(process.cwd(), destinationPath);
+
+    var extractedPaths = [];
+    var directories = [];
+
+    var extractFile = function (entry, entryPath) {
+        return openZipEntryStream(path, entry)
+            .then(function (entryStream) {
+                return FileUtil.createWriteStream({path: entryPath, flags: 'wx', mode: entry.mode})
+                    .then(function (writeStream) {
+                        return new Promise(function (resolve, reject) {
+                            entryStream.once('error', function (err) {
+                                writeStream.destroy();
+                                reject(err);
+                            });
+                            writeStream.once('error', function (err) {
+                                entryStream.destroy();
+                                reject(err);
+                            });
+                            writeStream.once('close', resolve);
+                            entryStream.pipe(writeStream);
+                        });
+                    })
+                    .catch(function (err) {
+                        return FileUtil.unlink({path: entryPath})
+                            .catch(_.noop)
+                            .then(function () {
+                                throw err;
+                            });
+                    });
+            })
+            .then(function () {
+                return FileUtil.chmod({path: entryPath, mode: entry.mode});
+            })
+            .then(function () {
+                return FileUtil.utimes({path: entryPath, atime: entry.mtime, mtime: entry.mtime});
+            });
+    };
+
+    var extractSymbolicLink = function (entry, entryPath) {
+        return openZipEntryStream(path, entry)
+            .then(function (entryStream) {
+                return StreamUtil.toBuffer(entryStream);
+            })
+            .then(function (buffer) {
+                return FileUtil.symlink({target: buffer.toString('utf8'), path: entryPath, relative: true});
+            });
+    };
+
+    return Promise.props({
+        entries: readZipEntries(path),
+        destinationRealPath: FileUtil.mkdirp({path: destinationPath})
+            .then(function () {
+                return FileUtil.realpath({path: destinationPath});
+            })
+    })
+        .then(function (props) {
+            var guard = createDestinationGuard(destinationPath, props.destinationRealPath);
+
+            return Promise.each(props.entries, function (entry) {
+                var entryPath = guard.resolveEntryPath(entry.name);
+                if (entryPath === destinationPath) {
+                    return;
+                }
+
+                if (entry.type === 'directory') {
+                    return guard.createDirectory(entryPath)
+                        .then(function () {
+                            directories.push({path: entryPath, mode: entry.mode, mtime: entry.mtime});
+                            extractedPaths.push(entryPath);
+                        });
+                }
+
+                return guard.prepareParent(entryPath)
+                    .then(function () {
+                        return entry.type === 'symlink' ? extractSymbolicLink(entry, entryPath) : extractFile(entry, entryPath);
+                    })
+                    .then(function () {
+                        extractedPaths.push(entryPath);
+                    });
+            });
+        })
+        .then(function () {
+            return applyDirectoryAttributes(directories);
+        })
+        .then(function () {
+            return extractedPaths;
+        });
+};
+
+/**
+ * Writes the data of a file to the zip stream, compressing it with the given method.
+ * @param zipStream {stream.Writable}
+ * @param path {string}
+ * @param method {number}
+ * @param [level] {number} - zlib compression level.
+ * @returns {Promise.<{crc32: number, size: number, compressedSize: number}>}
+ * @private
+ */
+var writeZipFileData = function (zipStream, path, method, level) {
+    return FileUtil.createReadStream({path: path})
+        .then(function (readStream) {
+            return new Promise(function (resolve, reject) {
+                var result = {crc32: 0, size: 0, compressedSize: 0};
+                var dataStream = method === ZIP_METHOD_DEFLATE ? zlib.createDeflateRaw(_.isNil(level) ? {} : {level: level}) : new stream.PassThrough();
+
+                readStream.on('data', function (chunk) {
+                    result.crc32 = updateCrc32(result.crc32, chunk);
+                    result.size += chunk.length;
+                });
+                dataStream.on('data', function (chunk) {
+                    result.compressedSize += chunk.length;
+                    if (!zipStream.write(chunk)) {
+                        dataStream.pause();
+                        zipStream.once('drain', function () {
+                            dataStream.resume();
+                        });
+                    }
+                });
+                readStream.once('error', reject);
+                dataStream.once('error', reject);
+                dataStream.once('end', function () {
+                    resolve(result);
+                });
+                readStream.pipe(dataStream);
+            });
+        });
+};
+
+/**
+ * Creates a zip archive stream of a file or of the contents of a directory, walked with {@link FileUtil.walk}.
+ * Entries are named relative to path, and keep their Unix mode and modification time. Symbolic links are archived as links.
+ * ZIP64 records are written for entries and archives that exceed the 4 GiB or 65535 entry limits.
+ * @param options {object|string} - options object, or path
+ * @param options.path {string} - File or directory to archive.
+ * @param [options.method] {string} - 'deflate' or 'store'. Defaults to 'deflate'.
+ * @param [options.level] {number} - zlib compression level for deflated entries.
+ * @param [options.zip64] {boolean} - Always write ZIP64 records.
+ * @param [options.exclude] {string[]} - Paths to leave out of the archive, with their contents.
+ * @returns {Promise.<stream.Readable>}
+ */
+ArchiveUtil.createZipStream = function (options) {
+    if (_.isString(options)) {
+        options = {path: options};
+    }
+
+    var path = _.get(options, 'path');
+
+    if (_.isNil(path)) {
+        throw new Error("Missing parameter: path");
+    }
+
+    path = _path.resolve(process.cwd(), path);
+
+    var methodName = _.get(options, 'method', 'deflate');
+    if (methodName !== 'deflate' && methodName !== 'store') {
+        throw new Error(sprintf('Unsupported zip compression method: %s', methodName));
+    }
+
+    var level = _.get(options, 'level');
+    var forceZip64 = _.get(options, 'zip64', false);
+
+    var zipStream = new stream.PassThrough();
+    var offset = 0;
+    var centralDirectory = [];
+
+    var write = function (chunk) {
+        offset += chunk.length;
+        return writeChunk(zipStream, chunk);
+    };
+
+    var writeEntry = function (entry) {
+        var stats = entry.stats;
+        var name = Buffer.from(entry.name, 'utf8');
+        var dosDateTime = toDosDateTime(stats.mtime);
+        var timestamp = Buffer.alloc(5);
+        timestamp.writeUInt8(1, 0);
+        timestamp.writeUInt32LE(Math.max(0, Math.floor(stats.mtime.getTime() / 1000)), 1);
+
+        var record = {
+            name: name,
+            headerOffset: offset,
+            flags: ZIP_FLAG_UTF8,
+            method: ZIP_METHOD_STORE,
+            crc32: 0,
+            size: 0,
+            compressedSize: 0,
+            externalAttributes: (((stats.mode & 0xffff) << 16) | (stats.isDirectory() ? 0x10 : 0)) >>> 0,
+            zip64: forceZip64
+        };
+
+        var data = null;
+        var dataPromise = Promise.resolve();
+        if (stats.isSymbolicLink()) {
+            dataPromise = FileUtil.readlink({path: entry.path})
+                .then(function (linkString) {
+                    data = Buffer.from(linkString, 'utf8');
+                    record.crc32 = updateCrc32(0, data);
+                    record.size = record.compressedSize = data.length;
+                });
+        } else if (stats.isFile()) {
+            record.flags |= ZIP_FLAG_DATA_DESCRIPTOR;
+            if (stats.size > 0 && methodName === 'deflate') {
+                record.method = ZIP_METHOD_DEFLATE;
+            }
+            record.zip64 = record.zip64 || stats.size >= ZIP_MAX_32;
+        } else if (!stats.isDirectory()) {
+            return;
+        }
+
+        return dataPromise
+            .then(function () {
+                var extraFields = [createExtraField(ZIP_EXTRA_EXTENDED_TIMESTAMP, timestamp)];
+                if (record.zip64) {
+                    var zip64Field = Buffer.alloc(16);
+                    writeUInt64LE(zip64Field, record.size, 0);
+                    writeUInt64LE(zip64Field, record.compressedSize, 8);
+                    extraFields.push(createExtraField(ZIP_EXTRA_ZIP64, zip64Field));
+                }
+                var extra = Buffer.concat(extraFields);
+
+                var header = Buffer.alloc(ZIP_LOCAL_FILE_HEADER_LENGTH);
+                header.writeUInt32LE(ZIP_LOCAL_FILE_HEADER_SIGNATURE, 0);
+                header.writeUInt16LE(record.zip64 ? 45 : record.method === ZIP_METHOD_DEFLATE ? 20 : 10, 4);
+                header.writeUInt16LE(record.flags, 6);
+                header.writeUInt16LE(record.method, 8);
+                header.writeUInt16LE(dosDateTime.time, 10);
+                header.writeUInt16LE(dosDateTime.date, 12);
+                header.writeUInt32LE(record.crc32, 14);
+                header.writeUInt32LE(record.zip64 ? ZIP_MAX_32 : record.compressedSize, 18);
+                header.writeUInt32LE(record.zip64 ? ZIP_MAX_32 : record.size, 22);
+                header.writeUInt16LE(name.length, 26);
+                header.writeUInt16LE(extra.length, 28);
+
+                return write(Buffer.concat([header, name, extra]));
+            })
+            .then(function () {
+                if (!_.isNil(data)) {
+                    return write(data);
+                }
+                if (!(record.flags & ZIP_FLAG_DATA_DESCRIPTOR)) {
+                    return;
+                }
+
+                return writeZipFileData(zipStream, entry.path, record.method, level)
+                    .then(function (result) {
+                        offset += result.compressedSize;
+                        _.assign(record, result);
+
+                        if (!record.zip64 && (record.size >= ZIP_MAX_32 || record.compressedSize >= ZIP_MAX_32)) {
+                            throw new Error(sprintf('%s: File grew past 4 GiB while being archived', entry.path));
+                        }
+
+                        var descriptor = Buffer.alloc(record.zip64 ? 24 : 16);
+                        descriptor.writeUInt32LE(ZIP_DATA_DESCRIPTOR_SIGNATURE, 0);
+                        descriptor.writeUInt32LE(record.crc32, 4);
+                        if (record.zip64) {
+                            writeUInt64LE(descriptor, record.compressedSize, 8);
+                            writeUInt64LE(descriptor, record.size, 16);
+                        } else {
+                            descriptor.writeUInt32LE(record.compressedSize, 8);
+                            descriptor.writeUInt32LE(record.size, 12);
+                        }
+                        return write(descriptor);
+                    });
+            })
+            .then(function () {
+                record.time = dosDateTime.time;
+                record.date = dosDateTime.date;
+                record.timestamp = timestamp;
+                centralDirectory.push(record);
+            });
+    };
+
+    var createCentralDirectoryEntry = function (record) {
+        // ZIP64 values follow the order of the fields they replace: size, compressed size, header offset
+        var zip64Values = [];
+        var fieldValue = function (value) {
+            if (!forceZip64 && value < ZIP_MAX_32) {
+                return value;
+            }
+            zip64Values.push(value);
+            return ZIP_MAX_32;
+        };
+
+        var header = Buffer.alloc(46);
+        header.writeUInt32LE(ZIP_CENTRAL_DIRECTORY_SIGNATURE, 0);
+        header.writeUInt16LE(ZIP_VERSION_MADE_BY, 4);
+        header.writeUInt16LE(record.zip64 ? 45 : record.method === ZIP_METHOD_DEFLATE ? 20 : 10, 6);
+        header.writeUInt16LE(record.flags, 8);
+        header.writeUInt16LE(record.method, 10);
+        header.writeUInt16LE(record.time, 12);
+        header.writeUInt16LE(record.date, 14);
+        header.writeUInt32LE(record.crc32, 16);
+        header.writeUInt32LE(fieldValue(record.size), 24);
+        header.writeUInt32LE(fieldValue(record.compressedSize), 20);
+        header.writeUInt32LE(fieldValue(record.headerOffset), 42);
+        header.writeUInt32LE(record.externalAttributes, 38);
+
+        var extraFields = [createExtraField(ZIP_EXTRA_EXTENDED_TIMESTAMP, record.timestamp)];
+        if (!_.isEmpty(zip64Values)) {
+            var zip64Field = Buffer.alloc(8 * zip64Values.length);
+            _.each(zip64Values, function (value, index) {
+                writeUInt64LE(zip64Field, value, 8 * index);
+            });
+            extraFields.push(createExtraField(ZIP_EXTRA_ZIP64, zip64Field));
+        }
+        var extra = Buffer.concat(extraFields);
+
+        header.writeUInt16LE(record.name.length, 28);
+        header.writeUInt16LE(extra.length, 30);
+        return Buffer.concat([header, record.name, extra]);
+    };
+
+    var writeCentralDirectory = function () {
+        var centralDirectoryOffset = offset;
+        var centralDirectoryBuffer = Buffer.concat(_.map(centralDirectory, createCentralDirectoryEntry));
+        var count = centralDirectory.length;
+        var zip64 = forceZip64 || count >= ZIP_MAX_16 || centralDirectoryOffset >= ZIP_MAX_32 || centralDirectoryBuffer.length >= ZIP_MAX_32;
+        var records = [centralDirectoryBuffer];
+
+        if (zip64) {
+            var zip64Record = Buffer.alloc(ZIP64_END_OF_CENTRAL_DIRECTORY_LENGTH);
+            zip64Record.writeUInt32LE(ZIP64_END_OF_CENTRAL_DIRECTORY_SIGNATURE, 0);
+            writeUInt64LE(zip64Record, ZIP64_END_OF_CENTRAL_DIRECTORY_LENGTH - 12, 4);
+            zip64Record.writeUInt16LE(ZIP_VERSION_MADE_BY, 12);
+            zip64Record.writeUInt16LE(45, 14);
+            writeUInt64LE(zip64Record, count, 24);
+            writeUInt64LE(zip64Record, count, 32);
+            writeUInt64LE(zip64Record, centralDirectoryBuffer.length, 40);
+            writeUInt64LE(zip64Record, centralDirectoryOffset, 48);
+
+            var locator = Buffer.alloc(ZIP64_END_OF_CENTRAL_DIRECTORY_LOCATOR_LENGTH);
+            locator.writeUInt32LE(ZIP64_END_OF_CENTRAL_DIRECTORY_LOCATOR_SIGNATURE, 0);
+            writeUInt64LE(locator, centralDirectoryOffset + centralDirectoryBuffer.length, 8);
+            locator.writeUInt32LE(1, 16);
+
+            records.push(zip64Record, locator);
+        }
+
+        var endRecord = Buffer.alloc(ZIP_END_OF_CENTRAL_DIRECTORY_LENGTH);
+        endRecord.writeUInt32LE(ZIP_END_OF_CENTRAL_DIRECTORY_SIGNATURE, 0);
+        endRecord.writeUInt16LE(zip64 ? ZIP_MAX_16 : count, 8);
+        endRecord.writeUInt16LE(zip64 ? ZIP_MAX_16 : count, 10);
+        endRecord.writeUInt32LE(zip64 ? ZIP_MAX_32 : centralDirectoryBuffer.length, 12);
+        endRecord.writeUInt32LE(zip64 ? ZIP_MAX_32 : centralDirectoryOffset, 16);
+        records.push(endRecord);
+
+        return write(Buffer.concat(records));
+    };
+
+    collectArchiveEntries(path, _.get(options, 'exclude', []))
+        .then(function (entries) {
+            return Promise.each(entries, writeEntry);
+        })
+        .then(writeCentralDirectory)
+        .then(function () {
+            zipStream.end();
+        })
+        .catch(function (err) {
+            zipStream.destroy(err);
+        });
+
+    return zipStream;
+};
+
+/**
+ * Creates a zip archive file of a file or of the contents of a directory.
+ * @see ArchiveUtil.createZipStream
+ * @param options
+ * @param options.path {string} - File or directory to archive.
+ * @param options.destinationPath {string} - Archive file to create. It is left out of the archive if it is inside path.
+ * @param [options.method] {string} - 'deflate' or 'store'. Defaults to 'deflate'.
+ * @param [options.level] {number} - zlib compression level for deflated entries.
+ * @param [options.zip64] {boolean} - Always write ZIP64 records.
+ * @returns {Promise.<undefined>}
+ */
+ArchiveUtil.createZip = function (options) {
+    var path = _.get(options, 'path');
+
+    if (_.isNil(path)) {
+        throw new Error("Missing parameter: path");
+    }
+
+    var destinationPath = _.get(options, 'destinationPath');
+
+    if (_.isNil(destinationPath)) {
+        throw new Error("Missing parameter: destinationPath");
+    }
+
+    destinationPath = _path.resolve(process.cwd(), destinationPath);
+
+    return writeArchiveFile(destinationPath, function () {
+        return ArchiveUtil.createZipStream(_.assign(_.pick(options, ['path', 'method', 'level', 'zip64']), {exclude: [destinationPath]}));
+    });
+};
+
+
+_.assign(ArchiveUtil, _.mapValues(ArchiveUtil, function (fn) {
+    if (_.isFunction(fn)) {
+        fn = Promise.method(fn);
+    }
+    return fn;
+}));
+
+
+module.exports = ArchiveUtil;
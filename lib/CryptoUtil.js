@@ -102,12 +102,12 @@ CryptoUtil.randomByteString = CryptoUtil.prototype.randomHexString = function (b
 CryptoUtil.hash = function (options) {
     var algorithm = _.get(options, 'algorithm', 'SHA256');
     var data = _.get(options, 'data');
-    var hash = crypto.createHash('sha256');
+    var hash = crypto.createHash(algorithm);
 
     if (StreamUtil.isReadStream(data)) {
-        return StreamUtil.pipe({source: data, target: hash})
+        return StreamUtil.pipeline(data, hash)
             .then(function () {
-                return hash.digest('hex');
+                return hash.read().toString('hex');
             })
     } else {
         hash.update(data);
@@ -2,9 +2,14 @@ const Promise = require('bluebird');
 const _ = require('lodash');
 const fs = require('fs');
 const _path = require('path');
+const os = require('os');
 const sprintf = require('sprintf-js').sprintf;
 const StreamUtil = require('./StreamUtil');
+const CryptoUtil = require('./CryptoUtil');
 const stream = require("stream");
+const EventEmitter = require('events');
+const StringDecoder = require('string_decoder').StringDecoder;
+const minimatch = require('minimatch');
 
 /**
  * Node.js File System Utility Methods, wrapped with Bluebird Promises
@@ -13,6 +18,103 @@ const stream = require("stream");
  */
 var FileUtil = {};
 
+/**
+ * File system that FileUtil methods call, the fs module unless replaced with {@link FileUtil.setBackend}.
+ * @type {object}
+ * @private
+ */
+var backend = fs;
+
+/**
+ * Limits the number of file descriptors FileUtil holds open at a time, null if there is no limit. Set with {@link FileUtil.setFileDescriptorLimit}.
+ * @type {?function(function(): Promise)}
+ * @private
+ */
+var fileDescriptorLimiter = null;
+
+/**
+ * Lowest file descriptor limit, the number of file descriptors a single call may hold at a time.
+ * @type {number}
+ * @private
+ */
+const MIN_FILE_DESCRIPTOR_LIMIT = 2;
+
+/**
+ * Functions that give back the slots held by open file descriptors, by file descriptor.
+ * @type {Object.<number, function()>}
+ * @private
+ */
+var fileDescriptorReleases = {};
+
+/**
+ * Waits for a free file descriptor slot, if the number of open file descriptors is limited.
+ * @returns {Promise.<function()>} A function that gives the slot back.
+ * @private
+ */
+var acquireFileDescriptor = function () {
+    if (_.isNil(fileDescriptorLimiter)) {
+        return Promise.resolve(_.noop);
+    }
+
+    return new Promise(function (resolve) {
+        fileDescriptorLimiter(function () {
+            return new Promise(function (release) {
+                resolve(_.once(release));
+            });
+        });
+    });
+};
+
+/**
+ * Gives back the slot held by fd, if it was opened by FileUtil.
+ * @param fd {number}
+ * @private
+ */
+var releaseFileDescriptor = function (fd) {
+    var release = fileDescriptorReleases[fd];
+    if (!_.isNil(release)) {
+        delete fileDescriptorReleases[fd];
+        release();
+    }
+};
+
+/**
+ * Holds a file descriptor slot for a file stream until it closes its file descriptor. A stream given an fd takes over the slot of that fd if it closes it.
+ * @param fileStream {ReadStream|WriteStream}
+ * @param fd {?number} - File descriptor the stream was given.
+ * @param autoClose {?boolean}
+ * @param release {function()} - Gives back the slot acquired for the stream.
+ * @private
+ */
+var trackStreamFileDescriptor = function (fileStream, fd, autoClose, release) {
+    fileStream.once('open', function (openedFd) {
+        fd = openedFd;
+        fileDescriptorReleases[fd] = release;
+    });
+    fileStream.once('close', function () {
+        if (_.isNil(fd)) {
+            release();
+        } else if (autoClose !== false) {
+            releaseFileDescriptor(fd);
+        }
+    });
+};
+
+/**
+ * Runs fn, which opens and closes a file descriptor of its own, holding a file descriptor slot.
+ * @param fn {function(): Promise.<T>}
+ * @returns {Promise.<T>}
+ * @template T
+ * @private
+ */
+var withFileDescriptor = function (fn) {
+    return acquireFileDescriptor()
+        .then(function (release) {
+            return Promise.try(fn)
+                .finally(release);
+        });
+};
+
 /**
  * Tests a user's permissions for the file or directory specified by path.
  * @param options {object}
@@ -56,7 +158,7 @@ FileUtil.access = function (options) {
             };
             accessArgs.push(callback);
 
-            fs.access.apply(null, accessArgs);
+            backend.access.apply(null, accessArgs);
         } catch (err) {
             return reject(err);
         }
@@ -96,28 +198,128 @@ FileUtil.appendFile = function (options) {
         appendFileArgs.push(appendFileOptions);
     }
 
-    return new Promise(function (resolve, reject) {
-        try {
-            var callback = function (err) {
-                if (err) {
-                    return reject(err);
-                }
-                return resolve();
-            };
-            appendFileArgs.push(callback);
-            fs.appendFile.apply(null, appendFileArgs);
-        } catch (err) {
-            return reject(err);
-        }
+    return withFileDescriptor(function () {
+        return new Promise(function (resolve, reject) {
+            try {
+                var callback = function (err) {
+                    if (err) {
+                        return reject(err);
+                    }
+                    return resolve();
+                };
+                appendFileArgs.push(callback);
+                backend.appendFile.apply(null, appendFileArgs);
+            } catch (err) {
+                return reject(err);
+            }
+        });
     });
 };
 
 
+/**
+ * Permission bits of each class, including its special bit: setuid for u, setgid for g and sticky for o.
+ * @type {Object.<string, {shift: number, special: number}>}
+ * @private
+ */
+var MODE_CLASSES = {
+    u: {shift: 6, special: parseInt('4000', 8)},
+    g: {shift: 3, special: parseInt('2000', 8)},
+    o: {shift: 0, special: parseInt('1000', 8)}
+};
+
+/**
+ * Parses a numeric, octal string or symbolic {@link http://man7.org/linux/man-pages/man1/chmod.1.html|chmod(1)} mode, such as 'u+rwX,go-w'.
+ * A symbolic mode without u, g, o or a applies to all classes, regardless of the umask. X sets execute permission on directories, and on files that already have an execute bit set.
+ * Like GNU chmod, the setuid and setgid bits of a directory are kept by '=' unless it sets them with s, and by octal strings of up to four digits unless they set them. Use '-s' or five or more digits to clear them. Numeric modes are applied as they are.
+ * @param mode {number|string}
+ * @returns {function(number, boolean): number} - Computes the new permission bits from the current mode and whether the path is a directory.
+ * @private
+ */
+var parseMode = function (mode) {
+    var permissionBits = parseInt('7777', 8);
+
+    if (_.isNumber(mode)) {
+        return _.constant(mode & permissionBits);
+    }
+
+    if (/^[0-7]+$/.test(mode) && parseInt(mode, 8) <= permissionBits) {
+        var octalMode = parseInt(mode, 8);
+        var keepsDirectorySpecialBits = mode.length < 5;
+        return function (currentMode, isDirectory) {
+            if (isDirectory && keepsDirectorySpecialBits) {
+                return octalMode | (currentMode & (MODE_CLASSES.u.special | MODE_CLASSES.g.special));
+            }
+            return octalMode;
+        };
+    }
+
+    var clauses = _.map(String(mode).split(','), function (clause) {
+        var match = /^([ugoa]*)((?:[-+=](?:[rwxXst]*|[ugo]))+)$/.exec(clause);
+        if (_.isNil(match)) {
+            throw new Error(sprintf('Invalid mode: %s', mode));
+        }
+
+        var who = match[1].replace(/a/g, 'ugo') || 'ugo';
+        var operations = _.map(match[2].match(/[-+=][^-+=]*/g), function (operation) {
+            return {operator: operation[0], permissions: operation.slice(1)};
+        });
+        return {classes: _.uniq(who.split('')), operations: operations};
+    });
+
+    return function (currentMode, isDirectory) {
+        var newMode = currentMode & permissionBits;
+
+        _.each(clauses, function (clause) {
+            _.each(clause.operations, function (operation) {
+                var permissions = operation.permissions;
+                var bits = 0;
+                var classMask = 0;
+
+                _.each(clause.classes, function (className) {
+                    var modeClass = MODE_CLASSES[className];
+                    var rwx = 0;
+
+                    if (_.includes(['u', 'g', 'o'], permissions)) {
+                        rwx = (newMode >> MODE_CLASSES[permissions].shift) & 7;
+                    } else {
+                        rwx = (_.includes(permissions, 'r') ? 4 : 0) |
+                            (_.includes(permissions, 'w') ? 2 : 0) |
+                            (_.includes(permissions, 'x') ? 1 : 0);
+                        if (_.includes(permissions, 'X') && (isDirectory || (newMode & parseInt('111', 8)) !== 0)) {
+                            rwx |= 1;
+                        }
+                        if ((_.includes(permissions, 's') && className !== 'o') || (_.includes(permissions, 't') && className === 'o')) {
+                            bits |= modeClass.special;
+                        }
+                    }
+
+                    bits |= rwx << modeClass.shift;
+                    classMask |= 7 << modeClass.shift;
+                    if (!isDirectory || className === 'o' || _.includes(permissions, 's')) {
+                        classMask |= modeClass.special;
+                    }
+                });
+
+                if (operation.operator === '+') {
+                    newMode |= bits;
+                } else if (operation.operator === '-') {
+                    newMode &= ~bits;
+                } else {
+                    newMode = (newMode & ~classMask) | bits;
+                }
+            });
+        });
+
+        return newMode & permissionBits;
+    };
+};
+
 /**
  * Asynchronous {@link http://man7.org/linux/man-pages/man2/chmod.2.html|chmod(2)}.
  * @param options {object}
  * @param options.path {string}
- * @param options.mode {number}
+ * @param options.mode {number|string} - Numeric mode, or an octal or symbolic mode string such as 'u+rwX,go-w'.
  * @returns {Promise.<undefined>}
  */
 FileUtil.chmod = function (options) {
@@ -135,6 +337,14 @@ FileUtil.chmod = function (options) {
 
     var mode = _.get(options, 'mode');
 
+    if (_.isString(mode)) {
+        var computeMode = parseMode(mode);
+        return FileUtil.stat({path: path})
+            .then(function (stats) {
+                return FileUtil.chmod({path: path, mode: computeMode(stats.mode, stats.isDirectory())});
+            });
+    }
+
     return new Promise(function (resolve, reject) {
         try {
 
@@ -144,7 +354,7 @@ FileUtil.chmod = function (options) {
                 }
                 return resolve();
             };
-            fs.chmod(path, mode, callback)
+            backend.chmod(path, mode, callback)
         } catch (err) {
             return reject(err);
         }
@@ -185,7 +395,7 @@ FileUtil.chown = function (options) {
                 }
                 return resolve();
             };
-            fs.chown(path, uid, gid, callback)
+            backend.chown(path, uid, gid, callback)
         } catch (err) {
             return reject(err);
         }
@@ -214,11 +424,14 @@ FileUtil.close = function (options) {
                 }
                 return resolve();
             };
-            fs.close(fd, callback)
+            backend.close(fd, callback)
         } catch (err) {
             return reject(err);
         }
-    });
+    })
+        .finally(function () {
+            releaseFileDescriptor(fd);
+        });
 };
 
 
@@ -233,6 +446,7 @@ FileUtil.close = function (options) {
  * @param [options.autoClose] {boolean}
  * @param [options.start] {number}
  * @param [options.end] {number}
+ * @param [options.highWaterMark] {number}
  * @returns {Promise.<ReadStream>}
  */
 FileUtil.createReadStream = function (options) {
@@ -259,6 +473,7 @@ FileUtil.createReadStream = function (options) {
         var autoClose = _.get(options, 'autoClose');
         var start = _.get(options, 'start');
         var end = _.get(options, 'end');
+        var highWaterMark = _.get(options, 'highWaterMark');
 
         var createReadStreamOptions = {
             flags: flags,
@@ -267,7 +482,8 @@ FileUtil.createReadStream = function (options) {
             mode: mode,
             autoClose: autoClose,
             start: start,
-            end: end
+            end: end,
+            highWaterMark: highWaterMark
         };
 
         createReadStreamOptions = _.omitBy(createReadStreamOptions, _.isUndefined);
@@ -275,24 +491,29 @@ FileUtil.createReadStream = function (options) {
             createReadStreamArgs.push(createReadStreamOptions);
         }
 
-        try {
+        var acquiring = _.isNil(fd) ? acquireFileDescriptor() : Promise.resolve(_.noop);
+        acquiring.then(function (release) {
+            try {
 
-            var readStream = fs.createReadStream.apply(null, createReadStreamArgs);
+                var readStream = backend.createReadStream.apply(null, createReadStreamArgs);
+                trackStreamFileDescriptor(readStream, fd, autoClose, release);
 
-            readStream.once('open', function () {
-                return resolve(readStream);
-            });
+                readStream.once('open', function () {
+                    return resolve(readStream);
+                });
 
-            readStream.once('readable', function () {
-                return resolve(readStream);
-            });
+                readStream.once('readable', function () {
+                    return resolve(readStream);
+                });
 
-            readStream.once('error', function (err) {
+                readStream.once('error', function (err) {
+                    return reject(err);
+                });
+            } catch (err) {
+                release();
                 return reject(err);
-            });
-        } catch (err) {
-            return reject(err);
-        }
+            }
+        });
     });
 };
 
@@ -346,20 +567,25 @@ FileUtil.createWriteStream = function (options) {
     }
 
     return new Promise(function (resolve, reject) {
-        try {
+        var acquiring = _.isNil(fd) ? acquireFileDescriptor() : Promise.resolve(_.noop);
+        acquiring.then(function (release) {
+            try {
 
-            var writeStream = fs.createWriteStream.apply(this, createWriteStreamArgs);
+                var writeStream = backend.createWriteStream.apply(this, createWriteStreamArgs);
+                trackStreamFileDescriptor(writeStream, fd, autoClose, release);
 
-            writeStream.once('open', function () {
-                return resolve(writeStream);
-            });
+                writeStream.once('open', function () {
+                    return resolve(writeStream);
+                });
 
-            writeStream.once('error', function (err) {
+                writeStream.once('error', function (err) {
+                    return reject(err);
+                });
+            } catch (err) {
+                release();
                 return reject(err);
-            });
-        } catch (err) {
-            return reject(err);
-        }
+            }
+        });
     });
 };
 
@@ -389,7 +615,7 @@ FileUtil.fchmod = function (options) {
                 }
                 return resolve();
             };
-            fs.fchmod(path, mode, callback)
+            backend.fchmod(fd, mode, callback)
         } catch (err) {
             return reject(err);
         }
@@ -423,7 +649,7 @@ FileUtil.fchown = function (options) {
                 }
                 return resolve();
             };
-            fs.fchown(fd, uid, gid, callback)
+            backend.fchown(fd, uid, gid, callback)
         } catch (err) {
             return reject(err);
         }
@@ -451,7 +677,7 @@ FileUtil.fdatasync = function (options) {
                 }
                 return resolve();
             };
-            fs.fdatasync(fd, callback)
+            backend.fdatasync(fd, callback)
         } catch (err) {
             return reject(err);
         }
@@ -479,7 +705,7 @@ FileUtil.fstat = function (options) {
                 }
                 return resolve();
             };
-            fs.fstat(fd, callback)
+            backend.fstat(fd, callback)
         } catch (err) {
             return reject(err);
         }
@@ -510,7 +736,7 @@ FileUtil.fsync = function (options) {
                 }
                 return resolve();
             };
-            fs.fsync(fd, callback)
+            backend.fsync(fd, callback)
         } catch (err) {
             return reject(err);
         }
@@ -542,7 +768,7 @@ FileUtil.ftruncate = function (options) {
                 }
                 return resolve();
             };
-            fs.ftruncate(fd, len, callback)
+            backend.ftruncate(fd, len, callback)
         } catch (err) {
             return reject(err);
         }
@@ -578,7 +804,7 @@ FileUtil.futimes = function (options) {
                 }
                 return resolve();
             };
-            fs.futimes(fd, atime, mtime, callback)
+            backend.futimes(fd, atime, mtime, callback)
         } catch (err) {
             return reject(err);
         }
@@ -622,7 +848,7 @@ FileUtil.link = function (options) {
                 }
                 return resolve();
             };
-            fs.link(srcPath, destPath, callback)
+            backend.link(srcPath, destPath, callback)
         } catch (err) {
             return reject(err);
         }
@@ -661,7 +887,7 @@ FileUtil.lstat = function (options) {
                 return resolve(stats);
             };
 
-            fs.lstat(path, callback)
+            backend.lstat(path, callback)
         } catch (err) {
             return reject(err);
         }
@@ -743,7 +969,7 @@ FileUtil.mkdir = function (options) {
                 };
                 mkdirArgs.push(callback);
 
-                fs.mkdir.apply(null, mkdirArgs);
+                backend.mkdir.apply(null, mkdirArgs);
             }
             catch (err) {
                 return reject(err);
@@ -783,13 +1009,15 @@ FileUtil.mkdirp = function (options) {
 /**
  * Creates a unique temporary directory.
  * Generates six random characters to be appended behind a required prefix to create a unique temporary directory.
- * @param options
- * @param options.prefix
+ * By default the directory is created inside prefix: '/tmp/foo' creates '/tmp/foo/XXXXXX'. With options.inside set to false, prefix is the start of the directory path, like in fs.mkdtemp(): '/tmp/foo-' creates '/tmp/foo-XXXXXX'.
+ * @param options {object|string} - options object, or prefix
+ * @param options.prefix {string}
+ * @param [options.inside] {boolean} - Create the directory inside prefix, as if it ended with a path separator. Defaults to true.
  * @returns {Promise.<string>} The created folder path.
  */
 FileUtil.mkdtemp = function (options) {
     if (_.isString(options)) {
-        options = {path: options};
+        options = {prefix: options};
     }
 
     var prefix = _.get(options, 'prefix');
@@ -800,7 +1028,11 @@ FileUtil.mkdtemp = function (options) {
     }
 
 
-    prefix = _path.resolve(process.cwd(), prefix) + _path.sep;
+    var directoryPrefix = _.get(options, 'inside', true) || _.endsWith(prefix, '/') || _.endsWith(prefix, _path.sep);
+    prefix = _path.resolve(process.cwd(), prefix);
+    if (directoryPrefix) {
+        prefix += _path.sep;
+    }
 
 
     return new Promise(function (resolve, reject) {
@@ -812,7 +1044,7 @@ FileUtil.mkdtemp = function (options) {
                 return resolve(path);
             };
 
-            fs.mkdtemp(prefix, callback)
+            backend.mkdtemp(prefix, callback)
         } catch (err) {
             return reject(err);
         }
@@ -874,22 +1106,31 @@ FileUtil.open = function (options) {
         openArgs.push(mode);
     }
 
-    return new Promise(function (resolve, reject) {
-        try {
+    return acquireFileDescriptor().then(function (release) {
+        return new Promise(function (resolve, reject) {
+            try {
 
-            var callback = function (err, fd) {
-                if (err) {
-                    return reject(err);
-                }
-                return resolve(fd);
-            };
+                var callback = function (err, fd) {
+                    if (err) {
+                        return reject(err);
+                    }
+                    return resolve(fd);
+                };
 
-            openArgs.push(callback);
-            fs.open.apply(null, openArgs);
+                openArgs.push(callback);
+                backend.open.apply(null, openArgs);
 
-        } catch (err) {
-            return reject(err);
-        }
+            } catch (err) {
+                return reject(err);
+            }
+        })
+            .then(function (fd) {
+                fileDescriptorReleases[fd] = release;
+                return fd;
+            }, function (err) {
+                release();
+                throw err;
+            });
     });
 };
 
@@ -929,7 +1170,7 @@ FileUtil.read = function (options) {
             };
 
 
-            fs.read(fd, buffer, offset, length, position, callback);
+            backend.read(fd, buffer, offset, length, position, callback);
 
         } catch (err) {
             return reject(err);
@@ -977,7 +1218,7 @@ FileUtil.readdir = function (options) {
                 return resolve(files);
             };
             readdirArgs.push(callback);
-            fs.readdir.apply(null, readdirArgs);
+            backend.readdir.apply(null, readdirArgs);
         } catch (err) {
             return reject(err);
         }
@@ -1019,21 +1260,23 @@ FileUtil.readFile = function (options) {
         readFileArgs.push(readFileOptions);
     }
 
-    return new Promise(function (resolve, reject) {
-        try {
-            var callback = function (err, data) {
-                if (err) {
-                    return reject(err);
-                }
-                return resolve(data);
-            };
+    return withFileDescriptor(function () {
+        return new Promise(function (resolve, reject) {
+            try {
+                var callback = function (err, data) {
+                    if (err) {
+                        return reject(err);
+                    }
+                    return resolve(data);
+                };
 
-            readFileArgs.push(callback);
+                readFileArgs.push(callback);
 
-            fs.readFile.apply(null, readFileArgs);
-        } catch (err) {
-            return reject(err);
-        }
+                backend.readFile.apply(null, readFileArgs);
+            } catch (err) {
+                return reject(err);
+            }
+        });
     });
 
 };
@@ -1081,7 +1324,7 @@ FileUtil.readlink = function (options) {
 
             readlinkArgs.push(callback);
 
-            fs.readFile.readlink(null, readlinkArgs);
+            backend.readlink.apply(null, readlinkArgs);
         } catch (err) {
             return reject(err);
         }
@@ -1132,7 +1375,7 @@ FileUtil.realpath = function (options) {
 
             realpathArgs.push(callback);
 
-            fs.readFile.realpath(null, realpathArgs);
+            backend.realpath.apply(null, realpathArgs);
         } catch (err) {
             return reject(err);
         }
@@ -1168,7 +1411,7 @@ FileUtil.rename = function (options) {
 
     return new Promise(function (resolve, reject) {
         try {
-            fs.rename(oldPath, newPath, function (err) {
+            backend.rename(oldPath, newPath, function (err) {
                 if (err) {
                     return reject(err);
                 }
@@ -1202,7 +1445,7 @@ FileUtil.rmdir = function (options) {
 
     return new Promise(function (resolve, reject) {
         try {
-            fs.rmdir(path, function (err) {
+            backend.rmdir(path, function (err) {
                 if (err) {
                     return reject(err);
                 }
@@ -1237,7 +1480,7 @@ FileUtil.stat = function (options) {
 
     return new Promise(function (resolve, reject) {
         try {
-            fs.stat(path, function (err, stats) {
+            backend.stat(path, function (err, stats) {
                 if (err) {
                     return reject(err);
                 }
@@ -1256,6 +1499,7 @@ FileUtil.stat = function (options) {
  * @param options.target
  * @param options.path
  * @param [options.type]
+ * @param [options.relative] {boolean} - Store target verbatim as the link contents, so that a relative target is resolved by the system against the directory containing the link. By default, target is resolved against the current working directory.
  * @returns {Promise.<undefined>}
  */
 FileUtil.symlink = function (options) {
@@ -1266,7 +1510,9 @@ FileUtil.symlink = function (options) {
     }
 
 
-    target = _path.resolve(process.cwd(), target);
+    if (!_.get(options, 'relative', false)) {
+        target = _path.resolve(process.cwd(), target);
+    }
     var path = _.get(options, 'path');
 
     if (_.isNil(path)) {
@@ -1292,7 +1538,7 @@ FileUtil.symlink = function (options) {
             };
             symlinkArgs.push(callback);
 
-            fs.symlink.apply(null, symlinkArgs);
+            backend.symlink.apply(null, symlinkArgs);
         } catch (err) {
             return reject(err);
         }
@@ -1331,7 +1577,7 @@ FileUtil.truncate = function (options) {
                 }
                 return resolve();
             };
-            fs.truncate(path, len, callback)
+            backend.truncate(path, len, callback)
         } catch (err) {
             return reject(err);
         }
@@ -1366,7 +1612,7 @@ FileUtil.unlink = function (options) {
                 }
                 return resolve();
             };
-            fs.unlink(path, callback)
+            backend.unlink(path, callback)
         } catch (err) {
             return reject(err);
         }
@@ -1405,14 +1651,8 @@ FileUtil.unwatchFile = function (options) {
 
     return new Promise(function (resolve, reject) {
         try {
-            var callback = function (err) {
-                if (err) {
-                    return reject(err);
-                }
-                return resolve();
-            };
-            unwatchFileArgs.push(callback);
-            fs.unwatchFile.apply(null, unwatchFileArgs);
+            backend.unwatchFile.apply(null, unwatchFileArgs);
+            resolve();
         } catch (err) {
             return reject(err);
         }
@@ -1455,7 +1695,7 @@ FileUtil.utimes = function (options) {
                 }
                 return resolve();
             };
-            fs.utimes(path, atime, mtime, callback);
+            backend.utimes(path, atime, mtime, callback);
         } catch (err) {
             return reject(err);
         }
@@ -1500,9 +1740,9 @@ FileUtil.write = function (options) {
             };
 
             if (!_.isNil(length)) {
-                fs.write(fd, buffer, offset, length, position, callback);
+                backend.write(fd, buffer, offset, length, position, callback);
             } else {
-                fs.write(fd, buffer, position, encoding, callback);
+                backend.write(fd, buffer, position, encoding, callback);
             }
         } catch (err) {
             return reject(err);
@@ -1554,7 +1794,7 @@ FileUtil.watch = function (options) {
 
     return new Promise(function (resolve, reject) {
         try {
-            var fsWatcher = fs.watch.apply(null, watchArgs);
+            var fsWatcher = backend.watch.apply(null, watchArgs);
             resolve(fsWatcher);
         } catch (err) {
             return reject(err);
@@ -1604,7 +1844,7 @@ FileUtil.watchFile = function (options) {
 
     return new Promise(function (resolve, reject) {
         try {
-            fs.watchFile.apply(null, watchFileArgs);
+            backend.watchFile.apply(null, watchFileArgs);
             resolve();
         } catch (err) {
             return reject(err);
@@ -1654,19 +1894,21 @@ FileUtil.writeFile = function (options) {
         writeFileArgs.push(writeFileOptions);
     }
 
-    return new Promise(function (resolve, reject) {
-        try {
-            var callback = function (err) {
-                if (err) {
-                    return reject(err);
-                }
-                return resolve();
-            };
-            writeFileArgs.push(callback);
-            fs.writeFile.apply(null, writeFileArgs);
-        } catch (err) {
-            return reject(err);
-        }
+    return withFileDescriptor(function () {
+        return new Promise(function (resolve, reject) {
+            try {
+                var callback = function (err) {
+                    if (err) {
+                        return reject(err);
+                    }
+                    return resolve();
+                };
+                writeFileArgs.push(callback);
+                backend.writeFile.apply(null, writeFileArgs);
+            } catch (err) {
+                return reject(err);
+            }
+        });
     });
 
 };
@@ -1713,86 +1955,88 @@ FileUtil.exists = function (options) {
 
 
 /**
- * Asynchronous {@link http://man7.org/linux/man-pages/man1/cp.1.html|cp(1)}.
- * @param options
- * @param options.sourcePath
- * @param options.destinationPath
- * @returns {Promise.<undefined>}
+ * Tests a relative path against a list of glob patterns.
+ * @param relativePath {string}
+ * @param patterns {string[]}
+ * @returns {boolean}
+ * @private
  */
-FileUtil.copy = function (options) {
-    var sourcePath = _.get(options, 'sourcePath');
-
-    if (_.isNil(sourcePath)) {
-        throw new Error("Missing parameter: sourcePath");
-    }
-
-    sourcePath = _path.resolve(process.cwd(), sourcePath);
-    var destinationPath = _.get(options, 'destinationPath');
-
-    if (_.isNil(destinationPath)) {
-        throw new Error("Missing parameter: destinationPath");
-    }
-
-    destinationPath = _path.resolve(process.cwd(), destinationPath);
+var matchesAnyPattern = function (relativePath, patterns) {
+    return _.some(patterns, function (pattern) {
+        return minimatch(relativePath, pattern, {dot: true});
+    });
+};
 
-    // TODO: Implement force, update
+/**
+ * Tests a relative path, and each of its parent directories, against a list of glob patterns.
+ * @param relativePath {string}
+ * @param patterns {string[]}
+ * @returns {boolean}
+ * @private
+ */
+var matchesAnyPatternOrParent = function (relativePath, patterns) {
+    var segments = relativePath.split('/');
+    return _.some(segments, function (segment, index) {
+        return matchesAnyPattern(segments.slice(0, index + 1).join('/'), patterns);
+    });
+};
 
-    return FileUtil.stat({path: sourcePath})
-        .then(function (sourcePathStats) {
-            if (sourcePathStats.isDirectory()) {
-                return FileUtil.ls({path: sourcePath, recursive: true, details: true})
-                    .then(function (fileList) {
-                        return Promise.each(fileList, function (file) {
-                            var fileDestinationPath = _path.resolve(destinationPath, _path.relative(file, sourcePath));
+/**
+ * Converts a path relative to basePath into a forward slash separated path for glob matching.
+ * @param basePath {string}
+ * @param path {string}
+ * @returns {string}
+ * @private
+ */
+var toRelativeGlobPath = function (basePath, path) {
+    return _path.relative(basePath, path).split(_path.sep).join('/');
+};
 
-                            if (file.isDirectory) {
-                                return FileUtil.mkdir({path: fileDestinationPath, mode: file.mode});
-                            } else {
-                                return FileUtil.copy({sourcePath: sourcePath, destinationPath: fileDestinationPath})
-                            }
-                        });
-                    });
-            } else {
-                return Promise.props({
-                    readStream: FileUtil.createReadStream(sourcePath),
-                    writeStream: FileUtil.createWriteStream(destinationPath)
-                })
-                    .then(function (props) {
-                        var readStream = props.readStream;
-                        var writeStream = props.writeStream;
-                        return StreamUtil.pipe({source: readStream, target: writeStream});
-                    })
-                    .then(function () {
-                        return Promise.all([
-                            FileUtil.chmod({path: destinationPath, mode: sourcePathStats.mode}),
-                            FileUtil.chown({path: destinationPath, uid: sourcePathStats.uid, gid: sourcePathStats.gid}),
-                            FileUtil.utimes({
-                                path: destinationPath,
-                                atime: sourcePathStats.atime,
-                                mtime: sourcePathStats.mtime
-                            })
-                        ]);
-                    });
-            }
+/**
+ * Copies the mode, ownership and timestamps from stats to path. Ownership changes that are not permitted are ignored.
+ * @param path {string}
+ * @param stats {fs.Stats}
+ * @returns {Promise.<undefined>}
+ * @private
+ */
+var copyAttributes = function (path, stats) {
+    return FileUtil.chmod({path: path, mode: stats.mode})
+        .then(function () {
+            return FileUtil.chown({path: path, uid: stats.uid, gid: stats.gid})
+                .catch(function (err) {
+                    if (err.code !== 'EPERM') {
+                        throw err;
+                    }
+                });
+        })
+        .then(function () {
+            return FileUtil.utimes({path: path, atime: stats.atime, mtime: stats.mtime});
         });
 };
 
 
 /**
- * Asynchronous {@link http://man7.org/linux/man-pages/man1/mv.1.html|mv(1)}
+ * Asynchronous {@link http://man7.org/linux/man-pages/man1/cp.1.html|cp -r}. Directories are copied recursively, and a file or directory copied onto an existing directory is copied into it, as destinationPath/<name of sourcePath>.
+ * Errors copying individual entries do not stop the copy, and are collected in the returned report.
  * @param options
- * @param options.sourcePath
- * @param options.destinationPath
- * @returns {Promise.<undefined>}
+ * @param options.sourcePath {string}
+ * @param options.destinationPath {string}
+ * @param [options.force] {boolean} - If an existing destination file cannot be opened, remove it and try again.
+ * @param [options.update] {boolean} - Copy only when the source file is newer than the destination file, or when the destination file is missing.
+ * @param [options.noClobber] {boolean} - Do not overwrite an existing file. Takes precedence over force and update.
+ * @param [options.dereference] {boolean} - Follow symbolic links in the source. By default, symbolic links are recreated at the destination.
+ * @param [options.noTargetDirectory] {boolean} - Copy onto destinationPath itself even if it is an existing directory, like cp -T, merging a directory into it.
+ * @param [options.include] {string|string[]} - Glob patterns, relative to sourcePath, of the files to copy. Directories are always traversed.
+ * @param [options.exclude] {string|string[]} - Glob patterns, relative to sourcePath, of the files and directories to skip. An excluded directory is skipped with all of its contents.
+ * @returns {Promise.<{copied: string[], skipped: string[], failed: Array.<{path: string, error: Error}>}>} - Source paths of the entries copied, skipped and failed.
  */
-FileUtil.move = function (options) {
+FileUtil.copy = function (options) {
     var sourcePath = _.get(options, 'sourcePath');
 
     if (_.isNil(sourcePath)) {
         throw new Error("Missing parameter: sourcePath");
     }
 
-
     sourcePath = _path.resolve(process.cwd(), sourcePath);
     var destinationPath = _.get(options, 'destinationPath');
 
@@ -1802,224 +2046,4073 @@ FileUtil.move = function (options) {
 
     destinationPath = _path.resolve(process.cwd(), destinationPath);
 
-    return FileUtil.stat({path: sourcePath})
-        .then(function (sourcePathStats) {
-            if (sourcePathStats.isDirectory()) {
-                return Promise.props({
-                    readStream: FileUtil.createReadStream(sourcePath),
-                    writeStream: FileUtil.createWriteStream(destinationPath)
-                })
-                    .then(function (props) {
-                        var readStream = props.readStream;
-                        var writeStream = props.writeStream;
-                        return StreamUtil.pipe({source: readStream, target: writeStream});
-                    })
-                    .then(function () {
-                        return Promise.all([
-                            FileUtil.chmod({path: destinationPath, mode: sourcePathStats.mode}),
-                            FileUtil.chown({path: destinationPath, uid: sourcePathStats.uid, gid: sourcePathStats.gid}),
-                            FileUtil.utimes({
-                                path: destinationPath,
-                                atime: sourcePathStats.atime,
-                                mtime: sourcePathStats.mtime
-                            })
-                        ]);
+    var force = _.get(options, 'force', false);
+    var update = _.get(options, 'update', false);
+    var noClobber = _.get(options, 'noClobber', false);
+    var dereference = _.get(options, 'dereference', false);
+    var noTargetDirectory = _.get(options, 'noTargetDirectory', false);
+    var include = _.castArray(_.get(options, 'include', []));
+    var exclude = _.castArray(_.get(options, 'exclude', []));
+
+    var report = {copied: [], skipped: [], failed: []};
+
+    var copyFile = function (fileSourcePath, fileDestinationPath, fileStats) {
+        return FileUtil.lstat({path: fileDestinationPath})
+            .catch(function (err) {
+                if (err.code !== 'ENOENT') {
+                    throw err;
+                }
+                return null;
+            })
+            .then(function (destinationStats) {
+                if (!_.isNil(destinationStats)) {
+                    if (noClobber) {
+                        return false;
+                    }
+                    if (update && destinationStats.mtime.getTime() >= fileStats.mtime.getTime()) {
+                        return false;
+                    }
+                    if (destinationStats.isDirectory()) {
+                        throw new Error(sprintf('%s: Cannot overwrite directory with non-directory', fileDestinationPath));
+                    }
+                }
+
+                if (fileStats.isSymbolicLink()) {
+                    return Promise.resolve(_.isNil(destinationStats) ? null : FileUtil.unlink({path: fileDestinationPath}))
+                        .then(function () {
+                            return FileUtil.readlink({path: fileSourcePath});
+                        })
+                        .then(function (linkString) {
+                            return FileUtil.symlink({target: linkString, path: fileDestinationPath, relative: true});
+                        })
+                        .then(function () {
+                            return true;
+                        });
+                }
+
+                var writeFile = function () {
+                    return FileUtil.createReadStream({path: fileSourcePath})
+                        .then(function (readStream) {
+                            return FileUtil.createWriteStream({path: fileDestinationPath})
+                                .catch(function (err) {
+                                    readStream.destroy();
+                                    throw err;
+                                })
+                                .then(function (writeStream) {
+                                    var writeStreamClosed = new Promise(function (resolve, reject) {
+                                        writeStream.once('close', resolve);
+                                        writeStream.once('error', reject);
+                                    });
+
+                                    return StreamUtil.pipe({source: readStream, target: writeStream})
+                                        .then(function () {
+                                            return writeStreamClosed;
+                                        });
+                                });
+                        });
+                };
+
+                return writeFile()
+                    .catch(function (err) {
+                        if (force && !_.isNil(destinationStats) && (err.code === 'EACCES' || err.code === 'EPERM')) {
+                            return FileUtil.unlink({path: fileDestinationPath})
+                                .then(writeFile);
+                        }
+                        throw err;
+                    })
+                    .then(function () {
+                        return copyAttributes(fileDestinationPath, fileStats);
                     })
                     .then(function () {
-                        return FileUtil.rm({path: sourcePath, recursive: true});
+                        return true;
                     });
-            } else {
-                return FileUtil.ls({path: sourcePath, recursive: true, details: true})
-                    .then(function (fileList) {
-                        return Promise.each(fileList, function (file) {
-                            var fileDestinationPath = _path.resolve(destinationPath, _path.relative(file, sourcePath));
-
-                            if (file.isDirectory) {
-                                return FileUtil.mkdir({path: fileDestinationPath, mode: file.mode});
-                            } else {
-                                return FileUtil.copy({sourcePath: sourcePath, destinationPath: fileDestinationPath})
-                            }
+            });
+    };
+
+    var copyEntry = function (entry) {
+        var copyPromise;
+        if (entry.stats.isDirectory()) {
+            // Writable until its entries are copied, the source mode is applied afterwards with the other attributes
+            copyPromise = FileUtil.mkdirp({path: entry.destinationPath, mode: (entry.stats.mode & parseInt('7777', 8)) | parseInt('700', 8)})
+                .then(function () {
+                    return true;
+                });
+        } else {
+            copyPromise = FileUtil.mkdirp({path: _path.dirname(entry.destinationPath)})
+                .then(function () {
+                    return copyFile(entry.path, entry.destinationPath, entry.stats);
+                });
+        }
+
+        return copyPromise
+            .then(function (copied) {
+                if (copied) {
+                    report.copied.push(entry.path);
+                } else {
+                    report.skipped.push(entry.path);
+                }
+                return copied;
+            })
+            .catch(function (err) {
+                report.failed.push({path: entry.path, error: err});
+                return false;
+            });
+    };
+
+    var statFunction = dereference ? FileUtil.stat : FileUtil.lstat;
+
+    var sourcePathStats;
+    return statFunction({path: sourcePath})
+        .then(function (stats) {
+            sourcePathStats = stats;
+            if (noTargetDirectory) {
+                return false;
+            }
+
+            return FileUtil.stat({path: destinationPath})
+                .then(function (destinationPathStats) {
+                    return destinationPathStats.isDirectory();
+                }, function (err) {
+                    if (err.code !== 'ENOENT') {
+                        throw err;
+                    }
+                    return false;
+                });
+        })
+        .then(function (destinationIsDirectory) {
+            // Like cp(1), a file or directory copied onto an existing directory is copied into it
+            if (destinationIsDirectory) {
+                destinationPath = _path.join(destinationPath, _path.basename(sourcePath));
+            }
+
+            if (!sourcePathStats.isDirectory()) {
+                var fileName = _path.basename(sourcePath);
+                if (matchesAnyPattern(fileName, exclude) || (!_.isEmpty(include) && !matchesAnyPattern(fileName, include))) {
+                    report.skipped.push(sourcePath);
+                    return;
+                }
+
+                return copyEntry({path: sourcePath, destinationPath: destinationPath, stats: sourcePathStats});
+            }
+
+            var entries = [];
+            var callback = function (file, fileStats) {
+                if (_.isNil(fileStats)) {
+                    return;
+                }
+
+                var relativePath = toRelativeGlobPath(sourcePath, file);
+                var entry = {
+                    path: file,
+                    destinationPath: _path.resolve(destinationPath, _path.relative(sourcePath, file)),
+                    stats: fileStats
+                };
+
+                if (relativePath !== '') {
+                    if (matchesAnyPatternOrParent(relativePath, exclude)) {
+                        if (matchesAnyPattern(relativePath, exclude)) {
+                            report.skipped.push(file);
+                        }
+                        return;
+                    }
+                    if (!fileStats.isDirectory() && !_.isEmpty(include) && !matchesAnyPattern(relativePath, include)) {
+                        report.skipped.push(file);
+                        return;
+                    }
+                }
+                entries.push(entry);
+            };
+
+            var copiedDirectories = [];
+            return FileUtil.walk({path: sourcePath, callback: callback, lstat: !dereference})
+                .then(function () {
+                    return Promise.each(entries, function (entry) {
+                        return copyEntry(entry)
+                            .then(function (copied) {
+                                if (copied && entry.stats.isDirectory()) {
+                                    copiedDirectories.push(entry);
+                                }
+                            });
+                    });
+                })
+                .then(function () {
+                    return Promise.each(copiedDirectories.reverse(), function (entry) {
+                        return copyAttributes(entry.destinationPath, entry.stats)
+                            .catch(function (err) {
+                                report.failed.push({path: entry.path, error: err});
+                            });
+                    });
+                });
+        })
+        .then(function () {
+            return report;
+        });
+};
+
+
+/**
+ * Generates a hidden, randomly named path in the same directory as path, for staging writes that are later renamed over path.
+ * @param path {string}
+ * @returns {string}
+ * @private
+ */
+var temporarySiblingPath = function (path) {
+    return _path.resolve(_path.dirname(path), sprintf('.%s.%s.tmp', _path.basename(path), CryptoUtil.randomByteString(6)));
+};
+
+/**
+ * Collects the entries under path, keyed by their path relative to path.
+ * @param path {string}
+ * @returns {Promise.<Object.<string, fs.Stats>>}
+ * @private
+ */
+var collectTree = function (path) {
+    var tree = {};
+    var callback = function (file, fileStats) {
+        tree[_path.relative(path, file)] = fileStats;
+    };
+    return FileUtil.walk({path: path, callback: callback, lstat: true})
+        .then(function () {
+            return tree;
+        });
+};
+
+/**
+ * Verifies that the tree at destinationPath has the same entries, entry types and file sizes as the tree at sourcePath, and then that its files have the same content hashes and its symbolic links the same targets.
+ * @param sourcePath {string}
+ * @param destinationPath {string}
+ * @returns {Promise.<undefined>}
+ * @private
+ */
+var verifyCopy = function (sourcePath, destinationPath) {
+    return Promise.props({
+        sourceTree: collectTree(sourcePath),
+        destinationTree: collectTree(destinationPath)
+    })
+        .then(function (props) {
+            var sourceTree = props.sourceTree;
+            var destinationTree = props.destinationTree;
+
+            var missingPaths = _.difference(_.keys(sourceTree), _.keys(destinationTree));
+            if (!_.isEmpty(missingPaths)) {
+                throw new Error(sprintf('%s: Copy verification failed, missing entries: %s', destinationPath, missingPaths.join(', ')));
+            }
+
+            _.each(sourceTree, function (sourceStats, relativePath) {
+                var destinationStats = destinationTree[relativePath];
+                var sameType = sourceStats.isDirectory() === destinationStats.isDirectory() &&
+                    sourceStats.isSymbolicLink() === destinationStats.isSymbolicLink();
+                var sameSize = !sourceStats.isFile() || sourceStats.size === destinationStats.size;
+
+                if (!sameType || !sameSize) {
+                    throw new Error(sprintf('%s: Copy verification failed', _path.resolve(destinationPath, relativePath)));
+                }
+            });
+
+            var copiedFiles = _.filter(_.keys(sourceTree), function (relativePath) {
+                return sourceTree[relativePath].isFile() || sourceTree[relativePath].isSymbolicLink();
+            });
+
+            return Promise.each(copiedFiles, function (relativePath) {
+                var sourceFilePath = _path.resolve(sourcePath, relativePath);
+                var destinationFilePath = _path.resolve(destinationPath, relativePath);
+                var readContents = sourceTree[relativePath].isSymbolicLink() ? FileUtil.readlink : FileUtil.hashFile;
+
+                return Promise.join(
+                    readContents({path: sourceFilePath}),
+                    readContents({path: destinationFilePath}),
+                    function (sourceContents, destinationContents) {
+                        if (sourceContents !== destinationContents) {
+                            throw new Error(sprintf('%s: Copy verification failed, contents differ', destinationFilePath));
+                        }
+                    }
+                );
+            });
+        });
+};
+
+
+/**
+ * Asynchronous {@link http://man7.org/linux/man-pages/man1/mv.1.html|mv(1)}.
+ * Attempts an atomic {@link http://man7.org/linux/man-pages/man2/rename.2.html|rename(2)} first. If the source and destination are on different devices, the source is copied to a temporary path beside the destination, preserving mode, ownership and timestamps, verified, renamed into place, and only then removed.
+ * If the copy fails, the partially copied destination is removed and the source is left untouched.
+ * @param options
+ * @param options.sourcePath {string}
+ * @param options.destinationPath {string}
+ * @returns {Promise.<undefined>}
+ */
+FileUtil.move = function (options) {
+    var sourcePath = _.get(options, 'sourcePath');
+
+    if (_.isNil(sourcePath)) {
+        throw new Error("Missing parameter: sourcePath");
+    }
+
+
+    sourcePath = _path.resolve(process.cwd(), sourcePath);
+    var destinationPath = _.get(options, 'destinationPath');
+
+    if (_.isNil(destinationPath)) {
+        throw new Error("Missing parameter: destinationPath");
+    }
+
+    destinationPath = _path.resolve(process.cwd(), destinationPath);
+
+    return FileUtil.rename({oldPath: sourcePath, newPath: destinationPath})
+        .catch(function (err) {
+            if (err.code !== 'EXDEV') {
+                throw err;
+            }
+
+            var temporaryPath = temporarySiblingPath(destinationPath);
+
+            return FileUtil.copy({sourcePath: sourcePath, destinationPath: temporaryPath, noTargetDirectory: true})
+                .then(function (report) {
+                    if (!_.isEmpty(report.failed)) {
+                        throw _.first(report.failed).error;
+                    }
+                    return verifyCopy(sourcePath, temporaryPath);
+                })
+                .then(function () {
+                    return FileUtil.rename({oldPath: temporaryPath, newPath: destinationPath});
+                })
+                .catch(function (err) {
+                    return FileUtil.rm({path: temporaryPath, recursive: true})
+                        .catch(_.noop)
+                        .then(function () {
+                            throw err;
+                        });
+                })
+                .then(function () {
+                    return FileUtil.rm({path: sourcePath, recursive: true});
+                });
+        });
+};
+
+/**
+ * Finds the files and directories under a base directory matching glob patterns.
+ * Supports `*`, `**`, `?`, character classes such as `[a-z]` and brace expansion such as `{a,b}`. Patterns starting with `!` exclude matches.
+ * Directories that cannot contain a match, or that match an ignore pattern, are not descended into.
+ * @see https://github.com/isaacs/minimatch
+ * @param options {object|string|string[]} - options object, or glob patterns
+ * @param options.pattern {string|string[]} - Glob patterns relative to path. Absolute patterns are rejected; pass their leading directory as path instead.
+ * @param [options.path] {string} - Base directory. Defaults to the current working directory.
+ * @param [options.ignore] {string|string[]} - Glob patterns relative to path of files and directories to skip. An ignored directory is skipped with all of its contents.
+ * @param [options.dot] {boolean} - Allow patterns to match files and directories starting with a period.
+ * @param [options.follow] {boolean} - Follow symbolic links to directories.
+ * @returns {Promise.<string[]>} - The matching paths.
+ */
+FileUtil.glob = function (options) {
+    if (_.isString(options) || _.isArray(options)) {
+        options = {pattern: options};
+    }
+
+    var pattern = _.get(options, 'pattern');
+
+    if (_.isNil(pattern) || _.isEmpty(pattern)) {
+        throw new Error("Missing parameter: pattern");
+    }
+
+    var absolutePattern = _.find(_.castArray(pattern), function (globPattern) {
+        return _path.isAbsolute(_.trimStart(globPattern, '!'));
+    });
+
+    if (!_.isUndefined(absolutePattern)) {
+        throw new Error(sprintf("Invalid parameter: pattern must be relative to path, not %s", absolutePattern));
+    }
+
+    var path = _.get(options, 'path', process.cwd());
+    path = _path.resolve(process.cwd(), path);
+
+    var dot = _.get(options, 'dot', false);
+    var follow = _.get(options, 'follow', false);
+
+    var minimatchOptions = {dot: dot};
+    var patterns = _.partition(_.castArray(pattern), function (globPattern) {
+        return !_.startsWith(globPattern, '!');
+    });
+
+    var includeMatchers = _.map(patterns[0], function (globPattern) {
+        return new minimatch.Minimatch(globPattern, minimatchOptions);
+    });
+    var excludeMatchers = _.map(patterns[1], function (globPattern) {
+        return new minimatch.Minimatch(globPattern.slice(1), minimatchOptions);
+    });
+    var ignoreMatchers = _.map(_.castArray(_.get(options, 'ignore', [])), function (globPattern) {
+        return new minimatch.Minimatch(globPattern, {dot: true});
+    });
+
+    var isIgnored = function (relativePath) {
+        return _.some(ignoreMatchers, function (matcher) {
+            return matcher.match(relativePath);
+        });
+    };
+
+    var prune = function (file) {
+        var relativePath = toRelativeGlobPath(path, file);
+        if (isIgnored(relativePath)) {
+            return true;
+        }
+        return !_.some(includeMatchers, function (matcher) {
+            return matcher.match(relativePath, true);
+        });
+    };
+
+    var fileList = [];
+    var callback = function (file, fileStats) {
+        if (_.isNil(fileStats)) {
+            return;
+        }
+
+        var relativePath = toRelativeGlobPath(path, file);
+        if (relativePath === '' || isIgnored(relativePath)) {
+            return;
+        }
+
+        var matchesPath = function (matcher) {
+            return matcher.match(relativePath);
+        };
+        if (_.some(includeMatchers, matchesPath) && !_.some(excludeMatchers, matchesPath)) {
+            fileList.push(file);
+        }
+    };
+
+    return FileUtil.walk({path: path, callback: callback, prune: prune, lstat: !follow})
+        .then(function () {
+            return fileList;
+        });
+};
+
+/**
+ * Writes a buffer to a file descriptor, repeating the write until every byte is written.
+ * @param fd {number}
+ * @param buffer {Buffer}
+ * @param [offset] {number}
+ * @returns {Promise.<undefined>}
+ * @private
+ */
+var writeFully = function (fd, buffer, offset) {
+    offset = offset || 0;
+    if (offset >= buffer.length) {
+        return Promise.resolve();
+    }
+    return FileUtil.write({fd: fd, buffer: buffer, offset: offset, length: buffer.length - offset, position: null})
+        .then(function (result) {
+            return writeFully(fd, buffer, offset + result.written);
+        });
+};
+
+/**
+ * Flushes a directory's entries to disk, so that a rename inside it survives a crash.
+ * Platforms that cannot open or fsync directories are ignored.
+ * @param path {string}
+ * @returns {Promise.<undefined>}
+ * @private
+ */
+var fsyncDirectory = function (path) {
+    return FileUtil.open({path: path, flags: 'r'})
+        .then(function (fd) {
+            return FileUtil.fsync({fd: fd})
+                .finally(function () {
+                    return FileUtil.close({fd: fd});
+                });
+        })
+        .catch(function (err) {
+            if (!_.includes(['EISDIR', 'EINVAL', 'EPERM', 'EACCES'], err.code)) {
+                throw err;
+            }
+        });
+};
+
+/**
+ * Resolves symbolic links in path like realpath(3), but also for paths that do not exist yet: the missing components are appended to the real path of the closest existing parent, and dangling symbolic links are resolved to the path they would create.
+ * @param path {string}
+ * @param [links] {number} - Symbolic links followed so far.
+ * @returns {Promise.<string>}
+ * @private
+ */
+var resolveRealPath = function (path, links) {
+    links = links || 0;
+
+    return FileUtil.realpath({path: path})
+        .catch(function (err) {
+            if (err.code !== 'ENOENT') {
+                throw err;
+            }
+
+            return FileUtil.lstat({path: path})
+                .then(function (pathStats) {
+                    if (!pathStats.isSymbolicLink()) {
+                        throw err;
+                    }
+                    if (links >= 40) {
+                        throw new Error(sprintf('%s: Too many levels of symbolic links', path));
+                    }
+
+                    return Promise.join(
+                        resolveRealPath(_path.dirname(path), links),
+                        FileUtil.readlink({path: path}),
+                        function (parentRealPath, target) {
+                            return resolveRealPath(_path.resolve(parentRealPath, target), links + 1);
+                        }
+                    );
+                }, function (lstatErr) {
+                    var parentPath = _path.dirname(path);
+                    if (lstatErr.code !== 'ENOENT' || parentPath === path) {
+                        throw lstatErr;
+                    }
+
+                    return resolveRealPath(parentPath, links)
+                        .then(function (parentRealPath) {
+                            return _path.join(parentRealPath, _path.basename(path));
+                        });
+                });
+        });
+};
+
+/**
+ * Atomically replaces path with a file written by writeContents: the file is written beside path, flushed to disk and renamed over path.
+ * The mode and ownership of an existing file are preserved, unless mode is given. If path is a symbolic link, the file it points to is replaced and the link is kept. The temporary file is removed if anything fails before the rename.
+ * @param path {string}
+ * @param mode {?number}
+ * @param writeContents {function(number): Promise} - Called with the file descriptor of the temporary file.
+ * @returns {Promise.<undefined>}
+ * @private
+ */
+var replaceFileAtomically = function (path, mode, writeContents) {
+    var temporaryPath = null;
+    var fd = null;
+
+    // A symbolic link is kept, and the file it points to is replaced instead
+    return resolveRealPath(path)
+        .then(function (realPath) {
+            path = realPath;
+            temporaryPath = temporarySiblingPath(path);
+
+            return FileUtil.stat({path: path})
+                .catch(function (err) {
+                    if (err.code !== 'ENOENT') {
+                        throw err;
+                    }
+                    return null;
+                });
+        })
+        .then(function (pathStats) {
+            var explicitMode = !_.isNil(mode);
+            if (!explicitMode) {
+                mode = _.isNil(pathStats) ? parseInt('666', 8) : pathStats.mode & parseInt('7777', 8);
+            }
+
+            return FileUtil.open({path: temporaryPath, flags: 'wx', mode: mode})
+                .then(function (temporaryFd) {
+                    fd = temporaryFd;
+                    return writeContents(fd);
+                })
+                .then(function () {
+                    if (!_.isNil(pathStats) || explicitMode) {
+                        return FileUtil.fchmod({fd: fd, mode: mode});
+                    }
+                })
+                .then(function () {
+                    if (!_.isNil(pathStats)) {
+                        return FileUtil.fchown({fd: fd, uid: pathStats.uid, gid: pathStats.gid})
+                            .catch(function (err) {
+                                if (err.code !== 'EPERM') {
+                                    throw err;
+                                }
+                            });
+                    }
+                })
+                .then(function () {
+                    return FileUtil.fsync({fd: fd});
+                });
+        })
+        .then(function () {
+            var closePromise = FileUtil.close({fd: fd});
+            fd = null;
+            return closePromise;
+        })
+        .then(function () {
+            return FileUtil.rename({oldPath: temporaryPath, newPath: path});
+        })
+        .catch(function (err) {
+            return Promise.resolve(_.isNil(fd) ? null : FileUtil.close({fd: fd}))
+                .catch(_.noop)
+                .then(function () {
+                    return _.isNil(temporaryPath) ? null : FileUtil.unlink({path: temporaryPath});
+                })
+                .catch(_.noop)
+                .then(function () {
+                    throw err;
+                });
+        })
+        .then(function () {
+            // The file is already replaced, a failure to flush the directory only makes the rename less durable
+            return fsyncDirectory(_path.dirname(path))
+                .catch(_.noop);
+        });
+};
+
+/**
+ * Asynchronously and atomically writes data to a file, replacing the file if it already exists.
+ * The data is written to a temporary file beside path and flushed to disk, then renamed over path, so that path holds either its previous contents or the new data even after a crash.
+ * The mode and ownership of an existing file are preserved. The temporary file is removed if the write fails.
+ * @param options
+ * @param options.path {string}
+ * @param options.data {string|Buffer}
+ * @param [options.encoding] {string} - Encoding of data if it is a string. Defaults to 'utf8'.
+ * @param [options.mode] {number} - Mode of the file. Defaults to the mode of the existing file, or 0666 before the umask for a new file.
+ * @returns {Promise.<undefined>}
+ */
+FileUtil.atomicWriteFile = function (options) {
+    var path = _.get(options, 'path');
+
+    if (_.isNil(path)) {
+        throw new Error("Missing parameter: path");
+    }
+
+    path = _path.resolve(process.cwd(), path);
+
+    var data = _.get(options, 'data', '');
+    var encoding = _.get(options, 'encoding', 'utf8');
+    var mode = _.get(options, 'mode');
+
+    var buffer = _.isBuffer(data) ? data : Buffer.from(String(data), encoding);
+
+    return replaceFileAtomically(path, mode, function (fd) {
+        return writeFully(fd, buffer);
+    });
+};
+
+/**
+ * Finds the position of the first syntax error in JSON text, for JSON.parse error messages that do not include it.
+ * Every prefix of the text before the error parses, or fails only at its end, so the error is found by a binary search over prefix lengths.
+ * @param text {string}
+ * @returns {number}
+ * @private
+ */
+var findJsonSyntaxErrorPosition = function (text) {
+    var isValidPrefix = function (length) {
+        try {
+            JSON.parse(text.slice(0, length));
+            return true;
+        } catch (err) {
+            if (/Unexpected end of JSON input/.test(err.message)) {
+                return true;
+            }
+            var positionMatch = /at position (\d+)/.exec(err.message);
+            return !_.isNil(positionMatch) && _.toNumber(positionMatch[1]) >= length;
+        }
+    };
+
+    var low = 0;
+    var high = text.length;
+    while (low < high) {
+        var middle = Math.ceil((low + high) / 2);
+        if (isValidPrefix(middle)) {
+            low = middle;
+        } else {
+            high = middle - 1;
+        }
+    }
+    return low;
+};
+
+/**
+ * Parses JSON text, rethrowing syntax errors with the file path and the line and column of the error.
+ * @param text {string}
+ * @param path {string}
+ * @param [reviver] {function}
+ * @param [lineOffset] {number} - Number of lines before text in the file.
+ * @returns {*}
+ * @private
+ */
+var parseJson = function (text, path, reviver, lineOffset) {
+    try {
+        return JSON.parse(text, reviver);
+    } catch (err) {
+        if (!(err instanceof SyntaxError)) {
+            throw err;
+        }
+
+        var positionMatch = /at position (\d+)/.exec(err.message);
+        var position;
+        if (!_.isNil(positionMatch)) {
+            position = _.toNumber(positionMatch[1]);
+        } else if (/Unexpected end of JSON input/.test(err.message)) {
+            position = text.length;
+        } else {
+            position = findJsonSyntaxErrorPosition(text);
+        }
+        var precedingLines = text.slice(0, position).split('\n');
+        var line = precedingLines.length + (lineOffset || 0);
+        var column = _.last(precedingLines).length + 1;
+
+        var parseError = new SyntaxError(sprintf('%s:%d:%d: %s', path, line, column, err.message));
+        parseError.path = path;
+        parseError.line = line;
+        parseError.column = column;
+        throw parseError;
+    }
+};
+
+/**
+ * Converts a value to JSON, optionally sorting object keys.
+ * @param data {*}
+ * @param [replacer] {function|Array}
+ * @param [spaces] {number|string}
+ * @param [sortKeys] {boolean}
+ * @returns {string}
+ * @private
+ */
+var stringifyJson = function (data, replacer, spaces, sortKeys) {
+    if (sortKeys) {
+        if (_.isArray(replacer)) {
+            replacer = _.sortBy(replacer);
+        } else {
+            var valueReplacer = replacer;
+            replacer = function (key, value) {
+                if (_.isFunction(valueReplacer)) {
+                    value = valueReplacer.call(this, key, value);
+                }
+                if (_.isPlainObject(value)) {
+                    return _.fromPairs(_.sortBy(_.toPairs(value), _.first));
+                }
+                return value;
+            };
+        }
+    }
+
+    return JSON.stringify(data, replacer, spaces);
+};
+
+/**
+ * Reads and parses a JSON file. Syntax errors report the file path, line and column.
+ * @param options {object|string} - options object, or path
+ * @param options.path {string}
+ * @param [options.encoding] {string} - Defaults to 'utf8'.
+ * @param [options.reviver] {function} - Passed to JSON.parse.
+ * @returns {Promise.<*>}
+ */
+FileUtil.readJson = function (options) {
+    if (_.isString(options)) {
+        options = {path: options};
+    }
+
+    var path = _.get(options, 'path');
+
+    if (_.isNil(path)) {
+        throw new Error("Missing parameter: path");
+    }
+
+    path = _path.resolve(process.cwd(), path);
+
+    var encoding = _.get(options, 'encoding', 'utf8');
+    var reviver = _.get(options, 'reviver');
+
+    return FileUtil.readFile({path: path, encoding: encoding})
+        .then(function (text) {
+            return parseJson(_.trimStart(text, '\uFEFF'), path, reviver);
+        });
+};
+
+/**
+ * Writes data to a file as JSON, followed by a newline.
+ * @param options
+ * @param options.path {string}
+ * @param options.data {*}
+ * @param [options.spaces] {number|string} - Indentation for pretty-printing. Output is compact by default.
+ * @param [options.sortKeys] {boolean} - Write object keys in sorted order.
+ * @param [options.replacer] {function|Array} - Passed to JSON.stringify.
+ * @param [options.encoding] {string} - Defaults to 'utf8'.
+ * @param [options.mode] {number}
+ * @param [options.atomic] {boolean} - Write with {@link FileUtil.atomicWriteFile}.
+ * @returns {Promise.<undefined>}
+ */
+FileUtil.writeJson = function (options) {
+    var path = _.get(options, 'path');
+
+    if (_.isNil(path)) {
+        throw new Error("Missing parameter: path");
+    }
+
+    path = _path.resolve(process.cwd(), path);
+
+    var data = _.get(options, 'data');
+    var spaces = _.get(options, 'spaces');
+    var sortKeys = _.get(options, 'sortKeys', false);
+    var replacer = _.get(options, 'replacer');
+    var encoding = _.get(options, 'encoding', 'utf8');
+    var mode = _.get(options, 'mode');
+    var atomic = _.get(options, 'atomic', false);
+
+    var text = stringifyJson(data, replacer, spaces, sortKeys) + '\n';
+    var writeOptions = {path: path, data: text, encoding: encoding, mode: mode};
+
+    if (atomic) {
+        return FileUtil.atomicWriteFile(writeOptions);
+    }
+    return FileUtil.writeFile(writeOptions);
+};
+
+/**
+ * Reads and parses a {@link http://jsonlines.org/|JSON Lines} file, with one JSON value per line. Blank lines are skipped. Syntax errors report the file path, line and column.
+ * @param options {object|string} - options object, or path
+ * @param options.path {string}
+ * @param [options.encoding] {string} - Defaults to 'utf8'.
+ * @param [options.reviver] {function} - Passed to JSON.parse.
+ * @returns {Promise.<Array>}
+ */
+FileUtil.readJsonLines = function (options) {
+    if (_.isString(options)) {
+        options = {path: options};
+    }
+
+    var path = _.get(options, 'path');
+
+    if (_.isNil(path)) {
+        throw new Error("Missing parameter: path");
+    }
+
+    path = _path.resolve(process.cwd(), path);
+
+    var encoding = _.get(options, 'encoding', 'utf8');
+    var reviver = _.get(options, 'reviver');
+
+    return FileUtil.readFile({path: path, encoding: encoding})
+        .then(function (text) {
+            var records = [];
+            _.each(_.trimStart(text, '\uFEFF').split('\n'), function (line, index) {
+                if (!_.isEmpty(_.trim(line))) {
+                    records.push(parseJson(line, path, reviver, index));
+                }
+            });
+            return records;
+        });
+};
+
+/**
+ * Appends records to a {@link http://jsonlines.org/|JSON Lines} file, one JSON value per line, creating the file if it does not yet exist.
+ * @param options
+ * @param options.path {string}
+ * @param options.data {Array} - Records to append.
+ * @param [options.replacer] {function|Array} - Passed to JSON.stringify.
+ * @param [options.sortKeys] {boolean} - Write object keys in sorted order.
+ * @param [options.encoding] {string} - Defaults to 'utf8'.
+ * @param [options.mode] {number}
+ * @returns {Promise.<undefined>}
+ */
+FileUtil.appendJsonLines = function (options) {
+    var path = _.get(options, 'path');
+
+    if (_.isNil(path)) {
+        throw new Error("Missing parameter: path");
+    }
+
+    path = _path.resolve(process.cwd(), path);
+
+    var data = _.get(options, 'data');
+
+    if (!_.isArray(data)) {
+        throw new Error("Invalid parameter: data must be an array of records");
+    }
+
+    var replacer = _.get(options, 'replacer');
+    var sortKeys = _.get(options, 'sortKeys', false);
+    var encoding = _.get(options, 'encoding', 'utf8');
+    var mode = _.get(options, 'mode');
+
+    var text = _.map(data, function (record) {
+        return stringifyJson(record, replacer, undefined, sortKeys) + '\n';
+    }).join('');
+
+    return FileUtil.appendFile({path: path, data: text, encoding: encoding, mode: mode});
+};
+
+/**
+ * Locks acquired by this process, keyed by lockfile path.
+ * @type {Object.<string, {path: string, lockfilePath: string, refresh: function, release: function}>}
+ * @private
+ */
+var activeLocks = {};
+
+/**
+ * Tests whether a process with the given pid is running on this host.
+ * @param pid {number}
+ * @returns {boolean}
+ * @private
+ */
+var isProcessAlive = function (pid) {
+    try {
+        process.kill(pid, 0);
+        return true;
+    } catch (err) {
+        return err.code === 'EPERM';
+    }
+};
+
+/**
+ * Resolves the lockfile path for a lock on path.
+ * @param options
+ * @param options.path {string}
+ * @param [options.lockfilePath] {string}
+ * @returns {string}
+ * @private
+ */
+var resolveLockfilePath = function (options) {
+    var path = _path.resolve(process.cwd(), _.get(options, 'path'));
+    return _path.resolve(process.cwd(), _.get(options, 'lockfilePath', path + '.lock'));
+};
+
+/**
+ * Acquires an advisory lock on path, for coordinating with other processes.
+ * The lock is held by exclusively creating a lockfile containing the pid and hostname of this process. While held, the lockfile modification time is refreshed periodically.
+ * An existing lockfile is considered stale, and is removed, when its owner process on this host is no longer running, or when it has not been refreshed within the stale period.
+ * Stale lockfiles are removed by one process at a time, which holds a file at lockfilePath with a '.takeover' suffix meanwhile.
+ * refresh and release first check that the lockfile is still the one this lock created, by its inode, pid and hostname, and reject with an error with code 'ECOMPROMISED' if it was taken over as stale. release resolves if the lockfile is already gone.
+ * @param options {object|string} - options object, or path
+ * @param options.path {string} - Path to lock. It does not need to exist.
+ * @param [options.lockfilePath] {string} - Defaults to path with a '.lock' suffix.
+ * @param [options.stale] {number} - Milliseconds after the last refresh before a lockfile is considered stale. Defaults to 10000.
+ * @param [options.refreshInterval] {number} - Milliseconds between refreshes of a held lock. Defaults to half of stale. Set to 0 to disable.
+ * @param [options.timeout] {number} - Milliseconds to keep retrying while the lock is held elsewhere. Defaults to 0, failing immediately.
+ * @param [options.retryInterval] {number} - Milliseconds before the first retry, doubling after each retry. Defaults to 50.
+ * @param [options.maxRetryInterval] {number} - Defaults to 1000.
+ * @param [options.mode] {number} - Mode of the lockfile.
+ * @returns {Promise.<{path: string, lockfilePath: string, refresh: function(): Promise, release: function(): Promise}>} - Rejects with an error with code 'ELOCKED' if the lock could not be acquired before the timeout.
+ */
+FileUtil.lock = function (options) {
+    if (_.isString(options)) {
+        options = {path: options};
+    }
+
+    var path = _.get(options, 'path');
+
+    if (_.isNil(path)) {
+        throw new Error("Missing parameter: path");
+    }
+
+    path = _path.resolve(process.cwd(), path);
+
+    var lockfilePath = resolveLockfilePath(options);
+    var stale = _.get(options, 'stale', 10000);
+    var refreshInterval = _.get(options, 'refreshInterval', stale / 2);
+    var timeout = _.get(options, 'timeout', 0);
+    var retryInterval = _.get(options, 'retryInterval', 50);
+    var maxRetryInterval = _.get(options, 'maxRetryInterval', 1000);
+    var mode = _.get(options, 'mode');
+
+    var createLockfile = function () {
+        var owner = {pid: process.pid, hostname: os.hostname(), created: new Date().toISOString()};
+
+        return FileUtil.open({path: lockfilePath, flags: 'wx', mode: mode})
+            .then(function (fd) {
+                return writeFully(fd, Buffer.from(JSON.stringify(owner)))
+                    .then(function () {
+                        return FileUtil.lstat({path: lockfilePath});
+                    })
+                    .finally(function () {
+                        return FileUtil.close({fd: fd});
+                    })
+                    .then(function (lockfileStats) {
+                        return _.assign(owner, {dev: lockfileStats.dev, ino: lockfileStats.ino});
+                    })
+                    .catch(function (err) {
+                        return FileUtil.unlink({path: lockfilePath})
+                            .catch(_.noop)
+                            .then(function () {
+                                throw err;
+                            });
+                    });
+            });
+    };
+
+    var takeoverPath = lockfilePath + '.takeover';
+
+    // Resolves with the stats of the lockfile if it is stale, or null
+    var readStaleLockfile = function () {
+        return Promise.props({
+            stats: FileUtil.stat({path: lockfilePath}),
+            owner: FileUtil.readJson({path: lockfilePath}).catch(_.constant(null))
+        })
+            .then(function (props) {
+                var owner = props.owner;
+                var expired = Date.now() - props.stats.mtime.getTime() > stale;
+                var abandoned = _.isObject(owner) && owner.hostname === os.hostname() && _.isNumber(owner.pid) && !isProcessAlive(owner.pid);
+
+                return expired || abandoned ? props.stats : null;
+            });
+    };
+
+    // Only the process that exclusively created the takeover file may remove a stale lockfile, so that a lockfile cannot be replaced between being found stale and being removed by another process doing the same.
+    // The stale lockfile is renamed to a name of its own and removed only if it is still the file that was found stale, as its owner may have released it and another process locked it again meanwhile; another file is linked back.
+    var removeStaleLockfile = function () {
+        return FileUtil.open({path: takeoverPath, flags: 'wx', mode: mode})
+            .then(function (fd) {
+                return FileUtil.close({fd: fd})
+                    .then(readStaleLockfile)
+                    .then(function (staleStats) {
+                        if (_.isNil(staleStats)) {
+                            return false;
+                        }
+
+                        var stalePath = sprintf('%s.%s.stale', lockfilePath, CryptoUtil.randomByteString(8));
+
+                        return FileUtil.rename({oldPath: lockfilePath, newPath: stalePath})
+                            .then(function () {
+                                return FileUtil.stat({path: stalePath});
+                            })
+                            .then(function (renamedStats) {
+                                if (renamedStats.dev === staleStats.dev && renamedStats.ino === staleStats.ino) {
+                                    return FileUtil.unlink({path: stalePath})
+                                        .then(_.constant(true));
+                                }
+
+                                return FileUtil.link({srcPath: stalePath, destPath: lockfilePath})
+                                    .catch(function (err) {
+                                        if (err.code !== 'EEXIST') {
+                                            throw err;
+                                        }
+                                    })
+                                    .finally(function () {
+                                        return FileUtil.unlink({path: stalePath});
+                                    })
+                                    .then(_.constant(false));
+                            });
+                    })
+                    .catch(function (err) {
+                        if (err.code !== 'ENOENT') {
+                            throw err;
+                        }
+                        return true;
+                    })
+                    .finally(function () {
+                        return FileUtil.unlink({path: takeoverPath})
+                            .catch(_.noop);
+                    });
+            }, function (err) {
+                if (err.code !== 'EEXIST') {
+                    throw err;
+                }
+
+                // Another process is removing the stale lockfile; its takeover file is removed if it died doing so
+                return FileUtil.stat({path: takeoverPath})
+                    .then(function (takeoverStats) {
+                        if (Date.now() - takeoverStats.mtime.getTime() > stale) {
+                            return FileUtil.unlink({path: takeoverPath});
+                        }
+                    })
+                    .catch(function (err) {
+                        if (err.code !== 'ENOENT') {
+                            throw err;
+                        }
+                    })
+                    .then(_.constant(false));
+            });
+    };
+
+    var startTime = Date.now();
+    var acquire = function (interval) {
+        return createLockfile()
+            .catch(function (err) {
+                if (err.code !== 'EEXIST') {
+                    throw err;
+                }
+
+                return removeStaleLockfile()
+                    .then(function (removed) {
+                        if (removed) {
+                            return acquire(interval);
+                        }
+
+                        if (Date.now() - startTime + interval > timeout) {
+                            var lockedError = new Error(sprintf('%s: Lock is already held', path));
+                            lockedError.code = 'ELOCKED';
+                            lockedError.path = path;
+                            throw lockedError;
+                        }
+
+                        return Promise.delay(interval)
+                            .then(function () {
+                                return acquire(Math.min(interval * 2, maxRetryInterval));
+                            });
+                    });
+            });
+    };
+
+    return acquire(retryInterval)
+        .then(function (owner) {
+            var refreshTimer = null;
+
+            var stopRefreshing = function () {
+                if (!_.isNil(refreshTimer)) {
+                    clearInterval(refreshTimer);
+                    refreshTimer = null;
+                }
+            };
+
+            // The lockfile may have been removed as stale and recreated by another process, which must not be refreshed or removed
+            var verifyOwner = function () {
+                return Promise.props({
+                    stats: FileUtil.lstat({path: lockfilePath}),
+                    content: FileUtil.readJson({path: lockfilePath}).catch(_.constant(null))
+                })
+                    .then(function (props) {
+                        var content = props.content;
+                        var owned = props.stats.dev === owner.dev && props.stats.ino === owner.ino &&
+                            _.isObject(content) && content.pid === owner.pid && content.hostname === owner.hostname && content.created === owner.created;
+
+                        if (!owned) {
+                            var compromisedError = new Error(sprintf('%s: Lock was taken over by another owner', path));
+                            compromisedError.code = 'ECOMPROMISED';
+                            compromisedError.path = path;
+                            throw compromisedError;
+                        }
+                    });
+            };
+
+            var lock = {
+                path: path,
+                lockfilePath: lockfilePath,
+                refresh: function () {
+                    return verifyOwner()
+                        .then(function () {
+                            var now = new Date();
+                            return FileUtil.utimes({path: lockfilePath, atime: now, mtime: now});
+                        });
+                },
+                release: function () {
+                    stopRefreshing();
+                    delete activeLocks[lockfilePath];
+
+                    return verifyOwner()
+                        .then(function () {
+                            return FileUtil.unlink({path: lockfilePath});
+                        })
+                        .catch(function (err) {
+                            if (err.code !== 'ENOENT') {
+                                throw err;
+                            }
+                        });
+                }
+            };
+
+            if (refreshInterval > 0 && _.isFinite(refreshInterval)) {
+                refreshTimer = setInterval(function () {
+                    lock.refresh()
+                        .catch(function (err) {
+                            if (err.code === 'ECOMPROMISED' || err.code === 'ENOENT') {
+                                stopRefreshing();
+                            }
+                        });
+                }, refreshInterval);
+                refreshTimer.unref();
+            }
+
+            activeLocks[lockfilePath] = lock;
+            return lock;
+        });
+};
+
+/**
+ * Releases a lock acquired by this process with {@link FileUtil.lock}.
+ * @param options {object|string} - options object, or path
+ * @param options.path {string}
+ * @param [options.lockfilePath] {string}
+ * @returns {Promise.<undefined>}
+ */
+FileUtil.unlock = function (options) {
+    if (_.isString(options)) {
+        options = {path: options};
+    }
+
+    var path = _.get(options, 'path');
+
+    if (_.isNil(path)) {
+        throw new Error("Missing parameter: path");
+    }
+
+    var lock = activeLocks[resolveLockfilePath(options)];
+
+    if (_.isNil(lock)) {
+        throw new Error(sprintf('%s: Lock is not held by this process', _path.resolve(process.cwd(), path)));
+    }
+
+    return lock.release();
+};
+
+/**
+ * Acquires a lock on path with {@link FileUtil.lock}, calls fn, and releases the lock after the promise returned by fn settles.
+ * @param options {object|string} - Options for {@link FileUtil.lock}, or path
+ * @param fn {function(object): Promise.<T>|T} - Called with the acquired lock.
+ * @template T
+ * @returns {Promise.<T>}
+ */
+FileUtil.withLock = function (options, fn) {
+    if (!_.isFunction(fn)) {
+        throw new Error("Missing parameter: fn");
+    }
+
+    return FileUtil.lock(options)
+        .then(function (lock) {
+            return Promise.try(function () {
+                return fn(lock);
+            })
+                .finally(function () {
+                    return lock.release();
+                });
+        });
+};
+
+/**
+ * Lists the entries under path with {@link FileUtil.ls}, keyed by their path relative to path. A missing path has no entries.
+ * @param path {string}
+ * @returns {Promise.<Object.<string, object>>}
+ * @private
+ */
+var listTree = function (path) {
+    return FileUtil.lstat({path: path})
+        .then(function () {
+            return FileUtil.ls({path: path, recursive: true, details: true});
+        }, function (err) {
+            if (err.code !== 'ENOENT') {
+                throw err;
+            }
+            return [];
+        })
+        .then(function (fileList) {
+            return _.keyBy(fileList, function (file) {
+                return _path.relative(path, file.path);
+            });
+        });
+};
+
+/**
+ * Computes the hash of a file's contents, streamed through {@link CryptoUtil.hash}.
+ * @param options {object|string} - options object, or path
+ * @param options.path {string}
+ * @param [options.algorithm] {string} - Defaults to 'sha256'.
+ * @returns {Promise.<string>} - Hex digest.
+ */
+FileUtil.hashFile = function (options) {
+    if (_.isString(options)) {
+        options = {path: options};
+    }
+
+    var path = _.get(options, 'path');
+
+    if (_.isNil(path)) {
+        throw new Error("Missing parameter: path");
+    }
+
+    var algorithm = _.get(options, 'algorithm', 'sha256');
+
+    return FileUtil.createReadStream({path: path})
+        .then(function (readStream) {
+            return CryptoUtil.hash({data: readStream, algorithm: algorithm});
+        });
+};
+
+/**
+ * Compares the directory tree at destinationPath against the tree at sourcePath.
+ * Files are compared by size and modification time, to the second, or by size and content hash.
+ * @param options
+ * @param options.sourcePath {string}
+ * @param options.destinationPath {string}
+ * @param [options.compare] {string} - 'mtime' or 'hash'. Defaults to 'mtime'.
+ * @param [options.algorithm] {string} - Hash algorithm when comparing by hash. Defaults to 'sha256'.
+ * @returns {Promise.<{added: string[], modified: string[], deleted: string[], unchanged: string[]}>} - Paths relative to sourcePath and destinationPath. added are missing from destinationPath, deleted are only in destinationPath.
+ */
+FileUtil.diff = function (options) {
+    var sourcePath = _.get(options, 'sourcePath');
+
+    if (_.isNil(sourcePath)) {
+        throw new Error("Missing parameter: sourcePath");
+    }
+
+    sourcePath = _path.resolve(process.cwd(), sourcePath);
+    var destinationPath = _.get(options, 'destinationPath');
+
+    if (_.isNil(destinationPath)) {
+        throw new Error("Missing parameter: destinationPath");
+    }
+
+    destinationPath = _path.resolve(process.cwd(), destinationPath);
+
+    var compare = _.get(options, 'compare', 'mtime');
+    var algorithm = _.get(options, 'algorithm', 'sha256');
+
+    if (!_.includes(['mtime', 'hash'], compare)) {
+        throw new Error(sprintf("Invalid parameter: compare must be 'mtime' or 'hash', not %s", compare));
+    }
+
+    var isUnchanged = function (sourceFile, destinationFile) {
+        if (sourceFile.isDirectory || destinationFile.isDirectory) {
+            return Promise.resolve(sourceFile.isDirectory === destinationFile.isDirectory);
+        }
+        if (sourceFile.size !== destinationFile.size) {
+            return Promise.resolve(false);
+        }
+        if (compare === 'hash') {
+            return Promise.join(
+                FileUtil.hashFile({path: sourceFile.path, algorithm: algorithm}),
+                FileUtil.hashFile({path: destinationFile.path, algorithm: algorithm}),
+                function (sourceHash, destinationHash) {
+                    return sourceHash === destinationHash;
+                });
+        }
+        return Promise.resolve(Math.floor(sourceFile.mtime.getTime() / 1000) === Math.floor(destinationFile.mtime.getTime() / 1000));
+    };
+
+    return Promise.props({
+        sourceTree: listTree(sourcePath),
+        destinationTree: listTree(destinationPath)
+    })
+        .then(function (props) {
+            var sourceTree = props.sourceTree;
+            var destinationTree = props.destinationTree;
+            var changes = {added: [], modified: [], deleted: [], unchanged: []};
+
+            return Promise.each(_.keys(sourceTree), function (relativePath) {
+                var destinationFile = destinationTree[relativePath];
+                if (_.isNil(destinationFile)) {
+                    changes.added.push(relativePath);
+                    return;
+                }
+
+                return isUnchanged(sourceTree[relativePath], destinationFile)
+                    .then(function (unchanged) {
+                        changes[unchanged ? 'unchanged' : 'modified'].push(relativePath);
+                    });
+            })
+                .then(function () {
+                    changes.deleted = _.difference(_.keys(destinationTree), _.keys(sourceTree));
+                    return changes;
+                });
+        });
+};
+
+/**
+ * Mirrors the directory tree at sourcePath into destinationPath, like {@link https://rsync.samba.org/|rsync}, copying only new and changed files.
+ * Changes are found with {@link FileUtil.diff} and applied with {@link FileUtil.copy}, which preserves modification times for later comparisons.
+ * @param options
+ * @param options.sourcePath {string}
+ * @param options.destinationPath {string}
+ * @param [options.compare] {string} - 'mtime' or 'hash'. Defaults to 'mtime'.
+ * @param [options.algorithm] {string} - Hash algorithm when comparing by hash. Defaults to 'sha256'.
+ * @param [options.delete] {boolean} - Remove entries in destinationPath that are not in sourcePath.
+ * @param [options.dryRun] {boolean} - Compute the changes without applying them.
+ * @returns {Promise.<{added: string[], modified: string[], deleted: string[], unchanged: string[], failed: Array.<{path: string, error: Error}>}>} - Paths relative to sourcePath and destinationPath. deleted lists the extraneous entries, which are only removed when options.delete is set.
+ */
+FileUtil.sync = function (options) {
+    var sourcePath = _.get(options, 'sourcePath');
+
+    if (_.isNil(sourcePath)) {
+        throw new Error("Missing parameter: sourcePath");
+    }
+
+    sourcePath = _path.resolve(process.cwd(), sourcePath);
+    var destinationPath = _.get(options, 'destinationPath');
+
+    if (_.isNil(destinationPath)) {
+        throw new Error("Missing parameter: destinationPath");
+    }
+
+    destinationPath = _path.resolve(process.cwd(), destinationPath);
+
+    var deleteExtraneous = _.get(options, 'delete', false);
+    var dryRun = _.get(options, 'dryRun', false);
+
+    return FileUtil.diff(options)
+        .then(function (changes) {
+            changes.failed = [];
+
+            if (dryRun) {
+                return changes;
+            }
+
+            var recordFailure = function (relativePath) {
+                return function (err) {
+                    changes.failed.push({path: relativePath, error: err});
+                };
+            };
+
+            var copyChange = function (relativePath) {
+                var fileSourcePath = _path.resolve(sourcePath, relativePath);
+                var fileDestinationPath = _path.resolve(destinationPath, relativePath);
+
+                return FileUtil.stat({path: fileSourcePath})
+                    .then(function (fileStats) {
+                        if (fileStats.isDirectory()) {
+                            return FileUtil.lstat({path: fileDestinationPath})
+                                .then(function (destinationStats) {
+                                    if (!destinationStats.isDirectory()) {
+                                        return FileUtil.unlink({path: fileDestinationPath});
+                                    }
+                                }, _.noop)
+                                .then(function () {
+                                    return FileUtil.mkdirp({path: fileDestinationPath, mode: fileStats.mode});
+                                });
+                        }
+
+                        return FileUtil.lstat({path: fileDestinationPath})
+                            .then(function (destinationStats) {
+                                if (destinationStats.isDirectory()) {
+                                    return FileUtil.rm({path: fileDestinationPath, recursive: true});
+                                }
+                            }, _.noop)
+                            .then(function () {
+                                // force replaces a changed file that is not writable, such as a read-only copy of a read-only source file
+                                return FileUtil.copy({sourcePath: fileSourcePath, destinationPath: fileDestinationPath, dereference: true, force: true, noTargetDirectory: true});
+                            })
+                            .then(function (report) {
+                                if (!_.isEmpty(report.failed)) {
+                                    throw _.first(report.failed).error;
+                                }
+                            });
+                    })
+                    .catch(recordFailure(relativePath));
+            };
+
+            var changedPaths = _.sortBy(_.concat(changes.added, changes.modified), function (relativePath) {
+                return relativePath.split(_path.sep).length;
+            });
+
+            return FileUtil.mkdirp({path: destinationPath})
+                .then(function () {
+                    return Promise.each(changedPaths, copyChange);
+                })
+                .then(function () {
+                    if (!deleteExtraneous) {
+                        return;
+                    }
+
+                    var topLevelDeletions = _.filter(changes.deleted, function (relativePath) {
+                        return !_.includes(changes.deleted, _path.dirname(relativePath));
+                    });
+
+                    return Promise.each(topLevelDeletions, function (relativePath) {
+                        return FileUtil.rm({path: _path.resolve(destinationPath, relativePath), recursive: true})
+                            .catch(recordFailure(relativePath));
+                    });
+                })
+                .then(function () {
+                    return changes;
+                });
+        });
+};
+
+/**
+ * Watches a directory tree recursively, emitting normalised events for the files and directories within it.
+ * Each directory is watched with {@link FileUtil.watch}, and watchers are added for new subdirectories. Raw events are collected for the debounce period, and then each affected path is checked with lstat to determine what changed.
+ * If a directory cannot be watched, or if polling is set, entries are polled with {@link FileUtil.watchFile} instead.
+ *
+ * The returned watcher emits:
+ *
+ * 'add', 'addDir' (path, stats) - A file or directory was created.
+ *
+ * 'change' (path, stats) - A file's size or modification time changed.
+ *
+ * 'unlink', 'unlinkDir' (path, stats) - A file or directory was removed. stats are the last known stats.
+ *
+ * 'error' (err)
+ * @param options {object|string} - options object, or path
+ * @param options.path {string}
+ * @param [options.ignore] {string|string[]} - Glob patterns relative to path of files and directories to ignore. An ignored directory is ignored with all of its contents.
+ * @param [options.debounce] {number} - Milliseconds to collect raw events before checking the affected paths. Defaults to 100.
+ * @param [options.polling] {boolean} - Poll every entry instead of watching directories.
+ * @param [options.interval] {number} - Milliseconds between polls. Defaults to 1000.
+ * @param [options.persistent] {boolean} - Keep the process running while watching. Defaults to true.
+ * @returns {Promise.<EventEmitter>} - Resolves after the tree is scanned and watched. Call close() on the watcher to stop watching.
+ */
+FileUtil.watchTree = function (options) {
+    if (_.isString(options)) {
+        options = {path: options};
+    }
+
+    var path = _.get(options, 'path');
+
+    if (_.isNil(path)) {
+        throw new Error("Missing parameter: path");
+    }
+
+    path = _path.resolve(process.cwd(), path);
+
+    var ignore = _.castArray(_.get(options, 'ignore', []));
+    var debounce = _.get(options, 'debounce', 100);
+    var polling = _.get(options, 'polling', false);
+    var interval = _.get(options, 'interval', 1000);
+    var persistent = _.get(options, 'persistent', true);
+
+    var watcher = new EventEmitter();
+    var knownEntries = {};
+    var fsWatchers = {};
+    var pollListeners = {};
+    var polledDirectories = {};
+    var pendingPaths = {};
+    var pendingDirectories = {};
+    var flushTimer = null;
+    var flushPromise = Promise.resolve();
+    var closed = false;
+
+    var isIgnored = function (file) {
+        var relativePath = toRelativeGlobPath(path, file);
+        return relativePath !== '' && matchesAnyPatternOrParent(relativePath, ignore);
+    };
+
+    var emitError = function (err) {
+        if (!closed && watcher.listenerCount('error') > 0) {
+            watcher.emit('error', err);
+        }
+    };
+
+    var scheduleFlush = function () {
+        if (closed) {
+            return;
+        }
+        clearTimeout(flushTimer);
+        flushTimer = setTimeout(flush, debounce);
+    };
+
+    var schedulePath = function (file) {
+        pendingPaths[file] = true;
+        scheduleFlush();
+    };
+
+    var scheduleDirectory = function (directory) {
+        pendingDirectories[directory] = true;
+        scheduleFlush();
+    };
+
+    var pollPath = function (file, stats) {
+        if (stats.isDirectory()) {
+            polledDirectories[file] = true;
+        }
+
+        var listener = function () {
+            if (stats.isDirectory()) {
+                scheduleDirectory(file);
+            }
+            schedulePath(file);
+        };
+        pollListeners[file] = listener;
+
+        return FileUtil.watchFile({path: file, persistent: persistent, interval: interval, listener: listener});
+    };
+
+    var watchPath = function (file, stats) {
+        if (polling || (!stats.isDirectory() && polledDirectories[_path.dirname(file)])) {
+            return pollPath(file, stats);
+        }
+        if (!stats.isDirectory()) {
+            return Promise.resolve();
+        }
+
+        var listener = function (eventType, filename) {
+            if (_.isNil(filename)) {
+                scheduleDirectory(file);
+            } else {
+                schedulePath(_path.resolve(file, filename.toString()));
+            }
+        };
+
+        return FileUtil.watch({path: file, persistent: persistent, listener: listener})
+            .then(function (fsWatcher) {
+                fsWatchers[file] = fsWatcher;
+                fsWatcher.on('error', function () {
+                    unwatchPath(file);
+                    schedulePath(file);
+                });
+            })
+            .catch(function () {
+                return pollPath(file, stats);
+            });
+    };
+
+    var unwatchPath = function (file) {
+        if (_.has(fsWatchers, file)) {
+            fsWatchers[file].close();
+            delete fsWatchers[file];
+        }
+        if (_.has(pollListeners, file)) {
+            FileUtil.unwatchFile({path: file, listener: pollListeners[file]});
+            delete pollListeners[file];
+        }
+        delete polledDirectories[file];
+    };
+
+    var addEntry = function (file, stats, notify) {
+        knownEntries[file] = stats;
+
+        if (notify) {
+            watcher.emit(stats.isDirectory() ? 'addDir' : 'add', file, stats);
+        }
+
+        return watchPath(file, stats)
+            .then(function () {
+                if (notify && stats.isDirectory()) {
+                    return rescanDirectory(file);
+                }
+            });
+    };
+
+    var removeEntry = function (file, stats) {
+        if (stats.isDirectory()) {
+            var descendants = _.filter(_.keys(knownEntries), function (knownPath) {
+                return _.startsWith(knownPath, file + _path.sep);
+            });
+            _.each(_.sortBy(descendants, function (descendant) {
+                return -descendant.length;
+            }), function (descendant) {
+                var descendantStats = knownEntries[descendant];
+                unwatchPath(descendant);
+                delete knownEntries[descendant];
+                watcher.emit(descendantStats.isDirectory() ? 'unlinkDir' : 'unlink', descendant, descendantStats);
+            });
+        }
+
+        unwatchPath(file);
+        delete knownEntries[file];
+        watcher.emit(stats.isDirectory() ? 'unlinkDir' : 'unlink', file, stats);
+    };
+
+    var checkPath = function (file) {
+        if (closed || isIgnored(file)) {
+            return Promise.resolve();
+        }
+
+        return FileUtil.lstat({path: file})
+            .catch(function (err) {
+                if (err.code !== 'ENOENT' && err.code !== 'ENOTDIR') {
+                    throw err;
+                }
+                return null;
+            })
+            .then(function (stats) {
+                var previousStats = knownEntries[file];
+
+                if (closed) {
+                    return;
+                }
+                if (_.isNil(stats)) {
+                    if (!_.isNil(previousStats)) {
+                        removeEntry(file, previousStats);
+                    }
+                    return;
+                }
+                if (_.isNil(previousStats)) {
+                    return addEntry(file, stats, true);
+                }
+                if (previousStats.isDirectory() !== stats.isDirectory()) {
+                    removeEntry(file, previousStats);
+                    return addEntry(file, stats, true);
+                }
+
+                knownEntries[file] = stats;
+                if (!stats.isDirectory() &&
+                    (stats.size !== previousStats.size || stats.mtime.getTime() !== previousStats.mtime.getTime())) {
+                    watcher.emit('change', file, stats);
+                }
+            });
+    };
+
+    var rescanDirectory = function (directory) {
+        return FileUtil.readdir({path: directory})
+            .catch(_.constant([]))
+            .then(function (files) {
+                var currentPaths = _.map(files, function (file) {
+                    return _path.resolve(directory, file);
+                });
+                var knownPaths = _.filter(_.keys(knownEntries), function (knownPath) {
+                    return knownPath !== directory && _path.dirname(knownPath) === directory;
+                });
+                return Promise.each(_.union(currentPaths, knownPaths), checkPath);
+            });
+    };
+
+    var flush = function () {
+        var directories = _.keys(pendingDirectories);
+        var paths = _.keys(pendingPaths);
+        pendingDirectories = {};
+        pendingPaths = {};
+
+        flushPromise = flushPromise
+            .then(function () {
+                return Promise.each(directories, rescanDirectory);
+            })
+            .then(function () {
+                return Promise.each(paths, checkPath);
+            })
+            .catch(emitError);
+    };
+
+    /**
+     * Stops watching.
+     * @returns {Promise.<undefined>}
+     */
+    watcher.close = function () {
+        closed = true;
+        clearTimeout(flushTimer);
+        _.each(_.union(_.keys(fsWatchers), _.keys(pollListeners)), unwatchPath);
+        return flushPromise;
+    };
+
+    var initialEntries = [];
+    var callback = function (file, stats) {
+        if (!_.isNil(stats) && !isIgnored(file)) {
+            initialEntries.push({path: file, stats: stats});
+        }
+    };
+
+    return FileUtil.walk({path: path, callback: callback, lstat: true, prune: isIgnored})
+        .then(function () {
+            return Promise.each(initialEntries, function (entry) {
+                return addEntry(entry.path, entry.stats, false);
+            });
+        })
+        .then(function () {
+            return watcher;
+        });
+};
+
+/**
+ * Temporary files and directories to remove when the process exits, mapped to the backend they were created with.
+ * @type {Object.<string, object>}
+ * @private
+ */
+var temporaryPaths = {};
+
+/**
+ * Synchronously removes a file or directory tree, ignoring missing paths. Used on process exit, when asynchronous operations cannot complete.
+ * @param fileSystem {object} - The backend the path was created with, which need not be the current one.
+ * @param path {string}
+ * @private
+ */
+var removeSync = function (fileSystem, path) {
+    try {
+        if (fileSystem.lstatSync(path).isDirectory()) {
+            _.each(fileSystem.readdirSync(path), function (file) {
+                removeSync(fileSystem, _path.resolve(path, file));
+            });
+            fileSystem.rmdirSync(path);
+        } else {
+            fileSystem.unlinkSync(path);
+        }
+    } catch (err) {
+        if (err.code !== 'ENOENT') {
+            throw err;
+        }
+    }
+};
+
+/**
+ * Removes every registered temporary path.
+ * @private
+ */
+var removeTemporaryPathsSync = function () {
+    _.each(_.keys(temporaryPaths), function (temporaryPath) {
+        try {
+            removeSync(temporaryPaths[temporaryPath], temporaryPath);
+        } catch (err) {
+            // Best effort, the process is exiting.
+        }
+        delete temporaryPaths[temporaryPath];
+    });
+};
+
+/**
+ * Signals that end the process by default, without emitting 'exit'.
+ * @type {string[]}
+ * @private
+ */
+const TERMINATION_SIGNALS = ['SIGINT', 'SIGTERM', 'SIGHUP'];
+
+/**
+ * Removes every registered temporary path when the process receives a termination signal, then raises the signal again so that the process still ends by it.
+ * When the process has other listeners for the signal, they decide whether it exits, and the paths are removed on 'exit' instead.
+ * @param signal {string}
+ * @private
+ */
+var removeTemporaryPathsOnSignal = function (signal) {
+    if (process.listenerCount(signal) > 1) {
+        return;
+    }
+
+    removeTemporaryPathsSync();
+    _.each(TERMINATION_SIGNALS, function (terminationSignal) {
+        process.removeListener(terminationSignal, removeTemporaryPathsOnSignal);
+    });
+    process.kill(process.pid, signal);
+};
+
+/**
+ * Registers a temporary path for removal when the process exits, or is ended by a termination signal.
+ * @param path {string}
+ * @param fileSystem {object} - The backend the path was created with.
+ * @private
+ */
+var registerTemporaryPath = function (path, fileSystem) {
+    if (_.isEmpty(temporaryPaths)) {
+        process.removeListener('exit', removeTemporaryPathsSync);
+        process.once('exit', removeTemporaryPathsSync);
+        _.each(TERMINATION_SIGNALS, function (signal) {
+            process.removeListener(signal, removeTemporaryPathsOnSignal);
+            process.on(signal, removeTemporaryPathsOnSignal);
+        });
+    }
+    temporaryPaths[path] = fileSystem;
+};
+
+/**
+ * Creates a temporary directory, readable and writable only by the current user.
+ * The directory and its contents are removed when the process exits, or is ended by SIGINT, SIGTERM or SIGHUP, unless removed earlier.
+ * @param [options] {object|string} - options object, or prefix
+ * @param [options.prefix] {string} - Prefix of the directory name. Defaults to 'tmp-'.
+ * @param [options.directory] {string} - Parent directory. Defaults to os.tmpdir().
+ * @returns {Promise.<string>} - The created directory path.
+ */
+FileUtil.tempDir = function (options) {
+    if (_.isString(options)) {
+        options = {prefix: options};
+    }
+
+    var prefix = _.get(options, 'prefix', 'tmp-');
+    var directory = _path.resolve(process.cwd(), _.get(options, 'directory', os.tmpdir()));
+    var fileSystem = backend;
+
+    return FileUtil.mkdtemp({prefix: _path.join(directory, prefix), inside: false})
+        .then(function (path) {
+            registerTemporaryPath(path, fileSystem);
+            return path;
+        });
+};
+
+/**
+ * Creates an empty temporary file, readable and writable only by the current user.
+ * The file is removed when the process exits, or is ended by SIGINT, SIGTERM or SIGHUP, unless removed earlier.
+ * @param [options] {object|string} - options object, or prefix
+ * @param [options.prefix] {string} - Prefix of the file name. Defaults to 'tmp-'.
+ * @param [options.suffix] {string} - Suffix of the file name, such as an extension.
+ * @param [options.directory] {string} - Parent directory. Defaults to os.tmpdir().
+ * @param [options.mode] {number} - Defaults to 0600.
+ * @returns {Promise.<string>} - The created file path.
+ */
+FileUtil.tempFile = function (options) {
+    if (_.isString(options)) {
+        options = {prefix: options};
+    }
+
+    var prefix = _.get(options, 'prefix', 'tmp-');
+    var suffix = _.get(options, 'suffix', '');
+    var directory = _path.resolve(process.cwd(), _.get(options, 'directory', os.tmpdir()));
+    var mode = _.get(options, 'mode', parseInt('600', 8));
+    var fileSystem = backend;
+
+    var path = _path.join(directory, prefix + CryptoUtil.randomByteString(8) + suffix);
+
+    return FileUtil.open({path: path, flags: 'wx', mode: mode})
+        .then(function (fd) {
+            registerTemporaryPath(path, fileSystem);
+            return FileUtil.close({fd: fd});
+        })
+        .then(function () {
+            return path;
+        });
+};
+
+/**
+ * Creates a temporary directory with {@link FileUtil.tempDir}, calls fn with its path, and removes the directory tree with {@link FileUtil.rm} after the promise returned by fn settles.
+ * @param [options] {object|string} - Options for {@link FileUtil.tempDir}, or prefix
+ * @param fn {function(string): Promise.<T>|T}
+ * @template T
+ * @returns {Promise.<T>}
+ */
+FileUtil.withTempDir = function (options, fn) {
+    if (_.isFunction(options)) {
+        fn = options;
+        options = {};
+    }
+
+    if (!_.isFunction(fn)) {
+        throw new Error("Missing parameter: fn");
+    }
+
+    var tempDirDisposer = FileUtil.tempDir(options)
+        .disposer(function (path) {
+            return FileUtil.rm({path: path, recursive: true})
+                .then(function () {
+                    delete temporaryPaths[path];
+                });
+        });
+
+    return Promise.using(tempDirDisposer, fn);
+};
+
+/**
+ * Asynchronous {@link http://man7.org/linux/man-pages/man1/ls.1.html|ls(1)}.
+ * @param options {object|string} - options object, or path
+ * @param options.path {string}
+ * @param [options.details] {boolean} - Return entry details instead of paths. Defaults to true.
+ * @param [options.recursive] {boolean} - Defaults to true.
+ * @param [options.directory] {boolean} - List a directory itself rather than its contents, like ls -d.
+ * @param [options.all] {boolean} - Include entries whose name starts with '.'. Hidden directories are not descended into otherwise. Defaults to true.
+ * @param [options.lstat] {boolean} - Use lstat instead of stat, so that symbolic links are listed, with their link string, rather than followed.
+ * @param [options.sort] {string} - 'name', 'size' or 'mtime'. Sizes are sorted largest first and modification times newest first, like ls -S and ls -t. Defaults to walk order.
+ * @param [options.reverse] {boolean} - Reverse the sort order.
+ * @returns {Promise.<Array.<object|string>>}
+ */
+FileUtil.list = FileUtil.ls = function (options) {
+    if (_.isString(options)) {
+        options = {path: options};
+    }
+
+    var path = _.get(options, 'path');
+
+
+    if (_.isNil(path)) {
+        throw new Error("Missing parameter: path");
+    }
+    path = _path.resolve(process.cwd(), path);
+
+    var details = _.get(options, 'details', true);
+    var recursive = _.get(options, 'recursive', true);
+    var directory = _.get(options, 'directory', false);
+    var all = _.get(options, 'all', true);
+    var lstat = _.get(options, 'lstat', false);
+    var sort = _.get(options, 'sort');
+    var reverse = _.get(options, 'reverse', false);
+
+    if (!_.isNil(sort) && !_.includes(['name', 'size', 'mtime'], sort)) {
+        throw new Error(sprintf("Invalid parameter: sort must be 'name', 'size' or 'mtime', not %s", sort));
+    }
+
+    var isHidden = function (file) {
+        return file !== path && _.startsWith(_path.basename(file), '.');
+    };
+
+    var entries = [];
+    var callback = function (file, fileStats) {
+        if (path === file && fileStats.isDirectory() && !directory) {
+            return;
+        }
+        if (!all && isHidden(file)) {
+            return;
+        }
+
+        entries.push({path: file, stats: fileStats});
+    };
+
+    var prune = function (file) {
+        return !all && isHidden(file);
+    };
+
+    var walkOptions = {path: path, callback: callback, recursive: recursive, lstat: lstat, prune: prune};
+    if (directory) {
+        walkOptions.maxDepth = 0;
+    }
+
+    return FileUtil.walk(walkOptions)
+        .then(function () {
+            if (!details) {
+                return;
+            }
+
+            return Promise.each(entries, function (entry) {
+                if (entry.stats.isSymbolicLink()) {
+                    return FileUtil.readlink({path: entry.path})
+                        .then(function (linkString) {
+                            entry.linkString = linkString;
+                        });
+                }
+            });
+        })
+        .then(function () {
+            if (sort === 'name') {
+                entries = _.sortBy(entries, 'path');
+            } else if (sort === 'size') {
+                entries = _.orderBy(entries, ['stats.size', 'path'], ['desc', 'asc']);
+            } else if (sort === 'mtime') {
+                entries = _.orderBy(entries, [function (entry) {
+                    return entry.stats.mtime.getTime();
+                }, 'path'], ['desc', 'asc']);
+            }
+            if (reverse) {
+                entries.reverse();
+            }
+
+            return _.map(entries, function (entry) {
+                var fileStats = entry.stats;
+
+                if (!details) {
+                    return entry.path;
+                }
+
+                var file = {
+                    path: entry.path,
+                    isFile: fileStats.isFile(),
+                    isDirectory: fileStats.isDirectory(),
+                    isSymbolicLink: fileStats.isSymbolicLink(),
+                    mode: fileStats.mode,
+                    nlink: fileStats.nlink,
+                    uid: fileStats.uid,
+                    gid: fileStats.gid,
+                    size: fileStats.size,
+                    atime: fileStats.atime,
+                    mtime: fileStats.mtime,
+                    ctime: fileStats.ctime,
+                    birthtime: fileStats.birthtime
+                };
+                if (!_.isNil(entry.linkString)) {
+                    file.linkString = entry.linkString;
+                }
+                return file;
+            });
+        });
+};
+
+/**
+ * Formats a size like ls -h: in powers of 1024, rounded up, with one decimal below 10.
+ * @param size {number}
+ * @returns {string}
+ * @private
+ */
+var formatHumanReadableSize = function (size) {
+    var units = ['', 'K', 'M', 'G', 'T', 'P', 'E'];
+    var unitIndex = 0;
+    var value = size;
+
+    while (value >= 1024 && unitIndex < units.length - 1) {
+        value /= 1024;
+        unitIndex++;
+    }
+
+    if (unitIndex === 0) {
+        return String(size);
+    }
+    if (value < 10) {
+        value = Math.ceil(value * 10) / 10;
+        if (value < 10) {
+            return value.toFixed(1) + units[unitIndex];
+        }
+    }
+    value = Math.ceil(value);
+    if (value >= 1024 && unitIndex < units.length - 1) {
+        return '1.0' + units[unitIndex + 1];
+    }
+    return value + units[unitIndex];
+};
+
+/**
+ * Formats a mode like ls -l, such as 'drwxr-xr-x'.
+ * @param mode {number}
+ * @returns {string}
+ * @private
+ */
+var formatMode = function (mode) {
+    var types = {};
+    types[parseInt('140000', 8)] = 's';
+    types[parseInt('120000', 8)] = 'l';
+    types[parseInt('100000', 8)] = '-';
+    types[parseInt('060000', 8)] = 'b';
+    types[parseInt('040000', 8)] = 'd';
+    types[parseInt('020000', 8)] = 'c';
+    types[parseInt('010000', 8)] = 'p';
+
+    var permissions = _.map(['u', 'g', 'o'], function (className) {
+        var modeClass = MODE_CLASSES[className];
+        var rwx = (mode >> modeClass.shift) & 7;
+        var execute = rwx & 1 ? 'x' : '-';
+        if (mode & modeClass.special) {
+            var specialCharacter = className === 'o' ? 't' : 's';
+            execute = rwx & 1 ? specialCharacter : specialCharacter.toUpperCase();
+        }
+        return (rwx & 4 ? 'r' : '-') + (rwx & 2 ? 'w' : '-') + execute;
+    });
+
+    return (types[mode & parseInt('170000', 8)] || '?') + permissions.join('');
+};
+
+/**
+ * Formats a modification time like ls -l: with the time of day within six months of now, and with the year otherwise.
+ * @param date {Date}
+ * @param now {number}
+ * @returns {string}
+ * @private
+ */
+var formatListTime = function (date, now) {
+    var months = ['Jan', 'Feb', 'Mar', 'Apr', 'May', 'Jun', 'Jul', 'Aug', 'Sep', 'Oct', 'Nov', 'Dec'];
+    var sixMonths = 182.5 * 24 * 60 * 60 * 1000;
+    var recent = date.getTime() > now - sixMonths && date.getTime() <= now + 60 * 60 * 1000;
+    var timeOrYear = recent ? sprintf('%02d:%02d', date.getHours(), date.getMinutes()) : sprintf(' %d', date.getFullYear());
+    return sprintf('%s %2d %5s', months[date.getMonth()], date.getDate(), timeOrYear);
+};
+
+/**
+ * Formats entries listed by {@link FileUtil.ls} with details like ls -l, one line per entry with aligned columns: mode, link count, owner and group ids, size, modification time and name.
+ * Symbolic links listed with options.lstat are followed by their link string.
+ * @param options
+ * @param options.entries {object[]} - Entries listed by FileUtil.ls with details.
+ * @param [options.humanReadable] {boolean} - Format sizes like ls -h, such as 4.0K and 12M.
+ * @param [options.basePath] {string} - Show names relative to this path instead of full paths.
+ * @returns {Promise.<string[]>}
+ */
+FileUtil.formatLongList = function (options) {
+    var entries = _.get(options, 'entries');
+
+    if (_.isNil(entries)) {
+        throw new Error("Missing parameter: entries");
+    }
+
+    var humanReadable = _.get(options, 'humanReadable', false);
+    var basePath = _.get(options, 'basePath');
+    var now = Date.now();
+
+    if (!_.isNil(basePath)) {
+        basePath = _path.resolve(process.cwd(), basePath);
+    }
+
+    var rows = _.map(entries, function (entry) {
+        var name = _.isNil(basePath) ? entry.path : (_path.relative(basePath, entry.path) || '.');
+        if (!_.isNil(entry.linkString)) {
+            name += ' -> ' + entry.linkString;
+        }
+        return [
+            formatMode(entry.mode),
+            String(_.get(entry, 'nlink', 1)),
+            String(entry.uid),
+            String(entry.gid),
+            humanReadable ? formatHumanReadableSize(entry.size) : String(entry.size),
+            formatListTime(entry.mtime, now),
+            name
+        ];
+    });
+
+    var widths = _.map(_.range(5), function (column) {
+        return _.max(_.map(rows, function (row) {
+            return row[column].length;
+        }));
+    });
+
+    return _.map(rows, function (row) {
+        return [
+            row[0],
+            _.padStart(row[1], widths[1]),
+            _.padEnd(row[2], widths[2]),
+            _.padEnd(row[3], widths[3]),
+            _.padStart(row[4], widths[4]),
+            row[5],
+            row[6]
+        ].join(' ');
+    });
+};
+
+
+/**
+ * Checks whether path is basePath itself or below it. Both must be resolved.
+ * @param basePath {string}
+ * @param path {string}
+ * @returns {boolean}
+ * @private
+ */
+var isPathInside = function (basePath, path) {
+    var relativePath = _path.relative(basePath, path);
+    return relativePath === '' || (relativePath !== '..' && !_.startsWith(relativePath, '..' + _path.sep) && !_path.isAbsolute(relativePath));
+};
+
+/**
+ * Moves path into a {@link https://specifications.freedesktop.org/trash-spec/trashspec-latest.html|freedesktop.org trash} directory, writing a .trashinfo file so that it can be restored.
+ * The info file is created exclusively to reserve the name, which gets a numeric suffix if it is already taken.
+ * @param path {string}
+ * @param trashPath {string}
+ * @returns {Promise.<string>} - Path of the entry in the trash.
+ * @private
+ */
+var moveToTrash = function (path, trashPath) {
+    var filesPath = _path.join(trashPath, 'files');
+    var infoPath = _path.join(trashPath, 'info');
+    var name = _path.basename(path);
+    var now = new Date();
+    var deletionDate = sprintf('%04d-%02d-%02dT%02d:%02d:%02d', now.getFullYear(), now.getMonth() + 1, now.getDate(), now.getHours(), now.getMinutes(), now.getSeconds());
+    var info = sprintf('[Trash Info]\nPath=%s\nDeletionDate=%s\n', _.map(path.split(_path.sep), encodeURIComponent).join('/'), deletionDate);
+
+    var reserveName = function (attempt) {
+        var trashName = attempt === 1 ? name : sprintf('%s.%d', name, attempt);
+        var infoFilePath = _path.join(infoPath, trashName + '.trashinfo');
+
+        return FileUtil.open({path: infoFilePath, flags: 'wx', mode: parseInt('600', 8)})
+            .then(function (fd) {
+                return writeFully(fd, Buffer.from(info))
+                    .finally(function () {
+                        return FileUtil.close({fd: fd});
+                    })
+                    .then(function () {
+                        return {name: trashName, infoFilePath: infoFilePath};
+                    });
+            })
+            .catch(function (err) {
+                if (err.code !== 'EEXIST') {
+                    throw err;
+                }
+                return reserveName(attempt + 1);
+            });
+    };
+
+    return Promise.each([trashPath, filesPath, infoPath], function (directory) {
+        return FileUtil.mkdir({path: directory, mode: parseInt('700', 8)})
+            .catch(function (err) {
+                if (err.code !== 'EEXIST') {
+                    throw err;
+                }
+            });
+    })
+        .then(function () {
+            return reserveName(1);
+        })
+        .then(function (reserved) {
+            var trashedPath = _path.join(filesPath, reserved.name);
+
+            return FileUtil.move({sourcePath: path, destinationPath: trashedPath})
+                .then(function () {
+                    return trashedPath;
+                })
+                .catch(function (err) {
+                    return FileUtil.unlink({path: reserved.infoFilePath})
+                        .catch(_.noop)
+                        .then(function () {
+                            throw err;
+                        });
+                });
+        });
+};
+
+/**
+ * Asynchronous {@link http://man7.org/linux/man-pages/man1/rm.1.html|rm(1)}.
+ * Symbolic links are removed themselves and never followed. Filesystem roots are never removed.
+ * @param options
+ * @param options.path
+ * @param options.recursive - Required to remove a directory, which is otherwise rejected with EISDIR.
+ * @param [options.basePath] {string} - Refuse to remove path unless it is below this directory, after resolving symbolic links in the parent directories of path.
+ * @param [options.dryRun] {boolean} - Only list the paths that would be removed.
+ * @param [options.trash] {boolean|string} - Move path to the trash instead of removing it. true uses the user's trash directory, $XDG_DATA_HOME/Trash, a string is the trash directory to use.
+ * @param [options.concurrency] {number} - Maximum number of entries removed at a time. Defaults to 1.
+ * @returns {Promise.<string[]>} - Removed paths, in removal order. With options.trash, only path itself.
+ */
+FileUtil.remove = FileUtil.rm = function (options) {
+    if (_.isString(options)) {
+        options = {path: options};
+    }
+
+    var path = _.get(options, 'path');
+
+    if (_.isNil(path)) {
+        throw new Error("Missing parameter: path");
+    }
+    path = _path.resolve(process.cwd(), path);
+    var recursive = _.get(options, 'recursive');
+    var basePath = _.get(options, 'basePath');
+    var dryRun = _.get(options, 'dryRun', false);
+    var trash = _.get(options, 'trash', false);
+    var concurrency = _.get(options, 'concurrency', 1);
+
+    if (path === _path.parse(path).root) {
+        throw new Error(sprintf("Refusing to remove filesystem root: %s", path));
+    }
+    if (trash === true) {
+        trash = _path.join(process.env.XDG_DATA_HOME || _path.join(os.homedir(), '.local', 'share'), 'Trash');
+    }
+
+    var ignoreMissing = function (err) {
+        if (err.code !== 'ENOENT') {
+            throw err;
+        }
+    };
+
+    var checkBasePath = function () {
+        if (_.isNil(basePath)) {
+            return;
+        }
+
+        return Promise.join(
+            FileUtil.realpath({path: basePath}),
+            FileUtil.realpath({path: _path.dirname(path)}),
+            function (baseRealPath, parentRealPath) {
+                var realPath = _path.join(parentRealPath, _path.basename(path));
+                if (realPath === baseRealPath || !isPathInside(baseRealPath, realPath)) {
+                    throw new Error(sprintf("Refusing to remove %s: not below %s", path, basePath));
+                }
+            }
+        );
+    };
+
+    var listRemovals = function (pathStats) {
+        if (!pathStats.isDirectory()) {
+            return [{path: path, isDirectory: false}];
+        }
+
+        return FileUtil.ls({path: path, recursive: true, details: true, lstat: true})
+            .then(function (fileList) {
+                fileList.reverse();
+                fileList.push({path: path, isDirectory: true});
+                return fileList;
+            });
+    };
+
+    var removeEntry = function (file) {
+        var rmPromise;
+        if (file.isDirectory) {
+            rmPromise = FileUtil.rmdir({path: file.path});
+        } else {
+            rmPromise = FileUtil.unlink({path: file.path});
+        }
+
+        return rmPromise
+            .catch(ignoreMissing);
+    };
+
+    return Promise.resolve(checkBasePath())
+        .then(function () {
+            return FileUtil.lstat({path: path});
+        })
+        .then(function (pathStats) {
+            if (pathStats.isDirectory() && !recursive) {
+                var isDirectoryError = new Error(sprintf("EISDIR: illegal operation on a directory, rm '%s'", path));
+                isDirectoryError.code = 'EISDIR';
+                isDirectoryError.syscall = 'rm';
+                isDirectoryError.path = path;
+                throw isDirectoryError;
+            }
+
+            if (trash) {
+                if (dryRun) {
+                    return [path];
+                }
+                return moveToTrash(path, _path.resolve(process.cwd(), trash))
+                    .then(function () {
+                        return [path];
+                    });
+            }
+
+            return Promise.resolve(listRemovals(pathStats))
+                .then(function (fileList) {
+                    if (dryRun) {
+                        return _.map(fileList, 'path');
+                    }
+
+                    // Directories are removed after everything below them, deepest first
+                    var files = _.reject(fileList, 'isDirectory');
+                    var directoryLevels = _(fileList)
+                        .filter('isDirectory')
+                        .groupBy(function (file) {
+                            return file.path.split(_path.sep).length;
+                        })
+                        .toPairs()
+                        .sortBy(function (pair) {
+                            return -Number(pair[0]);
+                        })
+                        .map(1)
+                        .value();
+
+                    return Promise.map(files, removeEntry, {concurrency: concurrency})
+                        .then(function () {
+                            return Promise.each(directoryLevels, function (directories) {
+                                return Promise.map(directories, removeEntry, {concurrency: concurrency});
+                            });
+                        })
+                        .then(function () {
+                            return _.map(files.concat(_.flatten(directoryLevels)), 'path');
+                        });
+                });
+        });
+};
+
+/**
+ * Creates a function that runs promise returning functions with at most concurrency of them pending at a time.
+ * @param concurrency {number}
+ * @returns {function(function(): Promise.<T>): Promise.<T>}
+ * @template T
+ * @private
+ */
+var createLimiter = function (concurrency) {
+    var active = 0;
+    var waiting = [];
+
+    var next = function () {
+        if (active >= concurrency || waiting.length === 0) {
+            return;
+        }
+        active++;
+        var task = waiting.shift();
+        Promise.try(task.fn)
+            .then(task.resolve, task.reject)
+            .finally(function () {
+                active--;
+                next();
+            });
+    };
+
+    return function (fn) {
+        return new Promise(function (resolve, reject) {
+            waiting.push({fn: fn, resolve: resolve, reject: reject});
+            next();
+        });
+    };
+};
+
+/**
+ * Walk over each file/directory entry, returning an object mode stream of entries. The stream is also an async iterable.
+ * Each directory entry is emitted before the entries inside it. Directory reads and stat calls are queued and run with bounded concurrency, and the walk pauses while the consumer is not reading.
+ * Directories are read depth-first, so that the directories waiting to be read grow with the depth of the tree rather than its width.
+ * @param options
+ * @param options.path {string}
+ * @param [options.recursive] {boolean} - Defaults to true. If false, same as a maxDepth of 1.
+ * @param [options.maxDepth] {number} - Maximum depth of entries to emit. path itself is at depth 0.
+ * @param [options.lstat] {boolean} - Use lstat instead of stat, so that symbolic links are reported and not followed.
+ * @param [options.prune] {function(string, fs.Stats): boolean} - Called for each directory below path. If it returns true, the directory is still emitted but is not descended into.
+ * @param [options.concurrency] {number} - Maximum number of pending readdir and stat calls. Defaults to 8.
+ * @param [options.errorHandler] {function(Error): *} - Called on readdir and stat errors. Its return value is used in place of the stats. Defaults to rethrowing, which destroys the stream with the error.
+ * @returns {Promise.<stream.Readable>} - Stream of {path: string, stats: fs.Stats, depth: number, cycle: boolean} entries. cycle is true for a directory already visited on the path from the root, which is not descended into.
+ */
+FileUtil.walkStream = function (options) {
+    if (_.isString(options)) {
+        options = {path: options};
+    }
+
+    var path = _.get(options, 'path');
+
+    if (_.isNil(path)) {
+        throw new Error("Missing parameter: path");
+    }
+    path = _path.resolve(process.cwd(), path);
+
+    var errorHandler = _.get(options, 'errorHandler');
+    var recursive = _.get(options, 'recursive', true);
+    var maxDepth = _.get(options, 'maxDepth', recursive ? Infinity : 1);
+    var lstat = _.get(options, 'lstat', false);
+    var statFunction = lstat ? FileUtil.lstat : FileUtil.stat;
+    var prune = _.get(options, 'prune');
+    var concurrency = _.get(options, 'concurrency', 8);
+
+    if (_.isNil(errorHandler)) {
+        errorHandler = function (err) {
+            throw err;
+        }
+    }
+
+    var limit = createLimiter(concurrency);
+    var pendingDirectories = [];
+    var activeDirectories = 0;
+    var reading = false;
+    var ended = false;
+
+    var walkStream = new stream.Readable({
+        objectMode: true,
+        read: function () {
+            reading = true;
+            processQueue();
+        }
+    });
+
+    var fail = function (err) {
+        walkStream.destroy(err);
+    };
+
+    var pushEntry = function (entry) {
+        if (!walkStream.destroyed && !walkStream.push(entry)) {
+            reading = false;
+        }
+    };
+
+    var createEntry = function (entryPath, entryStats, depth, parentDirectory) {
+        var entry = {path: entryPath, stats: entryStats, depth: depth, cycle: false};
+
+        if (_.isNil(entryStats) || !entryStats.isDirectory() || depth >= maxDepth) {
+            return entry;
+        }
+
+        var identity = entryStats.dev + ':' + entryStats.ino;
+        for (var ancestor = parentDirectory; !_.isNil(ancestor); ancestor = ancestor.parent) {
+            if (ancestor.identity === identity) {
+                entry.cycle = true;
+                return entry;
+            }
+        }
+
+        if (depth > 0 && _.isFunction(prune) && prune(entryPath, entryStats)) {
+            return entry;
+        }
+
+        pendingDirectories.push({path: entryPath, depth: depth, identity: identity, parent: parentDirectory});
+        return entry;
+    };
+
+    var statEntry = function (entryPath) {
+        return limit(function () {
+            return statFunction({path: entryPath});
+        })
+            .catch(errorHandler);
+    };
+
+    var readDirectory = function (directory) {
+        activeDirectories++;
+
+        limit(function () {
+            return FileUtil.readdir({path: directory.path});
+        })
+            .catch(errorHandler)
+            .then(function (files) {
+                return Promise.map(files || [], function (file) {
+                    var filePath = _path.resolve(directory.path, file);
+                    return statEntry(filePath)
+                        .then(function (fileStats) {
+                            return {path: filePath, stats: fileStats};
+                        });
+                });
+            })
+            .then(function (results) {
+                _.each(results, function (result) {
+                    pushEntry(createEntry(result.path, result.stats, directory.depth + 1, directory));
+                });
+                activeDirectories--;
+                processQueue();
+            })
+            .catch(fail);
+    };
+
+    var processQueue = function () {
+        while (reading && !walkStream.destroyed && activeDirectories < concurrency && pendingDirectories.length > 0) {
+            readDirectory(pendingDirectories.pop());
+        }
+
+        if (activeDirectories === 0 && pendingDirectories.length === 0 && !ended) {
+            ended = true;
+            walkStream.push(null);
+        }
+    };
+
+    activeDirectories++;
+    statEntry(path)
+        .then(function (pathStats) {
+            pushEntry(createEntry(path, pathStats, 0, null));
+            activeDirectories--;
+            processQueue();
+        })
+        .catch(fail);
+
+    return walkStream;
+};
+
+/**
+ * Walk over each file/directory entry and perform callback on file stats
+ * @param options
+ * @param options.path
+ * @param options.callback
+ * @param options.recursive
+ * @param [options.maxDepth] {number} - Maximum depth of entries to walk. path itself is at depth 0.
+ * @param [options.lstat] {boolean} - Use lstat instead of stat, so that symbolic links are reported and not followed.
+ * @param [options.prune] {function(string, fs.Stats): boolean} - Called for each directory below path. If it returns true, the directory is still passed to callback but is not descended into.
+ * @param [options.concurrency] {number}
+ * @param [options.errorHandler] {function(Error): *}
+ * @see FileUtil.walkStream
+ * @returns {Promise.<undefined>}
+ */
+FileUtil.walk = function (options) {
+    if (_.isString(options)) {
+        options = {path: options};
+    }
+
+    var callback = _.get(options, 'callback');
+
+    return FileUtil.walkStream(options)
+        .then(function (walkStream) {
+            return new Promise(function (resolve, reject) {
+                walkStream.on('data', function (entry) {
+                    try {
+                        callback(entry.path, entry.stats);
+                    } catch (err) {
+                        walkStream.destroy();
+                        return reject(err);
+                    }
+                });
+                walkStream.once('end', function () {
+                    return resolve();
+                });
+                walkStream.once('error', function (err) {
+                    return reject(err);
+                });
+            });
+        });
+};
+
+
+/**
+ * Asynchronous {@link http://man7.org/linux/man-pages/man1/du.1.html|du(1)}, built on {@link FileUtil.walk}.
+ * Every directory total includes the directory itself and everything below it. A file with several hard links below path is only counted once.
+ * @param options {object|string} - options object, or path
+ * @param options.path {string}
+ * @param [options.depth] {number} - Only report directories down to this depth, like du --max-depth. path itself is at depth 0. All directories are still counted.
+ * @param [options.top] {number} - Also report the top N largest files and directories.
+ * @param [options.sortBy] {string} - 'allocatedSize' or 'apparentSize', the size to rank the top entries by. Defaults to 'allocatedSize'.
+ * @param [options.dereference] {boolean} - Follow symbolic links instead of counting the links themselves.
+ * @returns {Promise.<{path: string, apparentSize: number, allocatedSize: number, files: number, directories: Array.<{path: string, depth: number, apparentSize: number, allocatedSize: number, files: number}>, top: Array.<{path: string, isDirectory: boolean, apparentSize: number, allocatedSize: number}>}>}
+ * - apparentSize is the sum of file sizes, allocatedSize the disk space in use, from the 512 byte blocks allocated. files counts non-directory entries. top is empty unless options.top is set.
+ */
+FileUtil.du = function (options) {
+    if (_.isString(options)) {
+        options = {path: options};
+    }
+
+    var path = _.get(options, 'path');
+
+    if (_.isNil(path)) {
+        throw new Error("Missing parameter: path");
+    }
+    path = _path.resolve(process.cwd(), path);
+
+    var depth = _.get(options, 'depth', Infinity);
+    var top = _.get(options, 'top', 0);
+    var sortBy = _.get(options, 'sortBy', 'allocatedSize');
+    var dereference = _.get(options, 'dereference', false);
+
+    if (!_.includes(['allocatedSize', 'apparentSize'], sortBy)) {
+        throw new Error(sprintf("Invalid parameter: sortBy must be 'allocatedSize' or 'apparentSize', not %s", sortBy));
+    }
+
+    var directories = {};
+    var directoryList = [];
+    var largestFiles = [];
+    var seenInodes = {};
+    var total = {path: path, apparentSize: 0, allocatedSize: 0, files: 0};
+
+    var compareSize = function (a, b) {
+        return b[sortBy] - a[sortBy];
+    };
+
+    var trackLargestFile = function (file) {
+        largestFiles.push(file);
+        if (largestFiles.length >= 2 * top) {
+            largestFiles.sort(compareSize);
+            largestFiles.length = top;
+        }
+    };
+
+    var callback = function (file, fileStats) {
+        var isDirectory = fileStats.isDirectory();
+
+        if (!isDirectory && fileStats.nlink > 1) {
+            var inode = fileStats.dev + ':' + fileStats.ino;
+            if (seenInodes[inode]) {
+                return;
+            }
+            seenInodes[inode] = true;
+        }
+
+        var apparentSize = fileStats.size;
+        var allocatedSize = _.isNil(fileStats.blocks) ? fileStats.size : fileStats.blocks * 512;
+
+        if (isDirectory) {
+            var relativePath = _path.relative(path, file);
+            var directory = {
+                path: file,
+                depth: relativePath === '' ? 0 : relativePath.split(_path.sep).length,
+                apparentSize: 0,
+                allocatedSize: 0,
+                files: 0
+            };
+            directories[file] = directory;
+            directoryList.push(directory);
+        } else {
+            total.files++;
+            if (top > 0) {
+                trackLargestFile({path: file, isDirectory: false, apparentSize: apparentSize, allocatedSize: allocatedSize});
+            }
+        }
+
+        total.apparentSize += apparentSize;
+        total.allocatedSize += allocatedSize;
+
+        for (var ancestorPath = file; ; ancestorPath = _path.dirname(ancestorPath)) {
+            var ancestor = directories[ancestorPath];
+            if (!_.isNil(ancestor)) {
+                ancestor.apparentSize += apparentSize;
+                ancestor.allocatedSize += allocatedSize;
+                if (!isDirectory) {
+                    ancestor.files++;
+                }
+            }
+            if (ancestorPath === path || ancestorPath === _path.dirname(ancestorPath)) {
+                break;
+            }
+        }
+    };
+
+    return FileUtil.walk({path: path, callback: callback, lstat: !dereference})
+        .then(function () {
+            var largest = [];
+            if (top > 0) {
+                largest = _.map(directoryList, function (directory) {
+                    return {path: directory.path, isDirectory: true, apparentSize: directory.apparentSize, allocatedSize: directory.allocatedSize};
+                })
+                    .concat(largestFiles)
+                    .sort(compareSize)
+                    .slice(0, top);
+            }
+
+            return _.assign(total, {
+                directories: _.filter(directoryList, function (directory) {
+                    return directory.depth <= depth;
+                }),
+                top: largest
+            });
+        });
+};
+
+/**
+ * Tests whether a number is within an inclusive {min, max} range, or equal to it if range is a number.
+ * @param value {number}
+ * @param range {number|{min: number, max: number}}
+ * @returns {boolean}
+ * @private
+ */
+var isInRange = function (value, range) {
+    if (_.isNumber(range)) {
+        return value === range;
+    }
+    return !(value < _.get(range, 'min', -Infinity)) && !(value > _.get(range, 'max', Infinity));
+};
+
+/**
+ * Tests whether the age of a timestamp is within {olderThan, newerThan}, in milliseconds before now.
+ * @param time {Date}
+ * @param age {{olderThan: number, newerThan: number}}
+ * @param now {number}
+ * @returns {boolean}
+ * @private
+ */
+var isInAgeRange = function (time, age, now) {
+    var elapsed = now - time.getTime();
+    return !(elapsed <= _.get(age, 'olderThan', -Infinity)) && !(elapsed >= _.get(age, 'newerThan', Infinity));
+};
+
+/**
+ * Returns the find(1) style type of stats: 'file', 'directory', 'symlink' or 'other'.
+ * @param stats {fs.Stats}
+ * @returns {string}
+ * @private
+ */
+var statsType = function (stats) {
+    if (stats.isFile()) {
+        return 'file';
+    }
+    if (stats.isDirectory()) {
+        return 'directory';
+    }
+    if (stats.isSymbolicLink()) {
+        return 'symlink';
+    }
+    return 'other';
+};
+
+/**
+ * Creates a test for {@link FileUtil.find} entries from search criteria. All criteria in the object must match.
+ * @param criteria {object} - As for the options of FileUtil.find.
+ * @param rootPath {string}
+ * @param now {number}
+ * @returns {function({path: string, stats: fs.Stats}): Promise.<boolean>}
+ * @private
+ */
+var createFindPredicate = function (criteria, rootPath, now) {
+    var tests = [];
+
+    if (_.has(criteria, 'name')) {
+        var namePatterns = _.castArray(criteria.name);
+        tests.push(function (entry) {
+            return matchesAnyPattern(_path.basename(entry.path), namePatterns);
+        });
+    }
+    if (_.has(criteria, 'glob')) {
+        var globPatterns = _.castArray(criteria.glob);
+        tests.push(function (entry) {
+            return matchesAnyPattern(toRelativeGlobPath(rootPath, entry.path), globPatterns);
+        });
+    }
+    if (_.has(criteria, 'type')) {
+        var types = _.castArray(criteria.type);
+        _.each(types, function (type) {
+            if (!_.includes(['file', 'directory', 'symlink', 'other'], type)) {
+                throw new Error(sprintf("Invalid parameter: type must be 'file', 'directory', 'symlink' or 'other', not %s", type));
+            }
+        });
+        tests.push(function (entry) {
+            return _.includes(types, statsType(entry.stats));
+        });
+    }
+    if (_.has(criteria, 'size')) {
+        tests.push(function (entry) {
+            return isInRange(entry.stats.size, criteria.size);
+        });
+    }
+    if (_.has(criteria, 'mtime')) {
+        tests.push(function (entry) {
+            return isInAgeRange(entry.stats.mtime, criteria.mtime, now);
+        });
+    }
+    if (_.has(criteria, 'atime')) {
+        tests.push(function (entry) {
+            return isInAgeRange(entry.stats.atime, criteria.atime, now);
+        });
+    }
+    if (_.has(criteria, 'perm')) {
+        var perm = criteria.perm;
+        tests.push(function (entry) {
+            var mode = entry.stats.mode & parseInt('7777', 8);
+            if (_.isNumber(perm)) {
+                return mode === perm;
+            }
+            if (_.has(perm, 'all') && (mode & perm.all) !== perm.all) {
+                return false;
+            }
+            return !_.has(perm, 'any') || (mode & perm.any) !== 0;
+        });
+    }
+    if (_.has(criteria, 'uid')) {
+        tests.push(function (entry) {
+            return entry.stats.uid === criteria.uid;
+        });
+    }
+    if (_.has(criteria, 'gid')) {
+        tests.push(function (entry) {
+            return entry.stats.gid === criteria.gid;
+        });
+    }
+    if (_.has(criteria, 'empty')) {
+        tests.push(function (entry) {
+            if (entry.stats.isDirectory()) {
+                return FileUtil.readdir({path: entry.path})
+                    .then(function (files) {
+                        return _.isEmpty(files) === criteria.empty;
+                    });
+            }
+            return (entry.stats.isFile() && entry.stats.size === 0) === criteria.empty;
+        });
+    }
+    if (_.has(criteria, 'predicate')) {
+        tests.push(function (entry) {
+            return criteria.predicate(entry.path, entry.stats);
+        });
+    }
+    if (_.has(criteria, 'not')) {
+        var notPredicate = createFindPredicate(criteria.not, rootPath, now);
+        tests.push(function (entry) {
+            return notPredicate(entry)
+                .then(function (matched) {
+                    return !matched;
+                });
+        });
+    }
+    if (_.has(criteria, 'anyOf')) {
+        var anyOfPredicates = _.map(criteria.anyOf, function (alternative) {
+            return createFindPredicate(alternative, rootPath, now);
+        });
+        tests.push(function (entry) {
+            return Promise.reduce(anyOfPredicates, function (matched, predicate) {
+                return matched || predicate(entry);
+            }, false);
+        });
+    }
+
+    return function (entry) {
+        return Promise.reduce(tests, function (matched, test) {
+            return matched && test(entry);
+        }, true)
+            .then(Boolean);
+    };
+};
+
+/**
+ * Asynchronous {@link http://man7.org/linux/man-pages/man1/find.1.html|find(1)}: walks path with {@link FileUtil.walkStream} and matches each entry against the search criteria, then applies an action to the matches.
+ * All criteria given must match. Criteria objects combine with not and anyOf, e.g. {type: 'file', anyOf: [{name: '*.log'}, {size: {min: 1048576}}]}.
+ * @param options {object|string} - options object, or path
+ * @param options.path {string}
+ * @param [options.name] {string|string[]} - Glob patterns matched against the base name.
+ * @param [options.glob] {string|string[]} - Glob patterns matched against the path relative to options.path.
+ * @param [options.type] {string|string[]} - 'file', 'directory', 'symlink' or 'other'.
+ * @param [options.size] {number|{min: number, max: number}} - Size in bytes, exactly or within an inclusive range.
+ * @param [options.mtime] {{olderThan: number, newerThan: number}} - Modification time age in milliseconds.
+ * @param [options.atime] {{olderThan: number, newerThan: number}} - Access time age in milliseconds.
+ * @param [options.perm] {number|{all: number, any: number}} - Permission bits, exactly, or with all or any of the given bits set.
+ * @param [options.uid] {number}
+ * @param [options.gid] {number}
+ * @param [options.empty] {boolean} - Empty files and directories.
+ * @param [options.predicate] {function(string, fs.Stats): boolean|Promise.<boolean>}
+ * @param [options.not] {object} - Criteria that must not match.
+ * @param [options.anyOf] {object[]} - Criteria of which at least one must match.
+ * @param [options.minDepth] {number} - Defaults to 1, so that path itself is not matched.
+ * @param [options.maxDepth] {number}
+ * @param [options.dereference] {boolean} - Follow symbolic links instead of matching the links themselves.
+ * @param [options.errorHandler] {function(Error): *} - As for FileUtil.walkStream. Entries it returns no stats for are not matched.
+ * @param [options.action] {string|function(string, fs.Stats): Promise} - 'collect', 'delete' or 'chmod', or a function called for each match. Defaults to 'collect'. Matches are deleted deepest first, and directories only if they are empty by then.
+ * @param [options.mode] {number} - Mode to set with the 'chmod' action.
+ * @param [options.dryRun] {boolean} - Match without applying the action.
+ * @returns {Promise.<{matched: Array.<{path: string, stats: fs.Stats}>, failed: Array.<{path: string, error: Error}>}>} - failed lists the matches the action failed on.
+ */
+FileUtil.find = function (options) {
+    if (_.isString(options)) {
+        options = {path: options};
+    }
+
+    var path = _.get(options, 'path');
+
+    if (_.isNil(path)) {
+        throw new Error("Missing parameter: path");
+    }
+    path = _path.resolve(process.cwd(), path);
+
+    var minDepth = _.get(options, 'minDepth', 1);
+    var action = _.get(options, 'action', 'collect');
+    var mode = _.get(options, 'mode');
+    var dryRun = _.get(options, 'dryRun', false);
+
+    if (!_.isFunction(action) && !_.includes(['collect', 'delete', 'chmod'], action)) {
+        throw new Error(sprintf("Invalid parameter: action must be 'collect', 'delete', 'chmod' or a function, not %s", action));
+    }
+
+    if (action === 'chmod' && _.isNil(mode)) {
+        throw new Error("Missing parameter: mode");
+    }
+
+    var matches = createFindPredicate(_.omit(options, ['path', 'action', 'mode', 'dryRun']), path, Date.now());
+    var result = {matched: [], failed: []};
+
+    var applyAction = function (entry) {
+        if (action === 'delete') {
+            return entry.stats.isDirectory() ? FileUtil.rmdir({path: entry.path}) : FileUtil.unlink({path: entry.path});
+        }
+        if (action === 'chmod') {
+            return FileUtil.chmod({path: entry.path, mode: mode});
+        }
+        return action(entry.path, entry.stats);
+    };
+
+    return FileUtil.walkStream({
+        path: path,
+        maxDepth: _.get(options, 'maxDepth'),
+        lstat: !_.get(options, 'dereference', false),
+        errorHandler: _.get(options, 'errorHandler')
+    })
+        .then(function (walkStream) {
+            return new Promise(function (resolve, reject) {
+                // The stream can end while the last entry is still being matched
+                var matching = Promise.resolve();
+
+                walkStream.on('data', function (entry) {
+                    // An errorHandler can return null in place of the stats of an entry it could not stat
+                    if (entry.depth < minDepth || _.isNil(entry.stats)) {
+                        return;
+                    }
+
+                    walkStream.pause();
+                    matching = matches(entry)
+                        .then(function (matched) {
+                            if (matched) {
+                                result.matched.push({path: entry.path, stats: entry.stats});
+                            }
+                            walkStream.resume();
+                        }, function (err) {
+                            walkStream.destroy();
+                            reject(err);
+                        });
+                });
+                walkStream.once('end', function () {
+                    matching.then(resolve);
+                });
+                walkStream.once('error', reject);
+            });
+        })
+        .then(function () {
+            if (dryRun || action === 'collect') {
+                return;
+            }
+
+            var entries = action === 'delete' ? _.reverse(_.sortBy(result.matched, 'path')) : result.matched;
+            return Promise.each(entries, function (entry) {
+                return Promise.try(function () {
+                    return applyAction(entry);
+                })
+                    .catch(function (err) {
+                        result.failed.push({path: entry.path, error: err});
+                    });
+            });
+        })
+        .then(function () {
+            return result;
+        });
+};
+
+/**
+ * Recursive {@link http://man7.org/linux/man-pages/man1/chmod.1.html|chmod -R}, built on {@link FileUtil.walk}.
+ * Modes are numeric, or octal or symbolic mode strings such as 'u+rwX,go-w'. Symbolic links are neither followed nor changed.
+ * The whole tree is walked before any change is made, and changes are applied deepest first.
+ * @param options
+ * @param options.path {string}
+ * @param [options.mode] {number|string} - Mode for files and directories without a more specific mode.
+ * @param [options.fileMode] {number|string} - Mode for files.
+ * @param [options.directoryMode] {number|string} - Mode for directories.
+ * @param [options.dryRun] {boolean} - Report the changes without making them.
+ * @returns {Promise.<{changed: Array.<{path: string, from: number, to: number}>, unchanged: string[], failed: Array.<{path: string, error: Error}>}>} - Modes are permission bits.
+ */
+FileUtil.chmodTree = function (options) {
+    var path = _.get(options, 'path');
+
+    if (_.isNil(path)) {
+        throw new Error("Missing parameter: path");
+    }
+    path = _path.resolve(process.cwd(), path);
+
+    var mode = _.get(options, 'mode');
+    var fileMode = _.get(options, 'fileMode', mode);
+    var directoryMode = _.get(options, 'directoryMode', mode);
+    var dryRun = _.get(options, 'dryRun', false);
+
+    if (_.isNil(fileMode) && _.isNil(directoryMode)) {
+        throw new Error("Missing parameter: mode");
+    }
+
+    var computeFileMode = _.isNil(fileMode) ? null : parseMode(fileMode);
+    var computeDirectoryMode = _.isNil(directoryMode) ? null : parseMode(directoryMode);
+    var permissionBits = parseInt('7777', 8);
+    var report = {changed: [], unchanged: [], failed: []};
+
+    var callback = function (file, fileStats) {
+        if (fileStats.isSymbolicLink()) {
+            return;
+        }
+
+        var isDirectory = fileStats.isDirectory();
+        var computeMode = isDirectory ? computeDirectoryMode : computeFileMode;
+        if (_.isNil(computeMode)) {
+            return;
+        }
+
+        var currentMode = fileStats.mode & permissionBits;
+        var newMode = computeMode(currentMode, isDirectory);
+        if (newMode === currentMode) {
+            report.unchanged.push(file);
+        } else {
+            report.changed.push({path: file, from: currentMode, to: newMode});
+        }
+    };
+
+    return FileUtil.walk({path: path, callback: callback, lstat: true})
+        .then(function () {
+            if (dryRun) {
+                return;
+            }
+
+            return Promise.each(report.changed.slice().reverse(), function (change) {
+                return FileUtil.chmod({path: change.path, mode: change.to})
+                    .catch(function (err) {
+                        report.failed.push({path: change.path, error: err});
+                    });
+            });
+        })
+        .then(function () {
+            return report;
+        });
+};
+
+/**
+ * Recursive {@link http://man7.org/linux/man-pages/man1/chown.1.html|chown -R}, built on {@link FileUtil.walk}. Symbolic links are neither followed nor changed.
+ * @param options
+ * @param options.path {string}
+ * @param [options.uid] {number} - Defaults to leaving the owner unchanged.
+ * @param [options.gid] {number} - Defaults to leaving the group unchanged.
+ * @param [options.dryRun] {boolean} - Report the changes without making them.
+ * @returns {Promise.<{changed: Array.<{path: string, from: {uid: number, gid: number}, to: {uid: number, gid: number}}>, unchanged: string[], failed: Array.<{path: string, error: Error}>}>}
+ */
+FileUtil.chownTree = function (options) {
+    var path = _.get(options, 'path');
+
+    if (_.isNil(path)) {
+        throw new Error("Missing parameter: path");
+    }
+    path = _path.resolve(process.cwd(), path);
+
+    var uid = _.get(options, 'uid', -1);
+    var gid = _.get(options, 'gid', -1);
+    var dryRun = _.get(options, 'dryRun', false);
+
+    if (uid === -1 && gid === -1) {
+        throw new Error("Missing parameter: uid or gid");
+    }
+
+    var report = {changed: [], unchanged: [], failed: []};
+
+    var callback = function (file, fileStats) {
+        if (fileStats.isSymbolicLink()) {
+            return;
+        }
+
+        var newOwner = {
+            uid: uid === -1 ? fileStats.uid : uid,
+            gid: gid === -1 ? fileStats.gid : gid
+        };
+        if (newOwner.uid === fileStats.uid && newOwner.gid === fileStats.gid) {
+            report.unchanged.push(file);
+        } else {
+            report.changed.push({path: file, from: {uid: fileStats.uid, gid: fileStats.gid}, to: newOwner});
+        }
+    };
+
+    return FileUtil.walk({path: path, callback: callback, lstat: true})
+        .then(function () {
+            if (dryRun) {
+                return;
+            }
+
+            return Promise.each(report.changed, function (change) {
+                return FileUtil.chown({path: change.path, uid: change.to.uid, gid: change.to.gid})
+                    .catch(function (err) {
+                        report.failed.push({path: change.path, error: err});
+                    });
+            });
+        })
+        .then(function () {
+            return report;
+        });
+};
+
+/**
+ * Hash algorithms of checksum manifests, by hex digest length.
+ * @type {Object.<number, string>}
+ * @private
+ */
+var CHECKSUM_ALGORITHMS = {32: 'md5', 40: 'sha1', 64: 'sha256', 96: 'sha384', 128: 'sha512'};
+
+/**
+ * Formats a manifest as {@link http://man7.org/linux/man-pages/man1/sha256sum.1.html|sha256sum(1)} compatible lines, escaping file names as GNU coreutils does.
+ * @param manifest {object}
+ * @returns {string}
+ * @private
+ */
+var formatChecksumManifest = function (manifest) {
+    return _.map(_.sortBy(_.keys(manifest.files)), function (relativePath) {
+        var hash = manifest.files[relativePath].hash;
+        if (/[\\\n\r]/.test(relativePath)) {
+            return sprintf('\\%s  %s\n', hash, relativePath.replace(/\\/g, '\\\\').replace(/\n/g, '\\n').replace(/\r/g, '\\r'));
+        }
+        return sprintf('%s  %s\n', hash, relativePath);
+    }).join('');
+};
+
+/**
+ * Parses sha256sum(1) style checksum lines into a manifest, inferring the algorithm from the digest length.
+ * @param text {string}
+ * @param path {string} - Manifest path, for error messages.
+ * @returns {object}
+ * @private
+ */
+var parseChecksumManifest = function (text, path) {
+    var manifest = {algorithm: null, files: {}, links: {}};
+
+    _.each(text.split('\n'), function (line, index) {
+        line = _.trimEnd(line, '\r');
+        if (_.isEmpty(line)) {
+            return;
+        }
+
+        var match = /^(\\?)([0-9a-fA-F]+) [ *](.+)$/.exec(line);
+        if (_.isNil(match)) {
+            throw new SyntaxError(sprintf('%s:%d: Invalid checksum line', path, index + 1));
+        }
+
+        var relativePath = match[3];
+        if (match[1] === '\\') {
+            relativePath = relativePath.replace(/\\(\\|n|r)/g, function (escape, character) {
+                return {'\\': '\\', n: '\n', r: '\r'}[character];
+            });
+        }
+
+        manifest.algorithm = manifest.algorithm || CHECKSUM_ALGORITHMS[match[2].length] || null;
+        manifest.files[relativePath] = {hash: match[2].toLowerCase()};
+    });
+
+    return manifest;
+};
+
+/**
+ * Creates an integrity manifest of the files under path, walked with {@link FileUtil.walk}: the size, permission bits and content hash of each regular file, and the target of each symbolic link, keyed by their path relative to path.
+ * Directories are not listed, and symbolic links are not followed.
+ * @param options {object|string} - options object, or path
+ * @param options.path {string}
+ * @param [options.algorithm] {string} - Defaults to 'sha256'.
+ * @param [options.exclude] {string[]} - Glob patterns of relative paths to leave out, with their contents.
+ * @param [options.concurrency] {number} - Maximum number of files hashed at a time. Defaults to 4.
+ * @returns {Promise.<{algorithm: string, files: Object.<string, {size: number, mode: number, hash: string}>, links: Object.<string, string>}>}
+ */
+FileUtil.createManifest = function (options) {
+    if (_.isString(options)) {
+        options = {path: options};
+    }
+
+    var path = _.get(options, 'path');
+
+    if (_.isNil(path)) {
+        throw new Error("Missing parameter: path");
+    }
+    path = _path.resolve(process.cwd(), path);
+
+    var algorithm = _.get(options, 'algorithm', 'sha256');
+    var exclude = _.castArray(_.get(options, 'exclude', []));
+    var concurrency = _.get(options, 'concurrency', 4);
+
+    var files = [];
+    var links = [];
+    var callback = function (file, fileStats) {
+        if (fileStats.isFile()) {
+            files.push({path: file, relativePath: toRelativeGlobPath(path, file), stats: fileStats});
+        } else if (fileStats.isSymbolicLink()) {
+            links.push({path: file, relativePath: toRelativeGlobPath(path, file)});
+        }
+    };
+
+    var prune = function (directory) {
+        return matchesAnyPattern(toRelativeGlobPath(path, directory), exclude);
+    };
+
+    var isIncluded = function (file) {
+        return !matchesAnyPatternOrParent(file.relativePath, exclude);
+    };
+
+    return FileUtil.walk({path: path, callback: callback, lstat: true, prune: prune})
+        .then(function () {
+            files = _.filter(files, isIncluded);
+            links = _.filter(links, isIncluded);
+
+            return Promise.props({
+                hashes: Promise.map(files, function (file) {
+                    return FileUtil.hashFile({path: file.path, algorithm: algorithm});
+                }, {concurrency: concurrency}),
+                targets: Promise.map(links, function (link) {
+                    return FileUtil.readlink({path: link.path});
+                }, {concurrency: concurrency})
+            });
+        })
+        .then(function (props) {
+            var manifest = {algorithm: algorithm, files: {}, links: {}};
+            _.each(_.sortBy(_.zip(files, props.hashes), '0.relativePath'), function (pair) {
+                manifest.files[pair[0].relativePath] = {
+                    size: pair[0].stats.size,
+                    mode: pair[0].stats.mode & parseInt('7777', 8),
+                    hash: pair[1]
+                };
+            });
+            _.each(_.sortBy(_.zip(links, props.targets), '0.relativePath'), function (pair) {
+                manifest.links[pair[0].relativePath] = pair[1];
+            });
+            return manifest;
+        });
+};
+
+/**
+ * Writes a manifest created by {@link FileUtil.createManifest} atomically, as JSON or as sha256sum(1) compatible checksum lines.
+ * The checksum format only records hashes, so verifying against it does not compare sizes or modes, and reports symbolic links as extra.
+ * @param options
+ * @param options.path {string} - Manifest file to write.
+ * @param options.manifest {object}
+ * @param [options.format] {string} - 'json' or 'checksum'. Defaults to 'json'.
+ * @returns {Promise.<undefined>}
+ */
+FileUtil.writeManifest = function (options) {
+    var path = _.get(options, 'path');
+
+    if (_.isNil(path)) {
+        throw new Error("Missing parameter: path");
+    }
+
+    var manifest = _.get(options, 'manifest');
+
+    if (_.isNil(manifest)) {
+        throw new Error("Missing parameter: manifest");
+    }
+
+    var format = _.get(options, 'format', 'json');
+
+    if (format === 'json') {
+        return FileUtil.writeJson({path: path, data: manifest, spaces: 2, sortKeys: true, atomic: true});
+    }
+    if (format === 'checksum') {
+        return FileUtil.atomicWriteFile({path: path, data: formatChecksumManifest(manifest)});
+    }
+    throw new Error(sprintf("Invalid parameter: format must be 'json' or 'checksum', not %s", format));
+};
+
+/**
+ * Reads a manifest written by {@link FileUtil.writeManifest}, or by sha256sum(1) and similar tools, detecting its format.
+ * @param options {object|string} - options object, or path
+ * @param options.path {string}
+ * @returns {Promise.<{algorithm: ?string, files: Object.<string, {size: number, mode: number, hash: string}>, links: Object.<string, string>}>} - Checksum manifests only have hashes, and their algorithm is inferred from the hash length.
+ */
+FileUtil.readManifest = function (options) {
+    if (_.isString(options)) {
+        options = {path: options};
+    }
+
+    var path = _.get(options, 'path');
+
+    if (_.isNil(path)) {
+        throw new Error("Missing parameter: path");
+    }
+    path = _path.resolve(process.cwd(), path);
+
+    return FileUtil.readFile({path: path, encoding: 'utf8'})
+        .then(function (text) {
+            text = _.trimStart(text, '\uFEFF');
+            if (_.startsWith(_.trimStart(text), '{')) {
+                return parseJson(text, path);
+            }
+            return parseChecksumManifest(text, path);
+        });
+};
+
+/**
+ * Verifies the files under path against a manifest. Files are compared by size and mode, where the manifest has them, and by content hash. Symbolic links are compared by target, and reported as extra if the manifest does not list them.
+ * @param options
+ * @param options.path {string}
+ * @param [options.manifest] {object} - Manifest created by FileUtil.createManifest.
+ * @param [options.manifestPath] {string} - Manifest file to read with FileUtil.readManifest, if manifest is not given. It is not reported as extra if it is under path.
+ * @param [options.algorithm] {string} - Defaults to the manifest's algorithm.
+ * @param [options.exclude] {string[]} - Glob patterns of relative paths to leave out, with their contents.
+ * @param [options.concurrency] {number} - Maximum number of files hashed at a time. Defaults to 4.
+ * @returns {Promise.<{missing: string[], extra: string[], modified: string[], unchanged: string[]}>} - Paths relative to path. missing are in the manifest but not under path, extra are under path but not in the manifest.
+ */
+FileUtil.verifyManifest = function (options) {
+    var path = _.get(options, 'path');
+
+    if (_.isNil(path)) {
+        throw new Error("Missing parameter: path");
+    }
+    path = _path.resolve(process.cwd(), path);
+
+    var manifest = _.get(options, 'manifest');
+    var manifestPath = _.get(options, 'manifestPath');
+
+    if (_.isNil(manifest) && _.isNil(manifestPath)) {
+        throw new Error("Missing parameters: manifest or manifestPath");
+    }
+
+    var exclude = _.castArray(_.get(options, 'exclude', []));
+    if (!_.isNil(manifestPath)) {
+        manifestPath = _path.resolve(process.cwd(), manifestPath);
+        exclude = exclude.concat(toRelativeGlobPath(path, manifestPath));
+    }
+
+    var manifestPromise = _.isNil(manifest) ? FileUtil.readManifest({path: manifestPath}) : Promise.resolve(manifest);
+
+    return manifestPromise
+        .then(function (expected) {
+            var algorithm = _.get(options, 'algorithm', expected.algorithm);
+
+            if (_.isNil(algorithm)) {
+                throw new Error("Missing parameter: algorithm");
+            }
+
+            var expectedLinks = _.get(expected, 'links', {});
+            var files = {};
+            var callback = function (file, fileStats) {
+                if (fileStats.isFile() || fileStats.isSymbolicLink()) {
+                    files[toRelativeGlobPath(path, file)] = {path: file, stats: fileStats};
+                }
+            };
+
+            var prune = function (directory) {
+                return matchesAnyPattern(toRelativeGlobPath(path, directory), exclude);
+            };
+
+            return FileUtil.walk({path: path, callback: callback, lstat: true, prune: prune})
+                .then(function () {
+                    files = _.omitBy(files, function (file, relativePath) {
+                        return matchesAnyPatternOrParent(relativePath, exclude);
+                    });
+
+                    var expectedPaths = _.sortBy(_.union(_.keys(expected.files), _.keys(expectedLinks)));
+                    var result = {
+                        missing: _.difference(expectedPaths, _.keys(files)),
+                        extra: _.sortBy(_.difference(_.keys(files), expectedPaths)),
+                        modified: [],
+                        unchanged: []
+                    };
+
+                    var isUnchanged = function (relativePath) {
+                        var entry = expected.files[relativePath];
+                        var stats = files[relativePath].stats;
+                        var isExpectedLink = _.has(expectedLinks, [relativePath]);
+                        if (isExpectedLink || stats.isSymbolicLink()) {
+                            if (!isExpectedLink || !stats.isSymbolicLink()) {
+                                return Promise.resolve(false);
+                            }
+                            return FileUtil.readlink({path: files[relativePath].path})
+                                .then(function (target) {
+                                    return target === expectedLinks[relativePath];
+                                });
+                        }
+                        if ((_.has(entry, 'size') && entry.size !== stats.size) ||
+                            (_.has(entry, 'mode') && entry.mode !== (stats.mode & parseInt('7777', 8)))) {
+                            return Promise.resolve(false);
+                        }
+                        return FileUtil.hashFile({path: files[relativePath].path, algorithm: algorithm})
+                            .then(function (hash) {
+                                return hash === _.toLower(entry.hash);
+                            });
+                    };
+
+                    var presentPaths = _.intersection(expectedPaths, _.keys(files));
+                    return Promise.map(presentPaths, isUnchanged, {concurrency: _.get(options, 'concurrency', 4)})
+                        .then(function (unchanged) {
+                            _.each(presentPaths, function (relativePath, index) {
+                                result[unchanged[index] ? 'unchanged' : 'modified'].push(relativePath);
+                            });
+                            return result;
+                        });
+                });
+        });
+};
+
+/**
+ * Finds the offset of the start of the last lines of a file, reading backwards from size.
+ * A newline at the very end of the file does not start another line.
+ * @param fd {number}
+ * @param size {number}
+ * @param lines {number}
+ * @returns {Promise.<number>}
+ * @private
+ */
+var findLastLinesOffset = function (fd, size, lines) {
+    var chunkSize = 65536;
+    var newlines = 0;
+
+    if (lines <= 0) {
+        return Promise.resolve(size);
+    }
+
+    var scan = function (end) {
+        if (end <= 0) {
+            return Promise.resolve(0);
+        }
+
+        var start = Math.max(0, end - chunkSize);
+        return FileUtil.read({fd: fd, buffer: Buffer.alloc(end - start), offset: 0, length: end - start, position: start})
+            .then(function (result) {
+                for (var i = result.bytesRead - 1; i >= 0; i--) {
+                    if (result.buffer[i] === 0x0a && start + i !== size - 1) {
+                        newlines++;
+                        if (newlines === lines) {
+                            return start + i + 1;
+                        }
+                    }
+                }
+                return scan(start);
+            });
+    };
+
+    return scan(size);
+};
+
+/**
+ * Follows a file like {@link http://man7.org/linux/man-pages/man1/tail.1.html|tail -F}: emits its last lines, then each line appended to it.
+ * The file is polled with {@link FileUtil.stat}. If it is truncated, it is read again from the start; if it is replaced, as by log rotation, the rest of the old file is read before switching to the new one.
+ * The stream emits 'truncate' and 'rotate' events when that happens. A file that is missing after a rotation is waited for.
+ * @param options {object|string} - options object, or path
+ * @param options.path {string}
+ * @param [options.lines] {number} - Number of existing lines to emit first. Defaults to 10.
+ * @param [options.follow] {boolean} - Keep emitting appended lines until stopped. Defaults to true.
+ * @param [options.interval] {number} - Polling interval in milliseconds. Defaults to 1000.
+ * @param [options.encoding] {string} - Defaults to 'utf8'.
+ * @returns {Promise.<stream.Readable>} - Object mode stream of lines, without their line endings. Its stop() method stops following, emits any unterminated last line and ends the stream.
+ */
+FileUtil.tail = function (options) {
+    if (_.isString(options)) {
+        options = {path: options};
+    }
+
+    var path = _.get(options, 'path');
+
+    if (_.isNil(path)) {
+        throw new Error("Missing parameter: path");
+    }
+    path = _path.resolve(process.cwd(), path);
+
+    var lines = _.get(options, 'lines', 10);
+    var follow = _.get(options, 'follow', true);
+    var interval = _.get(options, 'interval', 1000);
+    var encoding = _.get(options, 'encoding', 'utf8');
+    var chunkSize = 65536;
+
+    var fd = null;
+    var ino = null;
+    var position = 0;
+    var decoder = new StringDecoder(encoding);
+    var partialLine = '';
+    var reading = false;
+    var polling = false;
+    var stopped = false;
+    var timer = null;
+    var activePoll = Promise.resolve();
+
+    var closeFile = function () {
+        if (_.isNil(fd)) {
+            return Promise.resolve();
+        }
+        var closingFd = fd;
+        fd = null;
+        return FileUtil.close({fd: closingFd});
+    };
+
+    var flushPartialLine = function () {
+        var rest = partialLine + decoder.end();
+        partialLine = '';
+        if (!_.isEmpty(rest)) {
+            tailStream.push(_.trimEnd(rest, '\r'));
+        }
+    };
+
+    var pushText = function (text) {
+        var textLines = (partialLine + text).split('\n');
+        partialLine = textLines.pop();
+        _.each(textLines, function (line) {
+            if (!tailStream.push(_.trimEnd(line, '\r'))) {
+                reading = false;
+            }
+        });
+    };
+
+    var readAvailable = function (bytesRead) {
+        if (!reading || stopped) {
+            return Promise.resolve(bytesRead);
+        }
+
+        return FileUtil.read({fd: fd, buffer: Buffer.alloc(chunkSize), offset: 0, length: chunkSize, position: position})
+            .then(function (result) {
+                if (result.bytesRead === 0 || stopped) {
+                    return bytesRead;
+                }
+                position += result.bytesRead;
+                pushText(decoder.write(result.buffer.slice(0, result.bytesRead)));
+                return readAvailable(bytesRead + result.bytesRead);
+            });
+    };
+
+    var checkFile = function () {
+        return FileUtil.stat({path: path})
+            .then(function (stats) {
+                if (stopped) {
+                    return;
+                }
+                if (stats.ino !== ino) {
+                    flushPartialLine();
+                    return closeFile()
+                        .then(function () {
+                            return FileUtil.open({path: path, flags: 'r'});
+                        })
+                        .then(function (newFd) {
+                            fd = newFd;
+                            ino = stats.ino;
+                            position = 0;
+                            tailStream.emit('rotate', path);
                         });
-                    })
-                    .then(function () {
-                        return FileUtil.rm({path: sourcePath});
-                    });
+                }
+                if (stats.size < position) {
+                    flushPartialLine();
+                    position = 0;
+                    tailStream.emit('truncate', path);
+                }
+            }, function (err) {
+                if (err.code !== 'ENOENT') {
+                    throw err;
+                }
+            });
+    };
+
+    var stop = function () {
+        if (stopped) {
+            return Promise.resolve();
+        }
+        stopped = true;
+        clearTimeout(timer);
+        flushPartialLine();
+        tailStream.push(null);
+        return activePoll
+            .catch(_.noop)
+            .then(closeFile);
+    };
+
+    var poll = function () {
+        timer = null;
+        if (polling || stopped || !reading) {
+            return;
+        }
+        polling = true;
+
+        activePoll = readAvailable(0)
+            .then(function (bytesRead) {
+                if (!follow && reading && !stopped) {
+                    stopped = true;
+                    flushPartialLine();
+                    tailStream.push(null);
+                    return closeFile();
+                }
+                if (bytesRead === 0 && reading && !stopped) {
+                    return checkFile();
+                }
+            })
+            .then(function () {
+                polling = false;
+                if (!stopped && reading) {
+                    timer = setTimeout(poll, interval);
+                }
+            }, function (err) {
+                polling = false;
+                tailStream.destroy(err);
+            });
+    };
+
+    var tailStream = new stream.Readable({
+        objectMode: true,
+        read: function () {
+            reading = true;
+            if (!_.isNil(fd) && _.isNil(timer)) {
+                poll();
+            }
+        },
+        destroy: function (err, callback) {
+            stopped = true;
+            clearTimeout(timer);
+            activePoll
+                .catch(_.noop)
+                .then(closeFile)
+                .catch(_.noop)
+                .then(function () {
+                    callback(err);
+                });
+        }
+    });
+
+    tailStream.stop = stop;
+
+    return FileUtil.open({path: path, flags: 'r'})
+        .then(function (openedFd) {
+            fd = openedFd;
+            return FileUtil.stat({path: path});
+        })
+        .then(function (stats) {
+            ino = stats.ino;
+            return findLastLinesOffset(fd, stats.size, lines);
+        })
+        .then(function (offset) {
+            position = offset;
+            if (reading) {
+                poll();
             }
+            return tailStream;
+        }, function (err) {
+            return closeFile()
+                .catch(_.noop)
+                .then(function () {
+                    throw err;
+                });
         });
 };
 
 /**
- * Asynchronous {@link http://man7.org/linux/man-pages/man1/ls.1.html|ls(1)}.
- * @param options
- * @param options.path
- * @param options.details
- * @param options.recursive
- * @returns {Promise.<Array.<object|string>>}
+ * Reads a file line by line, without loading it into memory, over {@link FileUtil.createReadStream}.
+ * @param options {object|string} - options object, or path
+ * @param options.path {string}
+ * @param [options.encoding] {string} - Defaults to 'utf8'. A UTF-8 byte order mark is not included in the first line.
+ * @param [options.lineEnding] {string} - 'auto' to split lines at '\n' and '\r\n', or the exact line ending, such as '\r'. Defaults to 'auto'.
+ * @param [options.start] {number} - Byte offset to start reading at. Defaults to 0.
+ * @param [options.highWaterMark] {number} - Size of the chunks read from the file.
+ * @returns {Promise.<stream.Readable>} - Object mode stream of {line: string, number: number, offset: number, ending: string} entries, also an async iterable.
+ * number counts lines from 1, offset is the byte offset of the start of the line in the file, and ending is the line ending that followed it, empty for an unterminated last line.
  */
-FileUtil.list = FileUtil.ls = function (options) {
+FileUtil.readLines = function (options) {
     if (_.isString(options)) {
         options = {path: options};
     }
 
     var path = _.get(options, 'path');
 
-
     if (_.isNil(path)) {
         throw new Error("Missing parameter: path");
     }
-    path = _path.resolve(process.cwd(), path);
 
-    var details = _.get(options, 'details', true);
-    var recursive = _.get(options, 'recursive', true);
-    var directory = _.get(options, 'directory');
-    // TODO: Implement directory
+    var encoding = _.get(options, 'encoding', 'utf8');
+    var lineEnding = _.get(options, 'lineEnding', 'auto');
+    var start = _.get(options, 'start', 0);
 
+    if (!Buffer.isEncoding(encoding)) {
+        throw new Error(sprintf('Invalid parameter: unknown encoding %s', encoding));
+    }
 
-    var fileList = [];
-    var callback = function (file, fileStats) {
-        if (path === file && fileStats.isDirectory()) {
-            return;
-        }
+    var autoLineEnding = lineEnding === 'auto';
+    var separator = Buffer.from(autoLineEnding ? '\n' : lineEnding, encoding);
+    var carriageReturn = Buffer.from('\r', encoding);
+    var byteOrderMark = Buffer.from('\uFEFF', 'utf8');
 
-        if (details) {
-            fileList.push({
-                path: file,
-                isFile: fileStats.isFile(),
-                isDirectory: fileStats.isDirectory(),
-                mode: fileStats.mode,
-                uid: fileStats.uid,
-                gid: fileStats.gid,
-                size: fileStats.size,
-                atime: fileStats.atime,
-                mtime: fileStats.mtime,
-                ctime: fileStats.ctime,
-                birthtime: fileStats.birthtime
-            });
-        } else {
-            fileList.push(file);
+    if (separator.length === 0) {
+        throw new Error("Invalid parameter: lineEnding must not be empty");
+    }
+
+    var pending = Buffer.alloc(0);
+    var offset = start;
+    var number = 0;
+
+    var createEntry = function (lineBuffer, ending) {
+        var entry = {line: null, number: ++number, offset: offset, ending: ending};
+        offset += lineBuffer.length + Buffer.byteLength(ending, encoding);
+
+        if (autoLineEnding && !_.isEmpty(ending) && lineBuffer.length >= carriageReturn.length &&
+            lineBuffer.slice(lineBuffer.length - carriageReturn.length).equals(carriageReturn)) {
+            lineBuffer = lineBuffer.slice(0, lineBuffer.length - carriageReturn.length);
+            entry.ending = '\r\n';
+        }
+        if (entry.number === 1 && entry.offset === 0 && encoding === 'utf8' && lineBuffer.slice(0, byteOrderMark.length).equals(byteOrderMark)) {
+            lineBuffer = lineBuffer.slice(byteOrderMark.length);
         }
+
+        entry.line = lineBuffer.toString(encoding);
+        return entry;
     };
 
-    return FileUtil.walk({path: path, callback: callback, recursive: recursive})
-        .then(function () {
-            return fileList;
+    var lineStream = new stream.Transform({
+        readableObjectMode: true,
+        transform: function (chunk, chunkEncoding, callback) {
+            pending = pending.length > 0 ? Buffer.concat([pending, chunk]) : chunk;
+
+            var lineStart = 0;
+            var index = pending.indexOf(separator, lineStart);
+            while (index !== -1) {
+                this.push(createEntry(pending.slice(lineStart, index), autoLineEnding ? '\n' : lineEnding));
+                lineStart = index + separator.length;
+                index = pending.indexOf(separator, lineStart);
+            }
+
+            pending = pending.slice(lineStart);
+            callback();
+        },
+        flush: function (callback) {
+            if (pending.length > 0) {
+                this.push(createEntry(pending, ''));
+            }
+            callback();
+        }
+    });
+
+    return FileUtil.createReadStream({path: path, start: start, highWaterMark: _.get(options, 'highWaterMark')})
+        .then(function (readStream) {
+            readStream.once('error', function (err) {
+                lineStream.destroy(err);
+            });
+            lineStream.once('close', function () {
+                readStream.destroy();
+            });
+            return readStream.pipe(lineStream);
         });
 };
 
-
 /**
- * Asynchronous {@link http://man7.org/linux/man-pages/man1/rm.1.html|rm(1)}.
+ * Rewrites a file line by line, streaming it through transform, and atomically replaces it with the result like {@link FileUtil.atomicWriteFile}.
  * @param options
- * @param options.path
- * @param options.recursive
- * @returns {Promise.<undefined>}
+ * @param options.path {string}
+ * @param options.transform {function(string, number): (string|string[]|null|Promise.<(string|string[]|null)>)} - Called with each line and its line number. Returns the replacement line, several lines, or null or undefined to remove the line.
+ * @param [options.destinationPath] {string} - File to write instead of replacing path.
+ * @param [options.encoding] {string} - Defaults to 'utf8'.
+ * @param [options.lineEnding] {string} - Line ending of the input, as for FileUtil.readLines. Defaults to 'auto'.
+ * @param [options.outputLineEnding] {string} - Line ending of the output. Defaults to the ending of each input line; lines added by transform get the ending of the line they replace.
+ * @param [options.mode] {number} - Mode of the file. Defaults to the mode of the existing file.
+ * @returns {Promise.<{lines: number, written: number}>} - Number of lines read and written.
  */
-FileUtil.remove = FileUtil.rm = function (options) {
-    if (_.isString(options)) {
-        options = {path: options};
-    }
-
+FileUtil.transformFile = function (options) {
     var path = _.get(options, 'path');
 
     if (_.isNil(path)) {
         throw new Error("Missing parameter: path");
     }
     path = _path.resolve(process.cwd(), path);
-    var recursive = _.get(options, 'recursive');
 
-    return FileUtil.ls({path: path, recursive: recursive, details: true})
-        .then(function (fileList) {
-            fileList.reverse();
+    var transform = _.get(options, 'transform');
 
-            return Promise.each(fileList, function (file) {
-                var rmPromise;
-                if (file.isDirectory) {
-                    rmPromise = FileUtil.rmdir({path: file.path});
-                } else {
-                    rmPromise = FileUtil.unlink({path: file.path});
-                }
+    if (!_.isFunction(transform)) {
+        throw new Error("Missing parameter: transform");
+    }
 
-                return rmPromise
-                    .catch(function (err) {
-                        if (err.code !== 'ENOENT') {
-                            throw err;
-                        }
-                    })
+    var destinationPath = _path.resolve(process.cwd(), _.get(options, 'destinationPath', path));
+    var encoding = _.get(options, 'encoding', 'utf8');
+    var outputLineEnding = _.get(options, 'outputLineEnding');
+    var bufferSize = 65536;
+    var result = {lines: 0, written: 0};
+
+    return replaceFileAtomically(destinationPath, _.get(options, 'mode'), function (fd) {
+        var chunks = [];
+        var chunksLength = 0;
+
+        var flush = function () {
+            if (chunksLength === 0) {
+                return Promise.resolve();
+            }
+            var buffer = Buffer.concat(chunks, chunksLength);
+            chunks = [];
+            chunksLength = 0;
+            return writeFully(fd, buffer);
+        };
+
+        var writeLines = function (lines, ending) {
+            // Lines added by transform are terminated even if they replace an unterminated last line
+            var innerEnding = _.isNil(outputLineEnding) ? (ending || '\n') : outputLineEnding;
+            var lastEnding = _.isNil(outputLineEnding) || _.isEmpty(ending) ? ending : outputLineEnding;
+
+            _.each(lines, function (line, index) {
+                var buffer = Buffer.from(line + (index < lines.length - 1 ? innerEnding : lastEnding), encoding);
+                chunks.push(buffer);
+                chunksLength += buffer.length;
+                result.written++;
+            });
+            return chunksLength >= bufferSize ? flush() : Promise.resolve();
+        };
+
+        return FileUtil.readLines({path: path, encoding: encoding, lineEnding: _.get(options, 'lineEnding', 'auto')})
+            .then(function (lineStream) {
+                return new Promise(function (resolve, reject) {
+                    var processing = Promise.resolve();
+
+                    lineStream.on('data', function (entry) {
+                        lineStream.pause();
+                        result.lines++;
+                        processing = Promise.try(function () {
+                            return transform(entry.line, entry.number);
+                        })
+                            .then(function (output) {
+                                return writeLines(_.isNil(output) ? [] : _.castArray(output), entry.ending);
+                            })
+                            .then(function () {
+                                lineStream.resume();
+                            }, function (err) {
+                                lineStream.destroy();
+                                reject(err);
+                            });
+                    });
+                    lineStream.once('end', function () {
+                        processing.then(resolve);
+                    });
+                    lineStream.once('error', reject);
+                });
             })
+            .then(flush);
+    })
+        .then(function () {
+            return result;
         });
 };
 
+
 /**
- * Walk over each file/directory entry and perform callback on file stats
- * @param options
- * @param options.path
- * @param options.callback
- * @param options.recursive
- * @returns {Promise.<undefined>}
+ * Options that name paths, which {@link FileUtil.scoped} confines to its base directory.
+ * @type {string[]}
+ * @private
  */
-FileUtil.walk = function (options) {
+const SCOPED_PATH_OPTIONS = ['path', 'sourcePath', 'destinationPath', 'oldPath', 'newPath', 'srcPath', 'destPath', 'lockfilePath', 'manifestPath', 'basePath', 'directory', 'trash'];
+
+/**
+ * Resolves the target of a symbolic link in directory the way the kernel will follow it: one component at a time, resolving each symbolic link before applying a following '..'.
+ * A '..' after a component that does not exist is rejected, as that component could later be created as a symbolic link.
+ * @param directory {string} - Directory of the symbolic link.
+ * @param target {string}
+ * @returns {Promise.<string>} - The real path the target leads to.
+ * @private
+ */
+var resolveLinkTarget = function (directory, target) {
+    var components = _.compact(target.split(_path.sep === '/' ? /\/+/ : /[\\/]+/));
+    var startPath = _path.isAbsolute(target) ? _path.parse(_path.resolve(target)).root : directory;
+
+    var resolveComponent = function (resolved, component) {
+        if (component === '.') {
+            return resolved;
+        }
+        if (component === '..') {
+            if (resolved.missing) {
+                throw new Error(sprintf("%s: Symbolic link target has '..' after a missing component", target));
+            }
+            return {path: _path.dirname(resolved.path), missing: false};
+        }
+
+        var componentPath = _path.join(resolved.path, component);
+        if (resolved.missing) {
+            return {path: componentPath, missing: true};
+        }
+
+        return FileUtil.realpath({path: componentPath})
+            .then(function (realPath) {
+                return {path: realPath, missing: false};
+            }, function (err) {
+                if (err.code === 'ENOTDIR') {
+                    return {path: componentPath, missing: true};
+                }
+                if (err.code !== 'ENOENT') {
+                    throw err;
+                }
+                return resolveRealPath(componentPath)
+                    .then(function (realPath) {
+                        return {path: realPath, missing: true};
+                    });
+            });
+    };
+
+    return resolveRealPath(startPath)
+        .then(function (startRealPath) {
+            return Promise.reduce(components, resolveComponent, {path: startRealPath, missing: false});
+        })
+        .then(function (resolved) {
+            return resolved.path;
+        });
+};
+
+/**
+ * Returns the FileUtil API confined to baseDir, for paths that come from untrusted input such as upload names.
+ * Relative paths resolve against baseDir instead of process.cwd(), and absolute paths have to be inside baseDir. Before every call, each path option is checked, rejecting paths that lead outside of baseDir through '..' or through symbolic links, including dangling ones.
+ * Symbolic link targets passed to symlink, trash directories passed to rm, and the names of temporary files and directories are checked the same way. Temporary files and directories are created in baseDir, and glob searches baseDir, unless told otherwise. rm cannot use the user's trash directory, which is outside of baseDir.
+ * Options have to be an options object or a string, or an array of patterns for glob. Other arguments are rejected, as their paths cannot be checked.
+ * Methods that walk a tree check the path they are given, and follow symbolic links below it as they usually do. Pass lstat or dereference options to keep them from following links out of baseDir.
+ * @param options {object|string} - options object, or baseDir
+ * @param options.baseDir {string} - Existing directory to confine paths to.
+ * @returns {Promise.<FileUtil>}
+ */
+FileUtil.scoped = function (options) {
     if (_.isString(options)) {
-        options = {path: options};
+        options = {baseDir: options};
     }
 
-    var path = _.get(options, 'path');
+    var baseDir = _.get(options, 'baseDir');
 
-    if (_.isNil(path)) {
-        throw new Error("Missing parameter: path");
+    if (_.isNil(baseDir)) {
+        throw new Error("Missing parameter: baseDir");
     }
-    path = _path.resolve(process.cwd(), path);
+    baseDir = _path.resolve(process.cwd(), baseDir);
 
-    var callback = _.get(options, 'callback');
-    var errorHandler = _.get(options, 'errorHandler');
-    var recursive = _.get(options, 'recursive', true);
+    var resolveScopedPath = function (baseRealPath, path) {
+        var resolvedPath = _path.resolve(baseDir, String(path));
 
+        if (!isPathInside(baseDir, resolvedPath)) {
+            throw new Error(sprintf("%s: Path is outside of %s", path, baseDir));
+        }
 
-    if (_.isNil(errorHandler)) {
-        errorHandler = function (err) {
-            throw err;
+        return resolveRealPath(resolvedPath)
+            .then(function (realPath) {
+                if (!isPathInside(baseRealPath, realPath)) {
+                    throw new Error(sprintf("%s: Path leads outside of %s through a symbolic link", path, baseDir));
+                }
+                return resolvedPath;
+            });
+    };
+
+    var scopeOptions = function (baseRealPath, name, options) {
+        if (_.isNil(options)) {
+            options = {};
+        }
+        if (_.isString(options) || Buffer.isBuffer(options)) {
+            var key = {mkdtemp: 'prefix', tempDir: 'prefix', tempFile: 'prefix', withTempDir: 'prefix', glob: 'pattern', scoped: 'baseDir'}[name] || 'path';
+            options = _.set({}, key, String(options));
+        }
+        if (name === 'glob' && _.isArray(options)) {
+            options = {pattern: options};
+        }
+        if (!_.isPlainObject(options)) {
+            throw new Error(sprintf("Invalid parameter: options of scoped %s must be an object or a string, not %s", name, _.isArray(options) ? 'array' : typeof options));
         }
-    }
 
-    return FileUtil.stat({path: path})
-        .catch(errorHandler)
-        .then(function (pathStats) {
-            callback(path, pathStats);
-
-            if (!_.isNil(pathStats) && pathStats.isDirectory()) {
-                var directoryQueue = [path];
-
-                var whileLoop = Promise.method(function () {
-                    if (directoryQueue.length > 0) {
-                        var currentDirectory = directoryQueue.shift();
-
-                        var processFile = function (file) {
-                            var currentPath = _path.resolve(currentDirectory, file);
-                            return FileUtil.stat({path: currentPath})
-                                .catch(errorHandler)
-                                .then(function (currentPathStats) {
-                                    if (!_.isNil(currentPathStats)) {
-                                        if (recursive && currentPathStats.isDirectory()) {
-                                            directoryQueue.push(currentPath);
-                                        }
-                                    }
+        options = _.clone(options);
+        if (_.includes(['tempDir', 'tempFile', 'withTempDir'], name) && _.isNil(options.directory)) {
+            options.directory = baseDir;
+        }
+        if (name === 'glob' && _.isNil(options.path)) {
+            options.path = baseDir;
+        }
+        if (_.includes(['rm', 'remove'], name) && options.trash === true) {
+            throw new Error(sprintf("Invalid parameter: trash of scoped rm must be a directory in %s, not true", baseDir));
+        }
 
-                                    callback(currentPath, currentPathStats);
-                                });
-                        };
+        var scopedPaths = _.pickBy(options, function (value, key) {
+            return _.includes(SCOPED_PATH_OPTIONS, key) && (_.isString(value) || Buffer.isBuffer(value));
+        });
+        if (name === 'scoped') {
+            scopedPaths.baseDir = options.baseDir;
+        }
+
+        return Promise.props(_.mapValues(scopedPaths, function (path) {
+            return resolveScopedPath(baseRealPath, path);
+        }))
+            .then(function (resolvedPaths) {
+                _.assign(options, resolvedPaths);
+
+                if (name === 'mkdtemp' && !_.isNil(options.prefix)) {
+                    var prefix = String(options.prefix);
+                    var directoryPrefix = _.get(options, 'inside', true) || _.endsWith(prefix, '/') || _.endsWith(prefix, _path.sep);
+                    return resolveScopedPath(baseRealPath, prefix + (directoryPrefix ? '' : 'XXXXXX'))
+                        .then(function (resolvedPrefix) {
+                            options.prefix = directoryPrefix ? resolvedPrefix + _path.sep : resolvedPrefix.slice(0, -'XXXXXX'.length);
+                            return options;
+                        });
+                }
+                if (_.includes(['tempDir', 'tempFile', 'withTempDir'], name)) {
+                    var temporaryPath = _path.join(options.directory, _.get(options, 'prefix', 'tmp-') + 'XXXXXX' + _.get(options, 'suffix', ''));
+                    return resolveScopedPath(baseRealPath, temporaryPath)
+                        .then(_.constant(options));
+                }
+                if (name === 'symlink' && !_.isNil(options.target) && !_.isNil(options.path)) {
+                    if (!options.relative) {
+                        options.target = _path.resolve(baseDir, String(options.target));
+                    }
+                    return resolveLinkTarget(_path.dirname(options.path), String(options.target))
+                        .then(function (targetRealPath) {
+                            if (!isPathInside(baseRealPath, targetRealPath)) {
+                                throw new Error(sprintf("%s: Symbolic link target leads outside of %s", options.target, baseDir));
+                            }
+                            return options;
+                        });
+                }
+                return options;
+            });
+    };
+
+    return FileUtil.realpath({path: baseDir})
+        .then(function (baseRealPath) {
+            return FileUtil.stat({path: baseRealPath})
+                .then(function (baseStats) {
+                    if (!baseStats.isDirectory()) {
+                        throw new Error(sprintf('%s: Not a directory', baseDir));
+                    }
+
+                    var scopedFileUtil = _.mapValues(FileUtil, function (fn, name) {
+                        if (!_.isFunction(fn) || _.includes(['setBackend', 'getBackend', 'withBackend', 'setRetryPolicy', 'setFileDescriptorLimit', 'isReadStream', 'isWriteStream'], name)) {
+                            return fn;
+                        }
 
+                        return function (options) {
+                            var args = _.toArray(arguments);
+                            if (name === 'withTempDir' && _.isFunction(options)) {
+                                options = {};
+                                args.unshift(options);
+                            }
 
-                        return FileUtil.readdir({path: currentDirectory})
-                            .then(function (currentDirectoryFiles) {
-                                return Promise.each(currentDirectoryFiles, processFile);
+                            return Promise.try(function () {
+                                return scopeOptions(baseRealPath, name, options);
                             })
-                            .then(function () {
-                                return whileLoop();
-                            });
-                    }
+                                .then(function (scopedOptions) {
+                                    args[0] = scopedOptions;
+                                    return FileUtil[name].apply(null, args);
+                                });
+                        };
+                    });
+                    scopedFileUtil.baseDir = baseDir;
+                    return scopedFileUtil;
                 });
-
-                return whileLoop();
-            }
         });
 };
 
@@ -2029,9 +6122,118 @@ FileUtil.walk = function (options) {
  */
 
 
-_.assign(FileUtil, _.mapValues(FileUtil, function (fn) {
+/**
+ * Retry policy used when a call does not set options.retry, and by default for true.
+ * @type {{retries: number, minTimeout: number, maxTimeout: number, factor: number, jitter: boolean, codes: string[]}}
+ * @private
+ */
+const DEFAULT_RETRY_POLICY = {
+    retries: 3,
+    minTimeout: 50,
+    maxTimeout: 2000,
+    factor: 2,
+    jitter: true,
+    codes: ['EAGAIN', 'EBUSY', 'EMFILE', 'ENFILE']
+};
+
+/**
+ * Methods that call the file system directly, and are retried according to the retry policy. close is not retried, as its file descriptor may already be reused.
+ * appendFile and write are not retried either: they may fail after writing part of their data, and repeating them would write it twice.
+ * @type {string[]}
+ * @private
+ */
+const RETRY_METHODS = ['access', 'chmod', 'chown', 'createReadStream', 'createWriteStream', 'fchmod', 'fchown', 'fdatasync', 'fstat', 'fsync', 'ftruncate', 'futimes', 'link', 'lstat', 'mkdir', 'mkdtemp', 'open', 'read', 'readdir', 'readFile', 'readlink', 'realpath', 'rename', 'rmdir', 'stat', 'symlink', 'truncate', 'unlink', 'utimes', 'writeFile'];
+
+/**
+ * Global retry policy, null if calls are not retried. Set with {@link FileUtil.setRetryPolicy}.
+ * @type {?object}
+ * @private
+ */
+var retryPolicy = null;
+
+/**
+ * Resolves the retry policy of a call from its options.retry and the global retry policy.
+ * @param policy {?(boolean|object)} - false to not retry, true for the global or default policy, or an object overriding it.
+ * @returns {?object}
+ * @private
+ */
+var resolveRetryPolicy = function (policy) {
+    if (_.isNil(policy)) {
+        return retryPolicy;
+    }
+    if (policy === false) {
+        return null;
+    }
+    return _.assign({}, DEFAULT_RETRY_POLICY, retryPolicy, policy === true ? {} : policy);
+};
+
+/**
+ * Wraps a promise returning FileUtil method, retrying it on errors with a retryable code after an exponentially growing delay.
+ * With jitter, each delay is picked at random between 0 and the exponential delay, so that processes failing together do not retry together.
+ * @param fn {function(object): Promise}
+ * @returns {function(object): Promise}
+ * @private
+ */
+var withRetry = function (fn) {
+    return function (options) {
+        var args = arguments;
+        var policy = resolveRetryPolicy(_.isPlainObject(options) ? options.retry : null);
+
+        if (_.isNil(policy)) {
+            return fn.apply(null, args);
+        }
+
+        var attempt = function (retry) {
+            return fn.apply(null, args)
+                .catch(function (err) {
+                    if (retry >= policy.retries || !_.includes(policy.codes, err.code)) {
+                        throw err;
+                    }
+
+                    var delay = Math.min(policy.maxTimeout, policy.minTimeout * Math.pow(policy.factor, retry));
+                    if (policy.jitter) {
+                        delay = _.random(0, delay);
+                    }
+                    if (_.isFunction(policy.onRetry)) {
+                        policy.onRetry(err, retry + 1, delay);
+                    }
+
+                    return Promise.delay(delay)
+                        .then(function () {
+                            return attempt(retry + 1);
+                        });
+                });
+        };
+
+        return attempt(0);
+    };
+};
+
+
+/**
+ * Wraps a FileUtil method that is built on other methods, rejecting calls that set options.retry. Its internal calls are only retried by the global retry policy, which the option would not change.
+ * @param fn {function(object): Promise}
+ * @param name {string}
+ * @returns {function(object): Promise}
+ * @private
+ */
+var rejectRetryOption = function (fn, name) {
+    return function (options) {
+        if (_.isPlainObject(options) && !_.isNil(options.retry)) {
+            return Promise.reject(new Error(sprintf("Invalid parameter: retry is not supported by %s, use FileUtil.setRetryPolicy instead", name)));
+        }
+        return fn.apply(null, arguments);
+    };
+};
+
+_.assign(FileUtil, _.mapValues(FileUtil, function (fn, name) {
     if (_.isFunction(fn)) {
         fn = Promise.method(fn);
+        if (_.includes(RETRY_METHODS, name)) {
+            fn = withRetry(fn);
+        } else if (name !== 'exists') {
+            fn = rejectRetryOption(fn, name);
+        }
     }
     return fn;
 }));
@@ -2039,6 +6241,82 @@ _.assign(FileUtil, _.mapValues(FileUtil, function (fn) {
 
 FileUtil.constants = fs.constants;
 
+/**
+ * Replaces the file system that FileUtil methods call, such as a {@link MemoryFileSystem} in tests.
+ * The backend has to provide the callback API of the fs module: access, open, read, stat, createReadStream and so on.
+ * @param [fileSystem] {object} - Defaults to the fs module.
+ * @returns {object} The previous backend.
+ */
+FileUtil.setBackend = function (fileSystem) {
+    var previousBackend = backend;
+    backend = _.isNil(fileSystem) ? fs : fileSystem;
+    return previousBackend;
+};
+
+/**
+ * Sets the retry policy for methods that call the file system directly, such as open, stat and rename, which the other methods are built on.
+ * A call to one of those methods can override the policy with its own options.retry: false not to retry, true for this policy, or an object with the properties below.
+ * The other methods, such as copy and walk, are retried by this policy only, and reject options.retry.
+ * appendFile and write are never retried, as a failed call may already have written part of its data.
+ * @example
+ * FileUtil.setRetryPolicy({retries: 5, codes: ['EBUSY', 'EAGAIN', 'EMFILE', 'ESTALE']});
+ * FileUtil.stat({path: '/mnt/nfs/file', retry: {retries: 10}});
+ * @param [policy] {boolean|object} - true for the default policy, false or null not to retry. Defaults to null.
+ * @param [policy.retries] {number} - Maximum number of retries. Defaults to 3.
+ * @param [policy.minTimeout] {number} - Delay before the first retry in milliseconds. Defaults to 50.
+ * @param [policy.maxTimeout] {number} - Maximum delay between retries in milliseconds. Defaults to 2000.
+ * @param [policy.factor] {number} - Factor the delay grows by with each retry. Defaults to 2.
+ * @param [policy.jitter] {boolean} - Pick each delay at random, up to the exponential delay. Defaults to true.
+ * @param [policy.codes] {string[]} - Error codes to retry. Defaults to EAGAIN, EBUSY, EMFILE and ENFILE.
+ * @param [policy.onRetry] {function(Error, number, number)} - Called with the error, the retry number and the delay before each retry.
+ * @returns {?object} The previous policy.
+ */
+FileUtil.setRetryPolicy = function (policy) {
+    var previousRetryPolicy = retryPolicy;
+    retryPolicy = _.isNil(policy) || policy === false ? null : _.assign({}, DEFAULT_RETRY_POLICY, policy === true ? {} : policy);
+    return previousRetryPolicy;
+};
+
+/**
+ * Limits the number of file descriptors FileUtil holds open at a time, to avoid running out of them (EMFILE) in large walk and copy operations.
+ * Opening files and streams waits while the limit is reached, until FileUtil closes another file descriptor.
+ * A single call holds at most two file descriptors at a time, such as copy and transformFile reading one file while writing another, so the limit has to be at least 2. Keep it above twice the number of concurrent calls, which could otherwise each wait for a second file descriptor held by another.
+ * @param [limit] {number} - null or Infinity for no limit. Defaults to null.
+ */
+FileUtil.setFileDescriptorLimit = function (limit) {
+    if (_.isNil(limit) || limit === Infinity) {
+        fileDescriptorLimiter = null;
+        return;
+    }
+    if (!_.isInteger(limit) || limit < MIN_FILE_DESCRIPTOR_LIMIT) {
+        throw new Error(sprintf("Invalid parameter: limit must be an integer of at least %d, not %s", MIN_FILE_DESCRIPTOR_LIMIT, limit));
+    }
+    fileDescriptorLimiter = createLimiter(limit);
+};
+
+/**
+ * Returns the file system that FileUtil methods call.
+ * @returns {object}
+ */
+FileUtil.getBackend = function () {
+    return backend;
+};
+
+/**
+ * Calls fn with FileUtil using fileSystem, restoring the previous backend after the returned promise settles.
+ * @param fileSystem {object}
+ * @param fn {function(): Promise.<T>}
+ * @returns {Promise.<T>}
+ * @template T
+ */
+FileUtil.withBackend = function (fileSystem, fn) {
+    var previousBackend = FileUtil.setBackend(fileSystem);
+    return Promise.try(fn)
+        .finally(function () {
+            FileUtil.setBackend(previousBackend);
+        });
+};
+
 /**
  *
  * @param obj
@@ -0,0 +1,1120 @@
+const _ = require('lodash');
+const fs = require('fs');
+const _path = require('path');
+const os = require('os');
+const stream = require('stream');
+const sprintf = require('sprintf-js').sprintf;
+
+/**
+ * In-memory file system with the callback API of the Node.js fs module, for use as a {@link FileUtil.setBackend|FileUtil backend} in tests.
+ * Supports directories, files, symbolic and hard links, modes, ownership and timestamps. Errors have the same code, errno, syscall and path properties and messages as the ones thrown by Node.js.
+ * Permissions are recorded but only checked by access(), and watch() and watchFile() are not supported.
+ * @see https://nodejs.org/api/fs.html
+ */
+var MemoryFileSystem = {};
+
+const S_IFMT = parseInt('170000', 8);
+const S_IFREG = parseInt('100000', 8);
+const S_IFDIR = parseInt('040000', 8);
+const S_IFLNK = parseInt('120000', 8);
+const PERMISSION_BITS = parseInt('7777', 8);
+const BLOCK_SIZE = 4096;
+const DEVICE = 0x6d656d;
+const MAX_SYMBOLIC_LINKS = 40;
+
+const TYPE_BITS = {
+    file: S_IFREG,
+    directory: S_IFDIR,
+    symlink: S_IFLNK
+};
+
+const ERROR_DESCRIPTIONS = {
+    EACCES: 'permission denied',
+    EBADF: 'bad file descriptor',
+    EBUSY: 'resource busy or locked',
+    EEXIST: 'file already exists',
+    EINVAL: 'invalid argument',
+    EISDIR: 'illegal operation on a directory',
+    ELOOP: 'too many symbolic links encountered',
+    ENOENT: 'no such file or directory',
+    ENOSYS: 'function not implemented',
+    ENOTDIR: 'not a directory',
+    ENOTEMPTY: 'directory not empty',
+    EPERM: 'operation not permitted'
+};
+
+const OPEN_FLAGS = {
+    'r': fs.constants.O_RDONLY,
+    'rs': fs.constants.O_RDONLY | fs.constants.O_SYNC,
+    'sr': fs.constants.O_RDONLY | fs.constants.O_SYNC,
+    'r+': fs.constants.O_RDWR,
+    'rs+': fs.constants.O_RDWR | fs.constants.O_SYNC,
+    'sr+': fs.constants.O_RDWR | fs.constants.O_SYNC,
+    'w': fs.constants.O_TRUNC | fs.constants.O_CREAT | fs.constants.O_WRONLY,
+    'wx': fs.constants.O_TRUNC | fs.constants.O_CREAT | fs.constants.O_WRONLY | fs.constants.O_EXCL,
+    'xw': fs.constants.O_TRUNC | fs.constants.O_CREAT | fs.constants.O_WRONLY | fs.constants.O_EXCL,
+    'w+': fs.constants.O_TRUNC | fs.constants.O_CREAT | fs.constants.O_RDWR,
+    'wx+': fs.constants.O_TRUNC | fs.constants.O_CREAT | fs.constants.O_RDWR | fs.constants.O_EXCL,
+    'xw+': fs.constants.O_TRUNC | fs.constants.O_CREAT | fs.constants.O_RDWR | fs.constants.O_EXCL,
+    'a': fs.constants.O_APPEND | fs.constants.O_CREAT | fs.constants.O_WRONLY,
+    'ax': fs.constants.O_APPEND | fs.constants.O_CREAT | fs.constants.O_WRONLY | fs.constants.O_EXCL,
+    'xa': fs.constants.O_APPEND | fs.constants.O_CREAT | fs.constants.O_WRONLY | fs.constants.O_EXCL,
+    'as': fs.constants.O_APPEND | fs.constants.O_CREAT | fs.constants.O_WRONLY | fs.constants.O_SYNC,
+    'sa': fs.constants.O_APPEND | fs.constants.O_CREAT | fs.constants.O_WRONLY | fs.constants.O_SYNC,
+    'a+': fs.constants.O_APPEND | fs.constants.O_CREAT | fs.constants.O_RDWR,
+    'ax+': fs.constants.O_APPEND | fs.constants.O_CREAT | fs.constants.O_RDWR | fs.constants.O_EXCL,
+    'xa+': fs.constants.O_APPEND | fs.constants.O_CREAT | fs.constants.O_RDWR | fs.constants.O_EXCL,
+    'as+': fs.constants.O_APPEND | fs.constants.O_CREAT | fs.constants.O_RDWR | fs.constants.O_SYNC,
+    'sa+': fs.constants.O_APPEND | fs.constants.O_CREAT | fs.constants.O_RDWR | fs.constants.O_SYNC
+};
+
+/**
+ * Creates an error like the ones Node.js creates for failed system calls, such as "ENOENT: no such file or directory, open '/missing'".
+ * @param code {string}
+ * @param syscall {string}
+ * @param [path] {string}
+ * @param [dest] {string}
+ * @returns {Error}
+ * @private
+ */
+var createError = function (code, syscall, path, dest) {
+    var message = sprintf('%s: %s, %s', code, ERROR_DESCRIPTIONS[code], syscall);
+    if (!_.isNil(path)) {
+        message += sprintf(" '%s'", path);
+    }
+    if (!_.isNil(dest)) {
+        message += sprintf(" -> '%s'", dest);
+    }
+
+    var err = new Error(message);
+    err.errno = -os.constants.errno[code];
+    err.code = code;
+    err.syscall = syscall;
+    if (!_.isNil(path)) {
+        err.path = path;
+    }
+    if (!_.isNil(dest)) {
+        err.dest = dest;
+    }
+    return err;
+};
+
+/**
+ * Converts a path argument to an absolute path string.
+ * @param path {string|Buffer|URL}
+ * @returns {string}
+ * @private
+ */
+var toPath = function (path) {
+    if (Buffer.isBuffer(path)) {
+        path = path.toString();
+    } else if (path instanceof URL) {
+        path = decodeURIComponent(path.pathname);
+    }
+    if (!_.isString(path)) {
+        throw new TypeError(sprintf('The "path" argument must be of type string, Buffer or URL, not %s', typeof path));
+    }
+    return _path.resolve(path);
+};
+
+/**
+ * Converts a mode argument, a number or an octal string, to a number.
+ * @param mode {number|string}
+ * @param defaultMode {number}
+ * @returns {number}
+ * @private
+ */
+var toMode = function (mode, defaultMode) {
+    if (_.isNil(mode)) {
+        return defaultMode;
+    }
+    if (_.isString(mode)) {
+        return parseInt(mode, 8);
+    }
+    return mode;
+};
+
+/**
+ * Converts a time argument, a Date, seconds since the epoch or a numeric string, to a Date.
+ * @param time {Date|number|string}
+ * @returns {Date}
+ * @private
+ */
+var toDate = function (time) {
+    if (_.isDate(time)) {
+        return new Date(time.getTime());
+    }
+    return new Date(Number(time) * 1000);
+};
+
+/**
+ * Converts open flags, a string such as 'wx' or a number, to a number.
+ * @param flags {string|number}
+ * @returns {number}
+ * @private
+ */
+var toFlags = function (flags) {
+    if (_.isNil(flags)) {
+        return OPEN_FLAGS.r;
+    }
+    if (_.isNumber(flags)) {
+        return flags;
+    }
+    if (!_.has(OPEN_FLAGS, flags)) {
+        throw new TypeError(sprintf("The value \"%s\" is invalid for option \"flags\"", flags));
+    }
+    return OPEN_FLAGS[flags];
+};
+
+/**
+ * Splits the arguments of an fs method into its arguments and trailing callback.
+ * @param args {Arguments}
+ * @returns {{args: Array, callback: function}}
+ * @private
+ */
+var splitCallback = function (args) {
+    args = _.toArray(args);
+    var callback = args.pop();
+    if (!_.isFunction(callback)) {
+        throw new TypeError('The "cb" argument must be of type function');
+    }
+    return {args: args, callback: callback};
+};
+
+/**
+ * Creates a new in-memory file system. The temporary directory, os.tmpdir(), is created so that {@link FileUtil.tempFile} and {@link FileUtil.tempDir} work.
+ *
+ * The fixture maps absolute paths to entries, creating any missing parent directories. An entry is one of:
+ * - a string or Buffer - the contents of a file.
+ * - {type: 'file', content: string, encoding: 'utf8'|'base64', mode, uid, gid, mtime} - a file.
+ * - {type: 'directory', entries: object, mode, uid, gid, mtime} - a directory, where entries maps names to entries.
+ * - {type: 'symlink', target: string, uid, gid, mtime} - a symbolic link.
+ * - any other object - a directory, mapping names to entries. A directory with an entry named 'type' has to use the form above.
+ * Modes are numbers or octal strings such as '755', and times are Dates, ISO 8601 strings or milliseconds since the epoch.
+ *
+ * Besides the fs methods, the returned file system has seed(fixture), to add more entries, and snapshot([path]), which returns a fixture of path, '/' by default.
+ * @example
+ * var memoryFileSystem = MemoryFileSystem.create({fixture: {'/srv/app': {'config.json': '{}', 'logs': {}}}});
+ * FileUtil.setBackend(memoryFileSystem);
+ * @param [options]
+ * @param [options.fixture] {object}
+ * @param [options.umask] {number} - Defaults to 022.
+ * @param [options.uid] {number} - Owner of new entries. Defaults to the process uid.
+ * @param [options.gid] {number} - Group of new entries. Defaults to the process gid.
+ * @returns {object}
+ */
+MemoryFileSystem.create = function (options) {
+    var fixture = _.get(options, 'fixture');
+    var umask = _.get(options, 'umask', parseInt('022', 8));
+    var uid = _.get(options, 'uid', _.isFunction(process.getuid) ? process.getuid() : 0);
+    var gid = _.get(options, 'gid', _.isFunction(process.getgid) ? process.getgid() : 0);
+
+    var fileSystem = {};
+    var nextIno = 1;
+    var nextFd = 1000;
+    var fileDescriptors = new Map();
+
+    var createInode = function (type, mode) {
+        var now = new Date();
+        return {
+            ino: nextIno++,
+            type: type,
+            mode: TYPE_BITS[type] | (mode & PERMISSION_BITS),
+            uid: uid,
+            gid: gid,
+            nlink: type === 'directory' ? 2 : 1,
+            data: Buffer.alloc(0),
+            size: 0,
+            entries: new Map(),
+            target: null,
+            atime: now,
+            mtime: now,
+            ctime: now,
+            birthtime: now
+        };
+    };
+
+    var root = createInode('directory', parseInt('755', 8));
+
+    var touch = function (inode) {
+        var now = new Date();
+        inode.mtime = now;
+        inode.ctime = now;
+    };
+
+    var addEntry = function (directory, name, inode) {
+        directory.entries.set(name, inode);
+        if (inode.type === 'directory') {
+            directory.nlink++;
+        }
+        touch(directory);
+    };
+
+    var removeEntry = function (directory, name) {
+        var inode = directory.entries.get(name);
+        directory.entries.delete(name);
+        if (inode.type === 'directory') {
+            directory.nlink--;
+            inode.nlink = 0;
+        } else {
+            inode.nlink--;
+            inode.ctime = new Date();
+        }
+        touch(directory);
+    };
+
+    var isDescendant = function (directory, inode) {
+        if (directory === inode) {
+            return true;
+        }
+        return _.some(Array.from(directory.entries.values()), function (child) {
+            return child.type === 'directory' && isDescendant(child, inode);
+        });
+    };
+
+    /**
+     * Resolves path, following symbolic links in every component but the last unless followLast is set.
+     * If only the last component is missing, returns a null inode with the directory it would be created in.
+     */
+    var lookup = function (path, syscall, followLast, dest) {
+        var components = _.compact(path.split('/'));
+        var directories = [root];
+        var names = [];
+        var links = 0;
+
+        while (components.length > 0) {
+            var name = components.shift();
+            var directory = _.last(directories);
+
+            if (name === '.') {
+                continue;
+            }
+            if (name === '..') {
+                if (directories.length > 1) {
+                    directories.pop();
+                    names.pop();
+                }
+                continue;
+            }
+            if (directory.type !== 'directory') {
+                throw createError('ENOTDIR', syscall, path, dest);
+            }
+
+            var child = directory.entries.get(name);
+            var last = components.length === 0;
+
+            if (_.isNil(child)) {
+                if (last) {
+                    return {inode: null, parent: directory, name: name, path: '/' + names.concat(name).join('/')};
+                }
+                throw createError('ENOENT', syscall, path, dest);
+            }
+
+            if (child.type === 'symlink' && (!last || followLast)) {
+                if (++links > MAX_SYMBOLIC_LINKS) {
+                    throw createError('ELOOP', syscall, path, dest);
+                }
+                if (_path.isAbsolute(child.target)) {
+                    directories = [root];
+                    names = [];
+                }
+                components = _.compact(child.target.split('/')).concat(components);
+                continue;
+            }
+
+            directories.push(child);
+            names.push(name);
+        }
+
+        var inode = _.last(directories);
+        return {
+            inode: inode,
+            parent: directories.length > 1 ? directories[directories.length - 2] : inode,
+            name: _.last(names) || '',
+            path: '/' + names.join('/')
+        };
+    };
+
+    var lookupExisting = function (path, syscall, followLast, dest) {
+        var found = lookup(path, syscall, followLast, dest);
+        if (_.isNil(found.inode)) {
+            throw createError('ENOENT', syscall, path, dest);
+        }
+        return found;
+    };
+
+    var getFileDescriptor = function (fd, syscall) {
+        var fileDescriptor = fileDescriptors.get(fd);
+        if (_.isNil(fileDescriptor)) {
+            throw createError('EBADF', syscall);
+        }
+        return fileDescriptor;
+    };
+
+    var resize = function (inode, size) {
+        if (size > inode.data.length) {
+            var data = Buffer.alloc(Math.max(size, inode.data.length * 2));
+            inode.data.copy(data, 0, 0, inode.size);
+            inode.data = data;
+        } else if (size < inode.size) {
+            inode.data.fill(0, size, inode.size);
+        }
+        inode.size = size;
+    };
+
+    var createStats = function (inode) {
+        var stats = Object.create(fs.Stats.prototype);
+        var size = inode.type === 'directory' ? BLOCK_SIZE : (inode.type === 'symlink' ? Buffer.byteLength(inode.target) : inode.size);
+
+        return _.assign(stats, {
+            dev: DEVICE,
+            mode: inode.mode,
+            nlink: inode.nlink,
+            uid: inode.uid,
+            gid: inode.gid,
+            rdev: 0,
+            blksize: BLOCK_SIZE,
+            ino: inode.ino,
+            size: size,
+            blocks: inode.type === 'symlink' ? 0 : Math.ceil(size / BLOCK_SIZE) * (BLOCK_SIZE / 512),
+            atimeMs: inode.atime.getTime(),
+            mtimeMs: inode.mtime.getTime(),
+            ctimeMs: inode.ctime.getTime(),
+            birthtimeMs: inode.birthtime.getTime(),
+            atime: new Date(inode.atime.getTime()),
+            mtime: new Date(inode.mtime.getTime()),
+            ctime: new Date(inode.ctime.getTime()),
+            birthtime: new Date(inode.birthtime.getTime())
+        });
+    };
+
+    /**
+     * Defines name and nameSync on the file system, with the callback version calling the synchronous one asynchronously.
+     */
+    var define = function (name, syncFn) {
+        fileSystem[name + 'Sync'] = syncFn;
+        fileSystem[name] = function () {
+            var split = splitCallback(arguments);
+            var result;
+            var error = null;
+            try {
+                result = syncFn.apply(null, split.args);
+            } catch (err) {
+                error = err;
+            }
+            setImmediate(function () {
+                if (error) {
+                    return split.callback(error);
+                }
+                if (_.isArray(result) && _.get(result, 'multiple')) {
+                    return split.callback.apply(null, [null].concat(result));
+                }
+                return split.callback(null, result);
+            });
+        };
+    };
+
+    /**
+     * Wraps multiple callback results, such as bytesRead and buffer.
+     */
+    var multiple = function () {
+        var results = _.toArray(arguments);
+        results.multiple = true;
+        return results;
+    };
+
+    define('access', function (path, mode) {
+        path = toPath(path);
+        var inode = lookupExisting(path, 'access', true).inode;
+        mode = _.isNil(mode) ? fs.constants.F_OK : mode;
+
+        var processUid = _.isFunction(process.getuid) ? process.getuid() : 0;
+        var allowed;
+        if (processUid === 0) {
+            // root may read and write anything, but only execute files with an execute bit set
+            allowed = fs.constants.R_OK | fs.constants.W_OK;
+            if (inode.type === 'directory' || (inode.mode & parseInt('111', 8))) {
+                allowed |= fs.constants.X_OK;
+            }
+        } else if (inode.uid === processUid) {
+            allowed = (inode.mode >> 6) & 7;
+        } else if (inode.gid === process.getgid()) {
+            allowed = (inode.mode >> 3) & 7;
+        } else {
+            allowed = inode.mode & 7;
+        }
+
+        if ((mode & allowed) !== mode) {
+            throw createError('EACCES', 'access', path);
+        }
+    });
+
+    define('stat', function (path) {
+        path = toPath(path);
+        return createStats(lookupExisting(path, 'stat', true).inode);
+    });
+
+    define('lstat', function (path) {
+        path = toPath(path);
+        return createStats(lookupExisting(path, 'lstat', false).inode);
+    });
+
+    define('mkdir', function (path, options) {
+        path = toPath(path);
+        if (!_.isObject(options)) {
+            options = {mode: options};
+        }
+        var mode = toMode(options.mode, parseInt('777', 8)) & ~umask;
+
+        if (options.recursive) {
+            var components = _.compact(path.split('/'));
+            var first;
+            _.each(components, function (component, index) {
+                var directoryPath = '/' + components.slice(0, index + 1).join('/');
+                var found = lookup(directoryPath, 'mkdir', true);
+                if (_.isNil(found.inode)) {
+                    addEntry(found.parent, found.name, createInode('directory', mode));
+                    first = first || directoryPath;
+                } else if (found.inode.type !== 'directory') {
+                    throw createError('ENOTDIR', 'mkdir', path);
+                }
+            });
+            return first;
+        }
+
+        var found = lookup(path, 'mkdir', false);
+        if (!_.isNil(found.inode)) {
+            throw createError('EEXIST', 'mkdir', path);
+        }
+        addEntry(found.parent, found.name, createInode('directory', mode));
+    });
+
+    define('mkdtemp', function (prefix) {
+        prefix = String(prefix);
+        var characters = 'ABCDEFGHIJKLMNOPQRSTUVWXYZabcdefghijklmnopqrstuvwxyz0123456789';
+        while (true) {
+            var path = prefix + _.times(6, function () {
+                    return _.sample(characters);
+                }).join('');
+            try {
+                fileSystem.mkdirSync(path, parseInt('700', 8));
+                return path;
+            } catch (err) {
+                if (err.code !== 'EEXIST') {
+                    throw createError(err.code, 'mkdtemp', prefix + 'XXXXXX');
+                }
+            }
+        }
+    });
+
+    define('rmdir', function (path) {
+        path = toPath(path);
+        var found = lookupExisting(path, 'rmdir', false);
+        if (found.inode.type !== 'directory') {
+            throw createError('ENOTDIR', 'rmdir', path);
+        }
+        if (found.inode === root) {
+            throw createError('EBUSY', 'rmdir', path);
+        }
+        if (found.inode.entries.size > 0) {
+            throw createError('ENOTEMPTY', 'rmdir', path);
+        }
+        removeEntry(found.parent, found.name);
+    });
+
+    define('unlink', function (path) {
+        path = toPath(path);
+        var found = lookupExisting(path, 'unlink', false);
+        if (found.inode.type === 'directory') {
+            throw createError('EISDIR', 'unlink', path);
+        }
+        removeEntry(found.parent, found.name);
+    });
+
+    define('rename', function (oldPath, newPath) {
+        oldPath = toPath(oldPath);
+        newPath = toPath(newPath);
+        var source = lookupExisting(oldPath, 'rename', false, newPath);
+        var destination = lookup(newPath, 'rename', false, oldPath);
+
+        if (destination.inode === source.inode) {
+            return;
+        }
+        if (source.inode.type === 'directory' && isDescendant(source.inode, destination.parent)) {
+            throw createError('EINVAL', 'rename', oldPath, newPath);
+        }
+        if (!_.isNil(destination.inode)) {
+            if (source.inode.type === 'directory' && destination.inode.type !== 'directory') {
+                throw createError('ENOTDIR', 'rename', oldPath, newPath);
+            }
+            if (source.inode.type !== 'directory' && destination.inode.type === 'directory') {
+                throw createError('EISDIR', 'rename', oldPath, newPath);
+            }
+            if (destination.inode.type === 'directory' && destination.inode.entries.size > 0) {
+                throw createError('ENOTEMPTY', 'rename', oldPath, newPath);
+            }
+            removeEntry(destination.parent, destination.name);
+        }
+
+        var inode = source.inode;
+        source.parent.entries.delete(source.name);
+        if (inode.type === 'directory') {
+            source.parent.nlink--;
+        }
+        touch(source.parent);
+        addEntry(destination.parent, destination.name, inode);
+        inode.ctime = new Date();
+    });
+
+    define('link', function (existingPath, newPath) {
+        existingPath = toPath(existingPath);
+        newPath = toPath(newPath);
+        var source = lookupExisting(existingPath, 'link', false, newPath);
+        if (source.inode.type === 'directory') {
+            throw createError('EPERM', 'link', existingPath, newPath);
+        }
+        var destination = lookup(newPath, 'link', false, existingPath);
+        if (!_.isNil(destination.inode)) {
+            throw createError('EEXIST', 'link', existingPath, newPath);
+        }
+        addEntry(destination.parent, destination.name, source.inode);
+        source.inode.nlink++;
+        source.inode.ctime = new Date();
+    });
+
+    define('symlink', function (target, path) {
+        target = String(target);
+        path = toPath(path);
+        var found = lookup(path, 'symlink', false, path);
+        if (!_.isNil(found.inode)) {
+            throw createError('EEXIST', 'symlink', target, path);
+        }
+        var inode = createInode('symlink', parseInt('777', 8));
+        inode.target = target;
+        addEntry(found.parent, found.name, inode);
+    });
+
+    define('readlink', function (path, options) {
+        path = toPath(path);
+        var inode = lookupExisting(path, 'readlink', false).inode;
+        if (inode.type !== 'symlink') {
+            throw createError('EINVAL', 'readlink', path);
+        }
+        var encoding = _.isString(options) ? options : _.get(options, 'encoding');
+        return encoding === 'buffer' ? Buffer.from(inode.target) : inode.target;
+    });
+
+    define('realpath', function (path, options) {
+        path = toPath(path);
+        var realPath = lookupExisting(path, 'realpath', true).path;
+        var encoding = _.isString(options) ? options : _.get(options, 'encoding');
+        return encoding === 'buffer' ? Buffer.from(realPath) : realPath;
+    });
+
+    define('readdir', function (path, options) {
+        path = toPath(path);
+        var inode = lookupExisting(path, 'scandir', true).inode;
+        if (inode.type !== 'directory') {
+            throw createError('ENOTDIR', 'scandir', path);
+        }
+        var names = _.sortBy(Array.from(inode.entries.keys()));
+        var encoding = _.isString(options) ? options : _.get(options, 'encoding');
+        if (encoding === 'buffer') {
+            return _.map(names, function (name) {
+                return Buffer.from(name);
+            });
+        }
+        return names;
+    });
+
+    define('chmod', function (path, mode) {
+        path = toPath(path);
+        var inode = lookupExisting(path, 'chmod', true).inode;
+        inode.mode = (inode.mode & S_IFMT) | (toMode(mode) & PERMISSION_BITS);
+        inode.ctime = new Date();
+    });
+
+    define('chown', function (path, newUid, newGid) {
+        path = toPath(path);
+        var inode = lookupExisting(path, 'chown', true).inode;
+        if (newUid !== -1) {
+            inode.uid = newUid;
+        }
+        if (newGid !== -1) {
+            inode.gid = newGid;
+        }
+        inode.ctime = new Date();
+    });
+
+    define('utimes', function (path, atime, mtime) {
+        path = toPath(path);
+        var inode = lookupExisting(path, 'utime', true).inode;
+        inode.atime = toDate(atime);
+        inode.mtime = toDate(mtime);
+        inode.ctime = new Date();
+    });
+
+    define('truncate', function (path, len) {
+        path = toPath(path);
+        var inode = lookupExisting(path, 'open', true).inode;
+        if (inode.type === 'directory') {
+            throw createError('EISDIR', 'open', path);
+        }
+        resize(inode, len || 0);
+        touch(inode);
+    });
+
+    define('open', function (path, flags, mode) {
+        path = toPath(path);
+        flags = toFlags(flags);
+        mode = toMode(mode, parseInt('666', 8));
+
+        var accessMode = flags & (fs.constants.O_RDONLY | fs.constants.O_WRONLY | fs.constants.O_RDWR);
+        var create = flags & fs.constants.O_CREAT;
+        var exclusive = create && (flags & fs.constants.O_EXCL);
+        var found = lookup(path, 'open', !exclusive);
+        var inode = found.inode;
+
+        if (!_.isNil(inode) && exclusive) {
+            throw createError('EEXIST', 'open', path);
+        }
+        if (_.isNil(inode)) {
+            if (!create) {
+                throw createError('ENOENT', 'open', path);
+            }
+            inode = createInode('file', mode & ~umask);
+            addEntry(found.parent, found.name, inode);
+        } else if (inode.type === 'directory' && (accessMode !== fs.constants.O_RDONLY || (flags & fs.constants.O_TRUNC))) {
+            throw createError('EISDIR', 'open', path);
+        } else if (flags & fs.constants.O_TRUNC) {
+            resize(inode, 0);
+            touch(inode);
+        }
+
+        var fd = nextFd++;
+        fileDescriptors.set(fd, {
+            inode: inode,
+            path: path,
+            position: 0,
+            readable: accessMode !== fs.constants.O_WRONLY,
+            writable: accessMode !== fs.constants.O_RDONLY,
+            append: !!(flags & fs.constants.O_APPEND)
+        });
+        return fd;
+    });
+
+    define('close', function (fd) {
+        getFileDescriptor(fd, 'close');
+        fileDescriptors.delete(fd);
+    });
+
+    define('read', function (fd, buffer, offset, length, position) {
+        var fileDescriptor = getFileDescriptor(fd, 'read');
+        var inode = fileDescriptor.inode;
+        if (!fileDescriptor.readable) {
+            throw createError('EBADF', 'read');
+        }
+        if (inode.type === 'directory') {
+            throw createError('EISDIR', 'read');
+        }
+
+        offset = offset || 0;
+        length = _.isNil(length) ? buffer.length - offset : length;
+        var usePosition = _.isNumber(position) && position >= 0;
+        var start = usePosition ? position : fileDescriptor.position;
+        var bytesRead = Math.max(0, Math.min(length, inode.size - start));
+
+        inode.data.copy(buffer, offset, start, start + bytesRead);
+        if (!usePosition) {
+            fileDescriptor.position += bytesRead;
+        }
+        return multiple(bytesRead, buffer);
+    });
+
+    define('write', function (fd, buffer, offset, length, position) {
+        var fileDescriptor = getFileDescriptor(fd, 'write');
+        var inode = fileDescriptor.inode;
+        if (!fileDescriptor.writable) {
+            throw createError('EBADF', 'write');
+        }
+
+        var data;
+        var written = buffer;
+        if (_.isString(buffer)) {
+            // write(fd, string[, position[, encoding]])
+            position = offset;
+            data = Buffer.from(buffer, _.isString(length) ? length : 'utf8');
+        } else {
+            offset = offset || 0;
+            length = _.isNil(length) ? buffer.length - offset : length;
+            data = buffer.slice(offset, offset + length);
+        }
+
+        var usePosition = _.isNumber(position) && position >= 0;
+        var start = fileDescriptor.append ? inode.size : (usePosition ? position : fileDescriptor.position);
+
+        if (start + data.length > inode.size) {
+            resize(inode, start + data.length);
+        }
+        data.copy(inode.data, start);
+        touch(inode);
+        if (!usePosition || fileDescriptor.append) {
+            fileDescriptor.position = start + data.length;
+        }
+        return multiple(data.length, written);
+    });
+
+    define('fstat', function (fd) {
+        return createStats(getFileDescriptor(fd, 'fstat').inode);
+    });
+
+    define('fsync', function (fd) {
+        getFileDescriptor(fd, 'fsync');
+    });
+
+    define('fdatasync', function (fd) {
+        getFileDescriptor(fd, 'fdatasync');
+    });
+
+    define('ftruncate', function (fd, len) {
+        var fileDescriptor = getFileDescriptor(fd, 'ftruncate');
+        if (!fileDescriptor.writable) {
+            throw createError('EINVAL', 'ftruncate');
+        }
+        resize(fileDescriptor.inode, len || 0);
+        touch(fileDescriptor.inode);
+    });
+
+    define('futimes', function (fd, atime, mtime) {
+        var inode = getFileDescriptor(fd, 'futime').inode;
+        inode.atime = toDate(atime);
+        inode.mtime = toDate(mtime);
+        inode.ctime = new Date();
+    });
+
+    define('fchmod', function (fd, mode) {
+        var inode = getFileDescriptor(fd, 'fchmod').inode;
+        inode.mode = (inode.mode & S_IFMT) | (toMode(mode) & PERMISSION_BITS);
+        inode.ctime = new Date();
+    });
+
+    define('fchown', function (fd, newUid, newGid) {
+        var inode = getFileDescriptor(fd, 'fchown').inode;
+        if (newUid !== -1) {
+            inode.uid = newUid;
+        }
+        if (newGid !== -1) {
+            inode.gid = newGid;
+        }
+        inode.ctime = new Date();
+    });
+
+    define('readFile', function (path, options) {
+        if (_.isString(options)) {
+            options = {encoding: options};
+        }
+        var encoding = _.get(options, 'encoding');
+        var inode;
+
+        if (_.isNumber(path)) {
+            inode = getFileDescriptor(path, 'read').inode;
+        } else {
+            path = toPath(path);
+            var fd = fileSystem.openSync(path, _.get(options, 'flag', 'r'));
+            inode = fileDescriptors.get(fd).inode;
+            fileSystem.closeSync(fd);
+            if (inode.type === 'directory') {
+                throw createError('EISDIR', 'read');
+            }
+        }
+
+        var data = Buffer.from(inode.data.slice(0, inode.size));
+        return _.isNil(encoding) || encoding === 'buffer' ? data : data.toString(encoding);
+    });
+
+    var writeData = function (path, data, options, defaultFlag) {
+        if (_.isString(options)) {
+            options = {encoding: options};
+        }
+        var encoding = _.get(options, 'encoding', 'utf8');
+        var buffer = Buffer.isBuffer(data) ? data : Buffer.from(String(data), encoding);
+
+        if (_.isNumber(path)) {
+            fileSystem.writeSync(path, buffer, 0, buffer.length, null);
+            return;
+        }
+
+        var fd = fileSystem.openSync(path, _.get(options, 'flag', defaultFlag), _.get(options, 'mode'));
+        try {
+            fileSystem.writeSync(fd, buffer, 0, buffer.length, null);
+        } finally {
+            fileSystem.closeSync(fd);
+        }
+    };
+
+    define('writeFile', function (path, data, options) {
+        writeData(path, data, options, 'w');
+    });
+
+    define('appendFile', function (path, data, options) {
+        writeData(path, data, options, 'a');
+    });
+
+    var unsupported = function (syscall) {
+        return function (path) {
+            throw createError('ENOSYS', syscall, _.isNil(path) ? path : String(path));
+        };
+    };
+
+    fileSystem.watch = unsupported('watch');
+    fileSystem.watchFile = unsupported('watch');
+    fileSystem.unwatchFile = _.noop;
+
+    /**
+     * Returns a readable stream of a file, like fs.createReadStream.
+     */
+    fileSystem.createReadStream = function (path, options) {
+        if (_.isString(options)) {
+            options = {encoding: options};
+        }
+        var fd = _.get(options, 'fd');
+        var position = _.get(options, 'start');
+        var end = _.get(options, 'end', Infinity);
+        var autoClose = _.get(options, 'autoClose', true);
+
+        var readStream = new stream.Readable({
+            highWaterMark: _.get(options, 'highWaterMark', 64 * 1024),
+            encoding: _.get(options, 'encoding'),
+            construct: function (callback) {
+                if (!_.isNil(fd)) {
+                    return callback();
+                }
+                fileSystem.open(path, _.get(options, 'flags', 'r'), _.get(options, 'mode'), function (err, openedFd) {
+                    if (err) {
+                        return callback(err);
+                    }
+                    fd = readStream.fd = openedFd;
+                    readStream.emit('open', fd);
+                    readStream.emit('ready');
+                    return callback();
+                });
+            },
+            read: function (size) {
+                var length = _.isNumber(position) ? Math.min(size, end - position + 1) : size;
+                if (length <= 0) {
+                    return readStream.push(null);
+                }
+
+                fileSystem.read(fd, Buffer.alloc(length), 0, length, _.isNumber(position) ? position : null, function (err, bytesRead, buffer) {
+                    if (err) {
+                        return readStream.destroy(err);
+                    }
+                    if (_.isNumber(position)) {
+                        position += bytesRead;
+                    }
+                    readStream.bytesRead += bytesRead;
+                    return readStream.push(bytesRead > 0 ? buffer.slice(0, bytesRead) : null);
+                });
+            },
+            destroy: function (err, callback) {
+                if (autoClose && !_.isNil(fd) && fileDescriptors.has(fd)) {
+                    fileDescriptors.delete(fd);
+                }
+                return callback(err);
+            }
+        });
+
+        readStream.path = _.isNil(path) ? undefined : toPath(path);
+        readStream.fd = fd;
+        readStream.bytesRead = 0;
+        return readStream;
+    };
+
+    /**
+     * Returns a writable stream to a file, like fs.createWriteStream.
+     */
+    fileSystem.createWriteStream = function (path, options) {
+        if (_.isString(options)) {
+            options = {encoding: options};
+        }
+        var fd = _.get(options, 'fd');
+        var position = _.get(options, 'start');
+        var autoClose = _.get(options, 'autoClose', true);
+
+        var writeStream = new stream.Writable({
+            defaultEncoding: _.get(options, 'defaultEncoding', _.get(options, 'encoding', 'utf8')),
+            construct: function (callback) {
+                if (!_.isNil(fd)) {
+                    return callback();
+                }
+                fileSystem.open(path, _.get(options, 'flags', 'w'), _.get(options, 'mode'), function (err, openedFd) {
+                    if (err) {
+                        return callback(err);
+                    }
+                    fd = writeStream.fd = openedFd;
+                    writeStream.emit('open', fd);
+                    writeStream.emit('ready');
+                    return callback();
+                });
+            },
+            write: function (chunk, encoding, callback) {
+                fileSystem.write(fd, chunk, 0, chunk.length, _.isNumber(position) ? position : null, function (err, written) {
+                    if (err) {
+                        return callback(err);
+                    }
+                    if (_.isNumber(position)) {
+                        position += written;
+                    }
+                    writeStream.bytesWritten += written;
+                    return callback();
+                });
+            },
+            destroy: function (err, callback) {
+                if (autoClose && !_.isNil(fd) && fileDescriptors.has(fd)) {
+                    fileDescriptors.delete(fd);
+                }
+                return callback(err);
+            }
+        });
+
+        writeStream.path = _.isNil(path) ? undefined : toPath(path);
+        writeStream.fd = fd;
+        writeStream.bytesWritten = 0;
+        return writeStream;
+    };
+
+    fileSystem.constants = fs.constants;
+    fileSystem.Stats = fs.Stats;
+
+    var toTime = function (time, defaultTime) {
+        if (_.isNil(time)) {
+            return defaultTime;
+        }
+        return _.isDate(time) ? new Date(time.getTime()) : new Date(time);
+    };
+
+    var isFixtureEntry = function (value) {
+        return _.isPlainObject(value) && _.isString(value.type) && _.has(TYPE_BITS, value.type);
+    };
+
+    var seedEntry = function (path, value) {
+        var found = lookup(path, 'open', false);
+        var inode = found.inode;
+        var type;
+
+        if (_.isString(value) || Buffer.isBuffer(value)) {
+            value = {type: 'file', content: value};
+        } else if (!isFixtureEntry(value)) {
+            value = {type: 'directory', entries: value};
+        }
+        type = value.type;
+
+        if (!_.isNil(inode) && (inode.type !== type || type !== 'directory')) {
+            if (inode === root) {
+                throw new Error(sprintf("Invalid fixture: / must be a directory, not a %s", type));
+            }
+            if (inode.type === 'directory') {
+                fileSystem.rmdirSync(path);
+            } else {
+                fileSystem.unlinkSync(path);
+            }
+            inode = null;
+        }
+
+        if (_.isNil(inode)) {
+            var defaultMode = {
+                file: parseInt('666', 8) & ~umask,
+                directory: parseInt('777', 8) & ~umask,
+                symlink: parseInt('777', 8)
+            }[type];
+            inode = createInode(type, toMode(value.mode, defaultMode));
+            addEntry(found.parent, found.name, inode);
+        } else if (!_.isNil(value.mode)) {
+            inode.mode = (inode.mode & S_IFMT) | (toMode(value.mode) & PERMISSION_BITS);
+        }
+
+        if (type === 'file') {
+            var content = value.content;
+            var data = Buffer.isBuffer(content) ? content : Buffer.from(_.toString(content), _.get(value, 'encoding', 'utf8'));
+            resize(inode, data.length);
+            data.copy(inode.data);
+        } else if (type === 'symlink') {
+            inode.target = String(value.target);
+        } else {
+            _.each(value.entries, function (childValue, name) {
+                seedEntry(_path.posix.join(path, name), childValue);
+            });
+        }
+
+        inode.uid = _.get(value, 'uid', inode.uid);
+        inode.gid = _.get(value, 'gid', inode.gid);
+        inode.mtime = toTime(value.mtime, inode.mtime);
+        inode.atime = toTime(value.atime, inode.mtime);
+    };
+
+    var snapshotEntry = function (inode) {
+        var entry = {
+            type: inode.type
+        };
+
+        if (inode.type === 'file') {
+            var data = inode.data.slice(0, inode.size);
+            var content = data.toString('utf8');
+            if (Buffer.from(content, 'utf8').equals(data)) {
+                entry.content = content;
+            } else {
+                entry.content = data.toString('base64');
+                entry.encoding = 'base64';
+            }
+        } else if (inode.type === 'symlink') {
+            entry.target = inode.target;
+        } else {
+            entry.entries = {};
+            _.each(_.sortBy(Array.from(inode.entries.keys())), function (name) {
+                entry.entries[name] = snapshotEntry(inode.entries.get(name));
+            });
+        }
+
+        if (inode.type !== 'symlink') {
+            entry.mode = sprintf('%o', inode.mode & PERMISSION_BITS);
+        }
+        entry.uid = inode.uid;
+        entry.gid = inode.gid;
+        entry.mtime = inode.mtime.toISOString();
+        return entry;
+    };
+
+    /**
+     * Adds the entries of a fixture, replacing existing entries of a different type and merging directories.
+     * @param fixture {object}
+     */
+    fileSystem.seed = function (fixture) {
+        _.each(fixture, function (value, path) {
+            path = toPath(path);
+            fileSystem.mkdirSync(_path.dirname(path), {recursive: true});
+            seedEntry(path, value);
+        });
+    };
+
+    /**
+     * Returns a fixture of path and everything below it, which can be passed to {@link MemoryFileSystem.create} or seed. Hard links are captured as separate files.
+     * @param [path] {string} - Defaults to '/'.
+     * @returns {object}
+     */
+    fileSystem.snapshot = function (path) {
+        path = toPath(_.isNil(path) ? '/' : path);
+        var fixtureSnapshot = {};
+        fixtureSnapshot[path] = snapshotEntry(lookupExisting(path, 'lstat', false).inode);
+        return fixtureSnapshot;
+    };
+
+    fileSystem.mkdirSync(os.tmpdir(), {recursive: true});
+    if (!_.isNil(fixture)) {
+        fileSystem.seed(fixture);
+    }
+
+    return fileSystem;
+};
+
+
+module.exports = MemoryFileSystem;
@@ -69,6 +69,73 @@ StreamUtil.pipe = function (options) {
     });
 };
 
+/**
+ * Pipes source through each transform into target, like source.pipe(transform).pipe(target).
+ * Resolves once target has finished, after it has flushed its data and, for file streams, closed its file descriptor. If any stage emits an error or closes before it has finished, every stage is destroyed and the promise is rejected with the error of the first stage to fail, with its index in the pipeline, 0 for source, as err.stage.
+ * @example
+ * StreamUtil.pipeline(readStream, zlib.createGzip(), writeStream);
+ * @param source {stream.Readable}
+ * @param [transforms] {...stream.Duplex}
+ * @param target {stream.Writable}
+ * @returns {Promise.<undefined>}
+ */
+StreamUtil.pipeline = function () {
+    var stages = _.flatten(_.toArray(arguments));
+
+    if (stages.length < 2) {
+        throw new Error("Missing parameter: pipeline needs at least a source and a target");
+    }
+    _.each(stages, function (stage, index) {
+        if (!(stage instanceof stream.Stream)) {
+            throw new Error(sprintf("Invalid parameter: stage %d must be a stream, not %s", index, typeof stage));
+        }
+    });
+
+    return new Promise(function (resolve, reject) {
+        var settled = false;
+
+        var fail = function (err, index) {
+            if (settled) {
+                return;
+            }
+            settled = true;
+
+            if (!_.isError(err)) {
+                err = new Error(String(err));
+            }
+            err.stage = index;
+
+            _.each(stages, function (stage) {
+                if (!stage.destroyed && _.isFunction(stage.destroy)) {
+                    stage.destroy();
+                }
+            });
+            return reject(err);
+        };
+
+        var lastIndex = stages.length - 1;
+        _.each(stages, function (stage, index) {
+            // Only the writable side of target has to finish, nothing reads from a transform used as target
+            var finishedOptions = index === lastIndex ? {readable: false} : {};
+
+            var cleanup = stream.finished(stage, finishedOptions, function (err) {
+                if (err) {
+                    return fail(err, index);
+                }
+                cleanup();
+                if (index === lastIndex && !settled) {
+                    settled = true;
+                    return resolve();
+                }
+            });
+        });
+
+        _.each(_.initial(stages), function (stage, index) {
+            stage.pipe(stages[index + 1]);
+        });
+    });
+};
+
 
 _.assign(StreamUtil, _.mapValues(StreamUtil, function (fn) {
     if (_.isFunction(fn)) {
@@ -149,13 +216,141 @@ StreamUtil.writeBuffer = function (buffer, stream, chunkSize) {
 
 };
 
+/**
+ * Returns a readable stream of the contents of buffer, pushed in chunks of at most chunkSize bytes. The chunks are slices of buffer, so it should not be modified while the stream is read.
+ * @param buffer {Buffer}
+ * @param [options]
+ * @param [options.chunkSize] {number} - Positive integer, defaults to 32768.
+ * @param [options.highWaterMark] {number} - Number of bytes the stream buffers ahead of its consumer.
+ * @returns {stream.Readable}
+ */
+StreamUtil.fromBuffer = function (buffer, options) {
+    if (!Buffer.isBuffer(buffer)) {
+        throw new Error(sprintf("Invalid parameter: buffer must be a Buffer, not %s", typeof buffer));
+    }
+
+    var chunkSize = _.get(options, 'chunkSize', 32768);
+    var highWaterMark = _.get(options, 'highWaterMark');
+    var offset = 0;
+
+    if (!_.isSafeInteger(chunkSize) || chunkSize < 1) {
+        throw new Error(sprintf("Invalid parameter: chunkSize must be a positive integer, not %s", chunkSize));
+    }
+
+    return new stream.Readable(_.omitBy({
+        highWaterMark: highWaterMark,
+        read: function () {
+            var more = true;
+            while (more && offset < buffer.length) {
+                var chunk = buffer.slice(offset, offset + chunkSize);
+                offset += chunk.length;
+                more = this.push(chunk);
+            }
+            if (offset >= buffer.length) {
+                this.push(null);
+            }
+        }
+    }, _.isUndefined));
+};
+
+/**
+ * Returns a readable stream of the bytes of string.
+ * @param string {string}
+ * @param [options]
+ * @param [options.encoding] {string} - Encoding of string. Defaults to 'utf8'.
+ * @param [options.chunkSize] {number} - Defaults to 32768.
+ * @param [options.highWaterMark] {number}
+ * @see StreamUtil.fromBuffer
+ * @returns {stream.Readable}
+ */
+StreamUtil.fromString = function (string, options) {
+    if (!_.isString(string)) {
+        throw new Error(sprintf("Invalid parameter: string must be a string, not %s", typeof string));
+    }
 
-// TODO: Implement reading from buffers
+    var encoding = _.get(options, 'encoding', 'utf8');
 
-// StreamUtil.readBuffer = function (buffer) {
-//
-//
-// };
+    return StreamUtil.fromBuffer(Buffer.from(string, encoding), _.omit(options, 'encoding'));
+};
+
+/**
+ * Returns a readable stream of the values of an iterable or async iterable, such as an array, a generator or an async generator. Values that are promises are awaited.
+ * The iterator is only advanced as the stream is read, and is closed with return() if the stream is destroyed before the end. An error thrown by the iterator is emitted by the stream.
+ * @param iterable {Iterable|AsyncIterable}
+ * @param [options]
+ * @param [options.objectMode] {boolean} - Push values as they are, instead of as Buffers and strings. null values are an error either way. Defaults to true.
+ * @param [options.highWaterMark] {number} - Number of values, or bytes without objectMode, the stream buffers ahead of its consumer.
+ * @returns {stream.Readable}
+ */
+StreamUtil.fromIterable = function (iterable, options) {
+    var iterator;
+    if (!_.isNil(iterable) && _.isFunction(iterable[Symbol.asyncIterator])) {
+        iterator = iterable[Symbol.asyncIterator]();
+    } else if (!_.isNil(iterable) && _.isFunction(iterable[Symbol.iterator])) {
+        iterator = iterable[Symbol.iterator]();
+    } else {
+        throw new Error(sprintf("Invalid parameter: iterable must be an iterable or async iterable, not %s", typeof iterable));
+    }
+
+    var objectMode = _.get(options, 'objectMode', true);
+    var highWaterMark = _.get(options, 'highWaterMark');
+    var reading = false;
+    var done = false;
+
+    var readable = new stream.Readable(_.omitBy({
+        objectMode: objectMode,
+        highWaterMark: highWaterMark,
+        read: function () {
+            if (reading) {
+                return;
+            }
+            reading = true;
+
+            var next = function () {
+                return Promise.resolve(iterator.next())
+                    .then(function (result) {
+                        if (result.done) {
+                            done = true;
+                            return readable.push(null);
+                        }
+                        return Promise.resolve(result.value)
+                            .then(function (value) {
+                                if (_.isNil(value)) {
+                                    throw new Error("Invalid value: iterable values must not be null or undefined");
+                                }
+                                if (readable.push(value)) {
+                                    return next();
+                                }
+                            });
+                    });
+            };
+
+            next()
+                .then(function () {
+                    reading = false;
+                }, function (err) {
+                    reading = false;
+                    readable.destroy(err);
+                });
+        },
+        destroy: function (err, callback) {
+            if (done || !_.isFunction(iterator.return)) {
+                return callback(err);
+            }
+            done = true;
+            Promise.try(function () {
+                return iterator.return();
+            })
+                .then(function () {
+                    callback(err);
+                }, function (returnErr) {
+                    callback(err || returnErr);
+                });
+        }
+    }, _.isUndefined));
+
+    return readable;
+};
 
 
 module.exports = StreamUtil;
@@ -1,13 +1,17 @@
+const ArchiveUtil = require('./ArchiveUtil');
 const CryptoUtil = require('./CryptoUtil');
 const ExecUtil = require('./ExecUtil');
 const FileUtil = require('./FileUtil');
+const MemoryFileSystem = require('./MemoryFileSystem');
 const RandomUtil = require('./RandomUtil');
 const StreamUtil = require('./StreamUtil');
 
 module.exports = {
+    ArchiveUtil: ArchiveUtil,
     CryptoUtil: CryptoUtil,
     ExecUtil: ExecUtil,
     FileUtil: FileUtil,
+    MemoryFileSystem: MemoryFileSystem,
     RandomUtil: RandomUtil,
     StreamUtil: StreamUtil
 };
\ No newline at end of file
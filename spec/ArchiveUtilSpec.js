@@ -0,0 +1,293 @@
+const _ = require('lodash');
+const _path = require('path');
+const ArchiveUtil = require('../lib/ArchiveUtil');
+const FileUtil = require('../lib/FileUtil');
+const StreamUtil = require('../lib/StreamUtil');
+const archives = require('./support/archives');
+
+describe('ArchiveUtil', function () {
+    var root;
+    var destinationPath;
+    var outsidePath;
+
+    beforeEach(function () {
+        return FileUtil.tempDir()
+            .then(function (path) {
+                root = path;
+                destinationPath = _path.join(root, 'destination');
+                outsidePath = _path.join(root, 'outside');
+                return FileUtil.mkdir({path: outsidePath});
+            });
+    });
+
+    afterEach(function () {
+        return FileUtil.rm({path: root, recursive: true});
+    });
+
+    var expectRejected = function (promise, pattern) {
+        return promise.then(function () {
+            fail('Expected the promise to be rejected');
+        }, function (err) {
+            expect(err.message).toMatch(pattern);
+        });
+    };
+
+    var expectOutsideEmpty = function () {
+        return FileUtil.readdir({path: outsidePath})
+            .then(function (names) {
+                expect(names).toEqual([]);
+            });
+    };
+
+    describe('extractTar', function () {
+        var extract = function (entries) {
+            return ArchiveUtil.extractTar({
+                source: StreamUtil.fromBuffer(archives.createTar(entries)),
+                destinationPath: destinationPath
+            });
+        };
+
+        it('restores the files, directories and symbolic links created by createTar', function () {
+            var sourcePath = _path.join(root, 'source');
+            var archivePath = _path.join(root, 'archive.tar.gz');
+
+            return FileUtil.mkdirp({path: _path.join(sourcePath, 'nested')})
+                .then(function () {
+                    return FileUtil.writeFile({path: _path.join(sourcePath, 'nested', 'file.txt'), data: 'contents', mode: parseInt('640', 8)});
+                })
+                .then(function () {
+                    return FileUtil.symlink({target: 'nested/file.txt', path: _path.join(sourcePath, 'link'), relative: true});
+                })
+                .then(function () {
+                    return ArchiveUtil.createTar({path: sourcePath, destinationPath: archivePath, gzip: true});
+                })
+                .then(function () {
+                    return ArchiveUtil.extractTar({path: archivePath, destinationPath: destinationPath});
+                })
+                .then(function () {
+                    return Promise.all([
+                        FileUtil.readFile({path: _path.join(destinationPath, 'nested', 'file.txt'), encoding: 'utf8'}),
+                        FileUtil.stat({path: _path.join(destinationPath, 'nested', 'file.txt')}),
+                        FileUtil.readlink({path: _path.join(destinationPath, 'link')})
+                    ]);
+                })
+                .then(function (results) {
+                    expect(results[0]).toBe('contents');
+                    expect(results[1].mode & parseInt('777', 8)).toBe(parseInt('640', 8));
+                    expect(results[2]).toBe('nested/file.txt');
+                });
+        });
+
+        it('rejects entry names that climb out of the destination', function () {
+            return expectRejected(extract([{name: '../outside/evil', type: '0', data: 'evil'}]), /Refusing to extract outside of/)
+                .then(expectOutsideEmpty);
+        });
+
+        it('rejects absolute entry names', function () {
+            return expectRejected(extract([{name: _path.join(outsidePath, 'evil'), type: '0', data: 'evil'}]), /Refusing to extract outside of/)
+                .then(expectOutsideEmpty);
+        });
+
+        it('rejects files written through an extracted symbolic link that points outside of the destination', function () {
+            return expectRejected(extract([
+                {name: 'link', type: '2', linkname: outsidePath},
+                {name: 'link/evil', type: '0', data: 'evil'}
+            ]), /Refusing to extract through a symbolic link outside of/)
+                .then(expectOutsideEmpty);
+        });
+
+        it('rejects files written through a relative symbolic link that climbs out of the destination', function () {
+            return expectRejected(extract([
+                {name: 'link', type: '2', linkname: '../outside'},
+                {name: 'link/nested/evil', type: '0', data: 'evil'}
+            ]), /Refusing to extract through a symbolic link outside of/)
+                .then(expectOutsideEmpty);
+        });
+
+        it('replaces an extracted symbolic link with a later file of the same name instead of writing through it', function () {
+            return extract([
+                {name: 'link', type: '2', linkname: _path.join(outsidePath, 'target')},
+                {name: 'link', type: '0', data: 'inside'}
+            ])
+                .then(function () {
+                    return Promise.all([
+                        FileUtil.lstat({path: _path.join(destinationPath, 'link')}),
+                        FileUtil.readFile({path: _path.join(destinationPath, 'link'), encoding: 'utf8'})
+                    ]);
+                })
+                .then(function (results) {
+                    expect(results[0].isFile()).toBe(true);
+                    expect(results[1]).toBe('inside');
+                })
+                .then(expectOutsideEmpty);
+        });
+
+        it('rejects hard links to files outside of the destination', function () {
+            var targetPath = _path.join(outsidePath, 'target');
+            return FileUtil.writeFile({path: targetPath, data: 'secret'})
+                .then(function () {
+                    return expectRejected(extract([{name: 'hardlink', type: '1', linkname: '../outside/target'}]), /Refusing to extract outside of/);
+                })
+                .then(function () {
+                    return FileUtil.exists({path: _path.join(destinationPath, 'hardlink')});
+                })
+                .then(function (exists) {
+                    expect(exists).toBe(false);
+                });
+        });
+
+        it('rejects hard links through an extracted symbolic link that points outside of the destination', function () {
+            var targetPath = _path.join(outsidePath, 'target');
+            return FileUtil.writeFile({path: targetPath, data: 'secret'})
+                .then(function () {
+                    return expectRejected(extract([
+                        {name: 'link', type: '2', linkname: outsidePath},
+                        {name: 'hardlink', type: '1', linkname: 'link/target'}
+                    ]), /Refusing to extract through a symbolic link outside of/);
+                })
+                .then(function () {
+                    return FileUtil.exists({path: _path.join(destinationPath, 'hardlink')});
+                })
+                .then(function (exists) {
+                    expect(exists).toBe(false);
+                });
+        });
+
+        it('rejects archives with a corrupted header', function () {
+            var buffer = archives.createTar([{name: 'file', type: '0', data: 'data'}]);
+            buffer[0] = 'g'.charCodeAt(0);
+            return expectRejected(ArchiveUtil.extractTar({
+                source: StreamUtil.fromBuffer(buffer),
+                destinationPath: destinationPath
+            }), /Invalid tar header checksum/);
+        });
+
+        it('returns the extracted paths', function () {
+            return extract([
+                {name: 'directory/', type: '5'},
+                {name: 'directory/file', type: '0', data: 'data'}
+            ])
+                .then(function (extractedPaths) {
+                    expect(_.sortBy(extractedPaths)).toEqual([
+                        _path.join(destinationPath, 'directory'),
+                        _path.join(destinationPath, 'directory', 'file')
+                    ]);
+                });
+        });
+    });
+
+    describe('extractZip', function () {
+        var FILE_MODE = parseInt('100644', 8);
+        var DIRECTORY_MODE = parseInt('40755', 8);
+        var SYMBOLIC_LINK_MODE = parseInt('120777', 8);
+
+        var extract = function (entries) {
+            var archivePath = _path.join(root, 'archive.zip');
+            return FileUtil.writeFile({path: archivePath, data: archives.createZip(entries)})
+                .then(function () {
+                    return ArchiveUtil.extractZip({path: archivePath, destinationPath: destinationPath});
+                });
+        };
+
+        it('restores the files, directories and symbolic links created by createZip', function () {
+            var sourcePath = _path.join(root, 'source');
+            var archivePath = _path.join(root, 'archive.zip');
+
+            return FileUtil.mkdirp({path: _path.join(sourcePath, 'nested')})
+                .then(function () {
+                    return FileUtil.writeFile({path: _path.join(sourcePath, 'nested', 'file.txt'), data: 'contents', mode: parseInt('640', 8)});
+                })
+                .then(function () {
+                    return FileUtil.symlink({target: 'nested/file.txt', path: _path.join(sourcePath, 'link'), relative: true});
+                })
+                .then(function () {
+                    return ArchiveUtil.createZip({path: sourcePath, destinationPath: archivePath});
+                })
+                .then(function () {
+                    return ArchiveUtil.extractZip({path: archivePath, destinationPath: destinationPath});
+                })
+                .then(function () {
+                    return Promise.all([
+                        FileUtil.readFile({path: _path.join(destinationPath, 'nested', 'file.txt'), encoding: 'utf8'}),
+                        FileUtil.stat({path: _path.join(destinationPath, 'nested', 'file.txt')}),
+                        FileUtil.readlink({path: _path.join(destinationPath, 'link')})
+                    ]);
+                })
+                .then(function (results) {
+                    expect(results[0]).toBe('contents');
+                    expect(results[1].mode & parseInt('777', 8)).toBe(parseInt('640', 8));
+                    expect(results[2]).toBe('nested/file.txt');
+                });
+        });
+
+        it('rejects entry names that climb out of the destination', function () {
+            return expectRejected(extract([{name: '../outside/evil', data: 'evil', mode: FILE_MODE}]), /Refusing to extract outside of/)
+                .then(expectOutsideEmpty);
+        });
+
+        it('rejects entry names that climb out of the destination after descending into it', function () {
+            return expectRejected(extract([{name: 'nested/../../outside/evil', data: 'evil', mode: FILE_MODE}]), /Refusing to extract outside of/)
+                .then(expectOutsideEmpty);
+        });
+
+        it('rejects absolute entry names', function () {
+            return expectRejected(extract([{name: _path.join(outsidePath, 'evil'), data: 'evil', mode: FILE_MODE}]), /Refusing to extract outside of/)
+                .then(expectOutsideEmpty);
+        });
+
+        it('rejects files written through an extracted symbolic link that points outside of the destination', function () {
+            return expectRejected(extract([
+                {name: 'link', data: outsidePath, mode: SYMBOLIC_LINK_MODE},
+                {name: 'link/evil', data: 'evil', mode: FILE_MODE}
+            ]), /Refusing to extract through a symbolic link outside of/)
+                .then(expectOutsideEmpty);
+        });
+
+        it('rejects directories created through an extracted symbolic link that points outside of the destination', function () {
+            return expectRejected(extract([
+                {name: 'link', data: '../outside', mode: SYMBOLIC_LINK_MODE},
+                {name: 'link/nested/', mode: DIRECTORY_MODE}
+            ]), /Refusing to extract through a symbolic link outside of/)
+                .then(expectOutsideEmpty);
+        });
+
+        it('rejects entries whose data does not match their CRC-32', function () {
+            var archivePath = _path.join(root, 'archive.zip');
+            var buffer = archives.createZip([{name: 'file', data: 'contents', mode: FILE_MODE}]);
+            buffer[buffer.indexOf('contents')] = 'C'.charCodeAt(0);
+
+            return FileUtil.writeFile({path: archivePath, data: buffer})
+                .then(function () {
+                    return expectRejected(ArchiveUtil.extractZip({path: archivePath, destinationPath: destinationPath}), /CRC-32 mismatch/);
+                })
+                .then(function () {
+                    return FileUtil.exists({path: _path.join(destinationPath, 'file')});
+                })
+                .then(function (exists) {
+                    expect(exists).toBe(false);
+                });
+        });
+
+        it('lists the entries of an archive', function () {
+            var archivePath = _path.join(root, 'archive.zip');
+            return FileUtil.writeFile({
+                path: archivePath,
+                data: archives.createZip([
+                    {name: 'directory/', mode: DIRECTORY_MODE},
+                    {name: 'directory/file', data: 'contents', mode: FILE_MODE},
+                    {name: 'link', data: 'directory/file', mode: SYMBOLIC_LINK_MODE}
+                ])
+            })
+                .then(function () {
+                    return ArchiveUtil.listZip({path: archivePath});
+                })
+                .then(function (entries) {
+                    expect(_.map(entries, _.partialRight(_.pick, ['name', 'type', 'size']))).toEqual([
+                        {name: 'directory/', type: 'directory', size: 0},
+                        {name: 'directory/file', type: 'file', size: 8},
+                        {name: 'link', type: 'symlink', size: 14}
+                    ]);
+                });
+        });
+    });
+});
@@ -0,0 +1,140 @@
+const _ = require('lodash');
+const _path = require('path');
+const fs = require('fs');
+const FileUtil = require('../../lib/FileUtil');
+
+describe('FileUtil.atomicWriteFile', function () {
+    var root;
+    var path;
+
+    beforeEach(function () {
+        return FileUtil.tempDir()
+            .then(function (tempPath) {
+                root = tempPath;
+                path = _path.join(root, 'file');
+            });
+    });
+
+    afterEach(function () {
+        return FileUtil.rm({path: root, recursive: true});
+    });
+
+    var read = function (filePath) {
+        return FileUtil.readFile({path: filePath, encoding: 'utf8'});
+    };
+
+    var expectNoTemporaryFiles = function (names) {
+        return FileUtil.readdir({path: root})
+            .then(function (actualNames) {
+                expect(_.sortBy(actualNames)).toEqual(names);
+            });
+    };
+
+    it('creates a new file with the umask applied', function () {
+        var umask = process.umask();
+        return FileUtil.atomicWriteFile({path: path, data: 'contents'})
+            .then(function () {
+                return Promise.all([read(path), FileUtil.stat({path: path})]);
+            })
+            .then(function (results) {
+                expect(results[0]).toBe('contents');
+                expect(results[1].mode & parseInt('7777', 8)).toBe(parseInt('666', 8) & ~umask);
+                return expectNoTemporaryFiles(['file']);
+            });
+    });
+
+    it('replaces an existing file with a new one, keeping its mode', function () {
+        var originalStats;
+        return FileUtil.writeFile({path: path, data: 'original', mode: parseInt('640', 8)})
+            .then(function () {
+                return FileUtil.stat({path: path});
+            })
+            .then(function (stats) {
+                originalStats = stats;
+                return FileUtil.atomicWriteFile({path: path, data: Buffer.from('replaced')});
+            })
+            .then(function () {
+                return Promise.all([read(path), FileUtil.stat({path: path})]);
+            })
+            .then(function (results) {
+                expect(results[0]).toBe('replaced');
+                expect(results[1].mode & parseInt('7777', 8)).toBe(parseInt('640', 8));
+                expect(results[1].ino).not.toBe(originalStats.ino);
+                return expectNoTemporaryFiles(['file']);
+            });
+    });
+
+    it('sets the given mode on an existing file', function () {
+        return FileUtil.writeFile({path: path, data: 'original', mode: parseInt('644', 8)})
+            .then(function () {
+                return FileUtil.atomicWriteFile({path: path, data: 'replaced', mode: parseInt('600', 8)});
+            })
+            .then(function () {
+                return FileUtil.stat({path: path});
+            })
+            .then(function (stats) {
+                expect(stats.mode & parseInt('7777', 8)).toBe(parseInt('600', 8));
+            });
+    });
+
+    it('keeps a symbolic link and replaces the file it points to', function () {
+        var linkPath = _path.join(root, 'link');
+        return FileUtil.writeFile({path: path, data: 'original'})
+            .then(function () {
+                return FileUtil.symlink({target: 'file', path: linkPath, relative: true});
+            })
+            .then(function () {
+                return FileUtil.atomicWriteFile({path: linkPath, data: 'replaced'});
+            })
+            .then(function () {
+                return Promise.all([FileUtil.lstat({path: linkPath}), read(path)]);
+            })
+            .then(function (results) {
+                expect(results[0].isSymbolicLink()).toBe(true);
+                expect(results[1]).toBe('replaced');
+                return expectNoTemporaryFiles(['file', 'link']);
+            });
+    });
+
+    it('creates the file a dangling symbolic link points to', function () {
+        var linkPath = _path.join(root, 'link');
+        return FileUtil.symlink({target: 'file', path: linkPath, relative: true})
+            .then(function () {
+                return FileUtil.atomicWriteFile({path: linkPath, data: 'created'});
+            })
+            .then(function () {
+                return Promise.all([FileUtil.lstat({path: linkPath}), read(path)]);
+            })
+            .then(function (results) {
+                expect(results[0].isSymbolicLink()).toBe(true);
+                expect(results[1]).toBe('created');
+            });
+    });
+
+    it('keeps the existing file and removes the temporary file when the write fails', function () {
+        var backend = _.assign({}, fs, {
+            fsync: function (fd, callback) {
+                var err = new Error('EIO: i/o error, fsync');
+                err.code = 'EIO';
+                process.nextTick(callback, err);
+            }
+        });
+
+        return FileUtil.writeFile({path: path, data: 'original'})
+            .then(function () {
+                return FileUtil.withBackend(backend, function () {
+                    return FileUtil.atomicWriteFile({path: path, data: 'replaced'});
+                });
+            })
+            .then(function () {
+                fail('Expected the promise to be rejected');
+            }, function (err) {
+                expect(err.code).toBe('EIO');
+                return read(path);
+            })
+            .then(function (contents) {
+                expect(contents).toBe('original');
+                return expectNoTemporaryFiles(['file']);
+            });
+    });
+});
@@ -0,0 +1,276 @@
+const _ = require('lodash');
+const _path = require('path');
+const FileUtil = require('../../lib/FileUtil');
+
+describe('FileUtil.chmodTree', function () {
+    var root;
+
+    var MODES = {
+        '': '777',
+        'private': '600',
+        'shared': '666',
+        'dir': '777',
+        'dir/script': '775'
+    };
+
+    beforeEach(function () {
+        return FileUtil.tempDir()
+            .then(function (path) {
+                root = path;
+                return FileUtil.mkdir({path: _path.join(root, 'dir')});
+            })
+            .then(function () {
+                return Promise.all([
+                    FileUtil.writeFile({path: _path.join(root, 'private'), data: 'private'}),
+                    FileUtil.writeFile({path: _path.join(root, 'shared'), data: 'shared'}),
+                    FileUtil.writeFile({path: _path.join(root, 'dir', 'script'), data: 'script'}),
+                    FileUtil.symlink({target: 'shared', path: _path.join(root, 'link'), relative: true})
+                ]);
+            })
+            .then(function () {
+                return Promise.all(_.map(MODES, function (mode, relativePath) {
+                    return FileUtil.chmod({path: _path.join(root, relativePath), mode: parseInt(mode, 8)});
+                }));
+            });
+    });
+
+    afterEach(function () {
+        return FileUtil.rm({path: root, recursive: true});
+    });
+
+    var readModes = function () {
+        return Promise.all(_.map(_.keys(MODES), function (relativePath) {
+            return FileUtil.lstat({path: _path.join(root, relativePath)});
+        }))
+            .then(function (stats) {
+                return _.zipObject(_.keys(MODES), _.map(stats, function (pathStats) {
+                    return (pathStats.mode & parseInt('7777', 8)).toString(8);
+                }));
+            });
+    };
+
+    var expectRejected = function (promise, message) {
+        return promise.then(function () {
+            fail('Expected the promise to be rejected');
+        }, function (err) {
+            expect(err.message).toBe(message);
+        });
+    };
+
+    it('applies symbolic modes, with X only for directories and files that are already executable', function () {
+        return FileUtil.chmodTree({path: root, mode: 'u+rwX,go-w'})
+            .then(function (report) {
+                expect(report.failed).toEqual([]);
+                expect(_.sortBy(report.unchanged)).toEqual([_path.join(root, 'private')]);
+                expect(_.sortBy(_.map(report.changed, function (change) {
+                    return [_path.relative(root, change.path), change.from.toString(8), change.to.toString(8)];
+                }))).toEqual([
+                    ['', '777', '755'],
+                    ['dir', '777', '755'],
+                    ['dir/script', '775', '755'],
+                    ['shared', '666', '644']
+                ]);
+                return readModes();
+            })
+            .then(function (modes) {
+                expect(modes).toEqual({'': '755', 'private': '600', 'shared': '644', 'dir': '755', 'dir/script': '755'});
+            });
+    });
+
+    it('applies separate file and directory modes', function () {
+        return FileUtil.chmodTree({path: root, fileMode: '640', directoryMode: 'go-rwx'})
+            .then(readModes)
+            .then(function (modes) {
+                expect(modes).toEqual({'': '700', 'private': '640', 'shared': '640', 'dir': '700', 'dir/script': '640'});
+            });
+    });
+
+    it('only changes directories when only directoryMode is given', function () {
+        return FileUtil.chmodTree({path: root, directoryMode: parseInt('750', 8)})
+            .then(readModes)
+            .then(function (modes) {
+                expect(modes).toEqual({'': '750', 'private': '600', 'shared': '666', 'dir': '750', 'dir/script': '775'});
+            });
+    });
+
+    it('leaves symbolic links out of the report', function () {
+        return FileUtil.chmodTree({path: root, mode: 'a+r'})
+            .then(function (report) {
+                var paths = _.concat(report.unchanged, _.map(report.changed, 'path'));
+                expect(paths).not.toContain(_path.join(root, 'link'));
+                expect(paths.length).toBe(5);
+            });
+    });
+
+    it('reports the changes without making them with dryRun', function () {
+        return FileUtil.chmodTree({path: root, mode: 'go=', dryRun: true})
+            .then(function (report) {
+                expect(report.changed.length).toBe(4);
+                return readModes();
+            })
+            .then(function (modes) {
+                expect(modes).toEqual(MODES);
+            });
+    });
+
+    it('keeps the setgid bit of directories with = and short octal modes, like GNU chmod', function () {
+        var directoryPath = _path.join(root, 'dir');
+        var chmodDirectory = function (mode) {
+            return FileUtil.chmodTree({path: directoryPath, directoryMode: mode})
+                .then(function () {
+                    return FileUtil.stat({path: directoryPath});
+                })
+                .then(function (stats) {
+                    return (stats.mode & parseInt('7777', 8)).toString(8);
+                });
+        };
+
+        return FileUtil.chmod({path: directoryPath, mode: parseInt('2775', 8)})
+            .then(function () {
+                return chmodDirectory('u=rwx,go=rx');
+            })
+            .then(function (mode) {
+                expect(mode).toBe('2755');
+                return chmodDirectory('750');
+            })
+            .then(function (mode) {
+                expect(mode).toBe('2750');
+                return chmodDirectory('g-s');
+            })
+            .then(function (mode) {
+                expect(mode).toBe('750');
+                return chmodDirectory('g+s');
+            })
+            .then(function (mode) {
+                expect(mode).toBe('2750');
+                return chmodDirectory('00755');
+            })
+            .then(function (mode) {
+                expect(mode).toBe('755');
+            });
+    });
+
+    it('copies permissions between classes and sets the sticky bit', function () {
+        return FileUtil.chmodTree({path: root, fileMode: 'g=u,o=,+t'})
+            .then(readModes)
+            .then(function (modes) {
+                expect(modes).toEqual({'': '777', 'private': '1660', 'shared': '1660', 'dir': '777', 'dir/script': '1770'});
+            });
+    });
+
+    it('rejects invalid and missing modes', function () {
+        return expectRejected(FileUtil.chmodTree({path: root, mode: 'u+q'}), 'Invalid mode: u+q')
+            .then(function () {
+                return expectRejected(FileUtil.chmodTree({path: root}), 'Missing parameter: mode');
+            });
+    });
+});
+
+describe('FileUtil.chmod', function () {
+    var path;
+
+    beforeEach(function () {
+        return FileUtil.tempFile()
+            .then(function (tempPath) {
+                path = tempPath;
+                return FileUtil.chmod({path: path, mode: parseInt('600', 8)});
+            });
+    });
+
+    afterEach(function () {
+        return FileUtil.rm({path: path});
+    });
+
+    it('accepts symbolic and octal mode strings', function () {
+        return FileUtil.chmod({path: path, mode: 'go+r'})
+            .then(function () {
+                return FileUtil.stat({path: path});
+            })
+            .then(function (stats) {
+                expect((stats.mode & parseInt('7777', 8)).toString(8)).toBe('644');
+                return FileUtil.chmod({path: path, mode: '0400'});
+            })
+            .then(function () {
+                return FileUtil.stat({path: path});
+            })
+            .then(function (stats) {
+                expect((stats.mode & parseInt('7777', 8)).toString(8)).toBe('400');
+            });
+    });
+});
+
+describe('FileUtil.chownTree', function () {
+    var root;
+
+    beforeEach(function () {
+        return FileUtil.tempDir()
+            .then(function (path) {
+                root = path;
+                return Promise.all([
+                    FileUtil.writeFile({path: _path.join(root, 'file'), data: 'file'}),
+                    FileUtil.symlink({target: 'file', path: _path.join(root, 'link'), relative: true})
+                ]);
+            });
+    });
+
+    afterEach(function () {
+        return FileUtil.rm({path: root, recursive: true});
+    });
+
+    var readOwners = function () {
+        return Promise.all([
+            FileUtil.lstat({path: root}),
+            FileUtil.lstat({path: _path.join(root, 'file')}),
+            FileUtil.lstat({path: _path.join(root, 'link')})
+        ])
+            .then(function (stats) {
+                return _.map(stats, function (pathStats) {
+                    return [pathStats.uid, pathStats.gid];
+                });
+            });
+    };
+
+    it('changes the owner and group of the tree, except for symbolic links', function () {
+        var owners;
+        return readOwners()
+            .then(function (originalOwners) {
+                owners = originalOwners;
+                return FileUtil.chownTree({path: root, uid: 1234});
+            })
+            .then(function (report) {
+                expect(_.sortBy(_.map(report.changed, 'path'))).toEqual([root, _path.join(root, 'file')]);
+                expect(report.changed[0].from).toEqual({uid: owners[0][0], gid: owners[0][1]});
+                expect(report.changed[0].to).toEqual({uid: 1234, gid: owners[0][1]});
+                return FileUtil.chownTree({path: root, gid: 5678});
+            })
+            .then(readOwners)
+            .then(function (newOwners) {
+                expect(newOwners).toEqual([[1234, 5678], [1234, 5678], owners[2]]);
+            });
+    });
+
+    it('reports the changes without making them with dryRun', function () {
+        var owners;
+        return readOwners()
+            .then(function (originalOwners) {
+                owners = originalOwners;
+                return FileUtil.chownTree({path: root, uid: 1234, gid: 5678, dryRun: true});
+            })
+            .then(function (report) {
+                expect(report.changed.length).toBe(2);
+                return readOwners();
+            })
+            .then(function (newOwners) {
+                expect(newOwners).toEqual(owners);
+            });
+    });
+
+    it('requires uid or gid', function () {
+        return FileUtil.chownTree({path: root})
+            .then(function () {
+                fail('Expected the promise to be rejected');
+            }, function (err) {
+                expect(err.message).toBe('Missing parameter: uid or gid');
+            });
+    });
+});
@@ -0,0 +1,318 @@
+const _ = require('lodash');
+const _path = require('path');
+const FileUtil = require('../../lib/FileUtil');
+
+describe('FileUtil.copy', function () {
+    var root;
+    var sourcePath;
+    var destinationPath;
+
+    beforeEach(function () {
+        return FileUtil.tempDir()
+            .then(function (path) {
+                root = path;
+                sourcePath = _path.join(root, 'source');
+                destinationPath = _path.join(root, 'destination');
+                return FileUtil.mkdirp({path: _path.join(sourcePath, 'nested')});
+            })
+            .then(function () {
+                return Promise.all([
+                    FileUtil.writeFile({path: _path.join(sourcePath, 'file.txt'), data: 'file', mode: parseInt('640', 8)}),
+                    FileUtil.writeFile({path: _path.join(sourcePath, 'nested', 'nested.txt'), data: 'nested'}),
+                    FileUtil.writeFile({path: _path.join(sourcePath, 'nested', 'data.json'), data: '{}'}),
+                    FileUtil.symlink({target: 'nested/nested.txt', path: _path.join(sourcePath, 'link'), relative: true})
+                ]);
+            });
+    });
+
+    afterEach(function () {
+        return FileUtil.chmod({path: _path.join(sourcePath, 'nested'), mode: parseInt('755', 8)})
+            .catch(_.noop)
+            .then(function () {
+                return FileUtil.rm({path: root, recursive: true});
+            });
+    });
+
+    var readDestination = function (relativePath) {
+        return FileUtil.readFile({path: _path.join(destinationPath, relativePath), encoding: 'utf8'});
+    };
+
+    var setMtime = function (path, time) {
+        var date = new Date(time);
+        return FileUtil.utimes({path: path, atime: date, mtime: date});
+    };
+
+    it('copies a directory tree and reports the copied entries', function () {
+        return FileUtil.copy({sourcePath: sourcePath, destinationPath: destinationPath})
+            .then(function (report) {
+                expect(_.sortBy(report.copied)).toEqual([
+                    sourcePath,
+                    _path.join(sourcePath, 'file.txt'),
+                    _path.join(sourcePath, 'link'),
+                    _path.join(sourcePath, 'nested'),
+                    _path.join(sourcePath, 'nested', 'data.json'),
+                    _path.join(sourcePath, 'nested', 'nested.txt')
+                ]);
+                expect(report.skipped).toEqual([]);
+                expect(report.failed).toEqual([]);
+                return Promise.all([
+                    readDestination('file.txt'),
+                    readDestination('nested/nested.txt')
+                ]);
+            })
+            .then(function (contents) {
+                expect(contents).toEqual(['file', 'nested']);
+            });
+    });
+
+    it('keeps file modes and modification times', function () {
+        var sourceFilePath = _path.join(sourcePath, 'file.txt');
+        return setMtime(sourceFilePath, '2001-02-03T04:05:06Z')
+            .then(function () {
+                return FileUtil.copy({sourcePath: sourcePath, destinationPath: destinationPath});
+            })
+            .then(function () {
+                return FileUtil.stat({path: _path.join(destinationPath, 'file.txt')});
+            })
+            .then(function (stats) {
+                expect(stats.mode & parseInt('7777', 8)).toBe(parseInt('640', 8));
+                expect(stats.mtime.getTime()).toBe(new Date('2001-02-03T04:05:06Z').getTime());
+            });
+    });
+
+    it('copies the contents of read-only directories and applies their mode afterwards', function () {
+        return FileUtil.chmod({path: _path.join(sourcePath, 'nested'), mode: parseInt('555', 8)})
+            .then(function () {
+                return FileUtil.copy({sourcePath: sourcePath, destinationPath: destinationPath});
+            })
+            .then(function (report) {
+                expect(report.failed).toEqual([]);
+                return Promise.all([
+                    FileUtil.stat({path: _path.join(destinationPath, 'nested')}),
+                    readDestination('nested/nested.txt')
+                ]);
+            })
+            .then(function (results) {
+                expect(results[0].mode & parseInt('7777', 8)).toBe(parseInt('555', 8));
+                expect(results[1]).toBe('nested');
+                return FileUtil.chmod({path: _path.join(destinationPath, 'nested'), mode: parseInt('755', 8)});
+            });
+    });
+
+    it('recreates symbolic links with their link string', function () {
+        return FileUtil.copy({sourcePath: sourcePath, destinationPath: destinationPath})
+            .then(function () {
+                return Promise.all([
+                    FileUtil.lstat({path: _path.join(destinationPath, 'link')}),
+                    FileUtil.readlink({path: _path.join(destinationPath, 'link')})
+                ]);
+            })
+            .then(function (results) {
+                expect(results[0].isSymbolicLink()).toBe(true);
+                expect(results[1]).toBe('nested/nested.txt');
+            });
+    });
+
+    it('copies the targets of symbolic links with dereference', function () {
+        return FileUtil.copy({sourcePath: sourcePath, destinationPath: destinationPath, dereference: true})
+            .then(function () {
+                return Promise.all([
+                    FileUtil.lstat({path: _path.join(destinationPath, 'link')}),
+                    readDestination('link')
+                ]);
+            })
+            .then(function (results) {
+                expect(results[0].isFile()).toBe(true);
+                expect(results[1]).toBe('nested');
+            });
+    });
+
+    it('copies a file onto an existing directory into that directory', function () {
+        return FileUtil.mkdir({path: destinationPath})
+            .then(function () {
+                return FileUtil.copy({sourcePath: _path.join(sourcePath, 'file.txt'), destinationPath: destinationPath});
+            })
+            .then(function () {
+                return readDestination('file.txt');
+            })
+            .then(function (contents) {
+                expect(contents).toBe('file');
+            });
+    });
+
+    it('copies a directory onto an existing directory into that directory', function () {
+        return FileUtil.mkdir({path: destinationPath})
+            .then(function () {
+                return FileUtil.copy({sourcePath: sourcePath, destinationPath: destinationPath});
+            })
+            .then(function () {
+                return Promise.all([
+                    readDestination('source/file.txt'),
+                    readDestination('source/nested/nested.txt'),
+                    FileUtil.exists({path: _path.join(destinationPath, 'file.txt')})
+                ]);
+            })
+            .then(function (results) {
+                expect(results).toEqual(['file', 'nested', false]);
+            });
+    });
+
+    it('merges a directory into an existing directory with noTargetDirectory', function () {
+        return FileUtil.mkdir({path: destinationPath})
+            .then(function () {
+                return FileUtil.copy({sourcePath: sourcePath, destinationPath: destinationPath, noTargetDirectory: true});
+            })
+            .then(function () {
+                return Promise.all([
+                    readDestination('file.txt'),
+                    readDestination('nested/nested.txt'),
+                    FileUtil.exists({path: _path.join(destinationPath, 'source')})
+                ]);
+            })
+            .then(function (results) {
+                expect(results).toEqual(['file', 'nested', false]);
+            });
+    });
+
+    it('copies a file to a new path', function () {
+        return FileUtil.copy({sourcePath: _path.join(sourcePath, 'file.txt'), destinationPath: _path.join(root, 'copy.txt')})
+            .then(function () {
+                return FileUtil.readFile({path: _path.join(root, 'copy.txt'), encoding: 'utf8'});
+            })
+            .then(function (contents) {
+                expect(contents).toBe('file');
+            });
+    });
+
+    it('overwrites existing files by default', function () {
+        return FileUtil.mkdir({path: destinationPath})
+            .then(function () {
+                return FileUtil.writeFile({path: _path.join(destinationPath, 'file.txt'), data: 'existing'});
+            })
+            .then(function () {
+                return FileUtil.copy({sourcePath: sourcePath, destinationPath: destinationPath, noTargetDirectory: true});
+            })
+            .then(function () {
+                return readDestination('file.txt');
+            })
+            .then(function (contents) {
+                expect(contents).toBe('file');
+            });
+    });
+
+    it('leaves existing files and skips them with noClobber', function () {
+        return FileUtil.mkdir({path: destinationPath})
+            .then(function () {
+                return FileUtil.writeFile({path: _path.join(destinationPath, 'file.txt'), data: 'existing'});
+            })
+            .then(function () {
+                return FileUtil.copy({sourcePath: sourcePath, destinationPath: destinationPath, noClobber: true, force: true, update: true, noTargetDirectory: true});
+            })
+            .then(function (report) {
+                expect(report.skipped).toEqual([_path.join(sourcePath, 'file.txt')]);
+                return Promise.all([
+                    readDestination('file.txt'),
+                    readDestination('nested/nested.txt')
+                ]);
+            })
+            .then(function (contents) {
+                expect(contents).toEqual(['existing', 'nested']);
+            });
+    });
+
+    it('only replaces older files with update', function () {
+        return FileUtil.mkdirp({path: _path.join(destinationPath, 'nested')})
+            .then(function () {
+                return Promise.all([
+                    FileUtil.writeFile({path: _path.join(destinationPath, 'file.txt'), data: 'older'}),
+                    FileUtil.writeFile({path: _path.join(destinationPath, 'nested', 'nested.txt'), data: 'newer'})
+                ]);
+            })
+            .then(function () {
+                return Promise.all([
+                    setMtime(_path.join(sourcePath, 'file.txt'), '2010-01-01T00:00:00Z'),
+                    setMtime(_path.join(destinationPath, 'file.txt'), '2000-01-01T00:00:00Z'),
+                    setMtime(_path.join(sourcePath, 'nested', 'nested.txt'), '2000-01-01T00:00:00Z'),
+                    setMtime(_path.join(destinationPath, 'nested', 'nested.txt'), '2010-01-01T00:00:00Z')
+                ]);
+            })
+            .then(function () {
+                return FileUtil.copy({sourcePath: sourcePath, destinationPath: destinationPath, update: true, noTargetDirectory: true});
+            })
+            .then(function (report) {
+                expect(report.copied).toContain(_path.join(sourcePath, 'file.txt'));
+                expect(report.skipped).toEqual([_path.join(sourcePath, 'nested', 'nested.txt')]);
+                return Promise.all([
+                    readDestination('file.txt'),
+                    readDestination('nested/nested.txt')
+                ]);
+            })
+            .then(function (contents) {
+                expect(contents).toEqual(['file', 'newer']);
+            });
+    });
+
+    it('replaces read-only existing files with force', function () {
+        var existingPath = _path.join(destinationPath, 'file.txt');
+        return FileUtil.mkdir({path: destinationPath})
+            .then(function () {
+                return FileUtil.writeFile({path: existingPath, data: 'existing', mode: parseInt('444', 8)});
+            })
+            .then(function () {
+                return FileUtil.copy({sourcePath: sourcePath, destinationPath: destinationPath, force: true, noTargetDirectory: true});
+            })
+            .then(function (report) {
+                expect(report.failed).toEqual([]);
+                return readDestination('file.txt');
+            })
+            .then(function (contents) {
+                expect(contents).toBe('file');
+            });
+    });
+
+    it('copies only the files matching include', function () {
+        return FileUtil.copy({sourcePath: sourcePath, destinationPath: destinationPath, include: '**/*.txt'})
+            .then(function (report) {
+                expect(_.sortBy(report.skipped)).toEqual([
+                    _path.join(sourcePath, 'link'),
+                    _path.join(sourcePath, 'nested', 'data.json')
+                ]);
+                return Promise.all([
+                    FileUtil.exists({path: _path.join(destinationPath, 'nested', 'nested.txt')}),
+                    FileUtil.exists({path: _path.join(destinationPath, 'nested', 'data.json')})
+                ]);
+            })
+            .then(function (exists) {
+                expect(exists).toEqual([true, false]);
+            });
+    });
+
+    it('skips excluded directories with all of their contents', function () {
+        return FileUtil.copy({sourcePath: sourcePath, destinationPath: destinationPath, exclude: ['nested']})
+            .then(function (report) {
+                expect(report.skipped).toEqual([_path.join(sourcePath, 'nested')]);
+                return Promise.all([
+                    FileUtil.exists({path: _path.join(destinationPath, 'file.txt')}),
+                    FileUtil.exists({path: _path.join(destinationPath, 'nested')})
+                ]);
+            })
+            .then(function (exists) {
+                expect(exists).toEqual([true, false]);
+            });
+    });
+
+    it('collects the errors of individual entries in the report instead of stopping', function () {
+        return FileUtil.mkdirp({path: _path.join(destinationPath, 'file.txt')})
+            .then(function () {
+                return FileUtil.copy({sourcePath: sourcePath, destinationPath: destinationPath, noTargetDirectory: true});
+            })
+            .then(function (report) {
+                expect(_.map(report.failed, 'path')).toEqual([_path.join(sourcePath, 'file.txt')]);
+                expect(report.failed[0].error.message).toMatch(/Cannot overwrite directory with non-directory/);
+                return readDestination('nested/nested.txt');
+            })
+            .then(function (contents) {
+                expect(contents).toBe('nested');
+            });
+    });
+});
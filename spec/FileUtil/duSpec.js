@@ -0,0 +1,101 @@
+const _ = require('lodash');
+const _path = require('path');
+const FileUtil = require('../../lib/FileUtil');
+
+describe('FileUtil.du', function () {
+    var root;
+    var directorySizes;
+
+    beforeEach(function () {
+        return FileUtil.tempDir()
+            .then(function (path) {
+                root = path;
+                return FileUtil.mkdirp({path: _path.join(root, 'a', 'b')});
+            })
+            .then(function () {
+                return Promise.all([
+                    FileUtil.writeFile({path: _path.join(root, 'small'), data: _.repeat('x', 100)}),
+                    FileUtil.writeFile({path: _path.join(root, 'a', 'medium'), data: _.repeat('x', 1000)}),
+                    FileUtil.writeFile({path: _path.join(root, 'a', 'b', 'large'), data: _.repeat('x', 10000)})
+                ]);
+            })
+            .then(function () {
+                return Promise.all(_.map(['', 'a', 'a/b'], function (directory) {
+                    return FileUtil.lstat({path: _path.join(root, directory)});
+                }));
+            })
+            .then(function (stats) {
+                directorySizes = _.zipObject(['', 'a', 'a/b'], _.map(stats, 'size'));
+            });
+    });
+
+    afterEach(function () {
+        return FileUtil.rm({path: root, recursive: true});
+    });
+
+    it('totals the apparent sizes and files of the tree and of each directory', function () {
+        return FileUtil.du(root)
+            .then(function (usage) {
+                expect(usage.path).toBe(root);
+                expect(usage.files).toBe(3);
+                expect(usage.apparentSize).toBe(11100 + directorySizes[''] + directorySizes.a + directorySizes['a/b']);
+                expect(usage.allocatedSize).toBeGreaterThan(0);
+                expect(_.map(usage.directories, function (directory) {
+                    return _.pick(directory, ['path', 'depth', 'apparentSize', 'files']);
+                })).toEqual([
+                    {path: root, depth: 0, apparentSize: usage.apparentSize, files: 3},
+                    {path: _path.join(root, 'a'), depth: 1, apparentSize: 11000 + directorySizes.a + directorySizes['a/b'], files: 2},
+                    {path: _path.join(root, 'a', 'b'), depth: 2, apparentSize: 10000 + directorySizes['a/b'], files: 1}
+                ]);
+                expect(usage.top).toEqual([]);
+            });
+    });
+
+    it('only reports directories down to depth, still counting everything', function () {
+        return FileUtil.du({path: root, depth: 1})
+            .then(function (usage) {
+                expect(_.map(usage.directories, 'path')).toEqual([root, _path.join(root, 'a')]);
+                expect(usage.files).toBe(3);
+            });
+    });
+
+    it('counts a file with several hard links once', function () {
+        return FileUtil.link({srcPath: _path.join(root, 'a', 'b', 'large'), destPath: _path.join(root, 'hardlink')})
+            .then(function () {
+                return FileUtil.du(root);
+            })
+            .then(function (usage) {
+                expect(usage.files).toBe(3);
+                expect(usage.apparentSize).toBe(11100 + directorySizes[''] + directorySizes.a + directorySizes['a/b']);
+            });
+    });
+
+    it('ranks the largest files and directories with top', function () {
+        return FileUtil.du({path: root, top: 3, sortBy: 'apparentSize'})
+            .then(function (usage) {
+                expect(_.map(usage.top, function (entry) {
+                    return [_path.relative(root, entry.path), entry.isDirectory];
+                })).toEqual([
+                    ['', true],
+                    ['a', true],
+                    [_path.join('a', 'b'), true]
+                ]);
+                return FileUtil.du({path: _path.join(root, 'a'), top: 2, sortBy: 'apparentSize'});
+            })
+            .then(function (usage) {
+                expect(_.map(usage.top, 'apparentSize')).toEqual([
+                    11000 + directorySizes.a + directorySizes['a/b'],
+                    10000 + directorySizes['a/b']
+                ]);
+            });
+    });
+
+    it('rejects other sort orders', function () {
+        return FileUtil.du({path: root, sortBy: 'name'})
+            .then(function () {
+                fail('Expected the promise to be rejected');
+            }, function (err) {
+                expect(err.message).toBe("Invalid parameter: sortBy must be 'allocatedSize' or 'apparentSize', not name");
+            });
+    });
+});
@@ -0,0 +1,261 @@
+const _ = require('lodash');
+const _path = require('path');
+const FileUtil = require('../../lib/FileUtil');
+
+describe('FileUtil.find', function () {
+    var root;
+
+    beforeEach(function () {
+        return FileUtil.tempDir()
+            .then(function (path) {
+                root = path;
+                return Promise.all([
+                    FileUtil.mkdirp({path: _path.join(root, 'dir', 'empty')}),
+                    FileUtil.writeFile({path: _path.join(root, 'a.log'), data: _.repeat('a', 100), mode: parseInt('644', 8)}),
+                    FileUtil.writeFile({path: _path.join(root, 'b.txt'), data: '', mode: parseInt('600', 8)}),
+                    FileUtil.symlink({target: 'a.log', path: _path.join(root, 'link'), relative: true})
+                ]);
+            })
+            .then(function () {
+                return FileUtil.writeFile({path: _path.join(root, 'dir', 'c.log'), data: _.repeat('c', 2000), mode: parseInt('755', 8)});
+            })
+            .then(function () {
+                var mtime = new Date('2001-02-03T04:05:06Z');
+                return FileUtil.utimes({path: _path.join(root, 'dir', 'c.log'), atime: mtime, mtime: mtime});
+            });
+    });
+
+    afterEach(function () {
+        return FileUtil.rm({path: root, recursive: true});
+    });
+
+    var expectRejected = function (promise, message) {
+        return promise.then(function () {
+            fail('Expected the promise to be rejected');
+        }, function (err) {
+            expect(err.message).toBe(message);
+        });
+    };
+
+    var findRelative = function (options) {
+        return FileUtil.find(_.assign({path: root}, options))
+            .then(function (result) {
+                return _.sortBy(_.map(result.matched, function (match) {
+                    return _path.relative(root, match.path);
+                }));
+            });
+    };
+
+    it('collects every entry below path by default', function () {
+        return findRelative({})
+            .then(function (paths) {
+                expect(paths).toEqual(['a.log', 'b.txt', 'dir', 'dir/c.log', 'dir/empty', 'link']);
+            });
+    });
+
+    it('matches base names with name and relative paths with glob', function () {
+        return Promise.all([
+            findRelative({name: '*.log'}),
+            findRelative({glob: 'dir/*'}),
+            findRelative({name: ['*.txt', 'empty']})
+        ])
+            .then(function (results) {
+                expect(results[0]).toEqual(['a.log', 'dir/c.log']);
+                expect(results[1]).toEqual(['dir/c.log', 'dir/empty']);
+                expect(results[2]).toEqual(['b.txt', 'dir/empty']);
+            });
+    });
+
+    it('matches types, and symbolic link targets with dereference', function () {
+        return Promise.all([
+            findRelative({type: 'file'}),
+            findRelative({type: ['directory', 'symlink']}),
+            findRelative({type: 'file', dereference: true})
+        ])
+            .then(function (results) {
+                expect(results[0]).toEqual(['a.log', 'b.txt', 'dir/c.log']);
+                expect(results[1]).toEqual(['dir', 'dir/empty', 'link']);
+                expect(results[2]).toEqual(['a.log', 'b.txt', 'dir/c.log', 'link']);
+            });
+    });
+
+    it('matches sizes exactly or within a range', function () {
+        return Promise.all([
+            findRelative({type: 'file', size: 100}),
+            findRelative({type: 'file', size: {min: 100}}),
+            findRelative({type: 'file', size: {max: 100}})
+        ])
+            .then(function (results) {
+                expect(results[0]).toEqual(['a.log']);
+                expect(results[1]).toEqual(['a.log', 'dir/c.log']);
+                expect(results[2]).toEqual(['a.log', 'b.txt']);
+            });
+    });
+
+    it('matches modification time ages', function () {
+        var day = 24 * 60 * 60 * 1000;
+        return Promise.all([
+            findRelative({type: 'file', mtime: {olderThan: day}}),
+            findRelative({type: 'file', mtime: {newerThan: day}})
+        ])
+            .then(function (results) {
+                expect(results[0]).toEqual(['dir/c.log']);
+                expect(results[1]).toEqual(['a.log', 'b.txt']);
+            });
+    });
+
+    it('matches permission bits exactly, all of them or any of them', function () {
+        return Promise.all([
+            findRelative({type: 'file', perm: parseInt('644', 8)}),
+            findRelative({type: 'file', perm: {all: parseInt('044', 8)}}),
+            findRelative({type: 'file', perm: {any: parseInt('111', 8)}})
+        ])
+            .then(function (results) {
+                expect(results[0]).toEqual(['a.log']);
+                expect(results[1]).toEqual(['a.log', 'dir/c.log']);
+                expect(results[2]).toEqual(['dir/c.log']);
+            });
+    });
+
+    it('matches empty files and directories', function () {
+        return Promise.all([
+            findRelative({empty: true}),
+            findRelative({type: 'directory', empty: false})
+        ])
+            .then(function (results) {
+                expect(results[0]).toEqual(['b.txt', 'dir/empty']);
+                expect(results[1]).toEqual(['dir']);
+            });
+    });
+
+    it('calls a predicate with the path and stats, waiting for promises', function () {
+        return findRelative({
+            predicate: function (path, stats) {
+                return Promise.resolve(stats.isFile() && _.endsWith(path, 'c.log'));
+            }
+        })
+            .then(function (paths) {
+                expect(paths).toEqual(['dir/c.log']);
+            });
+    });
+
+    it('combines criteria with not and anyOf', function () {
+        return Promise.all([
+            findRelative({type: 'file', not: {name: '*.log'}}),
+            findRelative({anyOf: [{name: '*.txt'}, {size: {min: 1000}, type: 'file'}]}),
+            findRelative({type: 'file', not: {anyOf: [{name: 'a.*'}, {empty: true}]}})
+        ])
+            .then(function (results) {
+                expect(results[0]).toEqual(['b.txt']);
+                expect(results[1]).toEqual(['b.txt', 'dir/c.log']);
+                expect(results[2]).toEqual(['dir/c.log']);
+            });
+    });
+
+    it('limits the depth of matches with minDepth and maxDepth', function () {
+        return Promise.all([
+            findRelative({minDepth: 0, maxDepth: 1, type: 'directory'}),
+            findRelative({minDepth: 2})
+        ])
+            .then(function (results) {
+                expect(results[0]).toEqual(['', 'dir']);
+                expect(results[1]).toEqual(['dir/c.log', 'dir/empty']);
+            });
+    });
+
+    it('deletes matches deepest first, and directories that are empty by then', function () {
+        return FileUtil.find({path: root, glob: 'dir{,/**}', action: 'delete'})
+            .then(function (result) {
+                expect(result.failed).toEqual([]);
+                return FileUtil.readdir({path: root});
+            })
+            .then(function (names) {
+                expect(_.sortBy(names)).toEqual(['a.log', 'b.txt', 'link']);
+            });
+    });
+
+    it('reports directories that are not empty when deleting them', function () {
+        return FileUtil.find({path: root, type: 'directory', action: 'delete'})
+            .then(function (result) {
+                expect(_.map(result.failed, 'path')).toEqual([_path.join(root, 'dir')]);
+                expect(result.failed[0].error.code).toBe('ENOTEMPTY');
+                return Promise.all([
+                    FileUtil.exists({path: _path.join(root, 'dir', 'empty')}),
+                    FileUtil.exists({path: _path.join(root, 'dir', 'c.log')})
+                ]);
+            })
+            .then(function (exists) {
+                expect(exists).toEqual([false, true]);
+            });
+    });
+
+    it('changes the mode of matches with chmod', function () {
+        return FileUtil.find({path: root, name: '*.log', action: 'chmod', mode: parseInt('600', 8)})
+            .then(function () {
+                return Promise.all([
+                    FileUtil.stat({path: _path.join(root, 'a.log')}),
+                    FileUtil.stat({path: _path.join(root, 'dir', 'c.log')})
+                ]);
+            })
+            .then(function (stats) {
+                expect(_.map(stats, function (fileStats) {
+                    return fileStats.mode & parseInt('7777', 8);
+                })).toEqual([parseInt('600', 8), parseInt('600', 8)]);
+            });
+    });
+
+    it('calls an action function for each match', function () {
+        var action = jasmine.createSpy('action').and.returnValue(Promise.resolve());
+        return FileUtil.find({path: root, name: '*.log', action: action})
+            .then(function () {
+                expect(_.sortBy(_.map(action.calls.allArgs(), 0))).toEqual([
+                    _path.join(root, 'a.log'),
+                    _path.join(root, 'dir', 'c.log')
+                ]);
+                expect(action.calls.argsFor(0)[1].isFile()).toBe(true);
+            });
+    });
+
+    it('only matches with dryRun', function () {
+        return FileUtil.find({path: root, name: '*.log', action: 'delete', dryRun: true})
+            .then(function (result) {
+                expect(result.matched.length).toBe(2);
+                return FileUtil.exists({path: _path.join(root, 'a.log')});
+            })
+            .then(function (exists) {
+                expect(exists).toBe(true);
+            });
+    });
+
+    it('skips entries that errorHandler returns no stats for', function () {
+        var errorHandler = jasmine.createSpy('errorHandler').and.returnValue(null);
+        return FileUtil.symlink({target: 'missing', path: _path.join(root, 'dangling'), relative: true})
+            .then(function () {
+                return Promise.all([
+                    findRelative({type: 'file', dereference: true, errorHandler: errorHandler}),
+                    findRelative({dereference: true, errorHandler: errorHandler}),
+                    FileUtil.find({path: root, name: 'dangling', dereference: true, errorHandler: errorHandler, action: 'delete'})
+                ]);
+            })
+            .then(function (results) {
+                expect(results[0]).toEqual(['a.log', 'b.txt', 'dir/c.log', 'link']);
+                expect(results[1]).not.toContain('dangling');
+                expect(results[2]).toEqual({matched: [], failed: []});
+                expect(errorHandler).toHaveBeenCalled();
+                return FileUtil.lstat({path: _path.join(root, 'dangling')});
+            })
+            .then(function (stats) {
+                expect(stats.isSymbolicLink()).toBe(true);
+            });
+    });
+
+    it('rejects invalid parameters', function () {
+        return expectRejected(FileUtil.find({path: root, action: 'print'}), "Invalid parameter: action must be 'collect', 'delete', 'chmod' or a function, not print")
+            .then(function () {
+                return expectRejected(FileUtil.find({path: root, action: 'chmod'}), 'Missing parameter: mode');
+            })
+            .then(function () {
+                return expectRejected(FileUtil.find({path: root, type: 'fifo'}), "Invalid parameter: type must be 'file', 'directory', 'symlink' or 'other', not fifo");
+            });
+    });
+});
@@ -0,0 +1,134 @@
+const _ = require('lodash');
+const _path = require('path');
+const fs = require('fs');
+const FileUtil = require('../../lib/FileUtil');
+
+describe('FileUtil.glob', function () {
+    var root;
+
+    beforeEach(function () {
+        return FileUtil.tempDir()
+            .then(function (path) {
+                root = path;
+                return Promise.all([
+                    FileUtil.mkdirp({path: _path.join(root, 'src', 'lib')}),
+                    FileUtil.mkdirp({path: _path.join(root, 'node_modules', 'module')}),
+                    FileUtil.mkdirp({path: _path.join(root, '.hidden')})
+                ]);
+            })
+            .then(function () {
+                return Promise.all(_.map(['a.js', 'b.txt', 'src/c.js', 'src/lib/d.js', 'src/lib/e.json', 'node_modules/module/f.js', '.hidden/g.js', '.h.js'], function (file) {
+                    return FileUtil.writeFile({path: _path.join(root, file), data: file});
+                }));
+            });
+    });
+
+    afterEach(function () {
+        return FileUtil.rm({path: root, recursive: true});
+    });
+
+    var glob = function (options) {
+        return FileUtil.glob(_.assign({path: root}, options))
+            .then(function (paths) {
+                return _.sortBy(_.map(paths, function (path) {
+                    return _path.relative(root, path).split(_path.sep).join('/');
+                }));
+            });
+    };
+
+    it('matches a pattern relative to path', function () {
+        return glob({pattern: '*.js'})
+            .then(function (paths) {
+                expect(paths).toEqual(['a.js']);
+            });
+    });
+
+    it('matches ** across directories', function () {
+        return glob({pattern: 'src/**/*.js'})
+            .then(function (paths) {
+                expect(paths).toEqual(['src/c.js', 'src/lib/d.js']);
+            });
+    });
+
+    it('supports character classes and brace expansion', function () {
+        return glob({pattern: ['[ab].*', 'src/lib/*.{js,json}']})
+            .then(function (paths) {
+                expect(paths).toEqual(['a.js', 'b.txt', 'src/lib/d.js', 'src/lib/e.json']);
+            });
+    });
+
+    it('excludes matches of patterns starting with !', function () {
+        return glob({pattern: ['**/*.js', '!src/**']})
+            .then(function (paths) {
+                expect(paths).toEqual(['a.js', 'node_modules/module/f.js']);
+            });
+    });
+
+    it('skips ignored directories with all of their contents', function () {
+        return glob({pattern: '**/*.js', ignore: 'node_modules'})
+            .then(function (paths) {
+                expect(paths).toEqual(['a.js', 'src/c.js', 'src/lib/d.js']);
+            });
+    });
+
+    it('only matches names starting with a period with dot', function () {
+        return Promise.all([
+            glob({pattern: '**/*.js', ignore: ['node_modules', 'src']}),
+            glob({pattern: '**/*.js', ignore: ['node_modules', 'src'], dot: true})
+        ])
+            .then(function (results) {
+                expect(results[0]).toEqual(['a.js']);
+                expect(results[1]).toEqual(['.h.js', '.hidden/g.js', 'a.js']);
+            });
+    });
+
+    it('does not descend into directories that cannot contain a match', function () {
+        var readDirectories = [];
+        var backend = _.assign({}, fs, {
+            readdir: function (path) {
+                readDirectories.push(_path.relative(root, path));
+                return fs.readdir.apply(null, arguments);
+            }
+        });
+
+        return FileUtil.withBackend(backend, function () {
+            return glob({pattern: 'src/*.js'});
+        })
+            .then(function (paths) {
+                expect(paths).toEqual(['src/c.js']);
+                expect(_.sortBy(readDirectories)).toEqual(['', 'src']);
+            });
+    });
+
+    it('follows symbolic links to directories with follow', function () {
+        return FileUtil.symlink({target: 'src/lib', path: _path.join(root, 'link'), relative: true})
+            .then(function () {
+                return Promise.all([
+                    glob({pattern: 'link/*.js'}),
+                    glob({pattern: 'link/*.js', follow: true})
+                ]);
+            })
+            .then(function (results) {
+                expect(results[0]).toEqual([]);
+                expect(results[1]).toEqual(['link/d.js']);
+            });
+    });
+
+    it('requires a pattern', function () {
+        return FileUtil.glob({path: root, pattern: []})
+            .then(function () {
+                fail('Expected the promise to be rejected');
+            }, function (err) {
+                expect(err.message).toBe('Missing parameter: pattern');
+            });
+    });
+
+    it('rejects absolute patterns', function () {
+        return FileUtil.glob({path: root, pattern: ['*.js', '!' + _path.join(root, '*.js')]})
+            .then(function () {
+                fail('Expected the promise to be rejected');
+            }, function (err) {
+                expect(err.message).toBe('Invalid parameter: pattern must be relative to path, not !' + _path.join(root, '*.js'));
+            });
+    });
+});
@@ -0,0 +1,150 @@
+const _path = require('path');
+const FileUtil = require('../../lib/FileUtil');
+
+describe('FileUtil JSON files', function () {
+    var root;
+    var path;
+
+    beforeEach(function () {
+        return FileUtil.tempDir()
+            .then(function (tempPath) {
+                root = tempPath;
+                path = _path.join(root, 'data.json');
+            });
+    });
+
+    afterEach(function () {
+        return FileUtil.rm({path: root, recursive: true});
+    });
+
+    var read = function () {
+        return FileUtil.readFile({path: path, encoding: 'utf8'});
+    };
+
+    var expectSyntaxError = function (promise, line, column) {
+        return promise.then(function () {
+            fail('Expected the promise to be rejected');
+        }, function (err) {
+            expect(err instanceof SyntaxError).toBe(true);
+            expect(err.path).toBe(path);
+            expect(err.line).toBe(line);
+            expect(err.column).toBe(column);
+            expect(err.message).toMatch('^' + path + ':' + line + ':' + column + ': ');
+        });
+    };
+
+    describe('writeJson and readJson', function () {
+        it('write compact JSON followed by a newline and read it back', function () {
+            var data = {b: [1, 2], a: {c: null}};
+            return FileUtil.writeJson({path: path, data: data})
+                .then(read)
+                .then(function (text) {
+                    expect(text).toBe('{"b":[1,2],"a":{"c":null}}\n');
+                    return FileUtil.readJson(path);
+                })
+                .then(function (result) {
+                    expect(result).toEqual(data);
+                });
+        });
+
+        it('indent with spaces and sort keys at every level', function () {
+            return FileUtil.writeJson({path: path, data: {b: 1, a: {d: 2, c: 3}}, spaces: 2, sortKeys: true})
+                .then(read)
+                .then(function (text) {
+                    expect(text).toBe('{\n  "a": {\n    "c": 3,\n    "d": 2\n  },\n  "b": 1\n}\n');
+                });
+        });
+
+        it('apply a replacer before sorting keys', function () {
+            var replacer = function (key, value) {
+                return key === 'secret' ? undefined : value;
+            };
+            return FileUtil.writeJson({path: path, data: {z: 1, secret: 'x', y: 2}, replacer: replacer, sortKeys: true})
+                .then(read)
+                .then(function (text) {
+                    expect(text).toBe('{"y":2,"z":1}\n');
+                });
+        });
+
+        it('write atomically with atomic', function () {
+            return FileUtil.writeFile({path: path, data: '{}', mode: parseInt('640', 8)})
+                .then(function () {
+                    return FileUtil.writeJson({path: path, data: [1], atomic: true});
+                })
+                .then(function () {
+                    return Promise.all([read(), FileUtil.stat({path: path}), FileUtil.readdir({path: root})]);
+                })
+                .then(function (results) {
+                    expect(results[0]).toBe('[1]\n');
+                    expect(results[1].mode & parseInt('7777', 8)).toBe(parseInt('640', 8));
+                    expect(results[2]).toEqual(['data.json']);
+                });
+        });
+
+        it('skip a byte order mark and pass the reviver to JSON.parse', function () {
+            return FileUtil.writeFile({path: path, data: '\uFEFF{"date": "2001-02-03T04:05:06.000Z"}'})
+                .then(function () {
+                    return FileUtil.readJson({
+                        path: path,
+                        reviver: function (key, value) {
+                            return key === 'date' ? new Date(value) : value;
+                        }
+                    });
+                })
+                .then(function (result) {
+                    expect(result.date instanceof Date).toBe(true);
+                    expect(result.date.getTime()).toBe(Date.UTC(2001, 1, 3, 4, 5, 6));
+                });
+        });
+
+        it('report the path, line and column of syntax errors', function () {
+            return FileUtil.writeFile({path: path, data: '{\n  "a": 1,\n  "b": x\n}\n'})
+                .then(function () {
+                    return expectSyntaxError(FileUtil.readJson(path), 3, 8);
+                });
+        });
+
+        it('report the end of the file for truncated JSON', function () {
+            return FileUtil.writeFile({path: path, data: '{\n  "a": ['})
+                .then(function () {
+                    return expectSyntaxError(FileUtil.readJson(path), 2, 9);
+                });
+        });
+    });
+
+    describe('appendJsonLines and readJsonLines', function () {
+        it('append one record per line and read them back, skipping blank lines', function () {
+            return FileUtil.appendJsonLines({path: path, data: [{b: 1, a: 2}, 'text']})
+                .then(function () {
+                    return FileUtil.appendFile({path: path, data: '\n'});
+                })
+                .then(function () {
+                    return FileUtil.appendJsonLines({path: path, data: [[3]], sortKeys: true});
+                })
+                .then(read)
+                .then(function (text) {
+                    expect(text).toBe('{"b":1,"a":2}\n"text"\n\n[3]\n');
+                    return FileUtil.readJsonLines(path);
+                })
+                .then(function (records) {
+                    expect(records).toEqual([{b: 1, a: 2}, 'text', [3]]);
+                });
+        });
+
+        it('report the line of a syntax error in the file', function () {
+            return FileUtil.writeFile({path: path, data: '{"a": 1}\n\n{"b": }\n'})
+                .then(function () {
+                    return expectSyntaxError(FileUtil.readJsonLines(path), 3, 7);
+                });
+        });
+
+        it('require an array of records', function () {
+            return FileUtil.appendJsonLines({path: path, data: {a: 1}})
+                .then(function () {
+                    fail('Expected the promise to be rejected');
+                }, function (err) {
+                    expect(err.message).toBe('Invalid parameter: data must be an array of records');
+                });
+        });
+    });
+});
@@ -0,0 +1,273 @@
+const _ = require('lodash');
+const _path = require('path');
+const childProcess = require('child_process');
+const os = require('os');
+const Promise = require('bluebird');
+const FileUtil = require('../../lib/FileUtil');
+
+describe('FileUtil.lock', function () {
+    var root;
+    var path;
+    var lockfilePath;
+
+    beforeEach(function () {
+        return FileUtil.tempDir()
+            .then(function (tempPath) {
+                root = tempPath;
+                path = _path.join(root, 'resource');
+                lockfilePath = path + '.lock';
+            });
+    });
+
+    afterEach(function () {
+        return FileUtil.rm({path: root, recursive: true});
+    });
+
+    var expectRejectedWithCode = function (promise, code) {
+        return promise.then(function () {
+            fail('Expected the promise to be rejected');
+        }, function (err) {
+            expect(err.code).toBe(code);
+        });
+    };
+
+    var writeLockfile = function (owner, mtime) {
+        return FileUtil.writeFile({path: lockfilePath, data: JSON.stringify(owner)})
+            .then(function () {
+                if (!_.isNil(mtime)) {
+                    return FileUtil.utimes({path: lockfilePath, atime: mtime, mtime: mtime});
+                }
+            });
+    };
+
+    var contend = function (count, options) {
+        return Promise.all(_.times(count, function () {
+            return FileUtil.lock(_.assign({path: path, refreshInterval: 0}, options))
+                .reflect();
+        }))
+            .then(function (inspections) {
+                var acquired = _.filter(inspections, function (inspection) {
+                    return inspection.isFulfilled();
+                });
+                _.each(inspections, function (inspection) {
+                    if (inspection.isRejected()) {
+                        expect(inspection.reason().code).toBe('ELOCKED');
+                    }
+                });
+                return Promise.each(acquired, function (inspection) {
+                    return inspection.value().release();
+                })
+                    .then(_.constant(acquired.length));
+            });
+    };
+
+    it('creates a lockfile with the pid and hostname of this process, and removes it on release', function () {
+        return FileUtil.lock({path: path})
+            .then(function (lock) {
+                expect(lock.path).toBe(path);
+                expect(lock.lockfilePath).toBe(lockfilePath);
+                return FileUtil.readJson({path: lockfilePath})
+                    .then(function (owner) {
+                        expect(owner.pid).toBe(process.pid);
+                        expect(owner.hostname).toBe(os.hostname());
+                        return lock.release();
+                    });
+            })
+            .then(function () {
+                return FileUtil.exists({path: lockfilePath});
+            })
+            .then(function (exists) {
+                expect(exists).toBe(false);
+            });
+    });
+
+    it('rejects with ELOCKED while the lock is held', function () {
+        return FileUtil.lock({path: path})
+            .then(function (lock) {
+                return expectRejectedWithCode(FileUtil.lock({path: path}), 'ELOCKED')
+                    .then(function () {
+                        return lock.release();
+                    });
+            });
+    });
+
+    it('waits for the lock to be released within timeout', function () {
+        return FileUtil.lock({path: path})
+            .then(function (lock) {
+                setTimeout(function () {
+                    lock.release();
+                }, 100);
+                return FileUtil.lock({path: path, timeout: 5000, retryInterval: 20});
+            })
+            .then(function (lock) {
+                return lock.release();
+            });
+    });
+
+    it('lets only one of several concurrent callers acquire the lock', function () {
+        return contend(8)
+            .then(function (acquired) {
+                expect(acquired).toBe(1);
+            });
+    });
+
+    it('takes over a lockfile that was not refreshed within the stale period', function () {
+        return writeLockfile({pid: process.pid, hostname: os.hostname()}, new Date(Date.now() - 60000))
+            .then(function () {
+                return FileUtil.lock({path: path, stale: 1000});
+            })
+            .then(function (lock) {
+                return FileUtil.readJson({path: lockfilePath})
+                    .then(function (owner) {
+                        expect(owner.created).toBeDefined();
+                        return lock.release();
+                    });
+            });
+    });
+
+    it('takes over a lockfile whose owner process on this host is no longer running', function () {
+        var pid = childProcess.spawnSync(process.execPath, ['-e', '']).pid;
+        return writeLockfile({pid: pid, hostname: os.hostname()})
+            .then(function () {
+                return FileUtil.lock({path: path});
+            })
+            .then(function (lock) {
+                return lock.release();
+            });
+    });
+
+    it('does not take over a fresh lockfile of a running process on another host', function () {
+        var pid = childProcess.spawnSync(process.execPath, ['-e', '']).pid;
+        return writeLockfile({pid: pid, hostname: os.hostname() + '.elsewhere'})
+            .then(function () {
+                return expectRejectedWithCode(FileUtil.lock({path: path}), 'ELOCKED');
+            });
+    });
+
+    it('lets only one of several concurrent callers take over a stale lockfile', function () {
+        return writeLockfile({pid: process.pid, hostname: os.hostname()}, new Date(Date.now() - 60000))
+            .then(function () {
+                return contend(8, {stale: 1000});
+            })
+            .then(function (acquired) {
+                expect(acquired).toBe(1);
+                return FileUtil.readdir({path: root});
+            })
+            .then(function (names) {
+                expect(names).toEqual([]);
+            });
+    });
+
+    it('refreshes the lockfile modification time', function () {
+        return FileUtil.lock({path: path, refreshInterval: 0})
+            .then(function (lock) {
+                var past = new Date(Date.now() - 60000);
+                return FileUtil.utimes({path: lockfilePath, atime: past, mtime: past})
+                    .then(function () {
+                        return lock.refresh();
+                    })
+                    .then(function () {
+                        return FileUtil.stat({path: lockfilePath});
+                    })
+                    .then(function (stats) {
+                        expect(Date.now() - stats.mtime.getTime()).toBeLessThan(10000);
+                        return lock.release();
+                    });
+            });
+    });
+
+    it('rejects refresh and release with ECOMPROMISED after the lock was taken over, keeping the new lockfile', function () {
+        return FileUtil.lock({path: path, stale: 1000, refreshInterval: 0})
+            .then(function (lock) {
+                var past = new Date(Date.now() - 60000);
+                return FileUtil.utimes({path: lockfilePath, atime: past, mtime: past})
+                    .then(function () {
+                        return FileUtil.lock({path: path, stale: 1000, refreshInterval: 0});
+                    })
+                    .then(function (newLock) {
+                        return expectRejectedWithCode(lock.refresh(), 'ECOMPROMISED')
+                            .then(function () {
+                                return expectRejectedWithCode(lock.release(), 'ECOMPROMISED');
+                            })
+                            .then(function () {
+                                return FileUtil.exists({path: lockfilePath});
+                            })
+                            .then(function (exists) {
+                                expect(exists).toBe(true);
+                                return newLock.release();
+                            });
+                    });
+            });
+    });
+
+    it('resolves release when the lockfile is already gone', function () {
+        return FileUtil.lock({path: path})
+            .then(function (lock) {
+                return FileUtil.unlink({path: lockfilePath})
+                    .then(function () {
+                        return lock.release();
+                    });
+            });
+    });
+
+    it('uses lockfilePath when given', function () {
+        var customLockfilePath = _path.join(root, 'custom.lock');
+        return FileUtil.lock({path: path, lockfilePath: customLockfilePath})
+            .then(function (lock) {
+                return FileUtil.exists({path: customLockfilePath})
+                    .then(function (exists) {
+                        expect(exists).toBe(true);
+                        return FileUtil.unlock({path: path, lockfilePath: customLockfilePath});
+                    })
+                    .then(function () {
+                        return FileUtil.exists({path: lock.lockfilePath});
+                    });
+            })
+            .then(function (exists) {
+                expect(exists).toBe(false);
+            });
+    });
+});
+
+describe('FileUtil.unlock', function () {
+    it('rejects a lock that is not held by this process', function () {
+        return FileUtil.unlock({path: _path.join(os.tmpdir(), 'not-locked')})
+            .then(function () {
+                fail('Expected the promise to be rejected');
+            }, function (err) {
+                expect(err.message).toMatch(/Lock is not held by this process/);
+            });
+    });
+});
+
+describe('FileUtil.withLock', function () {
+    var root;
+
+    beforeEach(function () {
+        return FileUtil.tempDir()
+            .then(function (tempPath) {
+                root = tempPath;
+            });
+    });
+
+    afterEach(function () {
+        return FileUtil.rm({path: root, recursive: true});
+    });
+
+    it('releases the lock after fn rejects', function () {
+        var path = _path.join(root, 'resource');
+        return FileUtil.withLock({path: path}, function (lock) {
+            expect(lock.path).toBe(path);
+            throw new Error('fn error');
+        })
+            .then(function () {
+                fail('Expected the promise to be rejected');
+            }, function (err) {
+                expect(err.message).toBe('fn error');
+                return FileUtil.exists({path: path + '.lock'});
+            })
+            .then(function (exists) {
+                expect(exists).toBe(false);
+            });
+    });
+});
@@ -0,0 +1,182 @@
+const _ = require('lodash');
+const _path = require('path');
+const FileUtil = require('../../lib/FileUtil');
+
+describe('FileUtil.ls', function () {
+    var root;
+
+    beforeEach(function () {
+        return FileUtil.tempDir()
+            .then(function (path) {
+                root = path;
+                return Promise.all([
+                    FileUtil.mkdirp({path: _path.join(root, 'dir')}),
+                    FileUtil.mkdirp({path: _path.join(root, '.hidden')})
+                ]);
+            })
+            .then(function () {
+                return Promise.all([
+                    FileUtil.writeFile({path: _path.join(root, 'b-small'), data: 'x'}),
+                    FileUtil.writeFile({path: _path.join(root, 'a-large'), data: _.repeat('x', 100)}),
+                    FileUtil.writeFile({path: _path.join(root, 'dir', 'nested'), data: 'xx'}),
+                    FileUtil.writeFile({path: _path.join(root, '.hidden', 'secret'), data: 'xxx'}),
+                    FileUtil.symlink({target: 'a-large', path: _path.join(root, 'link'), relative: true})
+                ]);
+            })
+            .then(function () {
+                return Promise.all(_.map({'b-small': '2010', 'a-large': '2000', 'dir/nested': '2020'}, function (year, relativePath) {
+                    var date = new Date(year + '-01-01T00:00:00Z');
+                    return FileUtil.utimes({path: _path.join(root, relativePath), atime: date, mtime: date});
+                }));
+            });
+    });
+
+    afterEach(function () {
+        return FileUtil.rm({path: root, recursive: true});
+    });
+
+    var listRelative = function (options) {
+        return FileUtil.ls(_.assign({path: root, details: false}, options))
+            .then(function (paths) {
+                return _.map(paths, function (path) {
+                    return _path.relative(root, path);
+                });
+            });
+    };
+
+    it('lists the contents of a directory tree, without the directory itself', function () {
+        return listRelative({sort: 'name'})
+            .then(function (paths) {
+                expect(paths).toEqual(['.hidden', '.hidden/secret', 'a-large', 'b-small', 'dir', 'dir/nested', 'link']);
+            });
+    });
+
+    it('lists a directory itself with directory', function () {
+        return FileUtil.ls({path: root, directory: true})
+            .then(function (entries) {
+                expect(entries.length).toBe(1);
+                expect(entries[0].path).toBe(root);
+                expect(entries[0].isDirectory).toBe(true);
+            });
+    });
+
+    it('only lists the top level without recursive', function () {
+        return listRelative({recursive: false, sort: 'name'})
+            .then(function (paths) {
+                expect(paths).toEqual(['.hidden', 'a-large', 'b-small', 'dir', 'link']);
+            });
+    });
+
+    it('leaves out hidden entries and their contents unless all is set', function () {
+        return listRelative({all: false, sort: 'name'})
+            .then(function (paths) {
+                expect(paths).toEqual(['a-large', 'b-small', 'dir', 'dir/nested', 'link']);
+            });
+    });
+
+    it('sorts by size largest first and by modification time newest first, or the other way round with reverse', function () {
+        return Promise.all([
+            listRelative({sort: 'size', recursive: false, all: false, lstat: true}),
+            listRelative({sort: 'mtime', all: false}),
+            listRelative({sort: 'name', reverse: true, recursive: false, all: false})
+        ])
+            .then(function (results) {
+                var bySize = _.without(results[0], 'dir');
+                expect(bySize).toEqual(['a-large', 'link', 'b-small']);
+                expect(_.intersection(results[1], ['dir/nested', 'b-small', 'a-large'])).toEqual(['dir/nested', 'b-small', 'a-large']);
+                expect(results[2]).toEqual(['link', 'dir', 'b-small', 'a-large']);
+            });
+    });
+
+    it('follows symbolic links unless lstat is set, which lists them with their link string', function () {
+        var linkPath = _path.join(root, 'link');
+        return Promise.all([
+            FileUtil.ls({path: root, recursive: false}),
+            FileUtil.ls({path: root, recursive: false, lstat: true})
+        ])
+            .then(function (results) {
+                var followed = _.find(results[0], {path: linkPath});
+                var listed = _.find(results[1], {path: linkPath});
+                expect(followed.isFile).toBe(true);
+                expect(followed.size).toBe(100);
+                expect(followed.linkString).toBeUndefined();
+                expect(listed.isSymbolicLink).toBe(true);
+                expect(listed.linkString).toBe('a-large');
+            });
+    });
+
+    it('rejects other sort orders', function () {
+        return FileUtil.ls({path: root, sort: 'type'})
+            .then(function () {
+                fail('Expected the promise to be rejected');
+            }, function (err) {
+                expect(err.message).toBe("Invalid parameter: sort must be 'name', 'size' or 'mtime', not type");
+            });
+    });
+});
+
+describe('FileUtil.formatLongList', function () {
+    var oldTime = new Date(2001, 1, 3, 4, 5);
+
+    var createEntry = function (path, mode, size, properties) {
+        return _.assign({path: path, mode: parseInt(mode, 8), nlink: 1, uid: 0, gid: 0, size: size, mtime: oldTime}, properties);
+    };
+
+    it('formats entries like ls -l with aligned columns', function () {
+        return FileUtil.formatLongList({
+            entries: [
+                createEntry('/base/dir', '40755', 4096, {nlink: 12}),
+                createEntry('/base/file', '100640', 42, {uid: 1000, gid: 100}),
+                createEntry('/base/link', '120777', 4, {linkString: 'file'})
+            ],
+            basePath: '/base'
+        })
+            .then(function (lines) {
+                expect(lines).toEqual([
+                    'drwxr-xr-x 12 0    0   4096 Feb  3  2001 dir',
+                    '-rw-r-----  1 1000 100   42 Feb  3  2001 file',
+                    'lrwxrwxrwx  1 0    0      4 Feb  3  2001 link -> file'
+                ]);
+            });
+    });
+
+    it('shows the time of day instead of the year for recent modification times', function () {
+        var recentTime = new Date(Date.now() - 60 * 60 * 1000);
+        return FileUtil.formatLongList({entries: [createEntry('/base/file', '100644', 0, {mtime: recentTime})]})
+            .then(function (lines) {
+                expect(lines[0]).toMatch(/^-rw-r--r-- 1 0 0 0 [A-Z][a-z]{2} [ \d]\d \d\d:\d\d \/base\/file$/);
+            });
+    });
+
+    it('shows setuid, setgid and sticky bits with and without execute permission', function () {
+        return FileUtil.formatLongList({
+            entries: [
+                createEntry('/setuid', '104755', 0),
+                createEntry('/setgid', '102644', 0),
+                createEntry('/sticky', '41777', 0),
+                createEntry('/sticky-no-execute', '41776', 0),
+                createEntry('/fifo', '10600', 0)
+            ]
+        })
+            .then(function (lines) {
+                expect(_.map(lines, function (line) {
+                    return line.slice(0, 10);
+                })).toEqual(['-rwsr-xr-x', '-rw-r-Sr--', 'drwxrwxrwt', 'drwxrwxrwT', 'prw-------']);
+            });
+    });
+
+    it('formats sizes like ls -h with humanReadable', function () {
+        var sizes = [0, 1023, 1024, 1536, 10239, 1048575, 1572864, 5 * 1024 * 1024 * 1024];
+        return FileUtil.formatLongList({
+            entries: _.map(sizes, function (size) {
+                return createEntry('/file', '100644', size);
+            }),
+            humanReadable: true
+        })
+            .then(function (lines) {
+                expect(_.map(lines, function (line) {
+                    return line.split(/ +/)[4];
+                })).toEqual(['0', '1023', '1.0K', '1.5K', '10K', '1.0M', '1.5M', '5.0G']);
+            });
+    });
+});
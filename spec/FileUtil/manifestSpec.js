@@ -0,0 +1,226 @@
+const _ = require('lodash');
+const _path = require('path');
+const crypto = require('crypto');
+const FileUtil = require('../../lib/FileUtil');
+
+describe('FileUtil manifests', function () {
+    var root;
+    var treePath;
+
+    beforeEach(function () {
+        return FileUtil.tempDir()
+            .then(function (path) {
+                root = path;
+                treePath = _path.join(root, 'tree');
+                return FileUtil.mkdirp({path: _path.join(treePath, 'nested')});
+            })
+            .then(function () {
+                return Promise.all([
+                    FileUtil.writeFile({path: _path.join(treePath, 'a.txt'), data: 'a', mode: parseInt('644', 8)}),
+                    FileUtil.writeFile({path: _path.join(treePath, 'nested', 'b.txt'), data: 'bb', mode: parseInt('600', 8)}),
+                    FileUtil.symlink({target: 'nested/b.txt', path: _path.join(treePath, 'link'), relative: true})
+                ]);
+            });
+    });
+
+    afterEach(function () {
+        return FileUtil.rm({path: root, recursive: true});
+    });
+
+    var hash = function (data, algorithm) {
+        return crypto.createHash(algorithm || 'sha256').update(data).digest('hex');
+    };
+
+    var expectRejected = function (promise, pattern) {
+        return promise.then(function () {
+            fail('Expected the promise to be rejected');
+        }, function (err) {
+            expect(err.message).toMatch(pattern);
+        });
+    };
+
+    describe('hashFile', function () {
+        it('hashes the contents of a file', function () {
+            return Promise.all([
+                FileUtil.hashFile(_path.join(treePath, 'a.txt')),
+                FileUtil.hashFile({path: _path.join(treePath, 'nested', 'b.txt'), algorithm: 'md5'})
+            ])
+                .then(function (hashes) {
+                    expect(hashes).toEqual([hash('a'), hash('bb', 'md5')]);
+                });
+        });
+    });
+
+    describe('createManifest', function () {
+        it('lists the size, mode and hash of each file and the target of each symbolic link', function () {
+            return FileUtil.createManifest(treePath)
+                .then(function (manifest) {
+                    expect(manifest).toEqual({
+                        algorithm: 'sha256',
+                        files: {
+                            'a.txt': {size: 1, mode: parseInt('644', 8), hash: hash('a')},
+                            'nested/b.txt': {size: 2, mode: parseInt('600', 8), hash: hash('bb')}
+                        },
+                        links: {
+                            'link': 'nested/b.txt'
+                        }
+                    });
+                });
+        });
+
+        it('leaves out excluded paths with their contents', function () {
+            return FileUtil.createManifest({path: treePath, exclude: ['nested', 'link'], algorithm: 'sha1'})
+                .then(function (manifest) {
+                    expect(manifest.algorithm).toBe('sha1');
+                    expect(_.keys(manifest.files)).toEqual(['a.txt']);
+                    expect(manifest.links).toEqual({});
+                });
+        });
+    });
+
+    describe('verifyManifest', function () {
+        var manifest;
+
+        beforeEach(function () {
+            return FileUtil.createManifest(treePath)
+                .then(function (treeManifest) {
+                    manifest = treeManifest;
+                });
+        });
+
+        var verify = function () {
+            return FileUtil.verifyManifest({path: treePath, manifest: manifest});
+        };
+
+        it('reports an untouched tree as unchanged', function () {
+            return verify()
+                .then(function (result) {
+                    expect(result).toEqual({missing: [], extra: [], modified: [], unchanged: ['a.txt', 'link', 'nested/b.txt']});
+                });
+        });
+
+        it('reports missing, extra and modified files', function () {
+            return Promise.all([
+                FileUtil.unlink({path: _path.join(treePath, 'a.txt')}),
+                FileUtil.writeFile({path: _path.join(treePath, 'nested', 'c.txt'), data: 'c'}),
+                FileUtil.writeFile({path: _path.join(treePath, 'nested', 'b.txt'), data: 'BB'})
+            ])
+                .then(verify)
+                .then(function (result) {
+                    expect(result).toEqual({missing: ['a.txt'], extra: ['nested/c.txt'], modified: ['nested/b.txt'], unchanged: ['link']});
+                });
+        });
+
+        it('reports files whose mode changed, and symbolic links with another target, as modified', function () {
+            return Promise.all([
+                FileUtil.chmod({path: _path.join(treePath, 'a.txt'), mode: parseInt('666', 8)}),
+                FileUtil.unlink({path: _path.join(treePath, 'link')})
+            ])
+                .then(function () {
+                    return FileUtil.symlink({target: 'a.txt', path: _path.join(treePath, 'link'), relative: true});
+                })
+                .then(verify)
+                .then(function (result) {
+                    expect(result.modified).toEqual(['a.txt', 'link']);
+                    expect(result.unchanged).toEqual(['nested/b.txt']);
+                });
+        });
+
+        it('reports a file replaced by a symbolic link as modified', function () {
+            return FileUtil.unlink({path: _path.join(treePath, 'a.txt')})
+                .then(function () {
+                    return FileUtil.symlink({target: 'nested/b.txt', path: _path.join(treePath, 'a.txt'), relative: true});
+                })
+                .then(verify)
+                .then(function (result) {
+                    expect(result.modified).toEqual(['a.txt']);
+                });
+        });
+
+        it('requires a manifest or a manifest path', function () {
+            return expectRejected(FileUtil.verifyManifest({path: treePath}), /^Missing parameters: manifest or manifestPath$/);
+        });
+    });
+
+    describe('writeManifest and readManifest', function () {
+        it('round-trip JSON manifests, which are not reported as extra when verified in place', function () {
+            var manifestPath = _path.join(treePath, 'MANIFEST.json');
+            var manifest;
+            return FileUtil.createManifest(treePath)
+                .then(function (treeManifest) {
+                    manifest = treeManifest;
+                    return FileUtil.writeManifest({path: manifestPath, manifest: manifest});
+                })
+                .then(function () {
+                    return FileUtil.readManifest(manifestPath);
+                })
+                .then(function (readManifest) {
+                    expect(readManifest).toEqual(manifest);
+                    return FileUtil.verifyManifest({path: treePath, manifestPath: manifestPath});
+                })
+                .then(function (result) {
+                    expect(result.extra).toEqual([]);
+                    expect(result.unchanged).toEqual(['a.txt', 'link', 'nested/b.txt']);
+                });
+        });
+
+        it('write sha256sum compatible checksum lines, escaping names as GNU coreutils does', function () {
+            var manifestPath = _path.join(root, 'SHA256SUMS');
+            return FileUtil.writeFile({path: _path.join(treePath, 'new\nline'), data: 'n'})
+                .then(function () {
+                    return FileUtil.createManifest(treePath);
+                })
+                .then(function (manifest) {
+                    return FileUtil.writeManifest({path: manifestPath, manifest: manifest, format: 'checksum'});
+                })
+                .then(function () {
+                    return FileUtil.readFile({path: manifestPath, encoding: 'utf8'});
+                })
+                .then(function (text) {
+                    expect(text).toBe(
+                        hash('a') + '  a.txt\n' +
+                        hash('bb') + '  nested/b.txt\n' +
+                        '\\' + hash('n') + '  new\\nline\n'
+                    );
+                    return FileUtil.readManifest(manifestPath);
+                })
+                .then(function (manifest) {
+                    expect(manifest).toEqual({
+                        algorithm: 'sha256',
+                        files: {
+                            'a.txt': {hash: hash('a')},
+                            'nested/b.txt': {hash: hash('bb')},
+                            'new\nline': {hash: hash('n')}
+                        },
+                        links: {}
+                    });
+                    return FileUtil.verifyManifest({path: treePath, manifestPath: manifestPath});
+                })
+                .then(function (result) {
+                    expect(result).toEqual({missing: [], extra: ['link'], modified: [], unchanged: ['a.txt', 'nested/b.txt', 'new\nline']});
+                });
+        });
+
+        it('read checksum files written by other tools, with binary markers and upper case digests', function () {
+            var manifestPath = _path.join(root, 'MD5SUMS');
+            return FileUtil.writeFile({path: manifestPath, data: _.toUpper(hash('a', 'md5')) + ' *a.txt\r\n'})
+                .then(function () {
+                    return FileUtil.verifyManifest({path: treePath, manifestPath: manifestPath, exclude: ['nested', 'link']});
+                })
+                .then(function (result) {
+                    expect(result).toEqual({missing: [], extra: [], modified: [], unchanged: ['a.txt']});
+                });
+        });
+
+        it('reject invalid checksum lines and formats', function () {
+            var manifestPath = _path.join(root, 'SHA256SUMS');
+            return FileUtil.writeFile({path: manifestPath, data: hash('a') + '  a.txt\nnot a checksum\n'})
+                .then(function () {
+                    return expectRejected(FileUtil.readManifest(manifestPath), manifestPath + ':2: Invalid checksum line');
+                })
+                .then(function () {
+                    return expectRejected(FileUtil.writeManifest({path: manifestPath, manifest: {files: {}}, format: 'xml'}), /^Invalid parameter: format must be 'json' or 'checksum', not xml$/);
+                });
+        });
+    });
+});
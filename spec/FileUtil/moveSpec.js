@@ -0,0 +1,140 @@
+const _ = require('lodash');
+const _path = require('path');
+const fs = require('fs');
+const sprintf = require('sprintf-js').sprintf;
+const FileUtil = require('../../lib/FileUtil');
+
+describe('FileUtil.move', function () {
+    var root;
+    var sourcePath;
+    var destinationPath;
+
+    beforeEach(function () {
+        return FileUtil.tempDir()
+            .then(function (path) {
+                root = path;
+                sourcePath = _path.join(root, 'source');
+                destinationPath = _path.join(root, 'destination');
+                return FileUtil.mkdirp({path: _path.join(sourcePath, 'nested')});
+            })
+            .then(function () {
+                return Promise.all([
+                    FileUtil.writeFile({path: _path.join(sourcePath, 'file'), data: 'file', mode: parseInt('640', 8)}),
+                    FileUtil.writeFile({path: _path.join(sourcePath, 'nested', 'file'), data: 'nested'}),
+                    FileUtil.symlink({target: 'nested/file', path: _path.join(sourcePath, 'link'), relative: true})
+                ]);
+            });
+    });
+
+    afterEach(function () {
+        return FileUtil.rm({path: root, recursive: true});
+    });
+
+    var createError = function (code, syscall, path) {
+        var err = new Error(sprintf("%s: %s '%s'", code, syscall, path));
+        err.code = code;
+        err.syscall = syscall;
+        err.path = path;
+        return err;
+    };
+
+    // A backend on which the source cannot be renamed, as if the destination were on another device
+    var createCrossDeviceBackend = function (overrides) {
+        return _.assign({}, fs, {
+            rename: function (oldPath, newPath, callback) {
+                if (oldPath === sourcePath) {
+                    return process.nextTick(callback, createError('EXDEV', 'rename', oldPath));
+                }
+                return fs.rename(oldPath, newPath, callback);
+            }
+        }, overrides);
+    };
+
+    var expectSourceIntact = function () {
+        return Promise.all([
+            FileUtil.readFile({path: _path.join(sourcePath, 'nested', 'file'), encoding: 'utf8'}),
+            FileUtil.readdir({path: root})
+        ])
+            .then(function (results) {
+                expect(results[0]).toBe('nested');
+                expect(results[1]).toEqual(['source']);
+            });
+    };
+
+    it('renames the source', function () {
+        return FileUtil.move({sourcePath: sourcePath, destinationPath: destinationPath})
+            .then(function () {
+                return Promise.all([
+                    FileUtil.exists({path: sourcePath}),
+                    FileUtil.readFile({path: _path.join(destinationPath, 'nested', 'file'), encoding: 'utf8'})
+                ]);
+            })
+            .then(function (results) {
+                expect(results).toEqual([false, 'nested']);
+            });
+    });
+
+    it('copies, verifies and then removes the source across devices', function () {
+        var mtime = new Date('2001-02-03T04:05:06Z');
+        return FileUtil.utimes({path: _path.join(sourcePath, 'file'), atime: mtime, mtime: mtime})
+            .then(function () {
+                return FileUtil.withBackend(createCrossDeviceBackend(), function () {
+                    return FileUtil.move({sourcePath: sourcePath, destinationPath: destinationPath});
+                });
+            })
+            .then(function () {
+                return Promise.all([
+                    FileUtil.exists({path: sourcePath}),
+                    FileUtil.readFile({path: _path.join(destinationPath, 'nested', 'file'), encoding: 'utf8'}),
+                    FileUtil.stat({path: _path.join(destinationPath, 'file')}),
+                    FileUtil.readlink({path: _path.join(destinationPath, 'link')}),
+                    FileUtil.readdir({path: root})
+                ]);
+            })
+            .then(function (results) {
+                expect(results[0]).toBe(false);
+                expect(results[1]).toBe('nested');
+                expect(results[2].mode & parseInt('7777', 8)).toBe(parseInt('640', 8));
+                expect(results[2].mtime.getTime()).toBe(mtime.getTime());
+                expect(results[3]).toBe('nested/file');
+                expect(results[4]).toEqual(['destination']);
+            });
+    });
+
+    it('keeps the source and removes the copy when the copy does not match it', function () {
+        var backend = createCrossDeviceBackend({
+            symlink: function (target, path, callback) {
+                return fs.symlink(target + '.changed', path, callback);
+            }
+        });
+
+        return FileUtil.withBackend(backend, function () {
+            return FileUtil.move({sourcePath: sourcePath, destinationPath: destinationPath});
+        })
+            .then(function () {
+                fail('Expected the promise to be rejected');
+            }, function (err) {
+                expect(err.message).toMatch(/Copy verification failed, contents differ/);
+            })
+            .then(expectSourceIntact);
+    });
+
+    it('keeps the source and removes the copy when the copy cannot be renamed into place', function () {
+        var backend = createCrossDeviceBackend({
+            rename: function (oldPath, newPath, callback) {
+                var code = oldPath === sourcePath ? 'EXDEV' : 'EACCES';
+                return process.nextTick(callback, createError(code, 'rename', oldPath));
+            }
+        });
+
+        return FileUtil.withBackend(backend, function () {
+            return FileUtil.move({sourcePath: sourcePath, destinationPath: destinationPath});
+        })
+            .then(function () {
+                fail('Expected the promise to be rejected');
+            }, function (err) {
+                expect(err.code).toBe('EACCES');
+            })
+            .then(expectSourceIntact);
+    });
+});
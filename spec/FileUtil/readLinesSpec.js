@@ -0,0 +1,231 @@
+const _ = require('lodash');
+const _path = require('path');
+const Promise = require('bluebird');
+const FileUtil = require('../../lib/FileUtil');
+
+describe('FileUtil.readLines', function () {
+    var root;
+    var path;
+
+    beforeEach(function () {
+        return FileUtil.tempDir()
+            .then(function (tempPath) {
+                root = tempPath;
+                path = _path.join(root, 'lines.txt');
+            });
+    });
+
+    afterEach(function () {
+        return FileUtil.rm({path: root, recursive: true});
+    });
+
+    var collect = function (options) {
+        return FileUtil.readLines(_.assign({path: path}, options))
+            .then(function (lineStream) {
+                var iterator = lineStream[Symbol.asyncIterator]();
+                var entries = [];
+                var next = function () {
+                    return iterator.next()
+                        .then(function (result) {
+                            if (result.done) {
+                                return entries;
+                            }
+                            entries.push(result.value);
+                            return next();
+                        });
+                };
+                return next();
+            });
+    };
+
+    var expectRejected = function (promise, message) {
+        return promise.then(function () {
+            fail('Expected the promise to be rejected');
+        }, function (err) {
+            expect(err.message).toBe(message);
+        });
+    };
+
+    it('emits each line with its number, byte offset and line ending', function () {
+        return FileUtil.writeFile({path: path, data: '\uFEFFfirst\r\nsecond\n\nlast'})
+            .then(function () {
+                return collect();
+            })
+            .then(function (entries) {
+                expect(entries).toEqual([
+                    {line: 'first', number: 1, offset: 0, ending: '\r\n'},
+                    {line: 'second', number: 2, offset: 10, ending: '\n'},
+                    {line: '', number: 3, offset: 17, ending: '\n'},
+                    {line: 'last', number: 4, offset: 18, ending: ''}
+                ]);
+            });
+    });
+
+    it('splits lines and multibyte characters across small chunks', function () {
+        return FileUtil.writeFile({path: path, data: 'äöü\r\n€uro\r\n'})
+            .then(function () {
+                return collect({highWaterMark: 1});
+            })
+            .then(function (entries) {
+                expect(entries).toEqual([
+                    {line: 'äöü', number: 1, offset: 0, ending: '\r\n'},
+                    {line: '€uro', number: 2, offset: 8, ending: '\r\n'}
+                ]);
+            });
+    });
+
+    it('splits lines only at an exact lineEnding when one is given', function () {
+        return FileUtil.writeFile({path: path, data: 'one\rtwo\nstill two\r'})
+            .then(function () {
+                return collect({lineEnding: '\r'});
+            })
+            .then(function (entries) {
+                expect(_.map(entries, 'line')).toEqual(['one', 'two\nstill two']);
+                expect(_.map(entries, 'ending')).toEqual(['\r', '\r']);
+            });
+    });
+
+    it('decodes other encodings', function () {
+        return FileUtil.writeFile({path: path, data: Buffer.from('one\ntwo\n', 'utf16le')})
+            .then(function () {
+                return collect({encoding: 'utf16le'});
+            })
+            .then(function (entries) {
+                expect(entries).toEqual([
+                    {line: 'one', number: 1, offset: 0, ending: '\n'},
+                    {line: 'two', number: 2, offset: 8, ending: '\n'}
+                ]);
+            });
+    });
+
+    it('starts reading at a byte offset, counting offsets from the start of the file', function () {
+        return FileUtil.writeFile({path: path, data: 'one\ntwo\nthree\n'})
+            .then(function () {
+                return collect({start: 4});
+            })
+            .then(function (entries) {
+                expect(_.map(entries, 'line')).toEqual(['two', 'three']);
+                expect(_.map(entries, 'offset')).toEqual([4, 8]);
+            });
+    });
+
+    it('rejects unknown encodings, empty line endings and missing files', function () {
+        return expectRejected(FileUtil.readLines({path: path, encoding: 'klingon'}), 'Invalid parameter: unknown encoding klingon')
+            .then(function () {
+                return expectRejected(FileUtil.readLines({path: path, lineEnding: ''}), 'Invalid parameter: lineEnding must not be empty');
+            })
+            .then(function () {
+                return FileUtil.readLines({path: path});
+            })
+            .then(function () {
+                fail('Expected the promise to be rejected');
+            }, function (err) {
+                expect(err.code).toBe('ENOENT');
+            });
+    });
+});
+
+describe('FileUtil.transformFile', function () {
+    var root;
+    var path;
+
+    beforeEach(function () {
+        return FileUtil.tempDir()
+            .then(function (tempPath) {
+                root = tempPath;
+                path = _path.join(root, 'data.csv');
+                return FileUtil.writeFile({path: path, data: 'id,name\r\n1,a\r\n2,b\r\n3,c', mode: parseInt('640', 8)});
+            });
+    });
+
+    afterEach(function () {
+        return FileUtil.rm({path: root, recursive: true});
+    });
+
+    var readFile = function (filePath) {
+        return FileUtil.readFile({path: filePath || path, encoding: 'utf8'});
+    };
+
+    it('replaces, removes and adds lines, keeping the line endings of the lines they replace', function () {
+        var transform = function (line, number) {
+            if (number === 1) {
+                return line + ',upper';
+            }
+            if (line === '2,b') {
+                return null;
+            }
+            var name = line.split(',')[1];
+            return Promise.delay(1).return([line + ',' + _.toUpper(name), '#']);
+        };
+
+        return FileUtil.transformFile({path: path, transform: transform})
+            .then(function (result) {
+                expect(result).toEqual({lines: 4, written: 5});
+                return readFile();
+            })
+            .then(function (contents) {
+                expect(contents).toBe('id,name,upper\r\n1,a,A\r\n#\r\n3,c,C\n#');
+            });
+    });
+
+    it('writes outputLineEnding instead of the input line endings', function () {
+        return FileUtil.transformFile({path: path, transform: _.identity, outputLineEnding: '\n'})
+            .then(function () {
+                return readFile();
+            })
+            .then(function (contents) {
+                expect(contents).toBe('id,name\n1,a\n2,b\n3,c');
+            });
+    });
+
+    it('keeps the mode of the file it replaces', function () {
+        return FileUtil.transformFile({path: path, transform: _.identity})
+            .then(function () {
+                return FileUtil.stat({path: path});
+            })
+            .then(function (stats) {
+                expect(stats.mode & parseInt('7777', 8)).toBe(parseInt('640', 8));
+            });
+    });
+
+    it('writes destinationPath instead of replacing path when given', function () {
+        var destinationPath = _path.join(root, 'upper.csv');
+        return FileUtil.transformFile({path: path, destinationPath: destinationPath, transform: _.toUpper})
+            .then(function () {
+                return Promise.all([readFile(), readFile(destinationPath)]);
+            })
+            .then(function (contents) {
+                expect(contents).toEqual(['id,name\r\n1,a\r\n2,b\r\n3,c', 'ID,NAME\r\n1,A\r\n2,B\r\n3,C']);
+            });
+    });
+
+    it('leaves the file and no temporary files behind when transform fails', function () {
+        var transform = function (line, number) {
+            if (number === 3) {
+                throw new Error('Bad line');
+            }
+            return line;
+        };
+
+        return FileUtil.transformFile({path: path, transform: transform})
+            .then(function () {
+                fail('Expected the promise to be rejected');
+            }, function (err) {
+                expect(err.message).toBe('Bad line');
+                return Promise.all([readFile(), FileUtil.readdir({path: root})]);
+            })
+            .then(function (results) {
+                expect(results[0]).toBe('id,name\r\n1,a\r\n2,b\r\n3,c');
+                expect(results[1]).toEqual(['data.csv']);
+            });
+    });
+
+    it('requires a transform function', function () {
+        return FileUtil.transformFile({path: path})
+            .then(function () {
+                fail('Expected the promise to be rejected');
+            }, function (err) {
+                expect(err.message).toBe('Missing parameter: transform');
+            });
+    });
+});
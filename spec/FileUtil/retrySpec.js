@@ -0,0 +1,302 @@
+const _ = require('lodash');
+const _path = require('path');
+const fs = require('fs');
+const Promise = require('bluebird');
+const sprintf = require('sprintf-js').sprintf;
+const FileUtil = require('../../lib/FileUtil');
+
+describe('FileUtil retry policy', function () {
+    var root;
+    var path;
+    var failures;
+    var calls;
+    var backend;
+
+    beforeEach(function () {
+        calls = 0;
+        failures = [];
+        return FileUtil.tempDir()
+            .then(function (tempPath) {
+                root = tempPath;
+                path = _path.join(root, 'data.json');
+                return FileUtil.writeFile({path: path, data: '{"ok": true}'});
+            })
+            .then(function () {
+                var failOrCall = function (name) {
+                    return function (callPath) {
+                        var args = arguments;
+                        if (callPath !== path) {
+                            return fs[name].apply(null, args);
+                        }
+                        calls++;
+                        if (!_.isEmpty(failures)) {
+                            var code = failures.shift();
+                            var err = new Error(sprintf("%s: %s '%s'", code, name, callPath));
+                            err.code = code;
+                            return process.nextTick(_.last(args), err);
+                        }
+                        return fs[name].apply(null, args);
+                    };
+                };
+                backend = _.assign({}, fs, {stat: failOrCall('stat'), readFile: failOrCall('readFile'), appendFile: failOrCall('appendFile')});
+            });
+    });
+
+    afterEach(function () {
+        FileUtil.setRetryPolicy(null);
+        return FileUtil.rm({path: root, recursive: true});
+    });
+
+    var expectRejected = function (promise, code) {
+        return promise.then(function () {
+            fail('Expected the promise to be rejected');
+        }, function (err) {
+            expect(err.code).toBe(code);
+        });
+    };
+
+    var withFailures = function (codes, fn) {
+        failures = codes;
+        return FileUtil.withBackend(backend, fn);
+    };
+
+    it('does not retry without a policy', function () {
+        return expectRejected(withFailures(['EBUSY'], function () {
+            return FileUtil.stat({path: path});
+        }), 'EBUSY')
+            .then(function () {
+                expect(calls).toBe(1);
+            });
+    });
+
+    it('retries retryable errors with exponential backoff, calling onRetry before each retry', function () {
+        var onRetry = jasmine.createSpy('onRetry');
+        FileUtil.setRetryPolicy({retries: 4, minTimeout: 1, maxTimeout: 3, jitter: false, onRetry: onRetry});
+
+        return withFailures(['EBUSY', 'EAGAIN', 'EMFILE', 'ENFILE'], function () {
+            return FileUtil.stat({path: path});
+        })
+            .then(function (stats) {
+                expect(stats.isFile()).toBe(true);
+                expect(calls).toBe(5);
+                expect(_.map(onRetry.calls.allArgs(), function (args) {
+                    return [args[0].code, args[1], args[2]];
+                })).toEqual([['EBUSY', 1, 1], ['EAGAIN', 2, 2], ['EMFILE', 3, 3], ['ENFILE', 4, 3]]);
+            });
+    });
+
+    it('picks delays at random up to the exponential delay with jitter', function () {
+        var delays = [];
+        FileUtil.setRetryPolicy({retries: 3, minTimeout: 4, factor: 3, onRetry: function (err, retry, delay) {
+            delays.push(delay);
+        }});
+
+        return withFailures(['EBUSY', 'EBUSY', 'EBUSY'], function () {
+            return FileUtil.stat({path: path});
+        })
+            .then(function () {
+                _.each([4, 12, 36], function (maxDelay, index) {
+                    expect(delays[index]).not.toBeLessThan(0);
+                    expect(delays[index]).not.toBeGreaterThan(maxDelay);
+                });
+            });
+    });
+
+    it('gives up after the number of retries', function () {
+        FileUtil.setRetryPolicy({retries: 2, minTimeout: 1});
+
+        return expectRejected(withFailures(['EBUSY', 'EBUSY', 'EBUSY', 'EBUSY'], function () {
+            return FileUtil.stat({path: path});
+        }), 'EBUSY')
+            .then(function () {
+                expect(calls).toBe(3);
+            });
+    });
+
+    it('only retries the configured error codes', function () {
+        FileUtil.setRetryPolicy({minTimeout: 1, codes: ['ESTALE']});
+
+        return withFailures(['ESTALE', 'EBUSY'], function () {
+            return expectRejected(FileUtil.stat({path: path}), 'EBUSY');
+        })
+            .then(function () {
+                expect(calls).toBe(2);
+            });
+    });
+
+    it('lets a call override the policy with options.retry', function () {
+        FileUtil.setRetryPolicy({minTimeout: 1});
+
+        return withFailures(['EBUSY'], function () {
+            return expectRejected(FileUtil.stat({path: path, retry: false}), 'EBUSY');
+        })
+            .then(function () {
+                FileUtil.setRetryPolicy(null);
+                return withFailures(['EBUSY', 'EBUSY'], function () {
+                    return FileUtil.stat({path: path, retry: {retries: 1, minTimeout: 1}});
+                });
+            })
+            .then(function () {
+                fail('Expected the promise to be rejected');
+            }, function (err) {
+                expect(err.code).toBe('EBUSY');
+                expect(calls).toBe(3);
+            });
+    });
+
+    it('retries the calls made by methods built on other methods by the global policy only', function () {
+        FileUtil.setRetryPolicy({minTimeout: 1});
+
+        return withFailures(['EBUSY'], function () {
+            return FileUtil.readJson({path: path});
+        })
+            .then(function (data) {
+                expect(data).toEqual({ok: true});
+                expect(calls).toBe(2);
+                return FileUtil.readJson({path: path, retry: false});
+            })
+            .then(function () {
+                fail('Expected the promise to be rejected');
+            }, function (err) {
+                expect(err.message).toBe('Invalid parameter: retry is not supported by readJson, use FileUtil.setRetryPolicy instead');
+            });
+    });
+
+    it('does not retry appendFile and write, which may have written part of their data', function () {
+        FileUtil.setRetryPolicy({minTimeout: 1});
+
+        return withFailures(['EAGAIN'], function () {
+            return expectRejected(FileUtil.appendFile({path: path, data: '\n'}), 'EAGAIN');
+        })
+            .then(function () {
+                expect(calls).toBe(1);
+                return Promise.all([
+                    FileUtil.appendFile({path: path, data: '\n', retry: true}),
+                    FileUtil.write({fd: 0, buffer: Buffer.from('\n'), retry: true})
+                ].map(function (promise) {
+                    return promise.then(function () {
+                        fail('Expected the promise to be rejected');
+                    }, function (err) {
+                        return err.message;
+                    });
+                }));
+            })
+            .then(function (messages) {
+                expect(messages).toEqual([
+                    'Invalid parameter: retry is not supported by appendFile, use FileUtil.setRetryPolicy instead',
+                    'Invalid parameter: retry is not supported by write, use FileUtil.setRetryPolicy instead'
+                ]);
+            });
+    });
+});
+
+describe('FileUtil file descriptor limit', function () {
+    var root;
+
+    beforeEach(function () {
+        return FileUtil.tempDir()
+            .then(function (path) {
+                root = path;
+                return Promise.all(_.map(_.range(10), function (index) {
+                    return FileUtil.writeFile({path: _path.join(root, 'file' + index), data: 'data'});
+                }));
+            });
+    });
+
+    afterEach(function () {
+        FileUtil.setFileDescriptorLimit(null);
+        return FileUtil.rm({path: root, recursive: true});
+    });
+
+    it('requires a limit of at least 2', function () {
+        expect(function () {
+            FileUtil.setFileDescriptorLimit(1);
+        }).toThrowError('Invalid parameter: limit must be an integer of at least 2, not 1');
+        expect(function () {
+            FileUtil.setFileDescriptorLimit(2.5);
+        }).toThrowError('Invalid parameter: limit must be an integer of at least 2, not 2.5');
+    });
+
+    it('makes open wait until another file descriptor is closed', function () {
+        var fds;
+        var third;
+        FileUtil.setFileDescriptorLimit(2);
+
+        return Promise.all([
+            FileUtil.open({path: _path.join(root, 'file0'), flags: 'r'}),
+            FileUtil.open({path: _path.join(root, 'file1'), flags: 'r'})
+        ])
+            .then(function (openedFds) {
+                fds = openedFds;
+                third = Promise.resolve(FileUtil.open({path: _path.join(root, 'file2'), flags: 'r'}));
+                return Promise.delay(50);
+            })
+            .then(function () {
+                expect(third.isPending()).toBe(true);
+                return FileUtil.close({fd: fds[0]});
+            })
+            .then(function () {
+                return third;
+            })
+            .then(function (fd) {
+                return Promise.all([FileUtil.close({fd: fds[1]}), FileUtil.close({fd: fd})]);
+            });
+    });
+
+    it('holds a file descriptor for a stream until it closes', function () {
+        var readStream;
+        var opened;
+        FileUtil.setFileDescriptorLimit(2);
+
+        return Promise.all([
+            FileUtil.createReadStream({path: _path.join(root, 'file0')}),
+            FileUtil.open({path: _path.join(root, 'file1'), flags: 'r'})
+        ])
+            .then(function (results) {
+                readStream = results[0];
+                opened = Promise.resolve(FileUtil.open({path: _path.join(root, 'file2'), flags: 'r'}));
+                return FileUtil.close({fd: results[1]});
+            })
+            .then(function () {
+                return opened;
+            })
+            .then(function (fd) {
+                var waiting = Promise.resolve(FileUtil.open({path: _path.join(root, 'file3'), flags: 'r'}));
+                return Promise.delay(50)
+                    .then(function () {
+                        expect(waiting.isPending()).toBe(true);
+                        readStream.resume();
+                        return waiting;
+                    })
+                    .then(function (waitingFd) {
+                        return Promise.all([FileUtil.close({fd: fd}), FileUtil.close({fd: waitingFd})]);
+                    });
+            });
+    });
+
+    it('keeps the number of files open at a time within the limit', function () {
+        var open = 0;
+        var maxOpen = 0;
+        var backend = _.assign({}, fs, {
+            readFile: function (path, options, callback) {
+                open++;
+                maxOpen = Math.max(maxOpen, open);
+                fs.readFile(path, options, function (err, data) {
+                    open--;
+                    callback(err, data);
+                });
+            }
+        });
+        FileUtil.setFileDescriptorLimit(3);
+
+        return FileUtil.withBackend(backend, function () {
+            return Promise.map(_.range(10), function (index) {
+                return FileUtil.readFile({path: _path.join(root, 'file' + index), encoding: 'utf8'});
+            });
+        })
+            .then(function (contents) {
+                expect(_.uniq(contents)).toEqual(['data']);
+                expect(maxOpen).toBe(3);
+            });
+    });
+});
@@ -0,0 +1,254 @@
+const _ = require('lodash');
+const _path = require('path');
+const FileUtil = require('../../lib/FileUtil');
+
+describe('FileUtil.rm', function () {
+    var root;
+
+    beforeEach(function () {
+        return FileUtil.tempDir()
+            .then(function (path) {
+                root = path;
+                return FileUtil.mkdirp({path: _path.join(root, 'tree', 'nested')});
+            })
+            .then(function () {
+                return Promise.all([
+                    FileUtil.writeFile({path: _path.join(root, 'tree', 'file'), data: 'file'}),
+                    FileUtil.writeFile({path: _path.join(root, 'tree', 'nested', 'file'), data: 'nested'})
+                ]);
+            });
+    });
+
+    afterEach(function () {
+        return FileUtil.rm({path: root, recursive: true});
+    });
+
+    var expectRejected = function (promise, pattern) {
+        return promise.then(function () {
+            fail('Expected the promise to be rejected');
+        }, function (err) {
+            expect(err.message).toMatch(pattern);
+        });
+    };
+
+    var expectExists = function (path, expected) {
+        return FileUtil.exists({path: path})
+            .then(function (exists) {
+                expect(exists).toBe(expected, path);
+            });
+    };
+
+    it('removes a file', function () {
+        var path = _path.join(root, 'tree', 'file');
+        return FileUtil.rm({path: path})
+            .then(function (removedPaths) {
+                expect(removedPaths).toEqual([path]);
+                return expectExists(path, false);
+            });
+    });
+
+    it('rejects a directory with EISDIR unless recursive is set', function () {
+        var path = _path.join(root, 'tree');
+        return FileUtil.rm({path: path})
+            .then(function () {
+                fail('Expected the promise to be rejected');
+            }, function (err) {
+                expect(err.code).toBe('EISDIR');
+                expect(err.path).toBe(path);
+                return expectExists(_path.join(path, 'nested', 'file'), true);
+            });
+    });
+
+    it('removes a directory tree, contents before the directories that hold them', function () {
+        var path = _path.join(root, 'tree');
+        return FileUtil.rm({path: path, recursive: true})
+            .then(function (removedPaths) {
+                expect(_.sortBy(removedPaths)).toEqual([
+                    path,
+                    _path.join(path, 'file'),
+                    _path.join(path, 'nested'),
+                    _path.join(path, 'nested', 'file')
+                ]);
+                expect(_.indexOf(removedPaths, _path.join(path, 'nested', 'file'))).toBeLessThan(_.indexOf(removedPaths, _path.join(path, 'nested')));
+                expect(_.last(removedPaths)).toBe(path);
+                return expectExists(path, false);
+            });
+    });
+
+    it('removes a directory tree with several entries removed at a time', function () {
+        var path = _path.join(root, 'tree');
+        return FileUtil.rm({path: path, recursive: true, concurrency: 4})
+            .then(function (removedPaths) {
+                expect(removedPaths.length).toBe(4);
+                return expectExists(path, false);
+            });
+    });
+
+    it('removes symbolic links without following them', function () {
+        var outsidePath = _path.join(root, 'outside');
+        var linkPath = _path.join(root, 'tree', 'link');
+        return FileUtil.mkdir({path: outsidePath})
+            .then(function () {
+                return FileUtil.writeFile({path: _path.join(outsidePath, 'keep'), data: 'keep'});
+            })
+            .then(function () {
+                return FileUtil.symlink({target: outsidePath, path: linkPath});
+            })
+            .then(function () {
+                return FileUtil.rm({path: _path.join(root, 'tree'), recursive: true});
+            })
+            .then(function (removedPaths) {
+                expect(removedPaths).toContain(linkPath);
+                return expectExists(_path.join(outsidePath, 'keep'), true);
+            });
+    });
+
+    it('removes a symbolic link to a directory without recursive', function () {
+        var linkPath = _path.join(root, 'link');
+        return FileUtil.symlink({target: _path.join(root, 'tree'), path: linkPath})
+            .then(function () {
+                return FileUtil.rm({path: linkPath});
+            })
+            .then(function () {
+                return Promise.all([
+                    expectExists(linkPath, false),
+                    expectExists(_path.join(root, 'tree', 'file'), true)
+                ]);
+            });
+    });
+
+    it('refuses to remove a filesystem root', function () {
+        return expectRejected(FileUtil.rm({path: '/', recursive: true, dryRun: true}), /Refusing to remove filesystem root/)
+            .then(function () {
+                return expectRejected(FileUtil.rm({path: _path.join(root, '..', '..', '..', '..', '..', '..', '..', '..'), recursive: true, dryRun: true}), /Refusing to remove filesystem root/);
+            });
+    });
+
+    describe('with basePath', function () {
+        it('removes paths below basePath', function () {
+            var path = _path.join(root, 'tree', 'nested');
+            return FileUtil.rm({path: path, recursive: true, basePath: _path.join(root, 'tree')})
+                .then(function () {
+                    return expectExists(path, false);
+                });
+        });
+
+        it('refuses to remove basePath itself', function () {
+            var path = _path.join(root, 'tree');
+            return expectRejected(FileUtil.rm({path: path, recursive: true, basePath: path}), /not below/)
+                .then(function () {
+                    return expectExists(path, true);
+                });
+        });
+
+        it('refuses to remove paths that climb out of basePath', function () {
+            var path = _path.join(root, 'tree', '..', 'outside');
+            return FileUtil.mkdir({path: path})
+                .then(function () {
+                    return expectRejected(FileUtil.rm({path: path, recursive: true, basePath: _path.join(root, 'tree')}), /not below/);
+                })
+                .then(function () {
+                    return expectExists(path, true);
+                });
+        });
+
+        it('refuses to remove paths reached through a symbolic link out of basePath', function () {
+            var outsidePath = _path.join(root, 'outside');
+            return FileUtil.mkdir({path: outsidePath})
+                .then(function () {
+                    return FileUtil.writeFile({path: _path.join(outsidePath, 'victim'), data: 'victim'});
+                })
+                .then(function () {
+                    return FileUtil.symlink({target: outsidePath, path: _path.join(root, 'tree', 'link')});
+                })
+                .then(function () {
+                    return expectRejected(FileUtil.rm({path: _path.join(root, 'tree', 'link', 'victim'), basePath: _path.join(root, 'tree')}), /not below/);
+                })
+                .then(function () {
+                    return expectExists(_path.join(outsidePath, 'victim'), true);
+                });
+        });
+
+        it('removes a symbolic link below basePath that points out of it', function () {
+            var outsidePath = _path.join(root, 'outside');
+            var linkPath = _path.join(root, 'tree', 'link');
+            return FileUtil.mkdir({path: outsidePath})
+                .then(function () {
+                    return FileUtil.symlink({target: outsidePath, path: linkPath});
+                })
+                .then(function () {
+                    return FileUtil.rm({path: linkPath, basePath: _path.join(root, 'tree')});
+                })
+                .then(function () {
+                    return Promise.all([
+                        expectExists(linkPath, false),
+                        expectExists(outsidePath, true)
+                    ]);
+                });
+        });
+    });
+
+    it('only lists the paths that would be removed with dryRun', function () {
+        var path = _path.join(root, 'tree');
+        return FileUtil.rm({path: path, recursive: true, dryRun: true})
+            .then(function (removedPaths) {
+                expect(removedPaths.length).toBe(4);
+                expect(_.last(removedPaths)).toBe(path);
+                return expectExists(_path.join(path, 'nested', 'file'), true);
+            });
+    });
+
+    describe('with trash', function () {
+        it('moves the path into the trash directory with a trashinfo file', function () {
+            var path = _path.join(root, 'tree');
+            var trashPath = _path.join(root, 'Trash');
+            return FileUtil.rm({path: path, recursive: true, trash: trashPath})
+                .then(function (removedPaths) {
+                    expect(removedPaths).toEqual([path]);
+                    return Promise.all([
+                        expectExists(path, false),
+                        FileUtil.readFile({path: _path.join(trashPath, 'files', 'tree', 'nested', 'file'), encoding: 'utf8'}),
+                        FileUtil.readFile({path: _path.join(trashPath, 'info', 'tree.trashinfo'), encoding: 'utf8'})
+                    ]);
+                })
+                .then(function (results) {
+                    expect(results[1]).toBe('nested');
+                    expect(results[2]).toMatch(/^\[Trash Info\]\n/);
+                    expect(results[2]).toContain('\nPath=' + path + '\n');
+                    expect(results[2]).toMatch(/\nDeletionDate=\d{4}-\d\d-\d\dT\d\d:\d\d:\d\d\n/);
+                });
+        });
+
+        it('gives a trashed path a numeric suffix when its name is taken', function () {
+            var trashPath = _path.join(root, 'Trash');
+            return FileUtil.rm({path: _path.join(root, 'tree', 'file'), trash: trashPath})
+                .then(function () {
+                    return FileUtil.rm({path: _path.join(root, 'tree', 'nested', 'file'), trash: trashPath});
+                })
+                .then(function () {
+                    return Promise.all([
+                        FileUtil.readFile({path: _path.join(trashPath, 'files', 'file'), encoding: 'utf8'}),
+                        FileUtil.readFile({path: _path.join(trashPath, 'files', 'file.2'), encoding: 'utf8'}),
+                        FileUtil.readdir({path: _path.join(trashPath, 'info')})
+                    ]);
+                })
+                .then(function (results) {
+                    expect(results[0]).toBe('file');
+                    expect(results[1]).toBe('nested');
+                    expect(_.sortBy(results[2])).toEqual(['file.2.trashinfo', 'file.trashinfo']);
+                });
+        });
+
+        it('still rejects a directory with EISDIR unless recursive is set', function () {
+            var path = _path.join(root, 'tree');
+            var trashPath = _path.join(root, 'Trash');
+            return expectRejected(FileUtil.rm({path: path, trash: trashPath}), /EISDIR/)
+                .then(function () {
+                    return Promise.all([
+                        expectExists(path, true),
+                        expectExists(trashPath, false)
+                    ]);
+                });
+        });
+    });
+});
@@ -0,0 +1,291 @@
+const _ = require('lodash');
+const _path = require('path');
+const FileUtil = require('../../lib/FileUtil');
+
+describe('FileUtil.scoped', function () {
+    var root;
+    var baseDir;
+    var outsidePath;
+    var scoped;
+
+    beforeEach(function () {
+        return FileUtil.tempDir()
+            .then(function (path) {
+                root = path;
+                baseDir = _path.join(root, 'base');
+                outsidePath = _path.join(root, 'outside');
+                return Promise.all([
+                    FileUtil.mkdirp({path: _path.join(baseDir, 'sub')}),
+                    FileUtil.mkdir({path: outsidePath})
+                ]);
+            })
+            .then(function () {
+                return FileUtil.writeFile({path: _path.join(outsidePath, 'secret'), data: 'secret'});
+            })
+            .then(function () {
+                return FileUtil.scoped({baseDir: baseDir});
+            })
+            .then(function (scopedFileUtil) {
+                scoped = scopedFileUtil;
+            });
+    });
+
+    afterEach(function () {
+        return FileUtil.rm({path: root, recursive: true});
+    });
+
+    var expectRejected = function (promise, pattern) {
+        return promise.then(function () {
+            fail('Expected the promise to be rejected');
+        }, function (err) {
+            expect(err.message).toMatch(pattern);
+        });
+    };
+
+    var expectOutsideUnchanged = function () {
+        return Promise.all([
+            FileUtil.readdir({path: outsidePath}),
+            FileUtil.readFile({path: _path.join(outsidePath, 'secret'), encoding: 'utf8'})
+        ])
+            .then(function (results) {
+                expect(results[0]).toEqual(['secret']);
+                expect(results[1]).toBe('secret');
+            });
+    };
+
+    it('resolves relative paths against baseDir', function () {
+        return scoped.writeFile({path: 'sub/file', data: 'contents'})
+            .then(function () {
+                return Promise.all([
+                    FileUtil.readFile({path: _path.join(baseDir, 'sub', 'file'), encoding: 'utf8'}),
+                    scoped.readFile({path: _path.join(baseDir, 'sub', 'file'), encoding: 'utf8'})
+                ]);
+            })
+            .then(function (results) {
+                expect(results).toEqual(['contents', 'contents']);
+            });
+    });
+
+    it('rejects paths that climb out of baseDir', function () {
+        return expectRejected(scoped.readFile({path: '../outside/secret'}), /Path is outside of/)
+            .then(function () {
+                return expectRejected(scoped.writeFile({path: 'sub/../../outside/evil', data: 'evil'}), /Path is outside of/);
+            })
+            .then(expectOutsideUnchanged);
+    });
+
+    it('rejects absolute paths outside of baseDir', function () {
+        return expectRejected(scoped.readFile(_path.join(outsidePath, 'secret')), /Path is outside of/);
+    });
+
+    it('checks every path option of a call', function () {
+        return scoped.writeFile({path: 'file', data: 'contents'})
+            .then(function () {
+                return expectRejected(scoped.copy({sourcePath: 'file', destinationPath: '../outside/copy'}), /Path is outside of/);
+            })
+            .then(function () {
+                return expectRejected(scoped.rename({oldPath: 'file', newPath: '../outside/renamed'}), /Path is outside of/);
+            })
+            .then(function () {
+                return expectRejected(scoped.link({srcPath: '../outside/secret', destPath: 'hardlink'}), /Path is outside of/);
+            })
+            .then(expectOutsideUnchanged);
+    });
+
+    it('rejects paths that lead out of baseDir through a symbolic link', function () {
+        return FileUtil.symlink({target: outsidePath, path: _path.join(baseDir, 'link')})
+            .then(function () {
+                return expectRejected(scoped.readFile({path: 'link/secret'}), /through a symbolic link/);
+            })
+            .then(function () {
+                return expectRejected(scoped.writeFile({path: 'link/evil', data: 'evil'}), /through a symbolic link/);
+            })
+            .then(expectOutsideUnchanged);
+    });
+
+    it('rejects paths that lead out of baseDir through a dangling symbolic link', function () {
+        return FileUtil.symlink({target: _path.join(outsidePath, 'missing'), path: _path.join(baseDir, 'dangling')})
+            .then(function () {
+                return expectRejected(scoped.writeFile({path: 'dangling', data: 'evil'}), /through a symbolic link/);
+            })
+            .then(expectOutsideUnchanged);
+    });
+
+    describe('symlink', function () {
+        it('creates links to targets inside baseDir', function () {
+            return scoped.symlink({target: 'sub', path: 'link', relative: true})
+                .then(function () {
+                    return FileUtil.readlink({path: _path.join(baseDir, 'link')});
+                })
+                .then(function (target) {
+                    expect(target).toBe('sub');
+                });
+        });
+
+        it('resolves targets against baseDir unless relative is set', function () {
+            return scoped.symlink({target: 'sub', path: 'sub/link'})
+                .then(function () {
+                    return FileUtil.readlink({path: _path.join(baseDir, 'sub', 'link')});
+                })
+                .then(function (target) {
+                    expect(target).toBe(_path.join(baseDir, 'sub'));
+                });
+        });
+
+        it('rejects targets outside of baseDir', function () {
+            return expectRejected(scoped.symlink({target: outsidePath, path: 'link'}), /Symbolic link target leads outside of/)
+                .then(function () {
+                    return expectRejected(scoped.symlink({target: '../outside', path: 'link', relative: true}), /Symbolic link target leads outside of/);
+                })
+                .then(function () {
+                    return FileUtil.exists({path: _path.join(baseDir, 'link')});
+                })
+                .then(function (exists) {
+                    expect(exists).toBe(false);
+                });
+        });
+
+        it('resolves targets through existing symbolic links before applying a following ..', function () {
+            // up/up/../.. is inside baseDir when read as text, but up leads back to baseDir itself
+            return FileUtil.symlink({target: '.', path: _path.join(baseDir, 'up'), relative: true})
+                .then(function () {
+                    return expectRejected(scoped.symlink({target: 'up/up/../..', path: 'link', relative: true}), /Symbolic link target leads outside of/);
+                });
+        });
+
+        it("rejects a '..' after a component that does not exist", function () {
+            return expectRejected(scoped.symlink({target: 'missing/..', path: 'link', relative: true}), /after a missing component/);
+        });
+    });
+
+    describe('rm', function () {
+        it('rejects the user trash directory', function () {
+            return scoped.writeFile({path: 'file', data: 'contents'})
+                .then(function () {
+                    return expectRejected(scoped.rm({path: 'file', trash: true}), /trash of scoped rm must be a directory/);
+                })
+                .then(function () {
+                    return expectRejected(scoped.rm({path: 'file', trash: outsidePath}), /Path is outside of/);
+                })
+                .then(function () {
+                    return FileUtil.exists({path: _path.join(baseDir, 'file')});
+                })
+                .then(function (exists) {
+                    expect(exists).toBe(true);
+                });
+        });
+
+        it('moves paths to a trash directory inside baseDir', function () {
+            return scoped.writeFile({path: 'file', data: 'contents'})
+                .then(function () {
+                    return scoped.rm({path: 'file', trash: 'Trash'});
+                })
+                .then(function () {
+                    return FileUtil.readFile({path: _path.join(baseDir, 'Trash', 'files', 'file'), encoding: 'utf8'});
+                })
+                .then(function (contents) {
+                    expect(contents).toBe('contents');
+                });
+        });
+    });
+
+    describe('temporary paths', function () {
+        it('creates temporary directories and files in baseDir', function () {
+            return Promise.all([
+                scoped.tempDir(),
+                scoped.tempFile({suffix: '.txt'}),
+                scoped.withTempDir(function (path) {
+                    return path;
+                })
+            ])
+                .then(function (paths) {
+                    _.each(paths, function (path) {
+                        expect(_path.dirname(path)).toBe(baseDir);
+                    });
+                    expect(paths[1]).toMatch(/\.txt$/);
+                });
+        });
+
+        it('rejects prefixes that climb out of baseDir', function () {
+            return expectRejected(scoped.tempDir('../outside/tmp-'), /Path is outside of/)
+                .then(function () {
+                    return expectRejected(scoped.tempFile({prefix: '../outside/tmp-'}), /Path is outside of/);
+                })
+                .then(function () {
+                    return expectRejected(scoped.tempFile({prefix: 'tmp-', suffix: '/../../../outside/evil'}), /Path is outside of/);
+                })
+                .then(function () {
+                    return expectRejected(scoped.mkdtemp('../outside'), /Path is outside of/);
+                })
+                .then(function () {
+                    return expectRejected(scoped.mkdtemp({prefix: '../outside/tmp-', inside: false}), /Path is outside of/);
+                })
+                .then(expectOutsideUnchanged);
+        });
+
+        it('keeps the mkdtemp prefix semantics for prefixes inside baseDir', function () {
+            return Promise.all([
+                scoped.mkdtemp({prefix: 'sub/tmp-', inside: false}),
+                scoped.mkdtemp('sub')
+            ])
+                .then(function (paths) {
+                    expect(_path.dirname(paths[0])).toBe(_path.join(baseDir, 'sub'));
+                    expect(_path.basename(paths[0])).toMatch(/^tmp-.{6}$/);
+                    expect(_path.dirname(paths[1])).toBe(_path.join(baseDir, 'sub'));
+                });
+        });
+    });
+
+    describe('glob', function () {
+        beforeEach(function () {
+            return Promise.all([
+                scoped.writeFile({path: 'a.txt', data: 'a'}),
+                scoped.writeFile({path: 'sub/b.txt', data: 'b'}),
+                scoped.writeFile({path: 'c.json', data: 'c'})
+            ]);
+        });
+
+        it('searches baseDir for a pattern string', function () {
+            return scoped.glob('**/*.txt')
+                .then(function (paths) {
+                    expect(_.sortBy(paths)).toEqual([_path.join(baseDir, 'a.txt'), _path.join(baseDir, 'sub', 'b.txt')]);
+                });
+        });
+
+        it('searches baseDir for an array of patterns', function () {
+            return scoped.glob(['*.txt', '*.json'])
+                .then(function (paths) {
+                    expect(_.sortBy(paths)).toEqual([_path.join(baseDir, 'a.txt'), _path.join(baseDir, 'c.json')]);
+                });
+        });
+
+        it('rejects a search path outside of baseDir', function () {
+            return expectRejected(scoped.glob({pattern: '*', path: outsidePath}), /Path is outside of/);
+        });
+    });
+
+    it('rejects options that are neither objects nor strings', function () {
+        return expectRejected(scoped.readFile(42), /options of scoped readFile must be an object or a string, not number/)
+            .then(function () {
+                return expectRejected(scoped.readFile(['../outside/secret']), /options of scoped readFile must be an object or a string, not array/);
+            });
+    });
+
+    it('confines nested scopes to baseDir', function () {
+        return expectRejected(scoped.scoped('../outside'), /Path is outside of/)
+            .then(function () {
+                return scoped.scoped('sub');
+            })
+            .then(function (nested) {
+                expect(nested.baseDir).toBe(_path.join(baseDir, 'sub'));
+                return expectRejected(nested.readFile({path: '../file'}), /Path is outside of/);
+            });
+    });
+
+    it('requires baseDir to be a directory', function () {
+        return FileUtil.writeFile({path: _path.join(root, 'file'), data: 'contents'})
+            .then(function () {
+                return expectRejected(FileUtil.scoped({baseDir: _path.join(root, 'file')}), /Not a directory/);
+            });
+    });
+});
@@ -0,0 +1,213 @@
+const _ = require('lodash');
+const _path = require('path');
+const FileUtil = require('../../lib/FileUtil');
+
+describe('FileUtil.diff and FileUtil.sync', function () {
+    var root;
+    var sourcePath;
+    var destinationPath;
+
+    beforeEach(function () {
+        return FileUtil.tempDir()
+            .then(function (path) {
+                root = path;
+                sourcePath = _path.join(root, 'source');
+                destinationPath = _path.join(root, 'destination');
+                return FileUtil.mkdirp({path: _path.join(sourcePath, 'nested')});
+            })
+            .then(function () {
+                return Promise.all([
+                    FileUtil.writeFile({path: _path.join(sourcePath, 'file'), data: 'file'}),
+                    FileUtil.writeFile({path: _path.join(sourcePath, 'nested', 'file'), data: 'nested'})
+                ]);
+            });
+    });
+
+    afterEach(function () {
+        return FileUtil.rm({path: root, recursive: true});
+    });
+
+    var sortChanges = function (changes) {
+        return _.mapValues(_.pick(changes, ['added', 'modified', 'deleted', 'unchanged']), function (paths) {
+            return _.sortBy(paths);
+        });
+    };
+
+    var setMtime = function (path, time) {
+        var date = new Date(time);
+        return FileUtil.utimes({path: path, atime: date, mtime: date});
+    };
+
+    var read = function (path) {
+        return FileUtil.readFile({path: path, encoding: 'utf8'});
+    };
+
+    describe('diff', function () {
+        it('reports every entry as added when destinationPath is missing', function () {
+            return FileUtil.diff({sourcePath: sourcePath, destinationPath: destinationPath})
+                .then(function (changes) {
+                    expect(sortChanges(changes)).toEqual({
+                        added: ['file', 'nested', _path.join('nested', 'file')],
+                        modified: [],
+                        deleted: [],
+                        unchanged: []
+                    });
+                });
+        });
+
+        it('compares files by size and modification time', function () {
+            return FileUtil.copy({sourcePath: sourcePath, destinationPath: destinationPath})
+                .then(function () {
+                    return Promise.all([
+                        FileUtil.writeFile({path: _path.join(destinationPath, 'extra'), data: 'extra'}),
+                        setMtime(_path.join(destinationPath, 'nested', 'file'), '2000-01-01T00:00:00Z')
+                    ]);
+                })
+                .then(function () {
+                    return FileUtil.diff({sourcePath: sourcePath, destinationPath: destinationPath});
+                })
+                .then(function (changes) {
+                    expect(sortChanges(changes)).toEqual({
+                        added: [],
+                        modified: [_path.join('nested', 'file')],
+                        deleted: ['extra'],
+                        unchanged: ['file', 'nested']
+                    });
+                });
+        });
+
+        it('compares file contents with hash', function () {
+            var mtime = '2000-01-01T00:00:00Z';
+            return FileUtil.copy({sourcePath: sourcePath, destinationPath: destinationPath})
+                .then(function () {
+                    return FileUtil.writeFile({path: _path.join(destinationPath, 'file'), data: 'FILE'});
+                })
+                .then(function () {
+                    return Promise.all([
+                        setMtime(_path.join(sourcePath, 'file'), mtime),
+                        setMtime(_path.join(destinationPath, 'file'), mtime)
+                    ]);
+                })
+                .then(function () {
+                    return Promise.all([
+                        FileUtil.diff({sourcePath: sourcePath, destinationPath: destinationPath}),
+                        FileUtil.diff({sourcePath: sourcePath, destinationPath: destinationPath, compare: 'hash'})
+                    ]);
+                })
+                .then(function (results) {
+                    expect(results[0].modified).toEqual([]);
+                    expect(results[1].modified).toEqual(['file']);
+                });
+        });
+
+        it('rejects other comparisons', function () {
+            return FileUtil.diff({sourcePath: sourcePath, destinationPath: destinationPath, compare: 'size'})
+                .then(function () {
+                    fail('Expected the promise to be rejected');
+                }, function (err) {
+                    expect(err.message).toBe("Invalid parameter: compare must be 'mtime' or 'hash', not size");
+                });
+        });
+    });
+
+    describe('sync', function () {
+        it('copies new and changed entries, after which nothing has changed', function () {
+            return FileUtil.sync({sourcePath: sourcePath, destinationPath: destinationPath})
+                .then(function (changes) {
+                    expect(sortChanges(changes).added).toEqual(['file', 'nested', _path.join('nested', 'file')]);
+                    expect(changes.failed).toEqual([]);
+                    return FileUtil.writeFile({path: _path.join(sourcePath, 'file'), data: 'changed'});
+                })
+                .then(function () {
+                    return FileUtil.sync({sourcePath: sourcePath, destinationPath: destinationPath});
+                })
+                .then(function (changes) {
+                    expect(changes.modified).toEqual(['file']);
+                    return Promise.all([
+                        read(_path.join(destinationPath, 'file')),
+                        FileUtil.diff({sourcePath: sourcePath, destinationPath: destinationPath})
+                    ]);
+                })
+                .then(function (results) {
+                    expect(results[0]).toBe('changed');
+                    expect(sortChanges(results[1]).unchanged).toEqual(['file', 'nested', _path.join('nested', 'file')]);
+                });
+        });
+
+        it('only computes the changes with dryRun', function () {
+            return FileUtil.sync({sourcePath: sourcePath, destinationPath: destinationPath, dryRun: true})
+                .then(function (changes) {
+                    expect(changes.added.length).toBe(3);
+                    return FileUtil.exists({path: destinationPath});
+                })
+                .then(function (exists) {
+                    expect(exists).toBe(false);
+                });
+        });
+
+        it('keeps extraneous entries unless delete is set', function () {
+            return FileUtil.mkdirp({path: _path.join(destinationPath, 'extra')})
+                .then(function () {
+                    return FileUtil.writeFile({path: _path.join(destinationPath, 'extra', 'file'), data: 'extra'});
+                })
+                .then(function () {
+                    return FileUtil.sync({sourcePath: sourcePath, destinationPath: destinationPath});
+                })
+                .then(function (changes) {
+                    expect(_.sortBy(changes.deleted)).toEqual(['extra', _path.join('extra', 'file')]);
+                    return FileUtil.exists({path: _path.join(destinationPath, 'extra', 'file')});
+                })
+                .then(function (exists) {
+                    expect(exists).toBe(true);
+                    return FileUtil.sync({sourcePath: sourcePath, destinationPath: destinationPath, delete: true});
+                })
+                .then(function (changes) {
+                    expect(changes.failed).toEqual([]);
+                    return FileUtil.exists({path: _path.join(destinationPath, 'extra')});
+                })
+                .then(function (exists) {
+                    expect(exists).toBe(false);
+                });
+        });
+
+        it('replaces changed read-only files', function () {
+            return FileUtil.sync({sourcePath: sourcePath, destinationPath: destinationPath})
+                .then(function () {
+                    return FileUtil.chmod({path: _path.join(destinationPath, 'file'), mode: parseInt('444', 8)});
+                })
+                .then(function () {
+                    return FileUtil.writeFile({path: _path.join(sourcePath, 'file'), data: 'changed'});
+                })
+                .then(function () {
+                    return FileUtil.sync({sourcePath: sourcePath, destinationPath: destinationPath});
+                })
+                .then(function (changes) {
+                    expect(changes.failed).toEqual([]);
+                    return read(_path.join(destinationPath, 'file'));
+                })
+                .then(function (contents) {
+                    expect(contents).toBe('changed');
+                });
+        });
+
+        it('replaces entries that changed between file and directory', function () {
+            return FileUtil.mkdirp({path: _path.join(destinationPath, 'file')})
+                .then(function () {
+                    return FileUtil.writeFile({path: _path.join(destinationPath, 'nested'), data: 'not a directory'});
+                })
+                .then(function () {
+                    return FileUtil.sync({sourcePath: sourcePath, destinationPath: destinationPath});
+                })
+                .then(function (changes) {
+                    expect(changes.failed).toEqual([]);
+                    return Promise.all([
+                        read(_path.join(destinationPath, 'file')),
+                        read(_path.join(destinationPath, 'nested', 'file'))
+                    ]);
+                })
+                .then(function (contents) {
+                    expect(contents).toEqual(['file', 'nested']);
+                });
+        });
+    });
+});
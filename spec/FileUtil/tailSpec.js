@@ -0,0 +1,189 @@
+const _ = require('lodash');
+const _path = require('path');
+const Promise = require('bluebird');
+const FileUtil = require('../../lib/FileUtil');
+
+describe('FileUtil.tail', function () {
+    var root;
+    var logPath;
+    var tailStream;
+    var output;
+
+    beforeEach(function () {
+        tailStream = null;
+        output = [];
+        return FileUtil.tempDir()
+            .then(function (path) {
+                root = path;
+                logPath = _path.join(root, 'app.log');
+                return FileUtil.writeFile({path: logPath, data: 'one\ntwo\nthree\nfour\n'});
+            });
+    });
+
+    afterEach(function () {
+        return Promise.resolve(_.isNil(tailStream) ? null : tailStream.stop())
+            .then(function () {
+                return FileUtil.rm({path: root, recursive: true});
+            });
+    });
+
+    var tail = function (options) {
+        return FileUtil.tail(_.assign({path: logPath, interval: 20}, options))
+            .then(function (stream) {
+                tailStream = stream;
+                _.each(['truncate', 'rotate'], function (eventName) {
+                    tailStream.on(eventName, function () {
+                        output.push('<' + eventName + '>');
+                    });
+                });
+                tailStream.on('data', function (line) {
+                    output.push(line);
+                });
+            });
+    };
+
+    var waitForEnd = function () {
+        return new Promise(function (resolve, reject) {
+            tailStream.once('end', resolve);
+            tailStream.once('error', reject);
+        });
+    };
+
+    // Resolves once output has the expected length
+    var waitForOutput = function (length) {
+        var poll = function (remaining) {
+            if (output.length >= length) {
+                return Promise.resolve();
+            }
+            if (remaining <= 0) {
+                return Promise.reject(new Error('Timed out waiting for ' + length + ' lines, got ' + JSON.stringify(output)));
+            }
+            return Promise.delay(20)
+                .then(function () {
+                    return poll(remaining - 1);
+                });
+        };
+        return poll(100);
+    };
+
+    var appendFile = function (data) {
+        return FileUtil.appendFile({path: logPath, data: data});
+    };
+
+    it('emits the last lines and ends without follow', function () {
+        return tail({lines: 2, follow: false})
+            .then(waitForEnd)
+            .then(function () {
+                expect(output).toEqual(['three', 'four']);
+            });
+    });
+
+    it('counts an unterminated last line and strips carriage returns', function () {
+        return FileUtil.writeFile({path: logPath, data: 'one\r\ntwo\r\nthree'})
+            .then(function () {
+                return tail({lines: 2, follow: false});
+            })
+            .then(waitForEnd)
+            .then(function () {
+                expect(output).toEqual(['two', 'three']);
+            });
+    });
+
+    it('emits the whole file when it has fewer lines, and nothing for lines: 0', function () {
+        return tail({lines: 100, follow: false})
+            .then(waitForEnd)
+            .then(function () {
+                expect(output).toEqual(['one', 'two', 'three', 'four']);
+                output = [];
+                return tail({lines: 0, follow: false});
+            })
+            .then(waitForEnd)
+            .then(function () {
+                expect(output).toEqual([]);
+            });
+    });
+
+    it('follows appended lines, holding back a line until it is terminated', function () {
+        return tail({lines: 1})
+            .then(function () {
+                return waitForOutput(1);
+            })
+            .then(function () {
+                return appendFile('five\nsi');
+            })
+            .then(function () {
+                return waitForOutput(2);
+            })
+            .then(function () {
+                return appendFile('x\n');
+            })
+            .then(function () {
+                return waitForOutput(3);
+            })
+            .then(function () {
+                expect(output).toEqual(['four', 'five', 'six']);
+            });
+    });
+
+    it('emits an unterminated last line and ends when stopped', function () {
+        return tail({lines: 0})
+            .then(function () {
+                return appendFile('partial');
+            })
+            .then(function () {
+                return Promise.delay(100);
+            })
+            .then(function () {
+                expect(output).toEqual([]);
+                return Promise.all([waitForEnd(), tailStream.stop()]);
+            })
+            .then(function () {
+                expect(output).toEqual(['partial']);
+            });
+    });
+
+    it('reads a truncated file again from the start', function () {
+        return tail({lines: 0})
+            .then(function () {
+                return FileUtil.writeFile({path: logPath, data: 'new\n'});
+            })
+            .then(function () {
+                return waitForOutput(2);
+            })
+            .then(function () {
+                expect(output).toEqual(['<truncate>', 'new']);
+            });
+    });
+
+    it('reads the rest of a rotated file before switching to the new file', function () {
+        var rotatedPath = logPath + '.1';
+        return tail({lines: 0})
+            .then(function () {
+                return FileUtil.rename({oldPath: logPath, newPath: rotatedPath});
+            })
+            .then(function () {
+                return FileUtil.appendFile({path: rotatedPath, data: 'last old line\n'});
+            })
+            .then(function () {
+                return Promise.delay(100);
+            })
+            .then(function () {
+                return FileUtil.writeFile({path: logPath, data: 'first new line\n'});
+            })
+            .then(function () {
+                return waitForOutput(3);
+            })
+            .then(function () {
+                expect(output).toEqual(['last old line', '<rotate>', 'first new line']);
+            });
+    });
+
+    it('rejects a missing file', function () {
+        return FileUtil.tail({path: _path.join(root, 'missing.log')})
+            .then(function () {
+                fail('Expected the promise to be rejected');
+            }, function (err) {
+                expect(err.code).toBe('ENOENT');
+            });
+    });
+});
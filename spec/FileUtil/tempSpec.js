@@ -0,0 +1,173 @@
+const _ = require('lodash');
+const _path = require('path');
+const childProcess = require('child_process');
+const Promise = require('bluebird');
+const FileUtil = require('../../lib/FileUtil');
+
+describe('FileUtil temporary paths', function () {
+    var root;
+
+    beforeEach(function () {
+        return FileUtil.tempDir()
+            .then(function (path) {
+                root = path;
+            });
+    });
+
+    afterEach(function () {
+        return FileUtil.rm({path: root, recursive: true});
+    });
+
+    var expectExists = function (path, expected) {
+        return FileUtil.exists({path: path})
+            .then(function (exists) {
+                expect(exists).toBe(expected, path);
+            });
+    };
+
+    // Runs a script that creates a temporary directory and file in root, prints their paths and then runs the rest of the script
+    var spawnScript = function (script) {
+        var source = [
+            "const FileUtil = require(" + JSON.stringify(require.resolve('../../lib/FileUtil')) + ");",
+            "Promise.all([FileUtil.tempDir({directory: process.argv[1]}), FileUtil.tempFile({directory: process.argv[1]})])",
+            "    .then(function (paths) {",
+            "        return FileUtil.writeFile({path: require('path').join(paths[0], 'file'), data: 'file'}).then(function () { return paths; });",
+            "    })",
+            "    .then(function (paths) {",
+            "        process.stdout.write(JSON.stringify(paths) + '\\n');",
+            script,
+            "    });"
+        ].join('\n');
+
+        var child = childProcess.spawn(process.execPath, ['-e', source, root], {stdio: ['ignore', 'pipe', 'inherit']});
+        var output = '';
+
+        var paths = new Promise(function (resolve, reject) {
+            child.stdout.on('data', function (chunk) {
+                output += chunk;
+                if (_.includes(output, '\n')) {
+                    resolve(JSON.parse(output));
+                }
+            });
+            child.once('error', reject);
+        });
+        var exited = new Promise(function (resolve) {
+            child.once('exit', function (code, signal) {
+                resolve({code: code, signal: signal});
+            });
+        });
+
+        return {child: child, paths: paths, exited: exited};
+    };
+
+    it('creates a temporary directory readable and writable only by the current user', function () {
+        return FileUtil.tempDir({directory: root, prefix: 'dir-'})
+            .then(function (path) {
+                expect(_path.dirname(path)).toBe(root);
+                expect(_path.basename(path)).toMatch(/^dir-.{6}$/);
+                return FileUtil.stat({path: path});
+            })
+            .then(function (stats) {
+                expect(stats.isDirectory()).toBe(true);
+                expect(stats.mode & parseInt('777', 8)).toBe(parseInt('700', 8));
+            });
+    });
+
+    it('creates an empty temporary file with a prefix, suffix and mode', function () {
+        return Promise.all([
+            FileUtil.tempFile({directory: root, prefix: 'file-', suffix: '.txt'}),
+            FileUtil.tempFile({directory: root, mode: parseInt('640', 8)})
+        ])
+            .then(function (paths) {
+                expect(_path.dirname(paths[0])).toBe(root);
+                expect(_path.basename(paths[0])).toMatch(/^file-.+\.txt$/);
+                return Promise.all(_.map(paths, function (path) {
+                    return FileUtil.stat({path: path});
+                }));
+            })
+            .then(function (stats) {
+                expect(stats[0].size).toBe(0);
+                expect(stats[0].mode & parseInt('777', 8)).toBe(parseInt('600', 8));
+                expect(stats[1].mode & parseInt('777', 8)).toBe(parseInt('640', 8) & ~process.umask());
+            });
+    });
+
+    it('removes the directory of withTempDir after fn resolves', function () {
+        var temporaryPath;
+        return FileUtil.withTempDir({directory: root}, function (path) {
+            temporaryPath = path;
+            return FileUtil.writeFile({path: _path.join(path, 'file'), data: 'file'})
+                .then(_.constant('result'));
+        })
+            .then(function (result) {
+                expect(result).toBe('result');
+                return expectExists(temporaryPath, false);
+            });
+    });
+
+    it('removes the directory of withTempDir after fn rejects', function () {
+        var temporaryPath;
+        return FileUtil.withTempDir({directory: root}, function (path) {
+            temporaryPath = path;
+            throw new Error('fn error');
+        })
+            .then(function () {
+                fail('Expected the promise to be rejected');
+            }, function (err) {
+                expect(err.message).toBe('fn error');
+                return expectExists(temporaryPath, false);
+            });
+    });
+
+    it('creates the mkdtemp directory inside prefix, or beside it with inside: false', function () {
+        return Promise.all([
+            FileUtil.mkdtemp(root),
+            FileUtil.mkdtemp({prefix: root}),
+            FileUtil.mkdtemp({prefix: _path.join(root, 'prefix-'), inside: false}),
+            FileUtil.mkdtemp({prefix: root + _path.sep, inside: false})
+        ])
+            .then(function (paths) {
+                _.each(paths, function (path) {
+                    expect(_path.dirname(path)).toBe(root);
+                });
+                expect(_path.basename(paths[0]).length).toBe(6);
+                expect(_path.basename(paths[1]).length).toBe(6);
+                expect(_path.basename(paths[2])).toMatch(/^prefix-.{6}$/);
+                expect(_path.basename(paths[3]).length).toBe(6);
+            });
+    });
+
+    it('removes temporary paths when the process exits', function () {
+        var script = spawnScript('');
+        return Promise.join(script.paths, script.exited, function (paths, exit) {
+            expect(exit.code).toBe(0);
+            return Promise.all([expectExists(paths[0], false), expectExists(paths[1], false)]);
+        });
+    });
+
+    it('removes temporary paths when the process is ended by SIGTERM, which still ends it', function () {
+        var script = spawnScript('setInterval(function () {}, 1000);');
+        return script.paths
+            .then(function (paths) {
+                script.child.kill('SIGTERM');
+                return script.exited
+                    .then(function (exit) {
+                        expect(exit.signal).toBe('SIGTERM');
+                        return Promise.all([expectExists(paths[0], false), expectExists(paths[1], false)]);
+                    });
+            });
+    });
+
+    it('leaves the exit decision to the process signal listeners, removing temporary paths on exit', function () {
+        var script = spawnScript("process.on('SIGTERM', function () { setTimeout(function () { process.exit(3); }, 50); }); setInterval(function () {}, 1000);");
+        return script.paths
+            .then(function (paths) {
+                script.child.kill('SIGTERM');
+                return script.exited
+                    .then(function (exit) {
+                        expect(exit.code).toBe(3);
+                        return Promise.all([expectExists(paths[0], false), expectExists(paths[1], false)]);
+                    });
+            });
+    });
+});
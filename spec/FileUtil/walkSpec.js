@@ -0,0 +1,243 @@
+const _ = require('lodash');
+const _path = require('path');
+const fs = require('fs');
+const Promise = require('bluebird');
+const FileUtil = require('../../lib/FileUtil');
+
+describe('FileUtil.walkStream', function () {
+    var root;
+
+    beforeEach(function () {
+        return FileUtil.tempDir()
+            .then(function (path) {
+                root = path;
+                return FileUtil.mkdirp({path: _path.join(root, 'a', 'b', 'c')});
+            })
+            .then(function () {
+                return Promise.all(_.map(['file', 'a/file', 'a/b/file', 'a/b/c/file'], function (file) {
+                    return FileUtil.writeFile({path: _path.join(root, file), data: file});
+                }));
+            });
+    });
+
+    afterEach(function () {
+        return FileUtil.rm({path: root, recursive: true});
+    });
+
+    var relative = function (path) {
+        return _path.relative(root, path).split(_path.sep).join('/');
+    };
+
+    // Reads the whole stream through its async iterator
+    var collect = function (options) {
+        return FileUtil.walkStream(_.assign({path: root}, options))
+            .then(function (walkStream) {
+                var iterator = walkStream[Symbol.asyncIterator]();
+                var entries = [];
+                var next = function () {
+                    return iterator.next()
+                        .then(function (result) {
+                            if (result.done) {
+                                return entries;
+                            }
+                            entries.push(result.value);
+                            return next();
+                        });
+                };
+                return next();
+            });
+    };
+
+    it('emits every entry with its depth, each directory before its contents', function () {
+        return collect()
+            .then(function (entries) {
+                var paths = _.map(entries, function (entry) {
+                    return relative(entry.path);
+                });
+                expect(_.sortBy(paths)).toEqual(['', 'a', 'a/b', 'a/b/c', 'a/b/c/file', 'a/b/file', 'a/file', 'file']);
+                _.each(entries, function (entry) {
+                    var parentIndex = _.indexOf(paths, relative(_path.dirname(entry.path)));
+                    if (entry.path !== root) {
+                        expect(parentIndex).toBeLessThan(_.indexOf(paths, relative(entry.path)));
+                    }
+                    expect(entry.depth).toBe(entry.path === root ? 0 : relative(entry.path).split('/').length);
+                    expect(entry.cycle).toBe(false);
+                });
+            });
+    });
+
+    it('reads directories depth-first', function () {
+        return FileUtil.mkdirp({path: _path.join(root, 'd', 'e')})
+            .then(function () {
+                return collect({concurrency: 1});
+            })
+            .then(function (entries) {
+                var directories = _.map(_.filter(entries, function (entry) {
+                    return entry.stats.isDirectory();
+                }), function (entry) {
+                    return relative(entry.path);
+                });
+                var readFirst = _.last(_.filter(directories.slice(0, 3), function (directory) {
+                    return directory !== '';
+                }));
+                var descendants = readFirst === 'a' ? ['a/b', 'a/b/c'] : ['d/e'];
+                expect(directories.slice(3, 3 + descendants.length)).toEqual(descendants);
+            });
+    });
+
+    it('stops at maxDepth', function () {
+        return collect({maxDepth: 2})
+            .then(function (entries) {
+                expect(_.sortBy(_.map(entries, function (entry) {
+                    return relative(entry.path);
+                }))).toEqual(['', 'a', 'a/b', 'a/file', 'file']);
+            });
+    });
+
+    it('only emits the entries of path itself unless recursive', function () {
+        return collect({recursive: false})
+            .then(function (entries) {
+                expect(_.sortBy(_.map(entries, function (entry) {
+                    return relative(entry.path);
+                }))).toEqual(['', 'a', 'file']);
+            });
+    });
+
+    it('emits pruned directories without descending into them', function () {
+        var prune = jasmine.createSpy('prune').and.callFake(function (path) {
+            return relative(path) === 'a/b';
+        });
+
+        return collect({prune: prune})
+            .then(function (entries) {
+                expect(_.sortBy(_.map(entries, function (entry) {
+                    return relative(entry.path);
+                }))).toEqual(['', 'a', 'a/b', 'a/file', 'file']);
+                expect(_.map(prune.calls.allArgs(), function (args) {
+                    return relative(args[0]);
+                })).toEqual(['a', 'a/b']);
+            });
+    });
+
+    it('marks directories already visited through a symbolic link as a cycle', function () {
+        return FileUtil.symlink({target: '..', path: _path.join(root, 'a', 'b', 'up'), relative: true})
+            .then(function () {
+                return collect();
+            })
+            .then(function (entries) {
+                var cycles = _.filter(entries, 'cycle');
+                expect(_.map(cycles, function (entry) {
+                    return relative(entry.path);
+                })).toEqual(['a/b/up']);
+                expect(cycles[0].stats.isDirectory()).toBe(true);
+            });
+    });
+
+    it('reports symbolic links themselves with lstat', function () {
+        return FileUtil.symlink({target: '..', path: _path.join(root, 'a', 'b', 'up'), relative: true})
+            .then(function () {
+                return collect({lstat: true});
+            })
+            .then(function (entries) {
+                var link = _.find(entries, function (entry) {
+                    return relative(entry.path) === 'a/b/up';
+                });
+                expect(link.stats.isSymbolicLink()).toBe(true);
+                expect(link.cycle).toBe(false);
+            });
+    });
+
+    it('destroys the stream with readdir and stat errors by default', function () {
+        return FileUtil.symlink({target: 'missing', path: _path.join(root, 'dangling'), relative: true})
+            .then(function () {
+                return collect();
+            })
+            .then(function () {
+                fail('Expected the promise to be rejected');
+            }, function (err) {
+                expect(err.code).toBe('ENOENT');
+            });
+    });
+
+    it('uses the return value of errorHandler in place of the stats', function () {
+        var errorHandler = jasmine.createSpy('errorHandler').and.returnValue(null);
+
+        return FileUtil.symlink({target: 'missing', path: _path.join(root, 'dangling'), relative: true})
+            .then(function () {
+                return collect({errorHandler: errorHandler});
+            })
+            .then(function (entries) {
+                var dangling = _.find(entries, function (entry) {
+                    return relative(entry.path) === 'dangling';
+                });
+                expect(dangling.stats).toBeNull();
+                expect(errorHandler.calls.count()).toBe(1);
+                expect(errorHandler.calls.argsFor(0)[0].code).toBe('ENOENT');
+            });
+    });
+
+    it('pauses while the consumer is not reading', function () {
+        var readDirectories = 0;
+        var backend = _.assign({}, fs, {
+            readdir: function () {
+                readDirectories++;
+                return fs.readdir.apply(null, arguments);
+            }
+        });
+
+        return Promise.all(_.times(40, function (n) {
+            return FileUtil.mkdir({path: _path.join(root, 'directory' + n)});
+        }))
+            .then(function () {
+                return FileUtil.withBackend(backend, function () {
+                    return FileUtil.walkStream({path: root, concurrency: 1})
+                        .then(function (walkStream) {
+                            return Promise.delay(50)
+                                .then(function () {
+                                    expect(readDirectories).toBeLessThan(10);
+                                    walkStream.destroy();
+                                });
+                        });
+                });
+            });
+    });
+});
+
+describe('FileUtil.walk', function () {
+    var root;
+
+    beforeEach(function () {
+        return FileUtil.tempDir()
+            .then(function (path) {
+                root = path;
+                return FileUtil.writeFile({path: _path.join(root, 'file'), data: 'file'});
+            });
+    });
+
+    afterEach(function () {
+        return FileUtil.rm({path: root, recursive: true});
+    });
+
+    it('calls callback with the path and stats of every entry', function () {
+        var callback = jasmine.createSpy('callback');
+        return FileUtil.walk({path: root, callback: callback})
+            .then(function () {
+                expect(_.map(callback.calls.allArgs(), 0)).toEqual([root, _path.join(root, 'file')]);
+                expect(callback.calls.argsFor(1)[1].isFile()).toBe(true);
+            });
+    });
+
+    it('rejects with the error thrown by callback', function () {
+        return FileUtil.walk({
+            path: root,
+            callback: function () {
+                throw new Error('callback error');
+            }
+        })
+            .then(function () {
+                fail('Expected the promise to be rejected');
+            }, function (err) {
+                expect(err.message).toBe('callback error');
+            });
+    });
+});
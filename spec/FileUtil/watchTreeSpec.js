@@ -0,0 +1,182 @@
+const _ = require('lodash');
+const _path = require('path');
+const Promise = require('bluebird');
+const FileUtil = require('../../lib/FileUtil');
+
+describe('FileUtil.watchTree', function () {
+    var root;
+    var watcher;
+    var events;
+
+    beforeEach(function () {
+        watcher = null;
+        events = [];
+        return FileUtil.tempDir()
+            .then(function (path) {
+                root = path;
+                return FileUtil.mkdirp({path: _path.join(root, 'existing')});
+            })
+            .then(function () {
+                return FileUtil.writeFile({path: _path.join(root, 'existing', 'file'), data: 'file'});
+            });
+    });
+
+    afterEach(function () {
+        return Promise.resolve(_.isNil(watcher) ? null : watcher.close())
+            .then(function () {
+                return FileUtil.rm({path: root, recursive: true});
+            });
+    });
+
+    var watch = function (options) {
+        return FileUtil.watchTree(_.assign({path: root, debounce: 20, persistent: false}, options))
+            .then(function (treeWatcher) {
+                watcher = treeWatcher;
+                _.each(['add', 'addDir', 'change', 'unlink', 'unlinkDir'], function (eventName) {
+                    watcher.on(eventName, function (path) {
+                        events.push([eventName, _path.relative(root, path)]);
+                    });
+                });
+            });
+    };
+
+    // Resolves once the expected events have been emitted, in any order
+    var waitForEvents = function (expectedEvents) {
+        var hasAll = function () {
+            return _.every(expectedEvents, function (expectedEvent) {
+                return _.some(events, function (event) {
+                    return _.isEqual(event, expectedEvent);
+                });
+            });
+        };
+
+        var poll = function (remaining) {
+            if (hasAll()) {
+                return Promise.resolve();
+            }
+            if (remaining <= 0) {
+                return Promise.reject(new Error('Timed out waiting for ' + JSON.stringify(expectedEvents) + ', got ' + JSON.stringify(events)));
+            }
+            return Promise.delay(20)
+                .then(function () {
+                    return poll(remaining - 20);
+                });
+        };
+
+        return poll(5000);
+    };
+
+    it('does not report the entries that exist when it starts', function () {
+        return watch()
+            .then(function () {
+                return Promise.delay(100);
+            })
+            .then(function () {
+                expect(events).toEqual([]);
+            });
+    });
+
+    it('reports added, changed and removed files', function () {
+        var path = _path.join(root, 'existing', 'added');
+        return watch()
+            .then(function () {
+                return FileUtil.writeFile({path: path, data: 'added'});
+            })
+            .then(function () {
+                return waitForEvents([['add', _path.join('existing', 'added')]]);
+            })
+            .then(function () {
+                return FileUtil.appendFile({path: path, data: ' and changed'});
+            })
+            .then(function () {
+                return waitForEvents([['change', _path.join('existing', 'added')]]);
+            })
+            .then(function () {
+                return FileUtil.unlink({path: path});
+            })
+            .then(function () {
+                return waitForEvents([['unlink', _path.join('existing', 'added')]]);
+            });
+    });
+
+    it('reports new directories and the entries created in them', function () {
+        return watch()
+            .then(function () {
+                return FileUtil.mkdirp({path: _path.join(root, 'new', 'nested')});
+            })
+            .then(function () {
+                return waitForEvents([['addDir', 'new'], ['addDir', _path.join('new', 'nested')]]);
+            })
+            .then(function () {
+                return FileUtil.writeFile({path: _path.join(root, 'new', 'nested', 'file'), data: 'file'});
+            })
+            .then(function () {
+                return waitForEvents([['add', _path.join('new', 'nested', 'file')]]);
+            });
+    });
+
+    it('reports the contents of a removed directory as removed too', function () {
+        return watch()
+            .then(function () {
+                return FileUtil.rm({path: _path.join(root, 'existing'), recursive: true});
+            })
+            .then(function () {
+                return waitForEvents([['unlink', _path.join('existing', 'file')], ['unlinkDir', 'existing']]);
+            });
+    });
+
+    it('does not report ignored entries', function () {
+        return watch({ignore: ['ignored', '*.tmp']})
+            .then(function () {
+                return FileUtil.mkdirp({path: _path.join(root, 'ignored')});
+            })
+            .then(function () {
+                return Promise.all([
+                    FileUtil.writeFile({path: _path.join(root, 'ignored', 'file'), data: 'file'}),
+                    FileUtil.writeFile({path: _path.join(root, 'file.tmp'), data: 'file'}),
+                    FileUtil.writeFile({path: _path.join(root, 'file.txt'), data: 'file'})
+                ]);
+            })
+            .then(function () {
+                return waitForEvents([['add', 'file.txt']]);
+            })
+            .then(function () {
+                return Promise.delay(100);
+            })
+            .then(function () {
+                expect(events).toEqual([['add', 'file.txt']]);
+            });
+    });
+
+    it('polls entries with polling', function () {
+        return watch({polling: true, interval: 20})
+            .then(function () {
+                return FileUtil.writeFile({path: _path.join(root, 'existing', 'file'), data: 'changed contents'});
+            })
+            .then(function () {
+                return waitForEvents([['change', _path.join('existing', 'file')]]);
+            })
+            .then(function () {
+                return FileUtil.writeFile({path: _path.join(root, 'existing', 'added'), data: 'added'});
+            })
+            .then(function () {
+                return waitForEvents([['add', _path.join('existing', 'added')]]);
+            });
+    });
+
+    it('stops reporting after close', function () {
+        return watch()
+            .then(function () {
+                return watcher.close();
+            })
+            .then(function () {
+                return FileUtil.writeFile({path: _path.join(root, 'added'), data: 'added'});
+            })
+            .then(function () {
+                return Promise.delay(100);
+            })
+            .then(function () {
+                expect(events).toEqual([]);
+            });
+    });
+});
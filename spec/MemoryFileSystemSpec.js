@@ -0,0 +1,256 @@
+const _ = require('lodash');
+const _path = require('path');
+const fs = require('fs');
+const os = require('os');
+const FileUtil = require('../lib/FileUtil');
+const MemoryFileSystem = require('../lib/MemoryFileSystem');
+
+describe('MemoryFileSystem', function () {
+    var memoryFileSystem;
+
+    beforeEach(function () {
+        memoryFileSystem = MemoryFileSystem.create({
+            fixture: {
+                '/srv/app': {
+                    'config.json': '{"port": 8080}',
+                    'bin': {
+                        type: 'directory',
+                        mode: '750',
+                        entries: {
+                            'start': {type: 'file', content: '#!/bin/sh\n', mode: '755', mtime: '2001-02-03T04:05:06.000Z'}
+                        }
+                    },
+                    'logs': {},
+                    'current': {type: 'symlink', target: 'bin'}
+                }
+            },
+            uid: 1000,
+            gid: 100
+        });
+    });
+
+    var withMemoryFileSystem = function (fn) {
+        return FileUtil.withBackend(memoryFileSystem, fn);
+    };
+
+    it('serves the fixture through FileUtil, leaving the disk alone', function () {
+        return withMemoryFileSystem(function () {
+            return Promise.all([
+                FileUtil.readJson({path: '/srv/app/config.json'}),
+                FileUtil.readdir({path: '/srv/app'}),
+                FileUtil.stat({path: '/srv/app/bin/start'}),
+                FileUtil.stat({path: '/srv/app/bin'}),
+                FileUtil.readFile({path: '/srv/app/current/start', encoding: 'utf8'}),
+                FileUtil.lstat({path: '/srv/app/current'}),
+                FileUtil.readlink({path: '/srv/app/current'})
+            ]);
+        })
+            .then(function (results) {
+                expect(results[0]).toEqual({port: 8080});
+                expect(_.sortBy(results[1])).toEqual(['bin', 'config.json', 'current', 'logs']);
+                expect(results[2].isFile()).toBe(true);
+                expect(results[2].mode).toBe(parseInt('100755', 8));
+                expect(results[2].size).toBe(10);
+                expect(results[2].uid).toBe(1000);
+                expect(results[2].gid).toBe(100);
+                expect(results[2].mtime.toISOString()).toBe('2001-02-03T04:05:06.000Z');
+                expect(results[3].mode).toBe(parseInt('40750', 8));
+                expect(results[4]).toBe('#!/bin/sh\n');
+                expect(results[5].isSymbolicLink()).toBe(true);
+                expect(results[6]).toBe('bin');
+                expect(FileUtil.getBackend()).toBe(fs);
+            });
+    });
+
+    it('applies the umask to the modes of new files and directories', function () {
+        return withMemoryFileSystem(function () {
+            return Promise.all([
+                FileUtil.writeFile({path: '/srv/app/logs/app.log', data: 'log'}),
+                FileUtil.mkdir({path: '/srv/app/cache'}),
+                FileUtil.writeFile({path: '/srv/app/secret', data: 'secret', mode: parseInt('600', 8)})
+            ])
+                .then(function () {
+                    return Promise.all(_.map(['/srv/app/logs/app.log', '/srv/app/cache', '/srv/app/secret'], function (path) {
+                        return FileUtil.stat({path: path});
+                    }));
+                });
+        })
+            .then(function (stats) {
+                expect(_.map(stats, function (pathStats) {
+                    return (pathStats.mode & parseInt('7777', 8)).toString(8);
+                })).toEqual(['644', '755', '600']);
+            });
+    });
+
+    it('counts hard links and keeps their contents shared', function () {
+        return withMemoryFileSystem(function () {
+            return FileUtil.link({srcPath: '/srv/app/config.json', destPath: '/srv/app/config.link'})
+                .then(function () {
+                    return FileUtil.appendFile({path: '/srv/app/config.link', data: '\n'});
+                })
+                .then(function () {
+                    return Promise.all([
+                        FileUtil.stat({path: '/srv/app/config.json'}),
+                        FileUtil.stat({path: '/srv/app/config.link'}),
+                        FileUtil.readFile({path: '/srv/app/config.json', encoding: 'utf8'})
+                    ]);
+                });
+        })
+            .then(function (results) {
+                expect(results[0].nlink).toBe(2);
+                expect(results[0].ino).toBe(results[1].ino);
+                expect(results[2]).toBe('{"port": 8080}\n');
+            });
+    });
+
+    it('runs the FileUtil methods built on the fs methods', function () {
+        return withMemoryFileSystem(function () {
+            return FileUtil.copy({sourcePath: '/srv/app', destinationPath: '/srv/copy'})
+                .then(function () {
+                    return FileUtil.atomicWriteFile({path: '/srv/copy/config.json', data: '{}'});
+                })
+                .then(function () {
+                    return FileUtil.withTempDir(function (tempPath) {
+                        expect(_path.dirname(tempPath)).toBe(os.tmpdir());
+                        return FileUtil.writeFile({path: _path.join(tempPath, 'file'), data: 'file'});
+                    });
+                })
+                .then(function () {
+                    return FileUtil.rm({path: '/srv/app', recursive: true});
+                })
+                .then(function () {
+                    return FileUtil.glob({pattern: '**', path: '/srv'});
+                });
+        })
+            .then(function (paths) {
+                expect(_.sortBy(paths)).toEqual([
+                    '/srv/copy',
+                    '/srv/copy/bin',
+                    '/srv/copy/bin/start',
+                    '/srv/copy/config.json',
+                    '/srv/copy/current',
+                    '/srv/copy/logs'
+                ]);
+                expect(memoryFileSystem.readdirSync(os.tmpdir())).toEqual([]);
+            });
+    });
+
+    it('snapshots a tree as a fixture that recreates it', function () {
+        return withMemoryFileSystem(function () {
+            return FileUtil.writeFile({path: '/srv/app/logs/binary', data: Buffer.from([0xff, 0x00])});
+        })
+            .then(function () {
+                var snapshot = memoryFileSystem.snapshot('/srv/app/logs');
+                expect(_.keys(snapshot)).toEqual(['/srv/app/logs']);
+                expect(snapshot['/srv/app/logs'].type).toBe('directory');
+                expect(_.omit(snapshot['/srv/app/logs'].entries.binary, 'mtime')).toEqual({
+                    type: 'file',
+                    content: '/wA=',
+                    encoding: 'base64',
+                    mode: '644',
+                    uid: 1000,
+                    gid: 100
+                });
+
+                var fullSnapshot = memoryFileSystem.snapshot();
+                expect(MemoryFileSystem.create({fixture: fullSnapshot}).snapshot()).toEqual(fullSnapshot);
+            });
+    });
+
+    it('adds entries with seed, merging directories', function () {
+        memoryFileSystem.seed({'/srv/app/logs/old.log': 'old', '/srv/other/file': 'other'});
+        expect(_.sortBy(memoryFileSystem.readdirSync('/srv/app/logs'))).toEqual(['old.log']);
+        expect(memoryFileSystem.readFileSync('/srv/other/file', 'utf8')).toBe('other');
+        expect(memoryFileSystem.readFileSync('/srv/app/config.json', 'utf8')).toBe('{"port": 8080}');
+    });
+
+    describe('errors', function () {
+        var root;
+
+        beforeEach(function () {
+            return FileUtil.tempDir()
+                .then(function (path) {
+                    root = path;
+                    memoryFileSystem.seed(_.fromPairs([[root, {}]]));
+                });
+        });
+
+        afterEach(function () {
+            return FileUtil.rm({path: root, recursive: true});
+        });
+
+        // Runs fn against the disk and against the memory file system, and returns both errors
+        var compareErrors = function (fn) {
+            var setUp = function () {
+                return Promise.all([
+                    FileUtil.mkdirp({path: _path.join(root, 'dir', 'nested')}),
+                    FileUtil.writeFile({path: _path.join(root, 'file'), data: 'file'}),
+                    FileUtil.symlink({target: 'loop', path: _path.join(root, 'loop'), relative: true})
+                ]);
+            };
+            var run = function () {
+                return setUp()
+                    .then(fn)
+                    .then(function () {
+                        fail('Expected the promise to be rejected');
+                    }, function (err) {
+                        return _.pick(err, ['message', 'code', 'errno', 'syscall', 'path', 'dest']);
+                    });
+            };
+
+            return run()
+                .then(function (diskError) {
+                    return withMemoryFileSystem(run)
+                        .then(function (memoryError) {
+                            expect(memoryError).toEqual(diskError);
+                        });
+                });
+        };
+
+        var pathOf = function (relativePath) {
+            return _path.join(root, relativePath);
+        };
+
+        it('match the errors of Node.js for missing and existing paths', function () {
+            return compareErrors(function () {
+                return FileUtil.readFile({path: pathOf('missing')});
+            })
+                .then(function () {
+                    return compareErrors(function () {
+                        return FileUtil.mkdir({path: pathOf('dir')});
+                    });
+                })
+                .then(function () {
+                    return compareErrors(function () {
+                        return FileUtil.open({path: pathOf('file'), flags: 'wx'});
+                    });
+                })
+                .then(function () {
+                    return compareErrors(function () {
+                        return FileUtil.rename({oldPath: pathOf('missing'), newPath: pathOf('other')});
+                    });
+                });
+        });
+
+        it('match the errors of Node.js for the wrong type of entry', function () {
+            return compareErrors(function () {
+                return FileUtil.readdir({path: pathOf('file')});
+            })
+                .then(function () {
+                    return compareErrors(function () {
+                        return FileUtil.rmdir({path: pathOf('dir')});
+                    });
+                })
+                .then(function () {
+                    return compareErrors(function () {
+                        return FileUtil.stat({path: pathOf('file/child')});
+                    });
+                })
+                .then(function () {
+                    return compareErrors(function () {
+                        return FileUtil.stat({path: pathOf('loop')});
+                    });
+                });
+        });
+    });
+});
@@ -0,0 +1,325 @@
+const _ = require('lodash');
+const crypto = require('crypto');
+const Promise = require('bluebird');
+const stream = require('stream');
+const CryptoUtil = require('../lib/CryptoUtil');
+const StreamUtil = require('../lib/StreamUtil');
+
+describe('StreamUtil', function () {
+    // Resolves with the chunks read from readable until it ends
+    var readAll = function (readable) {
+        return new Promise(function (resolve, reject) {
+            var chunks = [];
+            readable.on('data', function (chunk) {
+                chunks.push(chunk);
+            });
+            readable.once('end', function () {
+                resolve(chunks);
+            });
+            readable.once('error', reject);
+        });
+    };
+
+    // An iterator over values that counts the calls to next and return
+    var createCountingIterable = function (values) {
+        var iterable = {nextCalls: 0, returnCalls: 0};
+        iterable[Symbol.iterator] = function () {
+            var index = 0;
+            return {
+                next: function () {
+                    iterable.nextCalls++;
+                    return index < values.length ? {value: values[index++], done: false} : {value: undefined, done: true};
+                },
+                return: function () {
+                    iterable.returnCalls++;
+                    return {value: undefined, done: true};
+                }
+            };
+        };
+        return iterable;
+    };
+
+    describe('fromBuffer', function () {
+        it('pushes the buffer in chunks of at most chunkSize bytes', function () {
+            return readAll(StreamUtil.fromBuffer(Buffer.from('0123456789'), {chunkSize: 4}))
+                .then(function (chunks) {
+                    expect(_.map(chunks, String)).toEqual(['0123', '4567', '89']);
+                });
+        });
+
+        it('ends without chunks for an empty buffer', function () {
+            return readAll(StreamUtil.fromBuffer(Buffer.alloc(0)))
+                .then(function (chunks) {
+                    expect(chunks).toEqual([]);
+                });
+        });
+
+        it('only buffers up to highWaterMark ahead of its consumer', function () {
+            var readable = StreamUtil.fromBuffer(Buffer.alloc(100), {chunkSize: 1, highWaterMark: 10});
+            readable.read(0);
+            return Promise.delay(10)
+                .then(function () {
+                    expect(readable.readableLength).toBe(10);
+                    return readAll(readable);
+                })
+                .then(function (chunks) {
+                    expect(chunks.length).toBe(100);
+                });
+        });
+
+        it('rejects invalid buffers and chunk sizes', function () {
+            expect(function () {
+                StreamUtil.fromBuffer('text');
+            }).toThrowError('Invalid parameter: buffer must be a Buffer, not string');
+            _.each([0, 1.5, '4', -1], function (chunkSize) {
+                expect(function () {
+                    StreamUtil.fromBuffer(Buffer.alloc(1), {chunkSize: chunkSize});
+                }).toThrowError('Invalid parameter: chunkSize must be a positive integer, not ' + chunkSize);
+            });
+        });
+    });
+
+    describe('fromString', function () {
+        it('pushes the bytes of a string in the given encoding', function () {
+            return Promise.all([
+                readAll(StreamUtil.fromString('äbc', {chunkSize: 2})),
+                readAll(StreamUtil.fromString('68656c6c6f', {encoding: 'hex'}))
+            ])
+                .then(function (results) {
+                    expect(_.map(results[0], 'length')).toEqual([2, 2]);
+                    expect(Buffer.concat(results[0]).toString('utf8')).toBe('äbc');
+                    expect(Buffer.concat(results[1]).toString('utf8')).toBe('hello');
+                });
+        });
+
+        it('feeds CryptoUtil.hash like a file stream', function () {
+            return CryptoUtil.hash({data: StreamUtil.fromString('abc', {chunkSize: 1})})
+                .then(function (hash) {
+                    expect(hash).toBe(crypto.createHash('sha256').update('abc').digest('hex'));
+                });
+        });
+
+        it('rejects values that are not strings', function () {
+            expect(function () {
+                StreamUtil.fromString(42);
+            }).toThrowError('Invalid parameter: string must be a string, not number');
+        });
+    });
+
+    describe('fromIterable', function () {
+        it('pushes the values of an iterable in object mode, awaiting promises', function () {
+            return readAll(StreamUtil.fromIterable([{a: 1}, Promise.delay(5).return(2), 'three']))
+                .then(function (values) {
+                    expect(values).toEqual([{a: 1}, 2, 'three']);
+                });
+        });
+
+        it('pushes the values of an async iterable', function () {
+            var index = 0;
+            var asyncIterable = {};
+            asyncIterable[Symbol.asyncIterator] = function () {
+                return {
+                    next: function () {
+                        index++;
+                        return Promise.delay(1).return(index <= 3 ? {value: index, done: false} : {done: true});
+                    }
+                };
+            };
+
+            return readAll(StreamUtil.fromIterable(asyncIterable))
+                .then(function (values) {
+                    expect(values).toEqual([1, 2, 3]);
+                });
+        });
+
+        it('pushes Buffers and strings as bytes without objectMode', function () {
+            return readAll(StreamUtil.fromIterable(['ab', Buffer.from('cd')], {objectMode: false}))
+                .then(function (chunks) {
+                    expect(Buffer.concat(chunks).toString()).toBe('abcd');
+                });
+        });
+
+        it('only advances the iterator as the stream is read', function () {
+            var iterable = createCountingIterable(_.range(100));
+            var readable = StreamUtil.fromIterable(iterable, {highWaterMark: 5});
+            readable.read(0);
+            return Promise.delay(10)
+                .then(function () {
+                    expect(iterable.nextCalls).toBe(5);
+                    return readAll(readable);
+                })
+                .then(function (values) {
+                    expect(values).toEqual(_.range(100));
+                    expect(iterable.returnCalls).toBe(0);
+                });
+        });
+
+        it('closes the iterator when the stream is destroyed before the end', function () {
+            var iterable = createCountingIterable(_.range(100));
+            var readable = StreamUtil.fromIterable(iterable, {highWaterMark: 5});
+            readable.read(0);
+            return Promise.delay(10)
+                .then(function () {
+                    readable.destroy();
+                    return Promise.delay(10);
+                })
+                .then(function () {
+                    expect(iterable.returnCalls).toBe(1);
+                });
+        });
+
+        it('emits the errors of the iterator, and for null values', function () {
+            var failingIterable = {};
+            failingIterable[Symbol.iterator] = function () {
+                return {
+                    next: function () {
+                        throw new Error('Iteration failed');
+                    }
+                };
+            };
+
+            return readAll(StreamUtil.fromIterable(failingIterable))
+                .then(function () {
+                    fail('Expected the promise to be rejected');
+                }, function (err) {
+                    expect(err.message).toBe('Iteration failed');
+                    return readAll(StreamUtil.fromIterable([1, null, 3]));
+                })
+                .then(function () {
+                    fail('Expected the promise to be rejected');
+                }, function (err) {
+                    expect(err.message).toBe('Invalid value: iterable values must not be null or undefined');
+                });
+        });
+
+        it('rejects values that are not iterable', function () {
+            expect(function () {
+                StreamUtil.fromIterable(42);
+            }).toThrowError('Invalid parameter: iterable must be an iterable or async iterable, not number');
+        });
+    });
+
+    describe('pipeline', function () {
+        var createUpperCaseTransform = function () {
+            return new stream.Transform({
+                transform: function (chunk, encoding, callback) {
+                    callback(null, String(chunk).toUpperCase());
+                }
+            });
+        };
+
+        // A target that takes its time to flush what it was written
+        var createSlowTarget = function () {
+            var target = new stream.Writable({
+                write: function (chunk, encoding, callback) {
+                    target.chunks.push(String(chunk));
+                    callback();
+                },
+                final: function (callback) {
+                    setTimeout(function () {
+                        target.flushed = true;
+                        callback();
+                    }, 20);
+                }
+            });
+            target.chunks = [];
+            target.flushed = false;
+            return target;
+        };
+
+        var expectStageFailure = function (promise, stage, pattern) {
+            return promise.then(function () {
+                fail('Expected the promise to be rejected');
+            }, function (err) {
+                expect(err.stage).toBe(stage);
+                expect(err.message).toMatch(pattern);
+            });
+        };
+
+        it('resolves only once the target has flushed its data', function () {
+            var target = createSlowTarget();
+            return StreamUtil.pipeline(StreamUtil.fromString('abc', {chunkSize: 1}), createUpperCaseTransform(), target)
+                .then(function () {
+                    expect(target.flushed).toBe(true);
+                    expect(target.chunks.join('')).toBe('ABC');
+                });
+        });
+
+        it('accepts the stages as an array, and leaves no listeners behind', function () {
+            var source = StreamUtil.fromString('abc');
+            var target = createSlowTarget();
+            var listenerCounts = function () {
+                return _.map(['error', 'close', 'end', 'finish'], function (eventName) {
+                    return [source.listenerCount(eventName), target.listenerCount(eventName)];
+                });
+            };
+            var initialListenerCounts = listenerCounts();
+
+            return StreamUtil.pipeline([source, target])
+                .then(function () {
+                    expect(listenerCounts()).toEqual(initialListenerCounts);
+                });
+        });
+
+        it('destroys every stage and reports the stage that failed', function () {
+            var source = StreamUtil.fromIterable(_.map(_.range(100), String), {objectMode: false});
+            var failing = new stream.Transform({
+                transform: function (chunk, encoding, callback) {
+                    callback(new Error('Transform failed'));
+                }
+            });
+            var target = createSlowTarget();
+
+            return expectStageFailure(StreamUtil.pipeline(source, createUpperCaseTransform(), failing, target), 2, /^Transform failed$/)
+                .then(function () {
+                    expect(source.destroyed).toBe(true);
+                    expect(failing.destroyed).toBe(true);
+                    expect(target.destroyed).toBe(true);
+                    expect(target.flushed).toBe(false);
+                });
+        });
+
+        it('reports errors of the target and of the source', function () {
+            var failingTarget = new stream.Writable({
+                write: function (chunk, encoding, callback) {
+                    callback(new Error('Disk full'));
+                }
+            });
+            var failingSource = new stream.Readable({
+                read: function () {
+                    this.destroy(new Error('Read failed'));
+                }
+            });
+
+            return expectStageFailure(StreamUtil.pipeline(StreamUtil.fromString('abc'), failingTarget), 1, /^Disk full$/)
+                .then(function () {
+                    return expectStageFailure(StreamUtil.pipeline(failingSource, createSlowTarget()), 0, /^Read failed$/);
+                });
+        });
+
+        it('fails when a stage closes before it has finished', function () {
+            var source = new stream.Readable({
+                read: _.noop
+            });
+            var target = createSlowTarget();
+
+            var pipelinePromise = StreamUtil.pipeline(source, target);
+            source.push('partial');
+            setTimeout(function () {
+                source.destroy();
+            }, 10);
+            return expectStageFailure(pipelinePromise, 0, /Premature close/)
+                .then(function () {
+                    expect(target.chunks).toEqual(['partial']);
+                    expect(target.destroyed).toBe(true);
+                });
+        });
+
+        it('rejects pipelines without a source and target, and stages that are not streams', function () {
+            return expectStageFailure(StreamUtil.pipeline(StreamUtil.fromString('abc')), undefined, /^Missing parameter: pipeline needs at least a source and a target$/)
+                .then(function () {
+                    return expectStageFailure(StreamUtil.pipeline(StreamUtil.fromString('abc'), 'target'), undefined, /^Invalid parameter: stage 1 must be a stream, not string$/);
+                });
+        });
+    });
+});
@@ -0,0 +1,121 @@
+const _ = require('lodash');
+
+/**
+ * Builders for hand-crafted tar and zip archives, for entries that ArchiveUtil would never write itself.
+ */
+
+const BLOCK_SIZE = 512;
+
+var CRC32_TABLE = _.map(_.range(256), function (n) {
+    var c = n;
+    for (var k = 0; k < 8; k++) {
+        c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+    }
+    return c >>> 0;
+});
+
+var crc32 = function (buffer) {
+    var crc = ~0;
+    for (var i = 0; i < buffer.length; i++) {
+        crc = CRC32_TABLE[(crc ^ buffer[i]) & 0xff] ^ (crc >>> 8);
+    }
+    return ~crc >>> 0;
+};
+
+var writeOctal = function (header, value, offset, length) {
+    header.write(_.padStart(value.toString(8), length - 1, '0') + '\0', offset, length, 'utf8');
+};
+
+/**
+ * Creates a ustar archive.
+ * @param entries {Array.<{name: string, type: string, data: (string|undefined), linkname: (string|undefined), mode: (number|undefined)}>} - type is a ustar type flag, '0' for a file, '1' for a hard link, '2' for a symbolic link or '5' for a directory.
+ * @returns {Buffer}
+ */
+var createTar = function (entries) {
+    var blocks = _.flatMap(entries, function (entry) {
+        var data = Buffer.from(_.defaultTo(entry.data, ''), 'utf8');
+        var header = Buffer.alloc(BLOCK_SIZE);
+        header.write(entry.name, 0, 100, 'utf8');
+        writeOctal(header, _.defaultTo(entry.mode, entry.type === '5' ? parseInt('755', 8) : parseInt('644', 8)), 100, 8);
+        writeOctal(header, 0, 108, 8);
+        writeOctal(header, 0, 116, 8);
+        writeOctal(header, data.length, 124, 12);
+        writeOctal(header, Math.floor(Date.now() / 1000), 136, 12);
+        header.write(entry.type, 156, 1, 'utf8');
+        header.write(_.defaultTo(entry.linkname, ''), 157, 100, 'utf8');
+        header.write('ustar\u000000', 257, 8, 'utf8');
+
+        header.fill(0x20, 148, 156);
+        var checksum = _.sum(header);
+        header.write(_.padStart(checksum.toString(8), 6, '0') + '\0 ', 148, 8, 'utf8');
+
+        var padding = Buffer.alloc((BLOCK_SIZE - data.length % BLOCK_SIZE) % BLOCK_SIZE);
+        return [header, data, padding];
+    });
+
+    return Buffer.concat(blocks.concat([Buffer.alloc(BLOCK_SIZE * 2)]));
+};
+
+/**
+ * Creates a zip archive of stored entries, made by a Unix host so that the file type is taken from the external attributes.
+ * @param entries {Array.<{name: string, data: (string|undefined), mode: number}>} - mode includes the file type bits, e.g. 0120777 for a symbolic link.
+ * @returns {Buffer}
+ */
+var createZip = function (entries) {
+    var localParts = [];
+    var centralParts = [];
+    var offset = 0;
+
+    _.each(entries, function (entry) {
+        var name = Buffer.from(entry.name, 'utf8');
+        var data = Buffer.from(_.defaultTo(entry.data, ''), 'utf8');
+        var checksum = crc32(data);
+
+        var local = Buffer.alloc(30);
+        local.writeUInt32LE(0x04034b50, 0);
+        local.writeUInt16LE(20, 4);
+        local.writeUInt16LE(0, 6);
+        local.writeUInt16LE(0, 8);
+        local.writeUInt16LE(0, 10);
+        local.writeUInt16LE(0x21, 12);
+        local.writeUInt32LE(checksum, 14);
+        local.writeUInt32LE(data.length, 18);
+        local.writeUInt32LE(data.length, 22);
+        local.writeUInt16LE(name.length, 26);
+        local.writeUInt16LE(0, 28);
+
+        var central = Buffer.alloc(46);
+        central.writeUInt32LE(0x02014b50, 0);
+        central.writeUInt16LE((3 << 8) | 20, 4);
+        central.writeUInt16LE(20, 6);
+        central.writeUInt16LE(0, 8);
+        central.writeUInt16LE(0, 10);
+        central.writeUInt16LE(0, 12);
+        central.writeUInt16LE(0x21, 14);
+        central.writeUInt32LE(checksum, 16);
+        central.writeUInt32LE(data.length, 20);
+        central.writeUInt32LE(data.length, 24);
+        central.writeUInt16LE(name.length, 28);
+        central.writeUInt32LE((entry.mode << 16) >>> 0, 38);
+        central.writeUInt32LE(offset, 42);
+
+        localParts.push(local, name, data);
+        centralParts.push(central, name);
+        offset += local.length + name.length + data.length;
+    });
+
+    var centralDirectory = Buffer.concat(centralParts);
+    var end = Buffer.alloc(22);
+    end.writeUInt32LE(0x06054b50, 0);
+    end.writeUInt16LE(entries.length, 8);
+    end.writeUInt16LE(entries.length, 10);
+    end.writeUInt32LE(centralDirectory.length, 12);
+    end.writeUInt32LE(offset, 16);
+
+    return Buffer.concat(localParts.concat([centralDirectory, end]));
+};
+
+module.exports = {
+    createTar: createTar,
+    createZip: createZip
+};